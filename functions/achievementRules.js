@@ -0,0 +1,93 @@
+// Pure achievement rules, kept out of achievements.js so they can be tested without Firebase.
+const { weekKey } = require('./shared/weeks');
+
+// Achievements are plain data: a badge is earned once `stats[metric]` reaches `threshold`.
+// Adding a rule here is enough; every profile picks it up the next time its stats are recomputed.
+const ACHIEVEMENTS = [
+    { name: 'First Report', metric: 'reportedIssues', threshold: 1, description: 'File your first report.' },
+    { name: 'Neighborhood Hero', metric: 'reportedIssues', threshold: 5, description: 'File 5 reports.' },
+    { name: 'Civic Champion', metric: 'reportedIssues', threshold: 25, description: 'File 25 reports.' },
+    { name: 'Crowd Favourite', metric: 'upvotesReceived', threshold: 10, description: 'Receive 10 upvotes on your reports.' },
+    { name: 'Voice of the Street', metric: 'upvotesReceived', threshold: 100, description: 'Receive 100 upvotes on your reports.' },
+    { name: 'Fixer', metric: 'resolvedIssues', threshold: 1, description: 'Get one of your reports resolved.' },
+    { name: 'Change Maker', metric: 'resolvedIssues', threshold: 10, description: 'Get 10 of your reports resolved.' },
+    { name: 'On a Roll', metric: 'longestStreak', threshold: 3, description: 'Report something 3 weeks in a row.' },
+    { name: 'Steady Sentinel', metric: 'longestStreak', threshold: 8, description: 'Report something 8 weeks in a row.' },
+];
+
+// Points reward impact as well as volume: upvotes and resolutions are worth more than the report alone.
+const POINTS = { report: 10, upvote: 2, resolved: 25 };
+
+// Leaderboard neighbourhoods are geohash cells of this precision (roughly 5 km across).
+const NEIGHBOURHOOD_PRECISION = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Monday-based week number counted from the epoch, so consecutive weeks differ by exactly one.
+const weekIndex = (date) => Math.floor((date.getTime() / DAY_MS + 3) / 7);
+
+// A streak counts consecutive weeks with at least one report. The current streak survives
+// until a whole week passes without one.
+const computeStreaks = (dates, now) => {
+    const weeks = [...new Set(dates.map(weekIndex))].sort((a, b) => a - b);
+    let run = 0;
+    let longestStreak = 0;
+    weeks.forEach((week, i) => {
+        run = i > 0 && week === weeks[i - 1] + 1 ? run + 1 : 1;
+        longestStreak = Math.max(longestStreak, run);
+    });
+    const lastWeek = weeks[weeks.length - 1];
+    const currentStreak = lastWeek >= weekIndex(now) - 1 ? run : 0;
+    return { currentStreak, longestStreak };
+};
+
+const pointsFor = (issues) => issues.reduce((total, issue) =>
+    total + POINTS.report + POINTS.upvote * (issue.upvotes || 0) + (issue.status === 'Resolved' ? POINTS.resolved : 0), 0);
+
+// The reporter's neighbourhood is the cell they report from most; its name is the location text of their latest report there.
+const findNeighbourhood = (issues) => {
+    const cells = {};
+    issues.filter(issue => issue.geohash).forEach((issue) => {
+        const cell = issue.geohash.slice(0, NEIGHBOURHOOD_PRECISION);
+        const entry = cells[cell] || (cells[cell] = { count: 0, latest: null });
+        entry.count += 1;
+        if (!entry.latest || issue.createdAt > entry.latest.createdAt) entry.latest = issue;
+    });
+    const [cell, entry] = Object.entries(cells).sort((a, b) => b[1].count - a[1].count)[0] || [];
+    return cell ? { neighbourhood: cell, neighbourhoodName: entry.latest.location || cell } : { neighbourhood: null, neighbourhoodName: null };
+};
+
+const evaluateAchievements = (stats) => {
+    const badges = ACHIEVEMENTS.filter(rule => stats[rule.metric] >= rule.threshold).map(rule => rule.name);
+    // The next unearned badge for each metric, for progress bars on the profile card.
+    const nextBadges = [...new Set(ACHIEVEMENTS.map(rule => rule.metric))]
+        .map(metric => ACHIEVEMENTS
+            .filter(rule => rule.metric === metric && stats[metric] < rule.threshold)
+            .sort((a, b) => a.threshold - b.threshold)[0])
+        .filter(Boolean)
+        .map(rule => ({ ...rule, progress: stats[rule.metric] }));
+    return { badges, nextBadges };
+};
+
+// Everything achievements.js stores on a profile, from the reporter's issues (`createdAt` as a Date).
+// Duplicates merged into another issue don't count, so a merge can't double a reporter's points.
+const computeProfileStats = (allIssues, now) => {
+    const issues = allIssues.filter(issue => !issue.mergedInto);
+    const thisWeek = weekKey(now);
+    const stats = {
+        reportedIssues: issues.length,
+        upvotesReceived: issues.reduce((total, issue) => total + (issue.upvotes || 0), 0),
+        resolvedIssues: issues.filter(issue => issue.status === 'Resolved').length,
+        ...computeStreaks(issues.map(issue => issue.createdAt), now),
+    };
+    return {
+        ...stats,
+        ...evaluateAchievements(stats),
+        ...findNeighbourhood(issues),
+        points: pointsFor(issues),
+        weeklyPoints: pointsFor(issues.filter(issue => weekKey(issue.createdAt) === thisWeek)),
+        weekKey: thisWeek,
+    };
+};
+
+module.exports = { ACHIEVEMENTS, POINTS, computeStreaks, pointsFor, findNeighbourhood, evaluateAchievements, computeProfileStats };
@@ -0,0 +1,87 @@
+const { POINTS, computeStreaks, pointsFor, findNeighbourhood, evaluateAchievements, computeProfileStats } = require('./achievementRules');
+
+// 2026-10-14 is the Wednesday of ISO week 42.
+const NOW = new Date('2026-10-14T12:00:00Z');
+const weeksAgo = (weeks) => new Date(NOW.getTime() - weeks * 7 * 24 * 60 * 60 * 1000);
+
+describe('computeStreaks', () => {
+    it('counts consecutive weeks with at least one report', () => {
+        expect(computeStreaks([weeksAgo(0), weeksAgo(0), weeksAgo(1), weeksAgo(2), weeksAgo(5), weeksAgo(6)], NOW))
+            .toEqual({ currentStreak: 3, longestStreak: 3 });
+    });
+
+    it('keeps the current streak through a week without a report yet', () => {
+        expect(computeStreaks([weeksAgo(1), weeksAgo(2)], NOW)).toEqual({ currentStreak: 2, longestStreak: 2 });
+    });
+
+    it('ends the current streak after a whole week without a report', () => {
+        expect(computeStreaks([weeksAgo(2), weeksAgo(3), weeksAgo(4)], NOW)).toEqual({ currentStreak: 0, longestStreak: 3 });
+    });
+
+    it('is zero without reports', () => {
+        expect(computeStreaks([], NOW)).toEqual({ currentStreak: 0, longestStreak: 0 });
+    });
+});
+
+describe('pointsFor', () => {
+    it('rewards reports, upvotes and resolutions', () => {
+        const issues = [{ upvotes: 3, status: 'Resolved' }, { status: 'Acknowledged' }];
+        expect(pointsFor(issues)).toBe(2 * POINTS.report + 3 * POINTS.upvote + POINTS.resolved);
+    });
+});
+
+describe('findNeighbourhood', () => {
+    it('picks the cell reported from most and names it after the latest report there', () => {
+        const issues = [
+            { geohash: 'tdr1y8abc', location: 'MG Road', createdAt: weeksAgo(3) },
+            { geohash: 'tdr1y9xyz', location: 'Brigade Road', createdAt: weeksAgo(1) },
+            { geohash: 'tdr4zzzzz', location: 'Airport', createdAt: weeksAgo(0) },
+            { location: 'No pin', createdAt: weeksAgo(0) },
+        ];
+        expect(findNeighbourhood(issues)).toEqual({ neighbourhood: 'tdr1y', neighbourhoodName: 'Brigade Road' });
+    });
+
+    it('is empty when no report has a pin', () => {
+        expect(findNeighbourhood([{ location: 'Somewhere' }])).toEqual({ neighbourhood: null, neighbourhoodName: null });
+    });
+});
+
+describe('evaluateAchievements', () => {
+    it('awards every badge whose threshold is reached and lists the next one per metric', () => {
+        const { badges, nextBadges } = evaluateAchievements({ reportedIssues: 5, upvotesReceived: 12, resolvedIssues: 0, longestStreak: 1 });
+        expect(badges).toEqual(['First Report', 'Neighborhood Hero', 'Crowd Favourite']);
+        expect(nextBadges.map(badge => [badge.name, badge.progress])).toEqual([
+            ['Civic Champion', 5],
+            ['Voice of the Street', 12],
+            ['Fixer', 0],
+            ['On a Roll', 1],
+        ]);
+    });
+});
+
+describe('computeProfileStats', () => {
+    it('derives stats, badges and points from the reporter\'s issues', () => {
+        const profile = computeProfileStats([
+            { createdAt: weeksAgo(0), upvotes: 4, status: 'Resolved' },
+            { createdAt: weeksAgo(1), upvotes: 1, status: 'Acknowledged' },
+        ], NOW);
+        expect(profile).toMatchObject({
+            reportedIssues: 2,
+            upvotesReceived: 5,
+            resolvedIssues: 1,
+            currentStreak: 2,
+            badges: ['First Report', 'Fixer'],
+            points: 2 * POINTS.report + 5 * POINTS.upvote + POINTS.resolved,
+            weeklyPoints: POINTS.report + 4 * POINTS.upvote + POINTS.resolved,
+            weekKey: '2026-W42',
+        });
+    });
+
+    it('leaves out duplicates merged into another issue', () => {
+        const profile = computeProfileStats([
+            { createdAt: weeksAgo(0), upvotes: 2, status: 'Acknowledged' },
+            { createdAt: weeksAgo(0), upvotes: 9, status: 'Acknowledged', mergedInto: 'issue1' },
+        ], NOW);
+        expect(profile).toMatchObject({ reportedIssues: 1, upvotesReceived: 2, points: POINTS.report + 2 * POINTS.upvote });
+    });
+});
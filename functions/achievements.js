@@ -0,0 +1,31 @@
+const { onDocumentWritten } = require('firebase-functions/v2/firestore');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const { issuesPath, profileDocPath } = require('./paths');
+const { computeProfileStats } = require('./achievementRules');
+
+// Recomputes a reporter's stats, points and badges from their issues. Like the vote and comment
+// counters, everything is derived from source documents so repeated runs always agree.
+const syncAchievements = async (appId, uid) => {
+    const db = getFirestore();
+    const issuesSnap = await db.collection(issuesPath(appId))
+        .where('reporterId', '==', uid)
+        .select('createdAt', 'upvotes', 'status', 'geohash', 'location', 'mergedInto')
+        .get();
+    const now = new Date();
+    const issues = issuesSnap.docs.map(issueDoc => ({ ...issueDoc.data(), createdAt: issueDoc.get('createdAt')?.toDate() || now }));
+    await db.doc(profileDocPath(appId, uid)).set({
+        ...computeProfileStats(issues, now),
+        statsUpdatedAt: FieldValue.serverTimestamp(),
+    }, { merge: true });
+};
+
+const TRACKED_FIELDS = ['reporterId', 'upvotes', 'status', 'geohash', 'mergedInto'];
+
+exports.onIssueWrittenAchievements = onDocumentWritten('artifacts/{appId}/public/data/issues/{issueId}', async (event) => {
+    const before = event.data.before.data();
+    const after = event.data.after.data();
+    if (before && after && TRACKED_FIELDS.every(field => before[field] === after[field])) return;
+
+    const reporterIds = new Set([before?.reporterId, after?.reporterId].filter(Boolean));
+    await Promise.all([...reporterIds].map(uid => syncAchievements(event.params.appId, uid)));
+});
@@ -0,0 +1,293 @@
+const express = require('express');
+const Busboy = require('busboy');
+const { onRequest } = require('firebase-functions/v2/https');
+const { defineString } = require('firebase-functions/params');
+const { logger } = require('firebase-functions');
+const { getAuth } = require('firebase-admin/auth');
+const { getFirestore, FieldValue, Timestamp } = require('firebase-admin/firestore');
+const { getStorage, getDownloadURL } = require('firebase-admin/storage');
+const { issuesPath, issueDocPath, votesPath, profileDocPath, bansPath } = require('./paths');
+const { ApiError, validateNewIssue, parseListQuery } = require('./apiValidation');
+const { consumeRateLimit } = require('./rateLimit');
+const { getTaxonomy } = require('./categories');
+const { MAX_ATTACHMENTS, getAttachments } = require('./shared/attachments');
+const { getSearchToken, matchesSearch } = require('./shared/search');
+const { prepareMedia } = require('./mediaProcessing');
+const openApiSpec = require('./openapi.json');
+
+// The app whose data the API serves (the `appId` in `artifacts/{appId}/...`).
+const API_APP_ID = defineString('API_APP_ID', { default: 'default-app-id' });
+
+// Cloud Functions caps request bodies at 32 MB; report media is kept well under that.
+const MAX_MEDIA_BYTES = 25 * 1024 * 1024;
+
+// Express 4 doesn't pass rejected promises to the error handler by itself.
+const handle = (handler) => (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+
+const authenticate = handle(async (req, res, next) => {
+    const match = (req.get('Authorization') || '').match(/^Bearer (.+)$/);
+    if (!match) throw new ApiError(401, 'unauthenticated', 'Send a Firebase ID token as "Authorization: Bearer <token>".');
+    try {
+        req.auth = await getAuth().verifyIdToken(match[1]);
+    } catch (err) {
+        throw new ApiError(401, 'unauthenticated', 'The ID token is invalid or has expired.');
+    }
+    next();
+});
+
+const rateLimited = (bucket) => handle(async (req, res, next) => {
+    const { allowed, limit, remaining, resetAt } = await consumeRateLimit(API_APP_ID.value(), req.auth.uid, bucket);
+    const resetSeconds = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+    res.set({ 'RateLimit-Limit': String(limit), 'RateLimit-Remaining': String(remaining), 'RateLimit-Reset': String(resetSeconds) });
+    if (!allowed) {
+        res.set('Retry-After', String(resetSeconds));
+        throw new ApiError(429, 'resource-exhausted', 'Too many requests. Try again later.');
+    }
+    next();
+});
+
+// Mirrors the `notBanned()` check in firestore.rules for writes made through the API.
+const rejectBanned = handle(async (req, res, next) => {
+    const banSnap = await getFirestore().doc(`${bansPath(API_APP_ID.value())}/${req.auth.uid}`).get();
+    if (banSnap.exists) throw new ApiError(403, 'permission-denied', 'This account has been banned.');
+    next();
+});
+
+// Content hidden for moderation is only shown to whoever reported it.
+const isHiddenFrom = (issueDoc, uid) => issueDoc.get('moderation.state') === 'hidden' && issueDoc.get('reporterId') !== uid;
+
+const toIso = (value) => (value instanceof Timestamp ? value.toDate().toISOString() : value ?? null);
+
+// Public representation of an issue. Derived query fields, storage paths and integration state stay internal.
+const toApiIssue = (issueDoc) => {
+    const issue = issueDoc.data();
+    const attachments = getAttachments(issue);
+    const firstOf = (type) => attachments.find(item => item.type === type);
+    return {
+        id: issueDoc.id,
+        title: issue.title,
+        description: issue.description,
+        location: issue.location,
+        coordinates: issue.coordinates || null,
+        address: issue.address || null,
+        observedAt: toIso(issue.observedAt),
+        category: issue.category || null,
+        department: issue.department || null,
+        details: issue.details || {},
+        status: issue.status,
+        statusNote: issue.statusNote || null,
+        upvotes: issue.upvotes || 0,
+        commentCount: issue.commentCount || 0,
+        reporterId: issue.reporterId,
+        // The first of each kind, as before reports could carry several.
+        media: {
+            photoUrl: firstOf('photo')?.url || issue.imageUrl || null,
+            videoUrl: firstOf('video')?.url || null,
+            audioUrl: firstOf('audio')?.url || null,
+            thumbnailUrl: attachments.find(item => item.thumbnailUrl)?.thumbnailUrl || null,
+        },
+        attachments: attachments.map(item => ({ type: item.type, url: item.url, thumbnailUrl: item.thumbnailUrl || null, caption: item.caption || '' })),
+        resolution: issue.resolution ? { ...issue.resolution, resolvedAt: toIso(issue.resolution.resolvedAt) } : null,
+        verifyBy: toIso(issue.verifyBy),
+        reopenCount: issue.reopenCount || 0,
+        rating: issue.ratingCount ? { average: issue.ratingTotal / issue.ratingCount, count: issue.ratingCount } : null,
+        mergedInto: issue.mergedInto || null,
+        hidden: issue.moderation?.state === 'hidden',
+        createdAt: toIso(issue.createdAt),
+        statusUpdatedAt: toIso(issue.statusUpdatedAt),
+        respondBy: toIso(issue.respondBy),
+        resolveBy: toIso(issue.resolveBy),
+    };
+};
+
+const PUBLIC_PROFILE_FIELDS = ['name', 'points', 'weeklyPoints', 'weekKey', 'badges', 'nextBadges', 'reportedIssues', 'upvotesReceived',
+    'resolvedIssues', 'currentStreak', 'longestStreak', 'neighbourhood', 'neighbourhoodName'];
+
+const toApiProfile = (profileDoc) => Object.fromEntries([
+    ['uid', profileDoc.id],
+    ...PUBLIC_PROFILE_FIELDS.map(field => [field, profileDoc.get(field) ?? null]),
+]);
+
+const getIssueDoc = async (issueId) => {
+    const issueDoc = await getFirestore().doc(issueDocPath(API_APP_ID.value(), issueId)).get();
+    if (!issueDoc.exists) throw new ApiError(404, 'not-found', 'No issue with that id.');
+    return issueDoc;
+};
+
+// Reads a multipart body with an `issue` JSON field and up to MAX_ATTACHMENTS `media` files, kept in order.
+const parseMultipart = (req) => new Promise((resolve, reject) => {
+    const busboy = Busboy({ headers: req.headers, limits: { files: MAX_ATTACHMENTS, fileSize: MAX_MEDIA_BYTES } });
+    const fields = {};
+    const media = [];
+    busboy.on('field', (name, value) => { fields[name] = value; });
+    busboy.on('file', (name, stream, { mimeType }) => {
+        if (name !== 'media') return stream.resume();
+        const chunks = [];
+        const index = media.push(null) - 1;
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('limit', () => reject(new ApiError(413, 'invalid-argument', `Media must be smaller than ${MAX_MEDIA_BYTES / (1024 * 1024)} MB.`)));
+        stream.on('end', () => { media[index] = { buffer: Buffer.concat(chunks), mimeType }; });
+        return undefined;
+    });
+    busboy.on('filesLimit', () => reject(new ApiError(400, 'invalid-argument', `Send at most ${MAX_ATTACHMENTS} media files.`)));
+    busboy.on('finish', () => {
+        try {
+            resolve({ body: JSON.parse(fields.issue || '{}'), media });
+        } catch (err) {
+            reject(new ApiError(400, 'invalid-argument', 'The "issue" field must be JSON.'));
+        }
+    });
+    busboy.on('error', reject);
+    busboy.end(req.rawBody);
+});
+
+// Stores the files of a new report where the web app puts a reporter's own uploads and resolves to
+// the issue's `media` list. Every file is checked and re-encoded before anything is written. Each
+// stored file is added to `stored`, and all writes settle before a failure is passed on, so the
+// caller can delete exactly what a failed request left behind.
+const storeMedia = async (issueId, uid, media, stored) => {
+    const prepared = await Promise.all(media.map(prepareMedia));
+    const basePath = `media/${API_APP_ID.value()}/issues/${issueId}/${uid}`;
+    const save = async (path, { buffer, contentType }) => {
+        const file = getStorage().bucket().file(path);
+        await file.save(buffer, { contentType, resumable: false });
+        stored.push(file);
+        return getDownloadURL(file);
+    };
+    const results = await Promise.allSettled(prepared.map(async ({ type, file, thumbnail }, index) => {
+        const path = `${basePath}/${type}-${index + 1}.${file.extension}`;
+        const thumbnailPath = thumbnail ? `${basePath}/${type}-${index + 1}-thumbnail.${thumbnail.extension}` : null;
+        const [url, thumbnailUrl] = await Promise.all([save(path, file), thumbnail ? save(thumbnailPath, thumbnail) : null]);
+        return { type, url, path, thumbnailUrl, thumbnailPath, caption: '' };
+    }));
+    const failed = results.find(result => result.status === 'rejected');
+    if (failed) throw failed.reason;
+    return results.map(result => result.value);
+};
+
+const deleteStoredFiles = (files) => Promise.all(files.map(file => file.delete({ ignoreNotFound: true })
+    .catch(err => logger.warn(`Could not delete ${file.name} after a failed request`, err))));
+
+const v1 = express.Router();
+
+v1.get('/openapi.json', (req, res) => res.json(openApiSpec));
+
+v1.use(authenticate);
+
+v1.get('/issues', rateLimited('read'), handle(async (req, res) => {
+    const filters = parseListQuery(req.query, await getTaxonomy(API_APP_ID.value()));
+    let issuesQuery = getFirestore().collection(issuesPath(API_APP_ID.value()));
+    if (filters.status) issuesQuery = issuesQuery.where('status', '==', filters.status);
+    if (filters.category) issuesQuery = issuesQuery.where('category', '==', filters.category);
+    if (filters.department) issuesQuery = issuesQuery.where('department', '==', filters.department);
+    if (filters.reporter) issuesQuery = issuesQuery.where('reporterId', '==', filters.reporter === 'me' ? req.auth.uid : filters.reporter);
+    const searchToken = getSearchToken(filters.searchWords);
+    if (searchToken) issuesQuery = issuesQuery.where('searchTokens', 'array-contains', searchToken);
+    if (filters.from) issuesQuery = issuesQuery.where('createdAt', '>=', filters.from);
+    if (filters.to) issuesQuery = issuesQuery.where('createdAt', '<', filters.to);
+    if (filters.sort === 'popular') issuesQuery = issuesQuery.orderBy('upvotes', 'desc');
+    issuesQuery = issuesQuery.orderBy('createdAt', 'desc').limit(filters.pageSize);
+    if (filters.cursor) {
+        const cursorDoc = await getFirestore().doc(issueDocPath(API_APP_ID.value(), filters.cursor)).get();
+        if (!cursorDoc.exists) throw new ApiError(400, 'invalid-argument', '"cursor" does not point at an issue.');
+        issuesQuery = issuesQuery.startAfter(cursorDoc);
+    }
+
+    let snapshot;
+    try {
+        snapshot = await issuesQuery.get();
+    } catch (err) {
+        if (err.code === 9) throw new ApiError(400, 'invalid-argument', 'That combination of filters is not supported.'); // FAILED_PRECONDITION: no index
+        throw err;
+    }
+    const issues = snapshot.docs
+        .filter(issueDoc => !issueDoc.get('mergedInto') && !isHiddenFrom(issueDoc, req.auth.uid))
+        .filter(issueDoc => matchesSearch(issueDoc.get('searchTokens') || [], filters.searchWords))
+        .map(toApiIssue);
+    // Pages can come back short after the in-memory filters; only a full Firestore page means there may be more.
+    const nextCursor = snapshot.size === filters.pageSize ? snapshot.docs[snapshot.size - 1].id : null;
+    res.json({ issues, nextCursor });
+}));
+
+v1.get('/issues/:issueId', rateLimited('read'), handle(async (req, res) => {
+    const issueDoc = await getIssueDoc(req.params.issueId);
+    if (isHiddenFrom(issueDoc, req.auth.uid)) throw new ApiError(404, 'not-found', 'No issue with that id.');
+    res.json(toApiIssue(issueDoc));
+}));
+
+v1.post('/issues', rateLimited('write'), rejectBanned, handle(async (req, res) => {
+    const { body, media } = req.is('multipart/form-data') ? await parseMultipart(req) : { body: req.body || {}, media: [] };
+    const issue = validateNewIssue(body, await getTaxonomy(API_APP_ID.value()));
+    const uid = req.auth.uid;
+    const issueRef = getFirestore().collection(issuesPath(API_APP_ID.value())).doc();
+    const issueData = {
+        ...issue,
+        status: 'Acknowledged',
+        upvotes: 0,
+        hidden: false,
+        createdAt: FieldValue.serverTimestamp(),
+        reporterId: uid,
+        reporterIds: [uid],
+    };
+    const stored = [];
+    try {
+        if (media.length > 0) issueData.media = await storeMedia(issueRef.id, uid, media, stored);
+        await issueRef.set(issueData);
+    } catch (err) {
+        await deleteStoredFiles(stored);
+        throw err;
+    }
+    res.status(201).location(`${req.baseUrl}/issues/${issueRef.id}`).json(toApiIssue(await issueRef.get()));
+}));
+
+// Only the reporter can delete a report, and never one that a merge still links to.
+v1.delete('/issues/:issueId', rateLimited('write'), handle(async (req, res) => {
+    const issueDoc = await getIssueDoc(req.params.issueId);
+    if (issueDoc.get('reporterId') !== req.auth.uid) throw new ApiError(403, 'permission-denied', 'You can only delete your own reports.');
+    if (issueDoc.get('mergedInto')) throw new ApiError(409, 'failed-precondition', 'This report was merged into another issue and can no longer be deleted.');
+    await issueDoc.ref.delete();
+    res.status(204).end();
+}));
+
+// Voting is idempotent: PUT casts the caller's vote, DELETE withdraws it. Guests can't vote.
+const voteRef = (req) => getFirestore().doc(`${votesPath(API_APP_ID.value())}/${req.params.issueId}_${req.auth.uid}`);
+
+const requireAccount = (req, res, next) => next(req.auth.firebase?.sign_in_provider === 'anonymous'
+    ? new ApiError(403, 'permission-denied', 'Create an account to upvote issues.')
+    : undefined);
+
+v1.put('/issues/:issueId/vote', rateLimited('write'), requireAccount, rejectBanned, handle(async (req, res) => {
+    await getIssueDoc(req.params.issueId);
+    await voteRef(req).set({ issueId: req.params.issueId, voterId: req.auth.uid, createdAt: FieldValue.serverTimestamp() });
+    res.status(204).end();
+}));
+
+v1.delete('/issues/:issueId/vote', rateLimited('write'), requireAccount, handle(async (req, res) => {
+    await voteRef(req).delete();
+    res.status(204).end();
+}));
+
+v1.get('/profiles/:uid', rateLimited('read'), handle(async (req, res) => {
+    const uid = req.params.uid === 'me' ? req.auth.uid : req.params.uid;
+    const profileDoc = await getFirestore().doc(profileDocPath(API_APP_ID.value(), uid)).get();
+    if (!profileDoc.exists) throw new ApiError(404, 'not-found', 'No profile with that id.');
+    res.json(toApiProfile(profileDoc));
+}));
+
+const app = express();
+app.disable('x-powered-by');
+app.use(express.json({ limit: '100kb' }));
+app.use('/v1', v1);
+app.use((req, res, next) => next(new ApiError(404, 'not-found', `No route for ${req.method} ${req.path}.`)));
+// Express recognises error handlers by their four parameters, so `next` stays although it's unused.
+app.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') err = new ApiError(400, 'invalid-argument', 'The request body must be valid JSON.');
+    if (!(err instanceof ApiError)) {
+        logger.error(`Unhandled API error for ${req.method} ${req.path}`, err);
+        err = new ApiError(500, 'internal', 'Something went wrong.');
+    }
+    res.status(err.status).json({ error: { code: err.code, message: err.message, details: err.details } });
+});
+
+// Served at https://<region>-<project>.cloudfunctions.net/api/v1/...; see openapi.json.
+exports.api = onRequest({ cors: true }, app);
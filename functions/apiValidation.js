@@ -0,0 +1,90 @@
+const { getSearchWords } = require('./shared/search');
+
+// Same limits as `isValidNewIssue` in firestore.rules.
+const TEXT_LIMITS = { title: 200, description: 5000, location: 300 };
+const MAX_DETAILS = 10;
+const DETAIL_MAX_LENGTH = 200;
+const ISSUE_STATUSES = ['Acknowledged', 'In-Progress', 'Resolved'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+// Rendered as { error: { code, message, details } } by the API's error handler.
+class ApiError extends Error {
+    constructor(status, code, message, details) {
+        super(message);
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+const isText = (value, maxLength) => typeof value === 'string' && value.trim().length > 0 && value.length <= maxLength;
+
+const isCoordinate = (value, max) => typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= max;
+
+const categoryIds = (taxonomy) => taxonomy.categories.map(category => category.id);
+
+// `taxonomy` is the report taxonomy from categories.js.
+const validateNewIssue = (body, taxonomy) => {
+    const errors = [];
+    Object.entries(TEXT_LIMITS).forEach(([field, maxLength]) => {
+        if (!isText(body[field], maxLength)) errors.push({ field, message: `Must be between 1 and ${maxLength} characters.` });
+    });
+    if (!categoryIds(taxonomy).includes(body.category)) errors.push({ field: 'category', message: `Must be one of: ${categoryIds(taxonomy).join(', ')}.` });
+    const { coordinates, details, observedAt } = body;
+    if (coordinates != null && !(isCoordinate(coordinates.lat, 90) && isCoordinate(coordinates.lng, 180))) {
+        errors.push({ field: 'coordinates', message: 'Must be { lat, lng } with lat in [-90, 90] and lng in [-180, 180].' });
+    }
+    if (details != null && (typeof details !== 'object' || Array.isArray(details) || Object.keys(details).length > MAX_DETAILS
+        || Object.values(details).some(value => !isText(value, DETAIL_MAX_LENGTH)))) {
+        errors.push({ field: 'details', message: `Must be an object of up to ${MAX_DETAILS} text values.` });
+    }
+    const observedDate = observedAt == null ? null : new Date(observedAt);
+    if (observedDate && (typeof observedAt !== 'string' || Number.isNaN(observedDate.getTime()) || observedDate > new Date())) {
+        errors.push({ field: 'observedAt', message: 'Must be an ISO 8601 date that is not in the future.' });
+    }
+    if (errors.length > 0) throw new ApiError(400, 'invalid-argument', 'The issue is not valid.', errors);
+
+    return {
+        title: body.title.trim(),
+        description: body.description.trim(),
+        location: body.location.trim(),
+        category: body.category,
+        coordinates: coordinates ? { lat: coordinates.lat, lng: coordinates.lng } : null,
+        details: details || {},
+        observedAt: observedDate,
+    };
+};
+
+const parseDate = (value, field) => {
+    if (value === undefined) return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) throw new ApiError(400, 'invalid-argument', `"${field}" must be an ISO 8601 date.`);
+    return date;
+};
+
+const oneOf = (value, allowed, field) => {
+    if (value === undefined || allowed.includes(value)) return value;
+    throw new ApiError(400, 'invalid-argument', `"${field}" must be one of: ${allowed.join(', ')}.`);
+};
+
+const parseListQuery = (query, taxonomy) => {
+    const pageSize = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        throw new ApiError(400, 'invalid-argument', `"limit" must be a whole number between 1 and ${MAX_PAGE_SIZE}.`);
+    }
+    return {
+        status: oneOf(query.status, ISSUE_STATUSES, 'status'),
+        category: oneOf(query.category, categoryIds(taxonomy), 'category'),
+        department: query.department,
+        reporter: query.reporter,
+        searchWords: getSearchWords(query.search),
+        from: parseDate(query.from, 'from'),
+        to: parseDate(query.to, 'to'),
+        sort: oneOf(query.sort, ['newest', 'popular'], 'sort') || 'newest',
+        pageSize,
+        cursor: query.cursor,
+    };
+};
+
+module.exports = { ApiError, validateNewIssue, parseListQuery };
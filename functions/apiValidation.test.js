@@ -0,0 +1,69 @@
+const { ApiError, validateNewIssue, parseListQuery } = require('./apiValidation');
+const { DEFAULT_TAXONOMY } = require('./shared/taxonomy');
+
+const validIssue = (overrides = {}) => ({
+    title: ' Pothole on Main St ',
+    description: 'Deep pothole next to the bus stop.',
+    location: 'Main St & 3rd Ave',
+    category: 'pothole',
+    ...overrides,
+});
+
+const fieldErrors = (body) => {
+    try {
+        validateNewIssue(body, DEFAULT_TAXONOMY);
+    } catch (err) {
+        expect(err).toBeInstanceOf(ApiError);
+        return err.details.map(detail => detail.field);
+    }
+    return [];
+};
+
+describe('validateNewIssue', () => {
+    it('trims text and fills in optional fields', () => {
+        expect(validateNewIssue(validIssue(), DEFAULT_TAXONOMY)).toEqual({
+            title: 'Pothole on Main St',
+            description: 'Deep pothole next to the bus stop.',
+            location: 'Main St & 3rd Ave',
+            category: 'pothole',
+            coordinates: null,
+            details: {},
+            observedAt: null,
+        });
+    });
+
+    it('lists every invalid field', () => {
+        expect(fieldErrors(validIssue({ title: '', description: 'x'.repeat(5001), category: 'volcano' })))
+            .toEqual(['title', 'description', 'category']);
+    });
+
+    it('only accepts categories from the taxonomy it is given', () => {
+        const taxonomy = { departments: {}, categories: [{ id: 'other' }] };
+        expect(() => validateNewIssue(validIssue(), taxonomy)).toThrow(ApiError);
+        expect(validateNewIssue(validIssue({ category: 'other' }), taxonomy).category).toBe('other');
+    });
+
+    it('checks coordinates, details and the observed date', () => {
+        expect(fieldErrors(validIssue({ coordinates: { lat: 91, lng: 0 } }))).toEqual(['coordinates']);
+        expect(fieldErrors(validIssue({ details: { size: 7 } }))).toEqual(['details']);
+        expect(fieldErrors(validIssue({ observedAt: new Date(Date.now() + 60 * 60 * 1000).toISOString() }))).toEqual(['observedAt']);
+        expect(fieldErrors(validIssue({ coordinates: { lat: 12.97, lng: 77.59 }, details: { size: 'Large' }, observedAt: '2026-10-01T08:00:00Z' }))).toEqual([]);
+    });
+});
+
+describe('parseListQuery', () => {
+    it('applies defaults', () => {
+        expect(parseListQuery({}, DEFAULT_TAXONOMY)).toMatchObject({ sort: 'newest', pageSize: 20, searchWords: [], from: null, to: null });
+    });
+
+    it('splits the search the same way issues are indexed', () => {
+        expect(parseListQuery({ search: 'Big POTHOLE at 3rd' }, DEFAULT_TAXONOMY).searchWords).toEqual(['big', 'pothole', '3rd']);
+    });
+
+    it('rejects values it does not know', () => {
+        expect(() => parseListQuery({ limit: '51' }, DEFAULT_TAXONOMY)).toThrow('"limit"');
+        expect(() => parseListQuery({ status: 'Closed' }, DEFAULT_TAXONOMY)).toThrow('"status"');
+        expect(() => parseListQuery({ category: 'volcano' }, DEFAULT_TAXONOMY)).toThrow('"category"');
+        expect(() => parseListQuery({ from: 'yesterday' }, DEFAULT_TAXONOMY)).toThrow('"from"');
+    });
+});
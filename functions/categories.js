@@ -0,0 +1,11 @@
+const { getFirestore } = require('firebase-admin/firestore');
+const { taxonomyConfigPath } = require('./paths');
+const { resolveTaxonomy, getCategoryConfig } = require('./shared/taxonomy');
+
+// The report taxonomy as the web app sees it: the `config/taxonomy` document, or the shared defaults.
+const getTaxonomy = async (appId) => {
+    const configSnap = await getFirestore().doc(taxonomyConfigPath(appId)).get();
+    return resolveTaxonomy(configSnap.data());
+};
+
+module.exports = { getTaxonomy, getCategoryConfig };
@@ -0,0 +1,17 @@
+const { onDocumentWritten } = require('firebase-functions/v2/firestore');
+const { getFirestore } = require('firebase-admin/firestore');
+const { issueDocPath } = require('./paths');
+
+// Keeps `commentCount` on the issue for the feed cards, recounting like the
+// vote trigger does so duplicate deliveries can't skew it.
+exports.onCommentWritten = onDocumentWritten('artifacts/{appId}/public/data/issues/{issueId}/comments/{commentId}', async (event) => {
+    const { appId, issueId } = event.params;
+    const db = getFirestore();
+    const issueRef = db.doc(issueDocPath(appId, issueId));
+    const countSnap = await issueRef.collection('comments').count().get();
+    try {
+        await issueRef.update({ commentCount: countSnap.data().count });
+    } catch (err) {
+        if (err.code !== 5) throw err; // NOT_FOUND: the issue itself was deleted.
+    }
+});
@@ -0,0 +1,10 @@
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const { followsPath } = require('./paths');
+
+// Subscribes a user to an issue's notifications. Follow documents are keyed
+// `${issueId}_${uid}`, so following twice is harmless.
+const followIssue = (appId, issueId, uid) => getFirestore()
+    .doc(`${followsPath(appId)}/${issueId}_${uid}`)
+    .set({ issueId, followerId: uid, createdAt: FieldValue.serverTimestamp() }, { merge: true });
+
+module.exports = { followIssue };
@@ -0,0 +1,42 @@
+const { toPlace } = require('./shared/address');
+
+// Geocoders turn typed text into places and coordinates into addresses. Each provider exposes
+// `search(text)` (best match first) and `reverse({ lat, lng })`, both resolving to
+// `{ address, coordinates }` results. The web app has the same providers (see `src/app.js`).
+const SEARCH_LIMIT = 5;
+
+// Any server speaking the Nominatim API (https://nominatim.org/release-docs/latest/api/Overview/):
+// the public instance, a self-hosted one, or the local stand-in in tools/mock-geocoder.js. Their
+// usage policies ask for a User-Agent that identifies the application and how to reach its operator.
+const createNominatimGeocoder = ({ url, contactEmail }) => {
+    if (!/^[^\s@]+@[^\s@]+$/.test(contactEmail || '')) {
+        throw new Error('The Nominatim geocoder needs a contact email for its User-Agent. Set GEOCODER_CONTACT_EMAIL.');
+    }
+    const userAgent = `CivicSync/1.0 (Cloud Functions; ${contactEmail})`;
+    const baseUrl = url.endsWith('/') ? url : `${url}/`;
+    const get = async (path, params) => {
+        const requestUrl = new URL(path, baseUrl);
+        Object.entries({ format: 'jsonv2', addressdetails: 1, ...params }).forEach(([key, value]) => requestUrl.searchParams.set(key, value));
+        const response = await fetch(requestUrl, { headers: { 'User-Agent': userAgent } });
+        if (!response.ok) throw new Error(`Geocoding request failed: HTTP ${response.status}`);
+        return response.json();
+    };
+    return {
+        search: async (text) => (await get('search', { q: text, limit: SEARCH_LIMIT })).map(toPlace),
+        reverse: async ({ lat, lng }) => {
+            const place = await get('reverse', { lat, lon: lng });
+            // Nominatim answers 200 with { error } when nothing is there (e.g. open sea).
+            return place && !place.error ? toPlace(place) : null;
+        },
+    };
+};
+
+const GEOCODER_PROVIDERS = { nominatim: createNominatimGeocoder };
+
+const createGeocoder = ({ provider, ...options }) => {
+    const create = GEOCODER_PROVIDERS[provider];
+    if (!create) throw new Error(`Unknown geocoder "${provider}". Use one of: ${Object.keys(GEOCODER_PROVIDERS).join(', ')}.`);
+    return create(options);
+};
+
+module.exports = { createGeocoder };
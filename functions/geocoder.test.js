@@ -0,0 +1,77 @@
+const { createGeocoder } = require('./geocoder');
+
+const BENGALURU_PLACE = {
+    lat: '12.9716',
+    lon: '77.5946',
+    display_name: '12, MG Road, Ashok Nagar, Bengaluru, Karnataka, 560001, India',
+    address: { house_number: '12', road: 'MG Road', suburb: 'Ashok Nagar', city: 'Bengaluru', state: 'Karnataka', postcode: '560001', country: 'India', country_code: 'in' },
+};
+
+describe('createGeocoder', () => {
+    const realFetch = global.fetch;
+    let requests;
+    let respond;
+
+    beforeEach(() => {
+        requests = [];
+        respond = () => ({ ok: true, json: async () => [] });
+        global.fetch = async (url, options) => {
+            requests.push({ url: new URL(url), options });
+            return respond(url);
+        };
+    });
+
+    afterAll(() => {
+        global.fetch = realFetch;
+    });
+
+    const nominatim = (options = {}) => createGeocoder({ provider: 'nominatim', url: 'https://geocoder.example.org/nominatim', contactEmail: 'ops@example.org', ...options });
+
+    it('refuses unknown providers and Nominatim without a contact email', () => {
+        expect(() => createGeocoder({ provider: 'carrier-pigeon', url: 'https://geocoder.example.org' })).toThrow('Unknown geocoder "carrier-pigeon"');
+        expect(() => nominatim({ contactEmail: '' })).toThrow('GEOCODER_CONTACT_EMAIL');
+        expect(() => nominatim({ contactEmail: 'not an email' })).toThrow('GEOCODER_CONTACT_EMAIL');
+    });
+
+    it('searches below the configured path and identifies itself', async () => {
+        respond = () => ({ ok: true, json: async () => [BENGALURU_PLACE] });
+        const [place] = await nominatim().search('12 MG Road');
+        expect(requests[0].url.origin + requests[0].url.pathname).toBe('https://geocoder.example.org/nominatim/search');
+        expect(Object.fromEntries(requests[0].url.searchParams)).toEqual({ format: 'jsonv2', addressdetails: '1', q: '12 MG Road', limit: '5' });
+        expect(requests[0].options.headers['User-Agent']).toBe('CivicSync/1.0 (Cloud Functions; ops@example.org)');
+        expect(place).toEqual({
+            address: {
+                formatted: '12 MG Road, Ashok Nagar, Bengaluru',
+                houseNumber: '12',
+                road: 'MG Road',
+                neighbourhood: 'Ashok Nagar',
+                city: 'Bengaluru',
+                state: 'Karnataka',
+                postcode: '560001',
+                country: 'India',
+                countryCode: 'IN',
+            },
+            coordinates: { lat: 12.9716, lng: 77.5946 },
+        });
+    });
+
+    it('looks up the address at a position, and finds none where Nominatim reports an error', async () => {
+        respond = () => ({ ok: true, json: async () => BENGALURU_PLACE });
+        expect((await nominatim().reverse({ lat: 12.9716, lng: 77.5946 })).address.formatted).toBe('12 MG Road, Ashok Nagar, Bengaluru');
+        expect(Object.fromEntries(requests[0].url.searchParams)).toMatchObject({ lat: '12.9716', lon: '77.5946' });
+
+        respond = () => ({ ok: true, json: async () => ({ error: 'Unable to geocode' }) });
+        expect(await nominatim().reverse({ lat: 0, lng: -30 })).toBeNull();
+    });
+
+    it('falls back to the display name for places without a street or city', async () => {
+        respond = () => ({ ok: true, json: async () => [{ lat: '1', lon: '2', display_name: 'Somewhere remote', address: {} }] });
+        const [place] = await nominatim().search('remote');
+        expect(place.address).toMatchObject({ formatted: 'Somewhere remote', road: null, city: null, countryCode: null });
+    });
+
+    it('fails on HTTP errors', async () => {
+        respond = () => ({ ok: false, status: 429 });
+        await expect(nominatim().search('12 MG Road')).rejects.toThrow('HTTP 429');
+    });
+});
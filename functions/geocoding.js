@@ -0,0 +1,56 @@
+const { onDocumentWritten } = require('firebase-functions/v2/firestore');
+const { defineString } = require('firebase-functions/params');
+const { logger } = require('firebase-functions');
+const { createGeocoder } = require('./geocoder');
+
+// Configured in functions/.env (or .env.local for the emulator, see tools/mock-geocoder.js).
+// Geocoding is off until GEOCODER_URL names a server the project may use. Nominatim servers ask
+// clients to identify themselves, so the contact email goes in every request's User-Agent.
+const GEOCODER = defineString('GEOCODER', { default: 'nominatim' });
+const GEOCODER_URL = defineString('GEOCODER_URL', { default: '' });
+const GEOCODER_CONTACT_EMAIL = defineString('GEOCODER_CONTACT_EMAIL', { default: '' });
+
+// Built on first use. A misconfigured geocoder is reported once per instance and turns geocoding off
+// rather than failing every report.
+let configuredGeocoder;
+const getGeocoder = () => {
+    if (configuredGeocoder === undefined) {
+        try {
+            configuredGeocoder = createGeocoder({ provider: GEOCODER.value(), url: GEOCODER_URL.value(), contactEmail: GEOCODER_CONTACT_EMAIL.value() });
+        } catch (err) {
+            logger.error('Geocoding is off until its configuration is fixed', err);
+            configuredGeocoder = null;
+        }
+    }
+    return configuredGeocoder;
+};
+
+// The web app geocodes while the report is written, but reports queued offline or sent
+// through the REST API can arrive with only a typed location or only coordinates. This fills
+// in whichever of `address` and `coordinates` is missing, when a report is filed and when its
+// reporter edits it (an edit moves `editedAt`). Its own update is neither, so it can't loop.
+exports.onIssueWrittenGeocode = onDocumentWritten('artifacts/{appId}/public/data/issues/{issueId}', async (event) => {
+    const before = event.data.before.data();
+    const after = event.data.after.data();
+    if (!after || (after.address && after.coordinates)) return;
+    const isReporterEdit = before && after.editedAt && !(before.editedAt && before.editedAt.isEqual(after.editedAt));
+    if (before && !isReporterEdit) return;
+    if (!GEOCODER_URL.value()) return;
+    const geocoder = getGeocoder();
+    if (!geocoder) return;
+
+    const { issueId } = event.params;
+    try {
+        if (after.coordinates) {
+            const place = await geocoder.reverse(after.coordinates);
+            if (place) await event.data.after.ref.update({ address: place.address });
+            else logger.warn(`No address found for issue ${issueId} at ${after.coordinates.lat},${after.coordinates.lng}`);
+        } else {
+            const [place] = await geocoder.search(after.location);
+            if (place) await event.data.after.ref.update({ address: place.address, coordinates: place.coordinates });
+            else logger.warn(`Could not geocode "${after.location}" for issue ${issueId}`);
+        }
+    } catch (err) {
+        logger.error(`Geocoding issue ${issueId} failed`, err);
+    }
+});
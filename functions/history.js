@@ -0,0 +1,34 @@
+const { onDocumentWritten } = require('firebase-functions/v2/firestore');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const { issueHistoryPath } = require('./paths');
+
+// Builds the public timeline (`issues/{issueId}/history`) from the issue's own writes, so
+// nobody can forge or skip an entry. Entries are keyed by the trigger's event id, which makes
+// a redelivered event overwrite its entry instead of adding a second one. Confirmed fixes and
+// escalations are added by functions/verification.js and functions/sla.js.
+exports.onIssueWrittenHistory = onDocumentWritten('artifacts/{appId}/public/data/issues/{issueId}', async (event) => {
+    const before = event.data.before.data();
+    const after = event.data.after.data();
+    if (!after) return;
+
+    let entry = null;
+    if (!before) {
+        entry = { type: 'reported', from: null, to: after.status, actorId: after.reporterId, note: null, createdAt: after.createdAt };
+    } else if (before.status !== after.status) {
+        const note = after.statusNote || (after.status === 'Resolved' ? after.resolution?.note : null) || null;
+        // A reporter reopening a resolved issue (see functions/verification.js).
+        const reopened = after.lastReopen && !(before.lastReopen && before.lastReopen.at.isEqual(after.lastReopen.at));
+        entry = {
+            type: reopened ? 'reopened' : 'status',
+            from: before.status,
+            to: after.status,
+            actorId: after.statusUpdatedBy || null,
+            note,
+            createdAt: after.statusUpdatedAt || FieldValue.serverTimestamp(),
+        };
+    }
+    if (!entry) return;
+
+    const { appId, issueId } = event.params;
+    await getFirestore().collection(issueHistoryPath(appId, issueId)).doc(event.id).set(entry);
+});
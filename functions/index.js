@@ -0,0 +1,22 @@
+const { initializeApp } = require('firebase-admin/app');
+
+initializeApp();
+
+module.exports = {
+    ...require('./votes'),
+    ...require('./media'),
+    ...require('./merge'),
+    ...require('./search'),
+    ...require('./comments'),
+    ...require('./notifications'),
+    ...require('./achievements'),
+    ...require('./routing'),
+    ...require('./geocoding'),
+    ...require('./history'),
+    ...require('./revisions'),
+    ...require('./sla'),
+    ...require('./open311'),
+    ...require('./api'),
+    ...require('./moderation'),
+    ...require('./verification'),
+};
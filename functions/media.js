@@ -0,0 +1,9 @@
+const { onDocumentDeleted } = require('firebase-functions/v2/firestore');
+const { getStorage } = require('firebase-admin/storage');
+
+// Removes every file uploaded for an issue (report media, thumbnails and
+// proof-of-work photos) once the issue document is deleted.
+exports.onIssueDeletedCleanupMedia = onDocumentDeleted('artifacts/{appId}/public/data/issues/{issueId}', async (event) => {
+    const { appId, issueId } = event.params;
+    await getStorage().bucket().deleteFiles({ prefix: `media/${appId}/issues/${issueId}/` });
+});
@@ -0,0 +1,37 @@
+const sharp = require('sharp');
+const { ApiError } = require('./apiValidation');
+
+const MEDIA_KINDS = { image: 'photo', video: 'video', audio: 'audio' };
+// The same sizes the web app compresses photos to before uploading them.
+const PHOTO_MAX_DIMENSION = 1600;
+const THUMBNAIL_MAX_DIMENSION = 480;
+
+const toJpeg = (buffer, maxDimension, quality) => sharp(buffer)
+    .rotate()
+    .resize({ width: maxDimension, height: maxDimension, fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality })
+    .toBuffer();
+
+// Turns one uploaded file into the files to store for it. Photos are re-encoded as JPEG the way the
+// web app does in the browser: turned upright, stripped of EXIF (GPS position included) and other
+// metadata, and given a thumbnail. Video and audio are stored as sent.
+const prepareMedia = async ({ buffer, mimeType }) => {
+    const [type, subtype] = (mimeType || '').split('/');
+    const kind = MEDIA_KINDS[type];
+    if (!kind) throw new ApiError(400, 'invalid-argument', 'Media must be an image, video or audio file.');
+    if (kind !== 'photo') {
+        return { type: kind, file: { buffer, contentType: mimeType, extension: subtype.replace(/[^a-z0-9]/gi, '') || 'bin' }, thumbnail: null };
+    }
+    try {
+        const [photo, thumbnail] = await Promise.all([toJpeg(buffer, PHOTO_MAX_DIMENSION, 80), toJpeg(buffer, THUMBNAIL_MAX_DIMENSION, 70)]);
+        return {
+            type: kind,
+            file: { buffer: photo, contentType: 'image/jpeg', extension: 'jpg' },
+            thumbnail: { buffer: thumbnail, contentType: 'image/jpeg', extension: 'jpg' },
+        };
+    } catch (err) {
+        throw new ApiError(400, 'invalid-argument', 'An image could not be read. Send JPEG, PNG, WebP, GIF or AVIF photos.');
+    }
+};
+
+module.exports = { prepareMedia };
@@ -0,0 +1,43 @@
+const sharp = require('sharp');
+const { prepareMedia } = require('./mediaProcessing');
+
+// A 40x20 photo tagged with EXIF orientation 6 (rotate 90° clockwise to view) and a GPS position.
+const makePhoto = () => sharp({ create: { width: 40, height: 20, channels: 3, background: '#c33' } })
+    .withExif({ IFD0: { Make: 'TestCam' }, IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '12/1 58/1 0/1' } })
+    .withMetadata({ orientation: 6 })
+    .jpeg()
+    .toBuffer();
+
+describe('prepareMedia', () => {
+    it('turns photos upright and drops their metadata', async () => {
+        const original = await makePhoto();
+        expect(await sharp(original).metadata()).toMatchObject({ width: 40, height: 20, orientation: 6, exif: expect.any(Buffer) });
+
+        const { type, file, thumbnail } = await prepareMedia({ buffer: original, mimeType: 'image/jpeg' });
+        expect(type).toBe('photo');
+        expect(file).toMatchObject({ contentType: 'image/jpeg', extension: 'jpg' });
+        const metadata = await sharp(file.buffer).metadata();
+        expect(metadata).toMatchObject({ width: 20, height: 40 });
+        expect(metadata.exif).toBeUndefined();
+        expect(metadata.orientation).toBeUndefined();
+        expect((await sharp(thumbnail.buffer).metadata()).exif).toBeUndefined();
+    });
+
+    it('re-encodes other image formats as JPEG and shrinks large ones', async () => {
+        const png = await sharp({ create: { width: 3200, height: 800, channels: 4, background: '#fff' } }).png().toBuffer();
+        const { file, thumbnail } = await prepareMedia({ buffer: png, mimeType: 'image/png' });
+        expect(await sharp(file.buffer).metadata()).toMatchObject({ format: 'jpeg', width: 1600, height: 400 });
+        expect(await sharp(thumbnail.buffer).metadata()).toMatchObject({ width: 480, height: 120 });
+    });
+
+    it('stores video and audio as sent', async () => {
+        const buffer = Buffer.from('not really a video');
+        expect(await prepareMedia({ buffer, mimeType: 'video/mp4' }))
+            .toEqual({ type: 'video', file: { buffer, contentType: 'video/mp4', extension: 'mp4' }, thumbnail: null });
+    });
+
+    it('rejects other files and images that cannot be read', async () => {
+        await expect(prepareMedia({ buffer: Buffer.from('%PDF'), mimeType: 'application/pdf' })).rejects.toMatchObject({ status: 400 });
+        await expect(prepareMedia({ buffer: Buffer.from('not an image'), mimeType: 'image/jpeg' })).rejects.toMatchObject({ status: 400 });
+    });
+});
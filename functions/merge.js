@@ -0,0 +1,80 @@
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const { issueDocPath, votesPath, followsPath } = require('./paths');
+const { isStaff } = require('./roles');
+const { followIssue } = require('./follows');
+const { getAttachments } = require('./shared/attachments');
+
+const reporterIdsOf = (issue) => issue.reporterIds || [issue.reporterId];
+
+// Collects an issue's own media as `mergedMedia` entries. Legacy inline
+// (data URL) media is skipped so it can't push the target over the size limit.
+const mediaOf = (issue) => getAttachments(issue)
+    .filter(item => !item.url.startsWith('data:'))
+    .map(item => ({
+        type: item.type,
+        url: item.url,
+        ...(item.thumbnailUrl ? { thumbnailUrl: item.thumbnailUrl } : {}),
+        ...(item.caption ? { caption: item.caption } : {}),
+    }))
+    .concat(issue.mergedMedia || []);
+
+// Folds a duplicate issue into another one: reporters and media are appended
+// to the target, votes are moved across (one per voter), and the source is
+// marked `mergedInto` so it drops out of the feed without losing its files.
+exports.mergeIssues = onCall(async (request) => {
+    if (!request.auth) throw new HttpsError('unauthenticated', 'You must be signed in.');
+    const { appId, sourceId, targetId } = request.data || {};
+    if (!appId || !sourceId || !targetId || sourceId === targetId) {
+        throw new HttpsError('invalid-argument', 'appId, sourceId and a different targetId are required.');
+    }
+    if (!(await isStaff(appId, request.auth))) {
+        throw new HttpsError('permission-denied', 'Only staff can merge issues.');
+    }
+
+    const db = getFirestore();
+    const sourceRef = db.doc(issueDocPath(appId, sourceId));
+    const targetRef = db.doc(issueDocPath(appId, targetId));
+
+    await db.runTransaction(async (tx) => {
+        const [sourceSnap, targetSnap] = await Promise.all([tx.get(sourceRef), tx.get(targetRef)]);
+        if (!sourceSnap.exists || !targetSnap.exists) throw new HttpsError('not-found', 'Both issues must exist.');
+        const source = sourceSnap.data();
+        const target = targetSnap.data();
+        if (source.mergedInto || target.mergedInto) throw new HttpsError('failed-precondition', 'One of these issues was already merged.');
+
+        const targetUpdates = {
+            reporterIds: FieldValue.arrayUnion(...reporterIdsOf(target), ...reporterIdsOf(source)),
+            mergedIssueIds: FieldValue.arrayUnion(sourceId),
+        };
+        const media = mediaOf(source);
+        if (media.length > 0) targetUpdates.mergedMedia = FieldValue.arrayUnion(...media);
+        tx.update(targetRef, targetUpdates);
+        tx.update(sourceRef, { mergedInto: targetId, mergedAt: FieldValue.serverTimestamp(), mergedBy: request.auth.uid });
+    });
+
+    // Vote documents are keyed `${issueId}_${uid}`, so re-keying them onto the
+    // target naturally collapses voters who upvoted both issues into one vote.
+    // The vote triggers then recount both issues. Each write's promise rejects on failure even once
+    // retries stop, so all of them are awaited and only ALREADY_EXISTS (code 6) is ignored.
+    const sourceVotes = await db.collection(votesPath(appId)).where('issueId', '==', sourceId).get();
+    const writer = db.bulkWriter();
+    writer.onWriteError((err) => err.code !== 6 && err.failedAttempts < 3);
+    const writes = sourceVotes.docs.flatMap(voteDoc => {
+        const vote = voteDoc.data();
+        return [
+            writer.create(db.doc(`${votesPath(appId)}/${targetId}_${vote.voterId}`), { ...vote, issueId: targetId }).catch((err) => {
+                if (err.code !== 6) throw err;
+            }),
+            writer.delete(voteDoc.ref),
+        ];
+    });
+    await writer.close();
+    await Promise.all(writes);
+
+    // Everyone following the duplicate keeps getting updates through the surviving issue.
+    const sourceFollows = await db.collection(followsPath(appId)).where('issueId', '==', sourceId).get();
+    await Promise.all(sourceFollows.docs.map(followDoc => followIssue(appId, targetId, followDoc.get('followerId'))));
+
+    return { merged: true, movedVotes: sourceVotes.size };
+});
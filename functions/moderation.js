@@ -0,0 +1,191 @@
+const { onDocumentWritten, onDocumentCreated, onDocumentUpdated, onDocumentDeleted } = require('firebase-functions/v2/firestore');
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { logger } = require('firebase-functions');
+const { getAuth } = require('firebase-admin/auth');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const { issueDocPath, flagsPath, profilesPath, moderationConfigPath, bansPath, moderationLogPath } = require('./paths');
+const { MODERATOR_ROLES, STAFF_ROLES, getRole, isModerator } = require('./roles');
+const { notifyUsers } = require('./notify');
+const { getAttachments } = require('./shared/attachments');
+const { findBlockedWords } = require('./shared/moderation');
+
+const DEFAULT_FLAG_THRESHOLD = 3;
+const ACTIONS = ['approve', 'remove', 'ban'];
+
+// Admins edit these from the moderation queue (`public/data/config/moderation`).
+const getModerationConfig = async (appId) => {
+    const configSnap = await getFirestore().doc(moderationConfigPath(appId)).get();
+    return {
+        flagThreshold: configSnap.get('flagThreshold') || DEFAULT_FLAG_THRESHOLD,
+        blockedWords: configSnap.get('blockedWords') || [],
+    };
+};
+
+const notifyModerators = async (appId, issueId, issue, body) => {
+    const moderatorsSnap = await getFirestore().collection(profilesPath(appId)).where('role', 'in', MODERATOR_ROLES).get();
+    await notifyUsers(appId, moderatorsSnap.docs.map(profile => profile.id), {
+        type: 'moderation',
+        issueId,
+        title: `Hidden for review: ${issue.title}`,
+        body,
+    });
+};
+
+// Hides the issue until a moderator reviews it if its text contains a blocked word. Flag
+// counts it already has are kept.
+const screenIssue = async (appId, issueId, issueRef, issue) => {
+    const { blockedWords } = await getModerationConfig(appId);
+    const text = [issue.title, issue.description, issue.location, ...Object.values(issue.details || {}),
+        ...getAttachments(issue).map(item => item.caption || '')].join(' ');
+    const wordMatches = findBlockedWords(text, blockedWords);
+    if (wordMatches.length === 0) return;
+
+    const moderation = issue.moderation || {};
+    await issueRef.update({
+        hidden: true,
+        moderation: {
+            ...moderation,
+            state: 'hidden',
+            hiddenBecause: 'words',
+            wordMatches,
+            flagCount: moderation.flagCount || 0,
+            reasons: moderation.reasons || {},
+            hiddenAt: FieldValue.serverTimestamp(),
+        },
+    });
+    await notifyModerators(appId, issueId, issue, `Contains filtered words: ${wordMatches.join(', ')}`);
+};
+
+// The filter runs on every new report, however it was submitted. The web app warns before
+// submitting; anything that still gets through is hidden until a moderator reviews it.
+exports.onIssueCreatedModeration = onDocumentCreated('artifacts/{appId}/public/data/issues/{issueId}', async (event) => {
+    const issue = event.data?.data();
+    if (!issue) return;
+    await screenIssue(event.params.appId, event.params.issueId, event.data.ref, issue);
+});
+
+// Reporter edits are screened too, so an approved report can't be rewritten afterwards.
+exports.onIssueEditedModeration = onDocumentUpdated('artifacts/{appId}/public/data/issues/{issueId}', async (event) => {
+    const before = event.data.before.data();
+    const after = event.data.after.data();
+    if (!after.editedAt || (before.editedAt && before.editedAt.isEqual(after.editedAt))) return;
+    if (after.moderation?.state === 'hidden') return;
+    await screenIssue(event.params.appId, event.params.issueId, event.data.after.ref, after);
+});
+
+// Recounts an issue's flags (like votes, never incremented) and hides it once it reaches the
+// threshold. An approved issue only goes back into the queue after that many new flags.
+const syncFlags = async (appId, issueId) => {
+    const db = getFirestore();
+    const issueRef = db.doc(issueDocPath(appId, issueId));
+    const [flagsSnap, { flagThreshold }] = await Promise.all([
+        db.collection(flagsPath(appId)).where('issueId', '==', issueId).get(),
+        getModerationConfig(appId),
+    ]);
+    const reasons = {};
+    flagsSnap.docs.forEach(flagDoc => {
+        reasons[flagDoc.get('reason')] = (reasons[flagDoc.get('reason')] || 0) + 1;
+    });
+    const flagCount = flagsSnap.size;
+
+    const newlyHidden = await db.runTransaction(async (transaction) => {
+        const issueSnap = await transaction.get(issueRef);
+        if (!issueSnap.exists) return null;
+        const moderation = issueSnap.get('moderation') || {};
+        const unreviewedFlags = flagCount - (moderation.approvedFlagCount || 0);
+        let state = moderation.state || null;
+        if (state !== 'hidden' && unreviewedFlags >= flagThreshold) state = 'hidden';
+        else if (!state && unreviewedFlags > 0) state = 'flagged';
+        const updates = { ...moderation, state, flagCount, reasons };
+        const hidesNow = state === 'hidden' && moderation.state !== 'hidden';
+        if (hidesNow) Object.assign(updates, { hiddenBecause: 'flags', hiddenAt: FieldValue.serverTimestamp() });
+        transaction.update(issueRef, { hidden: state === 'hidden', moderation: updates });
+        return hidesNow ? issueSnap.data() : null;
+    });
+    if (newlyHidden) await notifyModerators(appId, issueId, newlyHidden, `Flagged by ${flagCount} people.`);
+};
+
+exports.onFlagWritten = onDocumentWritten('artifacts/{appId}/public/data/flags/{flagId}', async (event) => {
+    const flag = event.data.after.data() || event.data.before.data();
+    if (!flag?.issueId) return;
+    await syncFlags(event.params.appId, flag.issueId);
+});
+
+exports.onIssueDeletedCleanupFlags = onDocumentDeleted('artifacts/{appId}/public/data/issues/{issueId}', async (event) => {
+    const db = getFirestore();
+    const flagsSnap = await db.collection(flagsPath(event.params.appId)).where('issueId', '==', event.params.issueId).get();
+    const writer = db.bulkWriter();
+    const deletes = flagsSnap.docs.map(flagDoc => writer.delete(flagDoc.ref));
+    await writer.close();
+    // Each delete's promise rejects if it still failed after BulkWriter's retries.
+    await Promise.all(deletes);
+});
+
+// Bans stop the account from signing in and, through the `bans` check in firestore.rules, from
+// writing with an ID token it already holds.
+const banUser = async (appId, uid, moderatorId, issueId, note) => {
+    const userRecord = await getAuth().getUser(uid).catch((err) => {
+        if (err.code === 'auth/user-not-found') return null;
+        throw err;
+    });
+    const role = await getRole(appId, { uid, token: userRecord?.customClaims || {} });
+    if ([...STAFF_ROLES, ...MODERATOR_ROLES].includes(role)) {
+        throw new HttpsError('failed-precondition', 'Staff and moderator accounts cannot be banned here.');
+    }
+    await getFirestore().doc(`${bansPath(appId)}/${uid}`).set({ bannedBy: moderatorId, issueId, note, createdAt: FieldValue.serverTimestamp() });
+    if (userRecord) {
+        await getAuth().updateUser(uid, { disabled: true });
+        await getAuth().revokeRefreshTokens(uid);
+    }
+};
+
+// approve: keep the issue up. remove: delete it (media, votes and flags are cleaned up by their
+// triggers). ban: remove it and ban whoever reported it.
+exports.moderateIssue = onCall(async (request) => {
+    if (!request.auth) throw new HttpsError('unauthenticated', 'You must be signed in.');
+    const { appId, issueId, action, note } = request.data || {};
+    if (!appId || !issueId || !ACTIONS.includes(action)) {
+        throw new HttpsError('invalid-argument', `appId, issueId and an action (${ACTIONS.join(', ')}) are required.`);
+    }
+    if (!(await isModerator(appId, request.auth))) {
+        throw new HttpsError('permission-denied', 'Only moderators can review content.');
+    }
+
+    const db = getFirestore();
+    const issueRef = db.doc(issueDocPath(appId, issueId));
+    const issueSnap = await issueRef.get();
+    if (!issueSnap.exists) throw new HttpsError('not-found', 'That issue no longer exists.');
+    const issue = issueSnap.data();
+    const moderatorId = request.auth.uid;
+
+    if (action === 'approve') {
+        const moderation = issue.moderation || {};
+        await issueRef.update({
+            hidden: false,
+            moderation: {
+                ...moderation,
+                state: 'approved',
+                hiddenBecause: null,
+                approvedFlagCount: moderation.flagCount || 0,
+                reviewedBy: moderatorId,
+                reviewedAt: FieldValue.serverTimestamp(),
+            },
+        });
+    } else {
+        if (action === 'ban') await banUser(appId, issue.reporterId, moderatorId, issueId, note || null);
+        await issueRef.delete();
+    }
+
+    await db.collection(moderationLogPath(appId)).add({
+        action,
+        issueId,
+        issueTitle: issue.title,
+        reporterId: issue.reporterId,
+        moderatorId,
+        note: note || null,
+        flagCount: issue.moderation?.flagCount || 0,
+        createdAt: FieldValue.serverTimestamp(),
+    });
+    logger.info(`Moderator ${moderatorId} chose ${action} for issue ${issueId}`);
+    return { action };
+});
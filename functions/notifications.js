@@ -0,0 +1,43 @@
+const { onDocumentCreated, onDocumentUpdated } = require('firebase-functions/v2/firestore');
+const { getFirestore } = require('firebase-admin/firestore');
+const { followsPath } = require('./paths');
+const { followIssue } = require('./follows');
+const { notifyUsers } = require('./notify');
+
+// Notifies every follower of an issue except the person who caused the event.
+const notifyFollowers = async (appId, issueId, { type, title, body, excludeUid }) => {
+    const followSnap = await getFirestore().collection(followsPath(appId)).where('issueId', '==', issueId).get();
+    const uids = followSnap.docs.map(followDoc => followDoc.get('followerId')).filter(uid => uid !== excludeUid);
+    await notifyUsers(appId, uids, { type, issueId, title, body });
+};
+
+exports.onIssueCreatedFollow = onDocumentCreated('artifacts/{appId}/public/data/issues/{issueId}', async (event) => {
+    const { reporterId } = event.data.data();
+    if (reporterId) await followIssue(event.params.appId, event.params.issueId, reporterId);
+});
+
+exports.onIssueStatusChanged = onDocumentUpdated('artifacts/{appId}/public/data/issues/{issueId}', async (event) => {
+    const before = event.data.before.data();
+    const after = event.data.after.data();
+    if (before.status === after.status) return;
+
+    const resolved = after.status === 'Resolved';
+    await notifyFollowers(event.params.appId, event.params.issueId, {
+        type: resolved ? 'resolved' : 'status',
+        title: resolved ? `Resolved: ${after.title}` : `${after.title} is now ${after.status}`,
+        body: resolved && after.resolution?.note ? after.resolution.note : `Status changed from ${before.status} to ${after.status}.`,
+        excludeUid: after.statusUpdatedBy,
+    });
+});
+
+exports.onStaffComment = onDocumentCreated('artifacts/{appId}/public/data/issues/{issueId}/comments/{commentId}', async (event) => {
+    const comment = event.data.data();
+    if (!comment.isStaff) return;
+    const issueSnap = await event.data.ref.parent.parent.get();
+    await notifyFollowers(event.params.appId, event.params.issueId, {
+        type: 'comment',
+        title: `Official reply on ${issueSnap.get('title') || 'an issue you follow'}`,
+        body: comment.text.slice(0, 200),
+        excludeUid: comment.authorId,
+    });
+});
@@ -0,0 +1,55 @@
+const { logger } = require('firebase-functions');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const { getMessaging } = require('firebase-admin/messaging');
+const { notificationsPath, pushTokensPath, profilesPath } = require('./paths');
+const { STAFF_ROLES } = require('./roles');
+
+const INVALID_TOKEN_CODES = ['messaging/registration-token-not-registered', 'messaging/invalid-registration-token'];
+
+// Sends browser push to every registered device of the given users and
+// prunes tokens FCM reports as no longer valid.
+const sendPush = async (appId, uids, { title, body, issueId }) => {
+    const db = getFirestore();
+    const tokenSnaps = await Promise.all(uids.map(uid => db.collection(pushTokensPath(appId, uid)).get()));
+    const tokenDocs = tokenSnaps.flatMap(snap => snap.docs);
+    if (tokenDocs.length === 0) return;
+
+    // Data-only, so public/firebase-messaging-sw.js controls how it is shown and what a click opens.
+    const response = await getMessaging().sendEachForMulticast({
+        tokens: tokenDocs.map(tokenDoc => tokenDoc.id),
+        data: { title, body, issueId },
+    });
+    await Promise.all(response.responses.map((result, index) => (
+        !result.success && INVALID_TOKEN_CODES.includes(result.error?.code) ? tokenDocs[index].ref.delete() : null
+    )));
+};
+
+// Writes an in-app notification for each user and pushes it to those who opted in. A write that
+// still fails once BulkWriter stops retrying is logged; the other users are notified regardless.
+const notifyUsers = async (appId, uids, { type, issueId, title, body }) => {
+    if (uids.length === 0) return;
+    const db = getFirestore();
+    const writer = db.bulkWriter();
+    const writes = uids.map(uid => writer.create(db.collection(notificationsPath(appId, uid)).doc(), {
+        type, issueId, title, body, read: false, createdAt: FieldValue.serverTimestamp(),
+    }).catch((err) => logger.error(`Could not notify user ${uid} about issue ${issueId}`, err)));
+    await writer.close();
+    await Promise.all(writes);
+
+    try {
+        await sendPush(appId, uids, { title, body, issueId });
+    } catch (err) {
+        logger.error('Push delivery failed', err);
+    }
+};
+
+// The issue's department staff and assignee. Staff whose role only exists as a custom claim
+// aren't listed in profiles and aren't included.
+const departmentStaffIds = async (appId, issue) => {
+    const staffSnap = await getFirestore().collection(profilesPath(appId)).where('role', 'in', STAFF_ROLES).get();
+    const uids = staffSnap.docs.filter(profile => profile.get('department') === issue.department).map(profile => profile.id);
+    if (issue.assignee?.uid) uids.push(issue.assignee.uid);
+    return [...new Set(uids)];
+};
+
+module.exports = { notifyUsers, departmentStaffIds };
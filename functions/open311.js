@@ -0,0 +1,150 @@
+const { onDocumentCreated } = require('firebase-functions/v2/firestore');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { defineString, defineSecret } = require('firebase-functions/params');
+const { logger } = require('firebase-functions');
+const { getFirestore, FieldValue, Timestamp } = require('firebase-admin/firestore');
+const { createOpen311Client, isPermanentFailure, toServiceRequest, getServiceRequestChanges } = require('./open311Client');
+const { notifyUsers, departmentStaffIds } = require('./notify');
+
+// Configured in functions/.env (or .env.local for the emulator, see tools/mock-open311.js).
+// The bridge stays off while OPEN311_ENDPOINT is empty.
+const OPEN311_ENDPOINT = defineString('OPEN311_ENDPOINT', { default: '' });
+const OPEN311_JURISDICTION_ID = defineString('OPEN311_JURISDICTION_ID', { default: '' });
+// JSON object mapping CivicSync category ids to Open311 service codes, e.g. {"pothole":"PTH","other":"GEN"}.
+const OPEN311_SERVICE_CODES = defineString('OPEN311_SERVICE_CODES', { default: '{}' });
+const OPEN311_API_KEY = defineSecret('OPEN311_API_KEY');
+
+const MAX_SUBMIT_ATTEMPTS = 5;
+const POLL_BATCH_SIZE = 50;
+const ISSUE_PATH = /^artifacts\/[^/]+\/public\/data\/issues\/[^/]+$/;
+
+const getClient = () => (OPEN311_ENDPOINT.value()
+    ? createOpen311Client({ endpoint: OPEN311_ENDPOINT.value(), jurisdictionId: OPEN311_JURISDICTION_ID.value(), apiKey: OPEN311_API_KEY.value() })
+    : null);
+
+// `open311.syncState` drives the bridge: 'pending' (not accepted yet, retried by the schedule),
+// 'token' (accepted, waiting for a request id), 'open' (polled for status), 'closed' or 'failed'.
+// A request the city closes is not resolved here: staff confirm it with their own proof of work.
+const submitIssue = async (client, issueRef, issue) => {
+    const attempts = (issue.open311?.attempts || 0) + 1;
+    try {
+        const result = await client.submitRequest(toServiceRequest(issue, JSON.parse(OPEN311_SERVICE_CODES.value())));
+        await issueRef.update({
+            open311: {
+                syncState: result.service_request_id ? 'open' : 'token',
+                serviceRequestId: result.service_request_id || null,
+                token: result.token || null,
+                serviceNotice: result.service_notice || null,
+                status: 'open',
+                attempts,
+                submittedAt: FieldValue.serverTimestamp(),
+                syncedAt: null,
+                error: null,
+            },
+        });
+    } catch (err) {
+        logger.warn(`Open311 submission of ${issueRef.path} failed (attempt ${attempts})`, err);
+        await issueRef.update({
+            open311: {
+                syncState: isPermanentFailure(err) || attempts >= MAX_SUBMIT_ATTEMPTS ? 'failed' : 'pending',
+                serviceRequestId: null,
+                token: null,
+                attempts,
+                error: err.message,
+            },
+        });
+    }
+};
+
+// Mirrors a polled service request onto the issue, writing only when its status or notes changed.
+// Status changes go through the same fields as a staff update, so the history and SLA triggers
+// treat them alike.
+const applyServiceRequest = async (issueDoc, serviceRequest) => {
+    const issue = issueDoc.data();
+    const changes = getServiceRequestChanges(issue, serviceRequest);
+    if (!changes) return;
+    const { status, closed, statusNotes } = changes;
+    const updates = {
+        'open311.status': changes.open311Status,
+        'open311.statusNotes': statusNotes,
+        'open311.syncedAt': FieldValue.serverTimestamp(),
+    };
+    if (closed) {
+        const closedAt = new Date(serviceRequest.updated_datetime);
+        updates['open311.syncState'] = 'closed';
+        updates['open311.closedAt'] = Number.isNaN(closedAt.getTime()) ? FieldValue.serverTimestamp() : Timestamp.fromDate(closedAt);
+    }
+    if (status) {
+        updates.status = status;
+        updates.statusUpdatedAt = FieldValue.serverTimestamp();
+        updates.statusUpdatedBy = null;
+        updates.statusNote = statusNotes;
+    }
+
+    try {
+        // Skip the issue if staff changed it since it was read; the next run compares again.
+        await issueDoc.ref.update(updates, { lastUpdateTime: issueDoc.updateTime });
+    } catch (err) {
+        if (err.code === 9) return; // FAILED_PRECONDITION
+        throw err;
+    }
+    if (status) logger.info(`Open311 request ${serviceRequest.service_request_id} moved ${issueDoc.ref.path} to ${status}`);
+    if (closed && issue.status !== 'Resolved') {
+        const [, appId, , , , issueId] = issueDoc.ref.path.split('/');
+        await notifyUsers(appId, await departmentStaffIds(appId, issue), {
+            type: 'open311-closed',
+            issueId,
+            title: `Closed by the city: ${issue.title}`,
+            body: 'Resolve it with photos of the fix once you have checked the work.',
+        });
+    }
+};
+
+exports.onIssueCreatedOpen311 = onDocumentCreated({
+    document: 'artifacts/{appId}/public/data/issues/{issueId}',
+    secrets: [OPEN311_API_KEY],
+}, async (event) => {
+    const client = getClient();
+    if (!client || !event.data) return;
+    await submitIssue(client, event.data.ref, event.data.data());
+});
+
+// Retries pending submissions, resolves tokens and polls open requests for every app.
+exports.syncOpen311Requests = onSchedule({ schedule: 'every 15 minutes', secrets: [OPEN311_API_KEY] }, async () => {
+    const client = getClient();
+    if (!client) return;
+    const snapshot = await getFirestore().collectionGroup('issues')
+        .where('open311.syncState', 'in', ['pending', 'token', 'open'])
+        .limit(500)
+        .get();
+    const issueDocs = snapshot.docs.filter(issueDoc => ISSUE_PATH.test(issueDoc.ref.path));
+
+    for (const issueDoc of issueDocs.filter(d => d.get('open311.syncState') === 'pending')) {
+        await submitIssue(client, issueDoc.ref, issueDoc.data());
+    }
+
+    for (const issueDoc of issueDocs.filter(d => d.get('open311.syncState') === 'token')) {
+        try {
+            const serviceRequestId = await client.getRequestIdForToken(issueDoc.get('open311.token'));
+            if (serviceRequestId) await issueDoc.ref.update({ 'open311.syncState': 'open', 'open311.serviceRequestId': serviceRequestId });
+        } catch (err) {
+            logger.warn(`Open311 token lookup for ${issueDoc.ref.path} failed`, err);
+        }
+    }
+
+    // Issues that were just given a request id are picked up on the next run.
+    const openDocs = issueDocs.filter(d => d.get('open311.syncState') === 'open');
+    for (let i = 0; i < openDocs.length; i += POLL_BATCH_SIZE) {
+        const batch = openDocs.slice(i, i + POLL_BATCH_SIZE);
+        try {
+            const serviceRequests = await client.getRequests(batch.map(d => d.get('open311.serviceRequestId')));
+            const byId = new Map(serviceRequests.map(request => [String(request.service_request_id), request]));
+            for (const issueDoc of batch) {
+                const serviceRequest = byId.get(String(issueDoc.get('open311.serviceRequestId')));
+                if (serviceRequest) await applyServiceRequest(issueDoc, serviceRequest);
+            }
+        } catch (err) {
+            logger.warn('Open311 status poll failed', err);
+        }
+    }
+});
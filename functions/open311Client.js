@@ -0,0 +1,107 @@
+// Minimal Open311 GeoReport v2 client (http://wiki.open311.org/GeoReport_v2) plus the mapping
+// between CivicSync issues and Open311 service requests.
+const { getAttachments } = require('./shared/attachments');
+
+const DESCRIPTION_MAX_LENGTH = 4000;
+
+// Open311 v2 only defines "open" and "closed"; the other keys cover servers that report finer statuses.
+// `null` means "still open": the issue keeps its status unless it had been resolved here. "closed" is
+// deliberately missing: resolving needs staff's proof of work, so a closed request is only flagged.
+const STATUS_FROM_OPEN311 = {
+    open: null,
+    acknowledged: 'Acknowledged',
+    in_progress: 'In-Progress',
+    'in progress': 'In-Progress',
+};
+
+const createOpen311Client = ({ endpoint, jurisdictionId, apiKey }) => {
+    const baseUrl = endpoint.endsWith('/') ? endpoint : `${endpoint}/`;
+    const buildUrl = (path, params = {}) => {
+        const url = new URL(path, baseUrl);
+        Object.entries({ jurisdiction_id: jurisdictionId, ...params }).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') url.searchParams.set(key, value);
+        });
+        return url;
+    };
+    const send = async (url, options) => {
+        const response = await fetch(url, options);
+        const body = await response.json().catch(() => null);
+        if (!response.ok) {
+            // Open311 errors come back as [{ code, description }].
+            const err = new Error(`Open311 request failed: ${(Array.isArray(body) && body[0]?.description) || `HTTP ${response.status}`}`);
+            err.status = response.status;
+            throw err;
+        }
+        return body;
+    };
+
+    return {
+        // Resolves to { service_request_id } or, for servers that create requests asynchronously, { token }.
+        submitRequest: async (serviceRequest) => {
+            const form = new URLSearchParams();
+            Object.entries({ jurisdiction_id: jurisdictionId, api_key: apiKey, ...serviceRequest }).forEach(([key, value]) => {
+                if (value !== undefined && value !== null && value !== '') form.set(key, value);
+            });
+            const [result] = await send(new URL('requests.json', baseUrl), {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                body: form,
+            });
+            return result || {};
+        },
+        getRequests: (serviceRequestIds) => send(buildUrl('requests.json', { service_request_id: serviceRequestIds.join(',') })),
+        // Resolves to the service request id once the server has turned the token into a request, else null.
+        getRequestIdForToken: async (token) => {
+            const [result] = await send(buildUrl(`tokens/${encodeURIComponent(token)}.json`));
+            return result?.service_request_id || null;
+        },
+    };
+};
+
+// Client errors other than rate limiting mean the request itself was rejected and retrying won't help.
+const isPermanentFailure = (err) => err.status >= 400 && err.status < 500 && err.status !== 429;
+
+// Open311 takes one image: the first photo, or else the first video's thumbnail.
+const getMediaUrl = (issue) => {
+    const attachments = getAttachments(issue).filter(item => !item.url.startsWith('data:'));
+    const photo = attachments.find(item => item.type === 'photo');
+    return photo ? photo.url : attachments.find(item => item.thumbnailUrl)?.thumbnailUrl;
+};
+
+const toServiceRequest = (issue, serviceCodes) => {
+    const details = Object.entries(issue.details || {}).map(([field, value]) => `${field}: ${value}`);
+    const description = [issue.title, issue.description, details.join('\n')].filter(Boolean).join('\n\n');
+    return {
+        service_code: serviceCodes[issue.category] || serviceCodes.other || issue.category || 'other',
+        lat: issue.coordinates?.lat,
+        long: issue.coordinates?.lng,
+        address_string: issue.address?.formatted || issue.location,
+        description: description.slice(0, DESCRIPTION_MAX_LENGTH),
+        media_url: getMediaUrl(issue),
+    };
+};
+
+// The CivicSync status an issue should move to for a polled request, or null to leave it alone.
+const statusFromServiceRequest = (serviceRequest, currentStatus) => {
+    const key = String(serviceRequest.status || '').toLowerCase();
+    const mapped = STATUS_FROM_OPEN311[key];
+    if (mapped === undefined) return null;
+    if (mapped === null) return currentStatus === 'Resolved' ? 'In-Progress' : null;
+    return mapped === currentStatus ? null : mapped;
+};
+
+// What a polled request changes on the issue, or null if its status and notes are what was last
+// seen. `status` is the CivicSync status to move to (or null); `closed` means the city closed it.
+const getServiceRequestChanges = (issue, serviceRequest) => {
+    const open311Status = serviceRequest.status || null;
+    const statusNotes = serviceRequest.status_notes || null;
+    if (open311Status === (issue.open311?.status || null) && statusNotes === (issue.open311?.statusNotes || null)) return null;
+    return {
+        open311Status,
+        statusNotes,
+        status: statusFromServiceRequest(serviceRequest, issue.status),
+        closed: String(open311Status).toLowerCase() === 'closed',
+    };
+};
+
+module.exports = { createOpen311Client, isPermanentFailure, toServiceRequest, statusFromServiceRequest, getServiceRequestChanges };
@@ -0,0 +1,83 @@
+const { toServiceRequest, statusFromServiceRequest, getServiceRequestChanges, isPermanentFailure } = require('./open311Client');
+
+describe('statusFromServiceRequest', () => {
+    it('maps the finer statuses some servers report', () => {
+        expect(statusFromServiceRequest({ status: 'in_progress' }, 'Acknowledged')).toBe('In-Progress');
+        expect(statusFromServiceRequest({ status: 'In Progress' }, 'Acknowledged')).toBe('In-Progress');
+        expect(statusFromServiceRequest({ status: 'acknowledged' }, 'Acknowledged')).toBeNull();
+    });
+
+    it('reopens an issue resolved here while the city still has the request open', () => {
+        expect(statusFromServiceRequest({ status: 'open' }, 'Resolved')).toBe('In-Progress');
+        expect(statusFromServiceRequest({ status: 'open' }, 'Acknowledged')).toBeNull();
+    });
+
+    it('never resolves an issue, since that needs proof of work', () => {
+        expect(statusFromServiceRequest({ status: 'closed' }, 'In-Progress')).toBeNull();
+    });
+
+    it('ignores statuses it does not know', () => {
+        expect(statusFromServiceRequest({ status: 'on_hold' }, 'In-Progress')).toBeNull();
+        expect(statusFromServiceRequest({}, 'In-Progress')).toBeNull();
+    });
+});
+
+describe('getServiceRequestChanges', () => {
+    const issue = { status: 'In-Progress', open311: { syncState: 'open', status: 'open', statusNotes: 'Crew booked' } };
+
+    it('is null while the status and notes are unchanged', () => {
+        expect(getServiceRequestChanges(issue, { status: 'open', status_notes: 'Crew booked' })).toBeNull();
+        expect(getServiceRequestChanges({ status: 'Acknowledged' }, { status: null })).toBeNull();
+    });
+
+    it('reports new notes even when the status is the same', () => {
+        expect(getServiceRequestChanges(issue, { status: 'open', status_notes: 'Crew on site' }))
+            .toEqual({ open311Status: 'open', statusNotes: 'Crew on site', status: null, closed: false });
+    });
+
+    it('flags a closed request without resolving the issue', () => {
+        expect(getServiceRequestChanges(issue, { status: 'closed', status_notes: 'Patched' }))
+            .toEqual({ open311Status: 'closed', statusNotes: 'Patched', status: null, closed: true });
+    });
+});
+
+describe('toServiceRequest', () => {
+    const issue = {
+        title: 'Pothole on Main St',
+        description: 'Deep pothole next to the bus stop.',
+        details: { size: 'Large' },
+        category: 'pothole',
+        coordinates: { lat: 12.97, lng: 77.59 },
+        location: 'Main St & 3rd Ave',
+        media: [
+            { type: 'video', url: 'https://storage.test/clip.mp4', thumbnailUrl: 'https://storage.test/clip.jpg' },
+            { type: 'photo', url: 'https://storage.test/photo.jpg' },
+        ],
+    };
+
+    it('maps the category to a service code and sends the first photo', () => {
+        expect(toServiceRequest(issue, { pothole: 'PTH', other: 'GEN' })).toEqual({
+            service_code: 'PTH',
+            lat: 12.97,
+            long: 77.59,
+            address_string: 'Main St & 3rd Ave',
+            description: 'Pothole on Main St\n\nDeep pothole next to the bus stop.\n\nsize: Large',
+            media_url: 'https://storage.test/photo.jpg',
+        });
+    });
+
+    it('falls back to the "other" service code and a video thumbnail', () => {
+        const request = toServiceRequest({ ...issue, category: 'graffiti', media: issue.media.slice(0, 1) }, { other: 'GEN' });
+        expect(request.service_code).toBe('GEN');
+        expect(request.media_url).toBe('https://storage.test/clip.jpg');
+    });
+});
+
+describe('isPermanentFailure', () => {
+    it('gives up on rejected requests but retries rate limits and server errors', () => {
+        expect(isPermanentFailure({ status: 400 })).toBe(true);
+        expect(isPermanentFailure({ status: 429 })).toBe(false);
+        expect(isPermanentFailure({ status: 503 })).toBe(false);
+        expect(isPermanentFailure(new Error('socket hang up'))).toBe(false);
+    });
+});
@@ -0,0 +1,24 @@
+// Mirrors the document layout used by the web app (see `src/app.js`).
+const dataPath = (appId) => `artifacts/${appId}/public/data`;
+
+module.exports = {
+    dataPath,
+    issuesPath: (appId) => `${dataPath(appId)}/issues`,
+    issueDocPath: (appId, issueId) => `${dataPath(appId)}/issues/${issueId}`,
+    issueHistoryPath: (appId, issueId) => `${dataPath(appId)}/issues/${issueId}/history`,
+    issueRevisionsPath: (appId, issueId) => `${dataPath(appId)}/issues/${issueId}/revisions`,
+    issueVerificationsPath: (appId, issueId) => `${dataPath(appId)}/issues/${issueId}/verifications`,
+    votesPath: (appId) => `${dataPath(appId)}/votes`,
+    followsPath: (appId) => `${dataPath(appId)}/follows`,
+    notificationsPath: (appId, uid) => `artifacts/${appId}/users/${uid}/notifications`,
+    pushTokensPath: (appId, uid) => `artifacts/${appId}/users/${uid}/pushTokens`,
+    profilesPath: (appId) => `${dataPath(appId)}/profiles`,
+    profileDocPath: (appId, uid) => `${dataPath(appId)}/profiles/${uid}`,
+    rateLimitsPath: (appId) => `artifacts/${appId}/rateLimits`,
+    flagsPath: (appId) => `${dataPath(appId)}/flags`,
+    moderationConfigPath: (appId) => `${dataPath(appId)}/config/moderation`,
+    verificationConfigPath: (appId) => `${dataPath(appId)}/config/verification`,
+    taxonomyConfigPath: (appId) => `${dataPath(appId)}/config/taxonomy`,
+    bansPath: (appId) => `artifacts/${appId}/bans`,
+    moderationLogPath: (appId) => `artifacts/${appId}/moderationLog`,
+};
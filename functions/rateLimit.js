@@ -0,0 +1,29 @@
+const { getFirestore, Timestamp } = require('firebase-admin/firestore');
+const { rateLimitsPath } = require('./paths');
+
+// Requests per caller per window. Writes are capped much lower than reads.
+const RATE_LIMITS = {
+    read: { limit: 120, windowSeconds: 60 },
+    write: { limit: 20, windowSeconds: 60 },
+};
+
+// Fixed-window counters kept in Firestore so every function instance shares them. Counter
+// documents carry `expiresAt` for the TTL policy in firestore.indexes.json.
+const consumeRateLimit = async (appId, uid, bucket) => {
+    const { limit, windowSeconds } = RATE_LIMITS[bucket];
+    const windowMs = windowSeconds * 1000;
+    const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+    const db = getFirestore();
+    const counterRef = db.doc(`${rateLimitsPath(appId)}/${uid}_${bucket}`);
+    const count = await db.runTransaction(async (transaction) => {
+        const counterSnap = await transaction.get(counterRef);
+        const current = counterSnap.get('windowStart') === windowStart ? counterSnap.get('count') : 0;
+        if (current < limit) {
+            transaction.set(counterRef, { windowStart, count: current + 1, expiresAt: Timestamp.fromMillis(windowStart + 2 * windowMs) });
+        }
+        return current + 1;
+    });
+    return { allowed: count <= limit, limit, remaining: Math.max(0, limit - count), resetAt: windowStart + windowMs };
+};
+
+module.exports = { RATE_LIMITS, consumeRateLimit };
@@ -0,0 +1,29 @@
+const { onDocumentUpdated } = require('firebase-functions/v2/firestore');
+const { getFirestore } = require('firebase-admin/firestore');
+const { isDeepStrictEqual } = require('util');
+const { issueRevisionsPath } = require('./paths');
+const { REPORTER_EDITABLE_FIELDS } = require('./shared/editing');
+
+// Records each reporter edit (`issues/{issueId}/revisions`) from the issue's own before and
+// after, so staff see exactly what changed. Reporter edits are the writes that move
+// `editedAt`; entries are keyed by event id like the timeline.
+exports.onIssueEditedRevision = onDocumentUpdated('artifacts/{appId}/public/data/issues/{issueId}', async (event) => {
+    const before = event.data.before.data();
+    const after = event.data.after.data();
+    if (!after.editedAt || (before.editedAt && before.editedAt.isEqual(after.editedAt))) return;
+
+    const changes = {};
+    REPORTER_EDITABLE_FIELDS.forEach(field => {
+        const from = before[field] ?? null;
+        const to = after[field] ?? null;
+        if (!isDeepStrictEqual(from, to)) changes[field] = { from, to };
+    });
+    if (Object.keys(changes).length === 0) return;
+
+    const { appId, issueId } = event.params;
+    await getFirestore().collection(issueRevisionsPath(appId, issueId)).doc(event.id).set({
+        editorId: after.editedBy,
+        changes,
+        createdAt: after.editedAt,
+    });
+});
@@ -0,0 +1,19 @@
+const { getFirestore } = require('firebase-admin/firestore');
+const { profileDocPath } = require('./paths');
+
+const STAFF_ROLES = ['staff', 'admin'];
+const MODERATOR_ROLES = ['moderator', 'admin'];
+
+// Same lookup as the web app and security rules: the `role` custom claim
+// wins, otherwise the `role` field on the caller's profile.
+const getRole = async (appId, auth) => {
+    if (auth.token.role) return auth.token.role;
+    const profileSnap = await getFirestore().doc(profileDocPath(appId, auth.uid)).get();
+    return profileSnap.get('role') || null;
+};
+
+const isStaff = async (appId, auth) => STAFF_ROLES.includes(await getRole(appId, auth));
+
+const isModerator = async (appId, auth) => MODERATOR_ROLES.includes(await getRole(appId, auth));
+
+module.exports = { STAFF_ROLES, MODERATOR_ROLES, getRole, isStaff, isModerator };
@@ -0,0 +1,25 @@
+const { onDocumentCreated, onDocumentUpdated } = require('firebase-functions/v2/firestore');
+const { logger } = require('firebase-functions');
+const { getTaxonomy, getCategoryConfig } = require('./categories');
+
+// Routing happens here rather than in the browser so reporters can't file straight
+// into another department's queue. Staff re-route by changing the category.
+exports.onIssueCreatedRoute = onDocumentCreated('artifacts/{appId}/public/data/issues/{issueId}', async (event) => {
+    const issue = event.data.data();
+    if (issue.department) return;
+    const { department } = getCategoryConfig(await getTaxonomy(event.params.appId), issue.category);
+    await event.data.ref.update({ department });
+    logger.info(`Routed issue ${event.params.issueId} (${issue.category || 'uncategorised'}) to ${department}`);
+});
+
+// A reporter correcting the category of their report (an edit that moves `editedAt`, only
+// possible before work starts) is re-routed the same way.
+exports.onIssueEditedRoute = onDocumentUpdated('artifacts/{appId}/public/data/issues/{issueId}', async (event) => {
+    const before = event.data.before.data();
+    const after = event.data.after.data();
+    if (before.category === after.category || !after.editedAt || (before.editedAt && before.editedAt.isEqual(after.editedAt))) return;
+    const { department } = getCategoryConfig(await getTaxonomy(event.params.appId), after.category);
+    if (department === after.department) return;
+    await event.data.after.ref.update({ department });
+    logger.info(`Re-routed edited issue ${event.params.issueId} (${after.category}) to ${department}`);
+});
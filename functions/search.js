@@ -0,0 +1,30 @@
+const { onDocumentWritten } = require('firebase-functions/v2/firestore');
+const { geohashForLocation } = require('geofire-common');
+const { buildSearchTokens } = require('./shared/search');
+
+// Keeps the derived query fields (`searchTokens`, `geohash`, `hidden`) in step
+// with an issue's text, coordinates and moderation state. Only writes when they
+// actually changed, so the trigger doesn't loop on its own update.
+exports.onIssueWrittenIndex = onDocumentWritten('artifacts/{appId}/public/data/issues/{issueId}', async (event) => {
+    const after = event.data.after;
+    if (!after.exists) return;
+    const issue = after.data();
+
+    const updates = {};
+    const searchTokens = buildSearchTokens(issue.title || '', issue.description || '');
+    if (JSON.stringify(searchTokens) !== JSON.stringify(issue.searchTokens || [])) {
+        updates.searchTokens = searchTokens;
+    }
+    const geohash = issue.coordinates ? geohashForLocation([issue.coordinates.lat, issue.coordinates.lng]) : null;
+    if (geohash !== (issue.geohash || null)) {
+        updates.geohash = geohash;
+    }
+    // Moderation sets `hidden` along with the state; this fills it in on issues from before it existed.
+    const hidden = issue.moderation?.state === 'hidden';
+    if (hidden !== issue.hidden) {
+        updates.hidden = hidden;
+    }
+    if (Object.keys(updates).length > 0) {
+        await after.ref.update(updates);
+    }
+});
@@ -0,0 +1,27 @@
+// Reading Nominatim results, shared by the web app's geocoder and functions/geocoder.js so issues
+// get the same structured address whether it was looked up while writing the report or afterwards.
+
+// The structured address stored on issues (see `isValidAddress` in firestore.rules).
+const toAddress = (place) => {
+    const parts = place.address || {};
+    const road = parts.road || parts.pedestrian || parts.footway || null;
+    const neighbourhood = parts.neighbourhood || parts.suburb || parts.quarter || null;
+    const city = parts.city || parts.town || parts.village || parts.municipality || null;
+    const street = [parts.house_number, road].filter(Boolean).join(' ');
+    return {
+        formatted: [street, neighbourhood, city].filter(Boolean).join(', ') || place.display_name,
+        houseNumber: parts.house_number || null,
+        road,
+        neighbourhood,
+        city,
+        state: parts.state || null,
+        postcode: parts.postcode || null,
+        country: parts.country || null,
+        countryCode: parts.country_code ? parts.country_code.toUpperCase() : null,
+    };
+};
+
+// A geocoder result: the place's address and its coordinates.
+const toPlace = (place) => ({ address: toAddress(place), coordinates: { lat: Number(place.lat), lng: Number(place.lon) } });
+
+module.exports = { toAddress, toPlace };
@@ -0,0 +1,20 @@
+// Report media, shared by the web app, the API and the Cloud Functions. Reports carry one ordered
+// `media` list of { type, url, path, thumbnailUrl, thumbnailPath, caption } (see `isValidMediaList`
+// in firestore.rules). Reports filed before that keep a single photoUrl, videoUrl or audioUrl, or an
+// inline imageUrl, instead.
+const MEDIA_TYPES = ['photo', 'video', 'audio'];
+const MAX_ATTACHMENTS = 6;
+
+// Shown in place of media on reports filed without any. Must match `isNoMediaPlaceholder` in firestore.rules.
+const NO_MEDIA_IMAGE_URL = 'https://placehold.co/600x400/EEE/31343C?text=No+Media+Provided';
+
+// An issue's media in order, read from the single-media fields for older reports.
+const getAttachments = (issue) => {
+    if (Array.isArray(issue.media)) return issue.media;
+    const type = MEDIA_TYPES.find(mediaType => issue[`${mediaType}Url`]);
+    const url = type ? issue[`${type}Url`] : issue.imageUrl !== NO_MEDIA_IMAGE_URL && issue.imageUrl;
+    if (!url) return [];
+    return [{ type: type || 'photo', url, path: issue.mediaPath || null, thumbnailUrl: issue.thumbnailUrl || null, thumbnailPath: issue.thumbnailPath || null, caption: '' }];
+};
+
+module.exports = { MEDIA_TYPES, MAX_ATTACHMENTS, NO_MEDIA_IMAGE_URL, getAttachments };
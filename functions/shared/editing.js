@@ -0,0 +1,13 @@
+// Reporter edits, shared by the web app's edit form and the onIssueEditedRevision trigger, which
+// records what each edit changed.
+
+// Reports filed before attachment lists kept a single photoUrl, videoUrl or audioUrl (with its
+// mediaPath and thumbnail) or an inline imageUrl instead of `media`.
+const LEGACY_MEDIA_FIELDS = ['imageUrl', 'photoUrl', 'videoUrl', 'audioUrl', 'mediaPath', 'thumbnailUrl', 'thumbnailPath'];
+
+// What a reporter may change while their issue is still Acknowledged. Must match
+// `isValidReporterEdit` in firestore.rules.
+const REPORTER_EDITABLE_FIELDS = ['title', 'description', 'location', 'coordinates', 'address', 'observedAt', 'category', 'details', 'media',
+    ...LEGACY_MEDIA_FIELDS];
+
+module.exports = { LEGACY_MEDIA_FIELDS, REPORTER_EDITABLE_FIELDS };
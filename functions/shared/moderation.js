@@ -0,0 +1,13 @@
+// Blocked-word matching, shared by the web app, which asks reporters to reword before submitting, and
+// the onIssueCreatedModeration and onIssueEditedModeration triggers, which hide matching reports for review.
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole words or phrases, case-insensitive.
+const findBlockedWords = (text, blockedWords) => {
+    const haystack = text.toLowerCase();
+    return blockedWords
+        .map(word => word.trim().toLowerCase())
+        .filter(word => word && new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(word)}($|[^\\p{L}\\p{N}])`, 'u').test(haystack));
+};
+
+module.exports = { findBlockedWords };
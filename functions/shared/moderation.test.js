@@ -0,0 +1,17 @@
+const { findBlockedWords } = require('./moderation');
+
+describe('findBlockedWords', () => {
+    it('matches whole words and phrases, ignoring case and surrounding whitespace', () => {
+        expect(findBlockedWords('What a Darn mess on Main St', [' darn ', 'main st', 'mess up'])).toEqual(['darn', 'main st']);
+    });
+
+    it('does not match inside longer words, in any script', () => {
+        expect(findBlockedWords('Classic grassland', ['ass'])).toEqual([]);
+        expect(findBlockedWords('Straßenlaterne kaputt', ['straße'])).toEqual([]);
+        expect(findBlockedWords('Die Straße ist kaputt', ['straße'])).toEqual(['straße']);
+    });
+
+    it('treats blocked words as text, not patterns, and skips empty ones', () => {
+        expect(findBlockedWords('Costs $5 (cash)', ['$5', '(cash)', '.*', ''])).toEqual(['$5', '(cash)']);
+    });
+});
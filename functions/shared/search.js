@@ -0,0 +1,29 @@
+// Search indexing and matching, shared by the web app, the API and the onIssueWrittenIndex trigger
+// so a query matches the same issues wherever it runs.
+const SEARCH_PREFIX_MIN = 3;
+const SEARCH_PREFIX_MAX = 15;
+
+const splitWords = (text) => (text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length >= SEARCH_PREFIX_MIN);
+
+// Every word prefix of 3-15 characters, so "pot" and "pothole" both match "Pothole on Main St".
+const buildSearchTokens = (...texts) => {
+    const tokens = new Set();
+    splitWords(texts.join(' ')).forEach(word => {
+        for (let length = SEARCH_PREFIX_MIN; length <= Math.min(word.length, SEARCH_PREFIX_MAX); length++) {
+            tokens.add(word.slice(0, length));
+        }
+    });
+    return [...tokens].sort();
+};
+
+// Search input as index tokens. Words longer than the longest prefix are cut to it.
+const getSearchWords = (text) => splitWords(text).map(word => word.slice(0, SEARCH_PREFIX_MAX));
+
+// Firestore allows one array-contains per query, so the longest word is matched there and the rest with `matchesSearch`.
+const getSearchToken = (words) => words.reduce((longest, word) => word.length > longest.length ? word : longest, '') || null;
+
+// Whether every search word starts one of the words the tokens were built from.
+const matchesSearch = (searchTokens, words) => words.every(word => searchTokens.includes(word));
+
+module.exports = { buildSearchTokens, getSearchWords, getSearchToken, matchesSearch };
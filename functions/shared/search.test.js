@@ -0,0 +1,43 @@
+const { buildSearchTokens, getSearchWords, getSearchToken, matchesSearch } = require('./search');
+
+describe('buildSearchTokens', () => {
+    it('indexes every 3-15 character prefix of each word', () => {
+        expect(buildSearchTokens('Pothole on Main St')).toEqual(['mai', 'main', 'pot', 'poth', 'potho', 'pothol', 'pothole']);
+    });
+
+    it('splits on anything but letters and digits, in any script', () => {
+        expect(buildSearchTokens('Straße-42B', 'café')).toEqual(['42b', 'caf', 'café', 'str', 'stra', 'straß', 'straße']);
+    });
+
+    it('stops at 15 characters', () => {
+        expect(buildSearchTokens('Streetlightoutage').pop()).toBe('streetlightouta');
+    });
+});
+
+describe('getSearchWords', () => {
+    it('lower-cases the input, drops short words and cuts long ones to the longest token', () => {
+        expect(getSearchWords('Big POTHOLE on a streetlightoutage')).toEqual(['big', 'pothole', 'streetlightouta']);
+    });
+});
+
+describe('getSearchToken', () => {
+    it('picks the longest word for the indexed query', () => {
+        expect(getSearchToken(['big', 'pothole', 'main'])).toBe('pothole');
+        expect(getSearchToken([])).toBeNull();
+    });
+});
+
+describe('matchesSearch', () => {
+    const tokens = buildSearchTokens('Pothole on Main St', 'Deep hole next to the bus stop.');
+
+    it('matches when every word starts a word of the text', () => {
+        expect(matchesSearch(tokens, getSearchWords('main pot'))).toBe(true);
+        expect(matchesSearch(tokens, getSearchWords(''))).toBe(true);
+    });
+
+    it('does not match words that only appear inside another word', () => {
+        expect(matchesSearch(tokens, getSearchWords('hole'))).toBe(true);
+        expect(matchesSearch(tokens, getSearchWords('thole'))).toBe(false);
+        expect(matchesSearch(tokens, getSearchWords('main bridge'))).toBe(false);
+    });
+});
@@ -0,0 +1,63 @@
+// The report taxonomy. Each category is routed to a department by the onIssueCreatedRoute Cloud
+// Function, has service-level targets (`respondHours` is how long an issue may sit in Acknowledged,
+// `resolveHours` the deadline for resolving it, both counted from when it was reported), and may ask
+// for optional category-specific `fields`, which are stored on the issue as `details`.
+//
+// Admins can replace these defaults by saving a `config/taxonomy` document of the same shape. The web
+// app and the Cloud Functions both read that document, so there is one list to keep up to date.
+const DEFAULT_TAXONOMY = {
+    departments: {
+        roads: 'Roads & Transport',
+        lighting: 'Street Lighting',
+        sanitation: 'Sanitation',
+        water: 'Water & Sewerage',
+        parks: 'Parks & Green Spaces',
+        general: 'General Services',
+    },
+    categories: [
+        { id: 'pothole', label: 'Pothole', icon: '🕳️', department: 'roads', respondHours: 48, resolveHours: 14 * 24, fields: [
+            { id: 'size', label: 'Size', options: ['Small (fist)', 'Medium (shoe box)', 'Large (tyre or bigger)'] },
+            { id: 'position', label: 'Where is it?', options: ['Road', 'Sidewalk', 'Bike lane'] },
+        ] },
+        { id: 'streetlight', label: 'Streetlight', icon: '💡', department: 'lighting', respondHours: 48, resolveHours: 7 * 24, fields: [
+            { id: 'problem', label: 'Problem', options: ['Not working', 'Flickering', 'On during the day', 'Damaged pole'] },
+            { id: 'poleNumber', label: 'Pole number', placeholder: 'e.g. SL-1042' },
+        ] },
+        { id: 'garbage', label: 'Garbage', icon: '🗑️', department: 'sanitation', respondHours: 24, resolveHours: 3 * 24, fields: [
+            { id: 'wasteType', label: 'Type of waste', options: ['Household', 'Construction debris', 'Hazardous', 'Dead animal'] },
+            { id: 'missedPickup', label: 'Missed pickup?', options: ['Yes', 'No'] },
+        ] },
+        { id: 'water-leak', label: 'Water leak', icon: '💧', department: 'water', respondHours: 12, resolveHours: 3 * 24, fields: [
+            { id: 'severity', label: 'Severity', options: ['Dripping', 'Steady flow', 'Flooding'] },
+            { id: 'waterType', label: 'Water looks', options: ['Clean', 'Dirty / sewage'] },
+        ] },
+        { id: 'drainage', label: 'Blocked drain', icon: '🌊', department: 'water', respondHours: 24, resolveHours: 7 * 24, fields: [
+            { id: 'flooding', label: 'Causing flooding?', options: ['Yes', 'No'] },
+        ] },
+        { id: 'traffic-signal', label: 'Traffic signal', icon: '🚦', department: 'roads', respondHours: 4, resolveHours: 48, fields: [
+            { id: 'problem', label: 'Problem', options: ['All lights out', 'Stuck on one colour', 'Pedestrian button broken', 'Sign damaged'] },
+        ] },
+        { id: 'fallen-tree', label: 'Fallen tree', icon: '🌳', department: 'parks', respondHours: 12, resolveHours: 5 * 24, fields: [
+            { id: 'blocking', label: 'Blocking', options: ['Road', 'Sidewalk', 'Nothing'] },
+        ] },
+        { id: 'graffiti', label: 'Graffiti', icon: '🎨', department: 'parks', respondHours: 72, resolveHours: 21 * 24, fields: [
+            { id: 'offensive', label: 'Offensive content?', options: ['Yes', 'No'] },
+        ] },
+        { id: 'other', label: 'Other', icon: '📍', department: 'general', respondHours: 72, resolveHours: 30 * 24, fields: [] },
+    ],
+};
+
+// The saved taxonomy, or the defaults while there is none. It needs an "other" category, which
+// unknown and missing categories fall back to.
+const resolveTaxonomy = (data) => {
+    const isUsable = data && data.departments && typeof data.departments === 'object'
+        && Array.isArray(data.categories) && data.categories.some(category => category.id === 'other');
+    return isUsable ? { departments: data.departments, categories: data.categories } : DEFAULT_TAXONOMY;
+};
+
+const getCategory = (taxonomy, categoryId) => taxonomy.categories.find(category => category.id === categoryId) || null;
+
+// Unknown or missing categories are handled like "other".
+const getCategoryConfig = (taxonomy, categoryId) => getCategory(taxonomy, categoryId) || getCategory(taxonomy, 'other');
+
+module.exports = { DEFAULT_TAXONOMY, resolveTaxonomy, getCategory, getCategoryConfig };
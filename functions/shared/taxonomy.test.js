@@ -0,0 +1,34 @@
+const { DEFAULT_TAXONOMY, resolveTaxonomy, getCategory, getCategoryConfig } = require('./taxonomy');
+
+const saved = {
+    departments: { roads: 'Roads' },
+    categories: [
+        { id: 'pothole', label: 'Pothole', department: 'roads', respondHours: 24, resolveHours: 72, fields: [] },
+        { id: 'other', label: 'Other', department: 'roads', respondHours: 48, resolveHours: 240, fields: [] },
+    ],
+};
+
+describe('resolveTaxonomy', () => {
+    it('uses the saved document', () => {
+        expect(resolveTaxonomy(saved)).toEqual(saved);
+    });
+
+    it('falls back to the defaults without a usable document', () => {
+        expect(resolveTaxonomy(undefined)).toBe(DEFAULT_TAXONOMY);
+        expect(resolveTaxonomy({ departments: {}, categories: 'pothole' })).toBe(DEFAULT_TAXONOMY);
+        expect(resolveTaxonomy({ ...saved, categories: saved.categories.slice(0, 1) })).toBe(DEFAULT_TAXONOMY);
+    });
+});
+
+describe('getCategoryConfig', () => {
+    it('finds the category and treats unknown ones as "other"', () => {
+        expect(getCategoryConfig(saved, 'pothole').respondHours).toBe(24);
+        expect(getCategoryConfig(saved, 'graffiti').id).toBe('other');
+        expect(getCategoryConfig(saved, undefined).id).toBe('other');
+        expect(getCategory(saved, 'graffiti')).toBeNull();
+    });
+
+    it('routes every default category to a known department', () => {
+        DEFAULT_TAXONOMY.categories.forEach(category => expect(DEFAULT_TAXONOMY.departments).toHaveProperty(category.department));
+    });
+});
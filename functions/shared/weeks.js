@@ -0,0 +1,13 @@
+// Week keys, shared by the onIssueWrittenAchievements trigger, which stores one on each profile
+// with its weekly points, and the web app, which queries the weekly leaderboard by it.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ISO-8601 week, e.g. "2026-W42".
+const weekKey = (date) => {
+    const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    day.setUTCDate(day.getUTCDate() + 4 - (day.getUTCDay() || 7));
+    const week = Math.ceil(((day - Date.UTC(day.getUTCFullYear(), 0, 1)) / DAY_MS + 1) / 7);
+    return `${day.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+};
+
+module.exports = { weekKey };
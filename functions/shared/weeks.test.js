@@ -0,0 +1,13 @@
+const { weekKey } = require('./weeks');
+
+describe('weekKey', () => {
+    it('uses ISO-8601 weeks, which start on Monday', () => {
+        expect(weekKey(new Date('2026-10-12T00:00:00Z'))).toBe('2026-W42');
+        expect(weekKey(new Date('2026-10-11T23:59:59Z'))).toBe('2026-W41');
+    });
+
+    it('gives weeks that span New Year to the year their Thursday falls in', () => {
+        expect(weekKey(new Date('2027-01-01T12:00:00Z'))).toBe('2026-W53');
+        expect(weekKey(new Date('2025-12-29T12:00:00Z'))).toBe('2026-W01');
+    });
+});
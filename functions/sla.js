@@ -0,0 +1,81 @@
+const { onDocumentWritten } = require('firebase-functions/v2/firestore');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { logger } = require('firebase-functions');
+const { getFirestore, FieldValue, Timestamp } = require('firebase-admin/firestore');
+const { issueHistoryPath, profilesPath } = require('./paths');
+const { getTaxonomy, getCategoryConfig } = require('./categories');
+const { notifyUsers } = require('./notify');
+const { RESOLUTION_MISSED, getDeadlines, nextDeadline, getEscalationLevel, getEscalationNote } = require('./slaRules');
+
+const sameTime = (a, b) => (a ? a.toMillis() : null) === (b ? b.toMillis() : null);
+
+// Stamps `respondBy`/`resolveBy` from the category's targets (again when staff re-categorise) and
+// keeps `nextEscalationAt` pointing at the deadline the scheduled job should check next.
+exports.onIssueWrittenSla = onDocumentWritten('artifacts/{appId}/public/data/issues/{issueId}', async (event) => {
+    const before = event.data.before.data();
+    const after = event.data.after.data();
+    if (!after?.createdAt) return;
+
+    const updates = {};
+    if (!before || before.category !== after.category) {
+        const { respondBy, resolveBy } = getDeadlines(after.createdAt.toMillis(), getCategoryConfig(await getTaxonomy(event.params.appId), after.category));
+        updates.respondBy = Timestamp.fromMillis(respondBy);
+        updates.resolveBy = Timestamp.fromMillis(resolveBy);
+    }
+    const next = nextDeadline({ ...after, ...updates });
+    if (!sameTime(next, after.nextEscalationAt)) updates.nextEscalationAt = next;
+    if (Object.keys(updates).length > 0) await event.data.after.ref.update(updates);
+});
+
+// Department staff hear about every escalation; admins are pulled in once the resolution deadline is missed.
+// Staff whose role only exists as a custom claim aren't listed in profiles and aren't notified here.
+const escalationRecipients = async (appId, issue, level) => {
+    const staffSnap = await getFirestore().collection(profilesPath(appId)).where('role', 'in', ['staff', 'admin']).get();
+    const uids = staffSnap.docs
+        .filter(profile => profile.get('department') === issue.department || (level === RESOLUTION_MISSED && profile.get('role') === 'admin'))
+        .map(profile => profile.id);
+    if (issue.assignee?.uid) uids.push(issue.assignee.uid);
+    return [...new Set(uids)];
+};
+
+const escalate = async (issueDoc) => {
+    const [, appId, , , , issueId] = issueDoc.ref.path.split('/');
+    const issue = issueDoc.data();
+    const level = getEscalationLevel(issue);
+    const note = getEscalationNote(level, getCategoryConfig(await getTaxonomy(appId), issue.category));
+
+    try {
+        // Skip the issue if it changed since it was read; the next run will see the fresh state.
+        await issueDoc.ref.update({
+            escalationLevel: level,
+            escalatedAt: FieldValue.serverTimestamp(),
+            nextEscalationAt: nextDeadline({ ...issue, escalationLevel: level }),
+        }, { lastUpdateTime: issueDoc.updateTime });
+    } catch (err) {
+        if (err.code === 9) return; // FAILED_PRECONDITION
+        throw err;
+    }
+
+    await getFirestore().collection(issueHistoryPath(appId, issueId)).doc(`escalation-${level}-${issue.nextEscalationAt.toMillis()}`).set({
+        type: 'escalated', from: null, to: issue.status, level, actorId: null, note, createdAt: FieldValue.serverTimestamp(),
+    });
+    await notifyUsers(appId, await escalationRecipients(appId, issue, level), {
+        type: 'escalation',
+        issueId,
+        title: `Overdue: ${issue.title}`,
+        body: note,
+    });
+    logger.info(`Escalated issue ${issueId} to level ${level}`);
+};
+
+// Issues of every app are found with one collection group query on `nextEscalationAt`
+// (see the field override in firestore.indexes.json).
+exports.escalateOverdueIssues = onSchedule('every 30 minutes', async () => {
+    const overdueSnap = await getFirestore().collectionGroup('issues')
+        .where('nextEscalationAt', '<=', Timestamp.now())
+        .limit(500)
+        .get();
+    for (const issueDoc of overdueSnap.docs) {
+        if (/^artifacts\/[^/]+\/public\/data\/issues\/[^/]+$/.test(issueDoc.ref.path)) await escalate(issueDoc);
+    }
+});
@@ -0,0 +1,31 @@
+// Pure service-level rules, kept out of sla.js so they can be tested without Firebase.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Escalation levels: 1 = missed the response target, 2 = missed the resolution target.
+const RESPONSE_MISSED = 1;
+const RESOLUTION_MISSED = 2;
+
+// `respondBy` and `resolveBy` in milliseconds, from when the issue was reported and its category's targets.
+const getDeadlines = (reportedAt, { respondHours, resolveHours }) => ({
+    respondBy: reportedAt + respondHours * HOUR_MS,
+    resolveBy: reportedAt + resolveHours * HOUR_MS,
+});
+
+// The next deadline an open issue can still miss, or null once it is resolved, merged or fully escalated.
+const nextDeadline = (issue) => {
+    if (issue.status === 'Resolved' || issue.mergedInto) return null;
+    const level = issue.escalationLevel || 0;
+    if (issue.status === 'Acknowledged' && level < RESPONSE_MISSED) return issue.respondBy;
+    return level < RESOLUTION_MISSED ? issue.resolveBy : null;
+};
+
+// The level an issue found past its `nextEscalationAt` escalates to.
+const getEscalationLevel = (issue) =>
+    (issue.status === 'Acknowledged' && (issue.escalationLevel || 0) < RESPONSE_MISSED ? RESPONSE_MISSED : RESOLUTION_MISSED);
+
+const getEscalationNote = (level, { respondHours, resolveHours }) => (level === RESPONSE_MISSED
+    ? `No response within the ${respondHours}-hour target.`
+    : `Not resolved within the ${Math.round(resolveHours / 24)}-day target.`);
+
+module.exports = { RESPONSE_MISSED, RESOLUTION_MISSED, getDeadlines, nextDeadline, getEscalationLevel, getEscalationNote };
@@ -0,0 +1,50 @@
+const { RESPONSE_MISSED, RESOLUTION_MISSED, getDeadlines, nextDeadline, getEscalationLevel, getEscalationNote } = require('./slaRules');
+
+const HOUR_MS = 60 * 60 * 1000;
+const targets = { respondHours: 48, resolveHours: 14 * 24 };
+const respondBy = { toMillis: () => 1 };
+const resolveBy = { toMillis: () => 2 };
+
+describe('getDeadlines', () => {
+    it('counts both targets from when the issue was reported', () => {
+        const reportedAt = Date.UTC(2026, 9, 14, 9);
+        expect(getDeadlines(reportedAt, targets)).toEqual({
+            respondBy: reportedAt + 48 * HOUR_MS,
+            resolveBy: reportedAt + 14 * 24 * HOUR_MS,
+        });
+    });
+});
+
+describe('nextDeadline', () => {
+    const issue = (fields) => ({ status: 'Acknowledged', respondBy, resolveBy, ...fields });
+
+    it('watches the response target while an issue waits for a response', () => {
+        expect(nextDeadline(issue())).toBe(respondBy);
+    });
+
+    it('moves on to the resolution target once work starts or the response target was missed', () => {
+        expect(nextDeadline(issue({ status: 'In-Progress' }))).toBe(resolveBy);
+        expect(nextDeadline(issue({ escalationLevel: RESPONSE_MISSED }))).toBe(resolveBy);
+    });
+
+    it('stops once the issue is resolved, merged or fully escalated', () => {
+        expect(nextDeadline(issue({ status: 'Resolved' }))).toBeNull();
+        expect(nextDeadline(issue({ mergedInto: 'issue1' }))).toBeNull();
+        expect(nextDeadline(issue({ status: 'In-Progress', escalationLevel: RESOLUTION_MISSED }))).toBeNull();
+    });
+});
+
+describe('getEscalationLevel', () => {
+    it('escalates unanswered issues for the response target first', () => {
+        expect(getEscalationLevel({ status: 'Acknowledged' })).toBe(RESPONSE_MISSED);
+        expect(getEscalationLevel({ status: 'Acknowledged', escalationLevel: RESPONSE_MISSED })).toBe(RESOLUTION_MISSED);
+        expect(getEscalationLevel({ status: 'In-Progress' })).toBe(RESOLUTION_MISSED);
+    });
+});
+
+describe('getEscalationNote', () => {
+    it('names the missed target', () => {
+        expect(getEscalationNote(RESPONSE_MISSED, targets)).toBe('No response within the 48-hour target.');
+        expect(getEscalationNote(RESOLUTION_MISSED, targets)).toBe('Not resolved within the 14-day target.');
+    });
+});
@@ -0,0 +1,43 @@
+// Adds the `hidden` field to issues created before it existed. Security rules only show other
+// people's issues once it is set, and the onIssueWrittenIndex Cloud Function otherwise only fills it
+// in the next time an issue is written. Safe to run more than once.
+//
+//   GOOGLE_CLOUD_PROJECT=<project> npm run backfill:hidden -- <appId>
+//
+// Uses Application Default Credentials; set FIRESTORE_EMULATOR_HOST to run it against the emulator.
+const { initializeApp } = require('firebase-admin/app');
+const { getFirestore } = require('firebase-admin/firestore');
+const { issuesPath } = require('../paths');
+
+const appId = process.argv[2];
+if (!appId) {
+    console.error('Usage: node tools/backfill-hidden.js <appId>');
+    process.exit(1);
+}
+
+initializeApp();
+
+const backfill = async () => {
+    const db = getFirestore();
+    const snapshot = await db.collection(issuesPath(appId)).get();
+    const writer = db.bulkWriter();
+    const updates = [];
+    snapshot.docs.forEach(issueDoc => {
+        const hidden = issueDoc.get('moderation.state') === 'hidden';
+        if (issueDoc.get('hidden') === hidden) return;
+        updates.push(writer.update(issueDoc.ref, { hidden }).then(() => true, (err) => {
+            console.error(`Could not update issue ${issueDoc.id}:`, err);
+            return false;
+        }));
+    });
+    await writer.close();
+    const results = await Promise.all(updates);
+    const updated = results.filter(Boolean).length;
+    console.log(`Set \`hidden\` on ${updated} of ${snapshot.size} issues.`);
+    if (updated < results.length) process.exitCode = 1;
+};
+
+backfill().catch(err => {
+    console.error(err);
+    process.exit(1);
+});
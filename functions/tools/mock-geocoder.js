@@ -0,0 +1,64 @@
+// Local stand-in for a Nominatim geocoder, answering /search and /reverse from a small built-in
+// list of places around the app's default map centre.
+//
+//   npm run mock:geocoder            # listens on http://localhost:8088/
+//
+// Point the web app at it with REACT_APP_GEOCODER_URL=http://localhost:8088/ and the functions
+// emulator with GEOCODER_URL=http://localhost:8088/ and GEOCODER_CONTACT_EMAIL=<your email> in
+// functions/.env.local.
+const http = require('http');
+
+const PORT = Number(process.env.PORT) || 8088;
+const SEARCH_LIMIT = 10;
+
+const place = (id, lat, lon, address) => ({
+    place_id: id,
+    lat: String(lat),
+    lon: String(lon),
+    display_name: Object.entries(address).filter(([key]) => key !== 'country_code').map(([, value]) => value).join(', '),
+    address,
+});
+
+const PLACES = [
+    place(1, 12.97160, 77.59460, { road: 'Vidhana Veedhi', neighbourhood: 'Ambedkar Veedhi', city: 'Bengaluru', state: 'Karnataka', postcode: '560001', country: 'India', country_code: 'in' }),
+    place(2, 12.97560, 77.60550, { house_number: '1', road: 'MG Road', neighbourhood: 'Shanthala Nagar', city: 'Bengaluru', state: 'Karnataka', postcode: '560001', country: 'India', country_code: 'in' }),
+    place(3, 12.97190, 77.64120, { road: '100 Feet Road', neighbourhood: 'Indiranagar', city: 'Bengaluru', state: 'Karnataka', postcode: '560038', country: 'India', country_code: 'in' }),
+    place(4, 12.93520, 77.62450, { road: '80 Feet Road', neighbourhood: 'Koramangala', city: 'Bengaluru', state: 'Karnataka', postcode: '560034', country: 'India', country_code: 'in' }),
+    place(5, 12.95070, 77.58480, { road: 'Lalbagh Road', neighbourhood: 'Lalbagh', city: 'Bengaluru', state: 'Karnataka', postcode: '560004', country: 'India', country_code: 'in' }),
+    place(6, 12.99810, 77.59200, { road: 'Sampige Road', neighbourhood: 'Malleshwaram', city: 'Bengaluru', state: 'Karnataka', postcode: '560003', country: 'India', country_code: 'in' }),
+    place(7, 12.92520, 77.58370, { road: '9th Main Road', neighbourhood: 'Jayanagar', city: 'Bengaluru', state: 'Karnataka', postcode: '560041', country: 'India', country_code: 'in' }),
+    place(8, 12.97780, 77.57150, { road: 'Gubbi Thotadappa Road', neighbourhood: 'Majestic', city: 'Bengaluru', state: 'Karnataka', postcode: '560009', country: 'India', country_code: 'in' }),
+];
+
+const distanceSquared = (a, lat, lon) => (Number(a.lat) - lat) ** 2 + (Number(a.lon) - lon) ** 2;
+
+const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+    res.end(JSON.stringify(body));
+};
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+    console.log(req.method, url.pathname + url.search);
+    if (req.method !== 'GET') return send(res, 405, { error: 'Method not allowed' });
+
+    if (url.pathname === '/search') {
+        const words = (url.searchParams.get('q') || '').toLowerCase().split(/[\s,]+/).filter(Boolean);
+        const limit = Math.min(Number(url.searchParams.get('limit')) || SEARCH_LIMIT, SEARCH_LIMIT);
+        const matches = words.length === 0 ? [] : PLACES.filter(candidate => words.every(word => candidate.display_name.toLowerCase().includes(word)));
+        return send(res, 200, matches.slice(0, limit));
+    }
+
+    if (url.pathname === '/reverse') {
+        const lat = Number(url.searchParams.get('lat'));
+        const lon = Number(url.searchParams.get('lon'));
+        if (!Number.isFinite(lat) || !Number.isFinite(lon)) return send(res, 400, { error: 'lat and lon are required' });
+        const nearest = PLACES.reduce((best, candidate) => (distanceSquared(candidate, lat, lon) < distanceSquared(best, lat, lon) ? candidate : best));
+        // Only the nearest place's address is returned, at the coordinates that were asked about.
+        return send(res, 200, { ...nearest, lat: String(lat), lon: String(lon) });
+    }
+
+    return send(res, 404, { error: 'Not found' });
+});
+
+server.listen(PORT, () => console.log(`Mock geocoder listening on http://localhost:${PORT}/`));
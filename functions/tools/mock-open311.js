@@ -0,0 +1,113 @@
+// In-memory Open311 GeoReport v2 server for trying the bridge locally.
+//
+//   npm run mock:open311            # listens on http://localhost:8311/
+//
+// Point the functions emulator at it from functions/.env.local:
+//
+//   OPEN311_ENDPOINT=http://localhost:8311/
+//
+// and put any value for OPEN311_API_KEY in functions/.secret.local. Set MOCK_OPEN311_TOKENS=1 to
+// answer submissions with a token first, like servers that create requests asynchronously.
+// Requests can be moved along with a non-standard call, e.g.
+//
+//   curl -X POST localhost:8311/requests/1.json -d status=closed -d status_notes="Patched"
+const http = require('http');
+
+const PORT = Number(process.env.PORT) || 8311;
+const ASYNC_TOKENS = process.env.MOCK_OPEN311_TOKENS === '1';
+
+const services = [
+    { service_code: 'pothole', service_name: 'Pothole', type: 'realtime', metadata: false, keywords: '', group: 'Roads' },
+    { service_code: 'other', service_name: 'Other', type: 'realtime', metadata: false, keywords: '', group: 'General' },
+];
+const requests = new Map();
+const tokens = new Map();
+let nextId = 1;
+
+const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+};
+const fail = (res, status, description) => send(res, status, [{ code: status, description }]);
+
+const readForm = (req) => new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(Object.fromEntries(new URLSearchParams(body))));
+    req.on('error', reject);
+});
+
+const createRequest = (form) => {
+    const now = new Date().toISOString();
+    const request = {
+        service_request_id: String(nextId++),
+        status: 'open',
+        status_notes: null,
+        service_code: form.service_code,
+        service_name: services.find(service => service.service_code === form.service_code)?.service_name || form.service_code,
+        description: form.description || '',
+        agency_responsible: 'Mock City Works',
+        requested_datetime: now,
+        updated_datetime: now,
+        address: form.address_string || '',
+        lat: form.lat ? Number(form.lat) : null,
+        long: form.long ? Number(form.long) : null,
+        media_url: form.media_url || null,
+    };
+    requests.set(request.service_request_id, request);
+    return request;
+};
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+    console.log(req.method, url.pathname + url.search);
+    try {
+        if (req.method === 'GET' && url.pathname === '/services.json') return send(res, 200, services);
+
+        if (req.method === 'POST' && url.pathname === '/requests.json') {
+            const form = await readForm(req);
+            if (!form.service_code) return fail(res, 400, 'service_code is required');
+            if (!(form.lat && form.long) && !form.address_string) return fail(res, 400, 'A location is required');
+            const request = createRequest(form);
+            if (ASYNC_TOKENS) {
+                const token = `token-${request.service_request_id}`;
+                tokens.set(token, request.service_request_id);
+                return send(res, 201, [{ token }]);
+            }
+            return send(res, 201, [{ service_request_id: request.service_request_id, service_notice: 'Received by the mock server' }]);
+        }
+
+        if (req.method === 'GET' && url.pathname === '/requests.json') {
+            const ids = (url.searchParams.get('service_request_id') || '').split(',').filter(Boolean);
+            return send(res, 200, ids.length ? ids.map(id => requests.get(id)).filter(Boolean) : [...requests.values()]);
+        }
+
+        const tokenMatch = url.pathname.match(/^\/tokens\/([^/]+)\.json$/);
+        if (req.method === 'GET' && tokenMatch) {
+            const token = decodeURIComponent(tokenMatch[1]);
+            if (!tokens.has(token)) return fail(res, 404, 'Unknown token');
+            return send(res, 200, [{ service_request_id: tokens.get(token), token }]);
+        }
+
+        const requestMatch = url.pathname.match(/^\/requests\/([^/]+)\.json$/);
+        const request = requestMatch && requests.get(requestMatch[1]);
+        if (requestMatch && !request) return fail(res, 404, 'Unknown service request');
+        if (req.method === 'GET' && request) return send(res, 200, [request]);
+        if (req.method === 'POST' && request) {
+            const form = await readForm(req);
+            Object.assign(request, {
+                status: form.status || request.status,
+                status_notes: form.status_notes ?? request.status_notes,
+                updated_datetime: new Date().toISOString(),
+            });
+            return send(res, 200, [request]);
+        }
+
+        return fail(res, 404, 'Not found');
+    } catch (err) {
+        console.error(err);
+        return fail(res, 500, err.message);
+    }
+});
+
+server.listen(PORT, () => console.log(`Mock Open311 server listening on http://localhost:${PORT}/`));
@@ -0,0 +1,85 @@
+const { onDocumentCreated, onDocumentUpdated } = require('firebase-functions/v2/firestore');
+const { logger } = require('firebase-functions');
+const { getFirestore, Timestamp } = require('firebase-admin/firestore');
+const { issueDocPath, issueHistoryPath, issueVerificationsPath, votesPath, verificationConfigPath } = require('./paths');
+const { notifyUsers, departmentStaffIds } = require('./notify');
+const { toVerificationConfig, startRound, getResponseUpdates } = require('./verificationRules');
+
+// Admins edit these from the staff console (`public/data/config/verification`).
+const getVerificationConfig = async (appId) => {
+    const configSnap = await getFirestore().doc(verificationConfigPath(appId)).get();
+    return toVerificationConfig(configSnap.data());
+};
+
+// Everyone who reported the issue, merged duplicates included, and its upvoters if the config allows.
+const verifierIds = async (appId, issueId, issue, allowUpvoters) => {
+    const uids = [...(issue.reporterIds || [issue.reporterId])];
+    if (allowUpvoters) {
+        const votesSnap = await getFirestore().collection(votesPath(appId)).where('issueId', '==', issueId).get();
+        uids.push(...votesSnap.docs.map(voteDoc => voteDoc.get('voterId')));
+    }
+    return [...new Set(uids.filter(Boolean))];
+};
+
+// Each resolution opens a verification round. Until `verifyBy`, the reporters can confirm the fix
+// or reopen the issue (see the `verifications` rules); the round number keys their responses.
+// Computed from the event's own snapshot, so a redelivered event writes the same values.
+exports.onIssueResolvedVerification = onDocumentUpdated('artifacts/{appId}/public/data/issues/{issueId}', async (event) => {
+    const before = event.data.before.data();
+    const after = event.data.after.data();
+    if (before.status === after.status) return;
+    if (after.status !== 'Resolved') {
+        if (after.verifyBy) await event.data.after.ref.update({ verifyBy: null });
+        return;
+    }
+
+    const { appId, issueId } = event.params;
+    const { windowDays, allowUpvoters } = await getVerificationConfig(appId);
+    const round = startRound(after, Date.parse(event.time), windowDays);
+    const verifyBy = Timestamp.fromMillis(round.verifyBy);
+    await event.data.after.ref.update({ ...round, verifyBy });
+    await notifyUsers(appId, await verifierIds(appId, issueId, after, allowUpvoters), {
+        type: 'verification',
+        issueId,
+        title: `Is it fixed? ${after.title}`,
+        body: `Confirm the fix, or reopen the issue with a photo, by ${verifyBy.toDate().toDateString()}.`,
+    });
+});
+
+// Applies a reporter's response. Like votes and flags, the issue's figures are recounted from
+// the responses rather than incremented. A reopen sends the issue back to In-Progress unless it
+// has already left Resolved or been resolved again since.
+exports.onVerificationCreated = onDocumentCreated('artifacts/{appId}/public/data/issues/{issueId}/verifications/{responseId}', async (event) => {
+    const response = event.data?.data();
+    if (!response) return;
+    const { appId, issueId, responseId } = event.params;
+    const db = getFirestore();
+    const issueRef = db.doc(issueDocPath(appId, issueId));
+
+    const reopenedIssue = await db.runTransaction(async (transaction) => {
+        const [issueSnap, responsesSnap] = await Promise.all([
+            transaction.get(issueRef),
+            transaction.get(db.collection(issueVerificationsPath(appId, issueId))),
+        ]);
+        if (!issueSnap.exists) return null;
+        const issue = issueSnap.data();
+        const { updates, reopens } = getResponseUpdates(issue, responsesSnap.docs.map(responseDoc => responseDoc.data()), response);
+        transaction.update(issueRef, updates);
+        return reopens ? issue : null;
+    });
+
+    if (response.response === 'confirm') {
+        await db.collection(issueHistoryPath(appId, issueId)).doc(`verification-${responseId}`).set({
+            type: 'confirmed', from: null, to: 'Resolved', actorId: response.uid, note: response.comment || null, rating: response.rating ?? null, createdAt: response.createdAt,
+        });
+    }
+    if (reopenedIssue) {
+        await notifyUsers(appId, await departmentStaffIds(appId, reopenedIssue), {
+            type: 'reopened',
+            issueId,
+            title: `Reopened: ${reopenedIssue.title}`,
+            body: response.comment.slice(0, 200),
+        });
+        logger.info(`Issue ${issueId} reopened by ${response.uid}`);
+    }
+});
@@ -0,0 +1,43 @@
+// Pure verification rules, kept out of verification.js so they can be tested without Firebase.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_WINDOW_DAYS = 14;
+
+// The saved settings, with the defaults for anything an admin hasn't set.
+const toVerificationConfig = (data = {}) => ({
+    windowDays: data.windowDays || DEFAULT_WINDOW_DAYS,
+    allowUpvoters: data.allowUpvoters === true,
+});
+
+// The round a resolution at `resolvedAt` (milliseconds) opens; `verifyBy` is in milliseconds too.
+const startRound = (issue, resolvedAt, windowDays) => ({
+    resolutionRound: (issue.resolutionRound || 0) + 1,
+    verifyBy: resolvedAt + windowDays * DAY_MS,
+    confirmCount: 0,
+});
+
+// The issue's figures, recounted from all of its `responses` (the new `response` included), and
+// whether `response` reopens it: only a reopen for the current round of a still-resolved issue does.
+const getResponseUpdates = (issue, responses, response) => {
+    const ratings = responses.map(item => item.rating).filter(Number.isInteger);
+    const updates = {
+        reopenCount: new Set(responses.filter(item => item.response === 'reopen').map(item => item.round)).size,
+        confirmCount: responses.filter(item => item.response === 'confirm' && item.round === issue.resolutionRound).length,
+        ratingCount: ratings.length,
+        ratingTotal: ratings.reduce((sum, rating) => sum + rating, 0),
+    };
+    const reopens = response.response === 'reopen' && issue.status === 'Resolved' && response.round === issue.resolutionRound;
+    if (reopens) {
+        Object.assign(updates, {
+            status: 'In-Progress',
+            statusUpdatedAt: response.createdAt,
+            statusUpdatedBy: response.uid,
+            statusNote: response.comment,
+            lastReopen: { by: response.uid, comment: response.comment, photoUrl: response.photoUrl, at: response.createdAt },
+            verifyBy: null,
+        });
+    }
+    return { updates, reopens };
+};
+
+module.exports = { DEFAULT_WINDOW_DAYS, toVerificationConfig, startRound, getResponseUpdates };
@@ -0,0 +1,57 @@
+const { DEFAULT_WINDOW_DAYS, toVerificationConfig, startRound, getResponseUpdates } = require('./verificationRules');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const createdAt = { seconds: 1 };
+
+describe('toVerificationConfig', () => {
+    it('falls back to the defaults for settings an admin has not made', () => {
+        expect(toVerificationConfig(undefined)).toEqual({ windowDays: DEFAULT_WINDOW_DAYS, allowUpvoters: false });
+        expect(toVerificationConfig({ windowDays: 7, allowUpvoters: true })).toEqual({ windowDays: 7, allowUpvoters: true });
+    });
+});
+
+describe('startRound', () => {
+    it('opens the next round with a fresh confirm count and a deadline from the resolution', () => {
+        const resolvedAt = Date.UTC(2026, 9, 14, 9);
+        expect(startRound({}, resolvedAt, 14)).toEqual({ resolutionRound: 1, verifyBy: resolvedAt + 14 * DAY_MS, confirmCount: 0 });
+        expect(startRound({ resolutionRound: 2, confirmCount: 5 }, resolvedAt, 3)).toEqual({ resolutionRound: 3, verifyBy: resolvedAt + 3 * DAY_MS, confirmCount: 0 });
+    });
+});
+
+describe('getResponseUpdates', () => {
+    const issue = { status: 'Resolved', resolutionRound: 2 };
+    const confirm = (uid, round, rating) => ({ uid, round, response: 'confirm', rating, createdAt });
+    const reopen = (uid, round) => ({ uid, round, response: 'reopen', comment: 'Still broken.', photoUrl: 'https://storage.test/p.jpg', createdAt });
+
+    it('recounts confirmations for the current round, reopened rounds and ratings from every response', () => {
+        const responses = [confirm('alice', 1, 2), reopen('bob', 1), reopen('carol', 1), confirm('alice', 2, 5), confirm('bob', 2)];
+        const { updates, reopens } = getResponseUpdates(issue, responses, responses[4]);
+        expect(reopens).toBe(false);
+        expect(updates).toEqual({ reopenCount: 1, confirmCount: 2, ratingCount: 2, ratingTotal: 7 });
+    });
+
+    it('sends the issue back to In-Progress on a reopen for the current round', () => {
+        const response = reopen('bob', 2);
+        const { updates, reopens } = getResponseUpdates(issue, [confirm('alice', 2, 4), response], response);
+        expect(reopens).toBe(true);
+        expect(updates).toMatchObject({
+            reopenCount: 1,
+            confirmCount: 1,
+            status: 'In-Progress',
+            statusUpdatedAt: createdAt,
+            statusUpdatedBy: 'bob',
+            statusNote: 'Still broken.',
+            lastReopen: { by: 'bob', comment: 'Still broken.', photoUrl: 'https://storage.test/p.jpg', at: createdAt },
+            verifyBy: null,
+        });
+    });
+
+    it('does not reopen an issue that was resolved again or has already left Resolved', () => {
+        const stale = reopen('bob', 1);
+        expect(getResponseUpdates(issue, [stale], stale)).toEqual({ updates: { reopenCount: 1, confirmCount: 0, ratingCount: 0, ratingTotal: 0 }, reopens: false });
+        const late = reopen('bob', 2);
+        const { updates, reopens } = getResponseUpdates({ ...issue, status: 'In-Progress' }, [late], late);
+        expect(reopens).toBe(false);
+        expect(updates).not.toHaveProperty('status');
+    });
+});
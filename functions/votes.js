@@ -0,0 +1,35 @@
+const { onDocumentWritten, onDocumentDeleted } = require('firebase-functions/v2/firestore');
+const { logger } = require('firebase-functions');
+const { getFirestore } = require('firebase-admin/firestore');
+const { issueDocPath, votesPath } = require('./paths');
+
+// Recounts the votes for an issue instead of incrementing, so retried or
+// out-of-order trigger deliveries can never leave the counter drifting.
+const syncUpvotes = async (appId, issueId) => {
+    const db = getFirestore();
+    const issueRef = db.doc(issueDocPath(appId, issueId));
+    const countSnap = await db.collection(votesPath(appId)).where('issueId', '==', issueId).count().get();
+    try {
+        await issueRef.update({ upvotes: countSnap.data().count });
+    } catch (err) {
+        // The issue was deleted; its votes are cleaned up by onIssueDeletedCleanupVotes.
+        if (err.code !== 5) throw err;
+        logger.info(`Skipped vote sync for missing issue ${issueId}`);
+    }
+};
+
+exports.onVoteWritten = onDocumentWritten('artifacts/{appId}/public/data/votes/{voteId}', async (event) => {
+    const vote = event.data.after.data() || event.data.before.data();
+    if (!vote?.issueId) return;
+    await syncUpvotes(event.params.appId, vote.issueId);
+});
+
+exports.onIssueDeletedCleanupVotes = onDocumentDeleted('artifacts/{appId}/public/data/issues/{issueId}', async (event) => {
+    const db = getFirestore();
+    const votesSnap = await db.collection(votesPath(event.params.appId)).where('issueId', '==', event.params.issueId).get();
+    const writer = db.bulkWriter();
+    const deletes = votesSnap.docs.map(voteDoc => writer.delete(voteDoc.ref));
+    await writer.close();
+    // Each delete's promise rejects if it still failed after BulkWriter's retries.
+    await Promise.all(deletes);
+});
@@ -0,0 +1,29 @@
+/* global importScripts, firebase */
+// Background push for followed issues. Imported by service-worker.js, which the page
+// registers with the Firebase config in its query string since it can't read the app's env vars.
+importScripts('https://www.gstatic.com/firebasejs/10.12.2/firebase-app-compat.js');
+importScripts('https://www.gstatic.com/firebasejs/10.12.2/firebase-messaging-compat.js');
+
+firebase.initializeApp(JSON.parse(new URL(self.location).searchParams.get('config')));
+
+firebase.messaging().onBackgroundMessage((payload) => {
+    const { title, body, issueId } = payload.data || {};
+    self.registration.showNotification(title || 'CivicSync', {
+        body,
+        tag: issueId,
+        data: { issueId },
+    });
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = `/?issue=${encodeURIComponent(event.notification.data?.issueId || '')}`;
+    event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+        const existing = windows.find(client => new URL(client.url).origin === self.location.origin);
+        if (existing) {
+            existing.navigate(url);
+            return existing.focus();
+        }
+        return self.clients.openWindow(url);
+    }));
+});
@@ -0,0 +1,64 @@
+/* global importScripts */
+// App-shell worker: lets the installed PWA start and show cached pages and images
+// without a connection. Issue data itself comes from Firestore's offline cache.
+importScripts('/firebase-messaging-sw.js');
+
+const SHELL_CACHE = 'civicsync-shell-v1';
+const IMAGE_CACHE = 'civicsync-images-v1';
+const MAX_CACHED_IMAGES = 300;
+const SHELL_URLS = ['/', '/index.html', '/manifest.json', '/icon.svg', 'https://cdn.tailwindcss.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_URLS)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    const current = [SHELL_CACHE, IMAGE_CACHE];
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys.filter(key => !current.includes(key)).map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+const trimCache = async (cacheName, maxEntries) => {
+    const cache = await caches.open(cacheName);
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+};
+
+// Serve from cache straight away and refresh the copy in the background.
+const staleWhileRevalidate = async (request, cacheName) => {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    const network = fetch(request).then((response) => {
+        if (response.ok || response.type === 'opaque') {
+            cache.put(request, response.clone());
+            if (cacheName === IMAGE_CACHE) trimCache(IMAGE_CACHE, MAX_CACHED_IMAGES);
+        }
+        return response;
+    });
+    return cached || network;
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        event.respondWith(fetch(request)
+            .then((response) => {
+                caches.open(SHELL_CACHE).then(cache => cache.put('/index.html', response.clone()));
+                return response;
+            })
+            .catch(() => caches.match('/index.html')));
+        return;
+    }
+    if ((url.origin === self.location.origin && url.pathname.startsWith('/static/')) || url.origin === 'https://cdn.tailwindcss.com') {
+        event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+        return;
+    }
+    // Report photos, thumbnails and map tiles.
+    if (request.destination === 'image') {
+        event.respondWith(staleWhileRevalidate(request, IMAGE_CACHE));
+    }
+});
@@ -0,0 +1,133 @@
+// --- Analytics & Data Export ---
+// Kept apart from app.js, which connects to Firebase when it loads, so the dashboard figures and the exports can be tested.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The average satisfaction rating, or null until someone rates the resolution.
+export const getAverageRating = (issue) => (issue.ratingCount ? issue.ratingTotal / issue.ratingCount : null);
+
+export const matchesAnalyticsFilters = (issue, filters) => !issue.mergedInto
+    && (filters.status === 'all' || issue.status === filters.status)
+    && (filters.category === 'all' || issue.category === filters.category)
+    && (filters.department === 'all' || issue.department === filters.department);
+
+const toMillis = (value) => (value?.toMillis ? value.toMillis() : null);
+
+// When an issue was resolved: the proof-of-work timestamp, or the status change for older issues.
+const getResolvedAt = (issue) => (issue.status === 'Resolved' ? toMillis(issue.resolution?.resolvedAt) || toMillis(issue.statusUpdatedAt) : null);
+
+export const getResolveDurations = (issues) => issues
+    .map(issue => getResolvedAt(issue) - toMillis(issue.createdAt))
+    .filter(duration => Number.isFinite(duration) && duration >= 0);
+
+// Issues resolved at least once, counting those reopened since. Issues resolved before
+// verification rounds existed have no `resolutionRound`.
+const wasResolved = (issue) => issue.status === 'Resolved' || issue.resolutionRound > 0;
+
+// Per-department workload, speed, and how often reporters disagreed with or rated the fix.
+export const getDepartmentPerformance = (issues, taxonomy) => Object.entries(taxonomy.departments).map(([id, label]) => {
+    const departmentIssues = issues.filter(issue => issue.department === id);
+    const resolved = departmentIssues.filter(wasResolved);
+    const ratingCount = departmentIssues.reduce((sum, issue) => sum + (issue.ratingCount || 0), 0);
+    const ratingTotal = departmentIssues.reduce((sum, issue) => sum + (issue.ratingTotal || 0), 0);
+    return {
+        id,
+        label,
+        count: departmentIssues.length,
+        resolvedCount: resolved.length,
+        medianResolve: median(getResolveDurations(departmentIssues)),
+        reopenedCount: resolved.filter(issue => issue.reopenCount > 0).length,
+        averageRating: ratingCount ? ratingTotal / ratingCount : null,
+        ratingCount,
+    };
+}).filter(row => row.count > 0);
+
+export const median = (values) => {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+export const formatDuration = (ms) => {
+    if (ms === null) return '—';
+    if (ms < DAY_MS) return `${Math.max(1, Math.round(ms / (60 * 60 * 1000)))} h`;
+    return `${(ms / DAY_MS).toFixed(1)} days`;
+};
+
+// Buckets report dates by day, week or month depending on how much time they span, filling empty buckets with zero.
+export const bucketByTime = (issues) => {
+    const times = issues.map(issue => toMillis(issue.createdAt)).filter(Boolean);
+    if (times.length === 0) return { unit: 'day', buckets: [], peak: 1 };
+    const first = times.reduce((a, b) => Math.min(a, b));
+    const last = times.reduce((a, b) => Math.max(a, b));
+    const unit = last - first <= 31 * DAY_MS ? 'day' : last - first <= 366 * DAY_MS ? 'week' : 'month';
+    const bucketStart = (time) => {
+        const date = new Date(time);
+        date.setHours(0, 0, 0, 0);
+        if (unit === 'week') date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+        if (unit === 'month') date.setDate(1);
+        return date;
+    };
+    const counts = new Map();
+    times.forEach(time => {
+        const key = bucketStart(time).getTime();
+        counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    const buckets = [];
+    for (let date = bucketStart(first); date.getTime() <= last;) {
+        buckets.push({
+            start: date,
+            label: date.toLocaleDateString(undefined, unit === 'month' ? { month: 'short', year: 'numeric' } : { month: 'short', day: 'numeric' }),
+            count: counts.get(date.getTime()) || 0,
+        });
+        date = new Date(date);
+        if (unit === 'month') date.setMonth(date.getMonth() + 1);
+        else date.setDate(date.getDate() + (unit === 'week' ? 7 : 1));
+    }
+    return { unit, buckets, peak: Math.max(1, ...buckets.map(bucket => bucket.count)) };
+};
+
+// Flat, reporter-anonymous records shared by the CSV and GeoJSON exports.
+const toExportRecord = (issue) => ({
+    id: issue.id,
+    title: issue.title || '',
+    description: issue.description || '',
+    category: issue.category || '',
+    department: issue.department || '',
+    status: issue.status || '',
+    upvotes: issue.upvotes || 0,
+    location: issue.location || '',
+    address: issue.address?.formatted || '',
+    neighbourhood: issue.address?.neighbourhood || '',
+    postcode: issue.address?.postcode || '',
+    lat: issue.coordinates?.lat ?? '',
+    lng: issue.coordinates?.lng ?? '',
+    observedAt: toMillis(issue.observedAt) ? new Date(toMillis(issue.observedAt)).toISOString() : '',
+    createdAt: toMillis(issue.createdAt) ? new Date(toMillis(issue.createdAt)).toISOString() : '',
+    resolvedAt: getResolvedAt(issue) ? new Date(getResolvedAt(issue)).toISOString() : '',
+    reopenCount: issue.reopenCount || 0,
+    averageRating: getAverageRating(issue)?.toFixed(1) ?? '',
+    ratingCount: issue.ratingCount || 0,
+});
+
+// Quotes fields that need it and defuses spreadsheet formulas (cells starting with = + - @).
+const toCsvField = (value) => {
+    let text = String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (issues) => {
+    const records = issues.map(toExportRecord);
+    const columns = Object.keys(toExportRecord({}));
+    return [columns.join(','), ...records.map(record => columns.map(column => toCsvField(record[column])).join(','))].join('\r\n');
+};
+
+// Issues without coordinates can't be placed on a map and are left out.
+export const toGeoJson = (issues) => ({
+    type: 'FeatureCollection',
+    features: issues.filter(issue => issue.coordinates).map(issue => {
+        const { lat, lng, ...properties } = toExportRecord(issue);
+        return { type: 'Feature', id: issue.id, geometry: { type: 'Point', coordinates: [lng, lat] }, properties };
+    }),
+});
@@ -0,0 +1,87 @@
+import { median, bucketByTime, toCsv, toGeoJson } from './analytics';
+
+// Stands in for a Firestore Timestamp. Dates are local, like the buckets.
+const at = (...parts) => ({ toMillis: () => new Date(...parts).getTime() });
+const reportedAt = (...dates) => dates.map(createdAt => ({ createdAt }));
+const HEADER = 'id,title,description,category,department,status,upvotes,location,address,neighbourhood,postcode,lat,lng,observedAt,createdAt,resolvedAt,reopenCount,averageRating,ratingCount';
+
+describe('median', () => {
+    it('has no median without values', () => {
+        expect(median([])).toBeNull();
+    });
+
+    it('takes the middle value, or the mean of the two middle values', () => {
+        expect(median([5, 1, 3])).toBe(3);
+        expect(median([4, 1, 3, 2])).toBe(2.5);
+    });
+});
+
+describe('bucketByTime', () => {
+    it('has no buckets without reports', () => {
+        expect(bucketByTime([])).toEqual({ unit: 'day', buckets: [], peak: 1 });
+        expect(bucketByTime([{ createdAt: null }]).buckets).toEqual([]);
+    });
+
+    it('counts by day up to 31 days, filling the days without reports', () => {
+        const { unit, buckets, peak } = bucketByTime(reportedAt(at(2026, 0, 1, 9), at(2026, 0, 1, 23, 59), at(2026, 0, 3, 0, 0), at(2026, 1, 1, 9)));
+        expect(unit).toBe('day');
+        expect(buckets).toHaveLength(32);
+        expect(buckets.slice(0, 3).map(bucket => bucket.count)).toEqual([2, 0, 1]);
+        expect(buckets[31]).toMatchObject({ start: new Date(2026, 1, 1), count: 1 });
+        expect(peak).toBe(2);
+    });
+
+    it('counts by Monday-based week once reports span more than 31 days', () => {
+        const { unit, buckets } = bucketByTime(reportedAt(at(2026, 0, 1, 9), at(2026, 0, 4, 23, 59), at(2026, 0, 5, 0, 0), at(2026, 1, 1, 9, 0, 0, 1)));
+        expect(unit).toBe('week');
+        expect(buckets[0]).toMatchObject({ start: new Date(2025, 11, 29), count: 2 });
+        expect(buckets[1]).toMatchObject({ start: new Date(2026, 0, 5), count: 1 });
+        expect(buckets[buckets.length - 1]).toMatchObject({ start: new Date(2026, 0, 26), count: 1 });
+    });
+
+    it('counts by month once reports span more than 366 days', () => {
+        expect(bucketByTime(reportedAt(at(2025, 0, 31), at(2026, 1, 1))).unit).toBe('week');
+        const { unit, buckets } = bucketByTime(reportedAt(at(2025, 0, 31), at(2026, 1, 1, 0, 0, 0, 1)));
+        expect(unit).toBe('month');
+        expect(buckets).toHaveLength(14);
+        expect(buckets[0]).toMatchObject({ start: new Date(2025, 0, 1), count: 1 });
+        expect(buckets[1]).toMatchObject({ start: new Date(2025, 1, 1), count: 0 });
+        expect(buckets[13]).toMatchObject({ start: new Date(2026, 1, 1), count: 1 });
+    });
+});
+
+describe('toCsv', () => {
+    it('writes just the header for an empty export', () => {
+        expect(toCsv([])).toBe(HEADER);
+    });
+
+    it('quotes commas, quotes and line breaks and defuses spreadsheet formulas', () => {
+        const csv = toCsv([{ id: 'a1', title: 'Pothole, "deep"', description: 'Line one\nline two', location: '=HYPERLINK("http://x")', category: '-1+1', department: '@roads' }]);
+        const [header, row] = csv.split('\r\n');
+        expect(header).toBe(HEADER);
+        expect(row).toBe('a1,"Pothole, ""deep""","Line one\nline two",\'-1+1,\'@roads,,0,"\'=HYPERLINK(""http://x"")",,,,,,,,,0,,0');
+    });
+
+    it('leaves reporters out and adds when the issue was resolved and how it was rated', () => {
+        const csv = toCsv([{
+            id: 'a1', reporterId: 'alice', status: 'Resolved', upvotes: 4, coordinates: { lat: 12.5, lng: 77.25 },
+            createdAt: { toMillis: () => Date.UTC(2026, 0, 1) }, resolution: { resolvedAt: { toMillis: () => Date.UTC(2026, 0, 3) } },
+            reopenCount: 1, ratingCount: 2, ratingTotal: 7,
+        }]);
+        expect(csv).not.toContain('alice');
+        expect(csv.split('\r\n')[1]).toBe('a1,,,,,Resolved,4,,,,,12.5,77.25,,2026-01-01T00:00:00.000Z,2026-01-03T00:00:00.000Z,1,3.5,2');
+    });
+});
+
+describe('toGeoJson', () => {
+    it('places issues with coordinates and leaves the rest out', () => {
+        const geoJson = toGeoJson([{ id: 'a1', title: 'Pothole', coordinates: { lat: 12.5, lng: 77.25 } }, { id: 'a2', title: 'No position' }]);
+        expect(geoJson.features).toHaveLength(1);
+        expect(geoJson.features[0]).toMatchObject({ id: 'a1', geometry: { type: 'Point', coordinates: [77.25, 12.5] }, properties: { title: 'Pothole' } });
+        expect(geoJson.features[0].properties).not.toHaveProperty('lat');
+    });
+
+    it('is an empty collection for an empty export', () => {
+        expect(toGeoJson([])).toEqual({ type: 'FeatureCollection', features: [] });
+    });
+});
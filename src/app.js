@@ -1,15 +1,657 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo, useCallback, useReducer, useId } from 'react';
+import { createPortal } from 'react-dom';
 import { initializeApp } from 'firebase/app';
-import { getFirestore, collection, addDoc, onSnapshot, doc, updateDoc, increment, setDoc, getDoc, deleteDoc } from 'firebase/firestore';
-import { getAuth, signInAnonymously, onAuthStateChanged, signInWithCustomToken, signOut, createUserWithEmailAndPassword, signInWithEmailAndPassword } from "firebase/auth";
+import { initializeFirestore, persistentLocalCache, persistentMultipleTabManager, connectFirestoreEmulator, collection, addDoc, onSnapshot, doc, updateDoc, setDoc, getDoc, getDocFromServer, deleteDoc, deleteField, query, where, orderBy, limit, startAfter, startAt, endAt, getDocs } from 'firebase/firestore';
+import { getAuth, connectAuthEmulator, signInAnonymously, onAuthStateChanged, signInWithCustomToken, signOut, createUserWithEmailAndPassword, signInWithEmailAndPassword,
+    sendPasswordResetEmail, sendEmailVerification, updateProfile, linkWithCredential, linkWithPopup, signInWithPopup, EmailAuthProvider, GoogleAuthProvider } from "firebase/auth";
+import { getFunctions, connectFunctionsEmulator, httpsCallable } from 'firebase/functions';
+import { getMessaging, getToken, isSupported as isMessagingSupported } from 'firebase/messaging';
+import { getStorage, connectStorageEmulator } from 'firebase/storage';
+import { geohashQueryBounds } from 'geofire-common';
+import { buildSearchTokens, getSearchWords, getSearchToken, matchesSearch } from 'civicsync-shared/search';
+import { DEFAULT_TAXONOMY, resolveTaxonomy, getCategory, getCategoryConfig } from 'civicsync-shared/taxonomy';
+import { weekKey } from 'civicsync-shared/weeks';
+import { findBlockedWords } from 'civicsync-shared/moderation';
+import { LEGACY_MEDIA_FIELDS, REPORTER_EDITABLE_FIELDS } from 'civicsync-shared/editing';
+import { toPlace } from 'civicsync-shared/address';
+import { MAX_ATTACHMENTS, NO_MEDIA_IMAGE_URL, getAttachments } from 'civicsync-shared/attachments';
+import L from 'leaflet';
+import 'leaflet.markercluster';
+import 'leaflet.heat';
+import { uploadAll, uploadIssueAttachments } from './uploads';
+import { readPhotoMetadata } from './photoMetadata';
+import { renderPhotoEdits, toImagePoint, toRect, canDetectSensitiveRegions, detectSensitiveRegions } from './photoEdits';
+import { getAverageRating, matchesAnalyticsFilters, getResolveDurations, getDepartmentPerformance, median, formatDuration, bucketByTime, toCsv, toGeoJson } from './analytics';
+import { MapContainer, TileLayer, Marker, useMap, useMapEvents } from 'react-leaflet';
+import 'leaflet/dist/leaflet.css';
+import 'leaflet.markercluster/dist/MarkerCluster.css';
+import 'leaflet.markercluster/dist/MarkerCluster.Default.css';
 
 // --- Firebase Configuration ---
 const firebaseConfig = JSON.parse(process.env.REACT_APP_FIREBASE_CONFIG);
 
 const app = initializeApp(firebaseConfig);
-const db = getFirestore(app);
+// Firestore keeps its cache in IndexedDB so the feed stays readable offline.
+const db = initializeFirestore(app, { localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }) });
 const auth = getAuth(app);
+const storage = getStorage(app);
+const functions = getFunctions(app);
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+const issuesCollectionPath = `artifacts/${appId}/public/data/issues`;
+const profilesCollectionPath = `artifacts/${appId}/public/data/profiles`;
+const votesCollectionPath = `artifacts/${appId}/public/data/votes`;
+const followsCollectionPath = `artifacts/${appId}/public/data/follows`;
+const flagsCollectionPath = `artifacts/${appId}/public/data/flags`;
+const getUserDataPath = (uid) => `artifacts/${appId}/users/${uid}`;
+
+// Point the SDKs at the local Firebase Emulator Suite (see firebase.json for the ports).
+if (process.env.REACT_APP_USE_EMULATORS === 'true') {
+    connectAuthEmulator(auth, 'http://localhost:9099');
+    connectFirestoreEmulator(db, 'localhost', 8080);
+    connectStorageEmulator(storage, 'localhost', 9199);
+    connectFunctionsEmulator(functions, 'localhost', 5001);
+}
+
+// --- REST API ---
+// Optional: with REACT_APP_API_URL set to the `api` function's URL (functions/api.js), deletes and votes
+// go through the versioned HTTP API instead of writing to Firestore directly.
+const API_BASE_URL = process.env.REACT_APP_API_URL;
+
+const callApi = async (path, { method = 'GET', body } = {}) => {
+    const response = await fetch(`${API_BASE_URL}/v1${path}`, {
+        method,
+        headers: {
+            Authorization: `Bearer ${await auth.currentUser.getIdToken()}`,
+            ...(body ? { 'Content-Type': 'application/json' } : {}),
+        },
+        body: body ? JSON.stringify(body) : undefined,
+    });
+    if (!response.ok) {
+        const { error } = await response.json().catch(() => ({}));
+        throw new Error(error?.message || `Request failed with status ${response.status}`);
+    }
+    return response.status === 204 ? null : response.json();
+};
+
+// --- Accounts ---
+// Guests sign in anonymously. Linking a guest to a password or OAuth sign-in keeps the uid, so their
+// reports, coins and badges carry over.
+const OAUTH_PROVIDERS = {
+    google: { label: 'Google', create: () => new GoogleAuthProvider() },
+};
+const DEFAULT_PROFILE_NAME = 'Guest User';
+const DISPLAY_NAME_MAX_LENGTH = 100;
+
+// Permanent accounts still on the default name need to pick one. Accounts created before the
+// display-name step stored their email address as their name.
+const needsDisplayName = (user, profileName) => !user.isAnonymous && (profileName === DEFAULT_PROFILE_NAME || profileName === user.email);
+
+// Null for errors the user caused on purpose, like closing a sign-in popup.
+const describeAuthError = (err) => {
+    switch (err.code) {
+        case 'auth/popup-closed-by-user':
+        case 'auth/cancelled-popup-request':
+            return null;
+        case 'auth/email-already-in-use':
+        case 'auth/credential-already-in-use':
+            return "That account already exists. Guest progress can't be merged into an existing account, so use a different one.";
+        case 'auth/invalid-credential':
+        case 'auth/wrong-password':
+        case 'auth/user-not-found':
+            return 'Incorrect email or password.';
+        case 'auth/weak-password':
+            return 'Choose a password with at least 6 characters.';
+        case 'auth/too-many-requests':
+            return 'Too many attempts. Please wait a moment and try again.';
+        default:
+            return err.message;
+    }
+};
+
+// --- Issue Workflow ---
+const ISSUE_STATUSES = ['Acknowledged', 'In-Progress', 'Resolved'];
+// Roles come from the `role` auth custom claim, falling back to the profile's `role` field.
+const STAFF_ROLES = ['staff', 'admin'];
+
+// --- Moderation ---
+const MODERATOR_ROLES = ['moderator', 'admin'];
+const FLAG_REASONS = [
+    { id: 'spam', label: 'Spam or advertising' },
+    { id: 'offensive', label: 'Offensive or abusive' },
+    { id: 'personal-info', label: 'Shares personal information' },
+    { id: 'other', label: 'Something else' },
+];
+// Used until an admin saves the moderation settings; functions/moderation.js has the same default.
+const DEFAULT_MODERATION_CONFIG = { flagThreshold: 3, blockedWords: [] };
+const moderationConfigPath = `artifacts/${appId}/public/data/config/moderation`;
+
+// --- Categories ---
+// The report taxonomy: departments, and categories with their department, service-level targets and
+// optional `fields` (stored on the issue as `details`). The defaults live in functions/shared/taxonomy.js;
+// admins can replace them by saving this document, which the Cloud Functions read as well.
+const taxonomyConfigPath = `artifacts/${appId}/public/data/config/taxonomy`;
+
+// --- Service Levels ---
+// `respondBy` and `resolveBy` are stamped on each issue from per-category targets by the
+// onIssueWrittenSla Cloud Function, which also escalates overdue issues on a schedule.
+// Returns which target an open issue has missed: 'response', 'resolution' or null.
+const getOverdueStage = (issue, now = Date.now()) => {
+    if (issue.status === 'Resolved' || issue.mergedInto) return null;
+    if (issue.resolveBy && issue.resolveBy.toMillis() < now) return 'resolution';
+    if (issue.status === 'Acknowledged' && issue.respondBy && issue.respondBy.toMillis() < now) return 'response';
+    return null;
+};
+
+// The city closed the issue's Open311 work order (functions/open311.js), but it stays open here
+// until staff resolve it with their own proof of work.
+const isClosedExternally = (issue) => issue.open311?.syncState === 'closed' && issue.status !== 'Resolved';
+
+// --- Resolution Verification ---
+// When an issue is resolved, the onIssueResolvedVerification Cloud Function opens a round that
+// its reporters can answer until `verifyBy`: confirm the fix, or reopen it with a photo and a
+// comment. Either way they can rate the resolution from 1 to 5.
+// Used until an admin saves the verification settings; functions/verification.js has the same default.
+const DEFAULT_VERIFICATION_CONFIG = { windowDays: 14, allowUpvoters: false };
+const verificationConfigPath = `artifacts/${appId}/public/data/config/verification`;
+const RATING_LABELS = ['Very poor', 'Poor', 'Okay', 'Good', 'Excellent'];
+
+// Mirrors `canVerify` in firestore.rules. Voting already requires a registered account.
+const canVerifyResolution = (issue, uid, hasVoted, config, now = Date.now()) => issue.status === 'Resolved'
+    && Boolean(issue.verifyBy) && issue.verifyBy.toMillis() > now
+    && ((issue.reporterIds || [issue.reporterId]).includes(uid) || (config.allowUpvoters && hasVoted));
+
+const formatTimes = (count) => (count === 1 ? 'once' : count === 2 ? 'twice' : `${count} times`);
+
+// --- Map Configuration ---
+// Point REACT_APP_MAP_TILE_URL at a local tile server to run without OpenStreetMap.
+const MAP_TILE_URL = process.env.REACT_APP_MAP_TILE_URL || 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
+const MAP_TILE_ATTRIBUTION = process.env.REACT_APP_MAP_TILE_ATTRIBUTION || '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+const MAP_DEFAULT_CENTER = (process.env.REACT_APP_MAP_DEFAULT_CENTER || '12.9716,77.5946').split(',').map(Number);
+const MAP_DEFAULT_ZOOM = 13;
+const STATUS_COLORS = { 'Acknowledged': '#3b82f6', 'In-Progress': '#eab308', 'Resolved': '#22c55e' };
+
+// Plain CSS pins avoid Leaflet's default marker images, which don't survive bundling.
+const createPinIcon = (color) => L.divIcon({
+    className: '',
+    html: `<span style="display:block;width:18px;height:18px;border-radius:9999px;background:${color};border:3px solid white;box-shadow:0 1px 4px rgba(0,0,0,0.4)"></span>`,
+    iconSize: [18, 18],
+    iconAnchor: [9, 9],
+});
+
+const formatCoordinates = ({ lat, lng }) => `Lat: ${lat.toFixed(5)}, Lng: ${lng.toFixed(5)}`;
+
+// The value an <input type="datetime-local"> expects, in the browser's time zone.
+const toDateTimeLocalValue = (date) => new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+
+// Older GPS reports stored raw coordinates as their location; show the geocoded address instead.
+const getDisplayLocation = (issue) => (issue.address && (!issue.location || issue.location.startsWith('Lat: ')) ? issue.address.formatted : issue.location);
+
+// --- Geocoding ---
+// A geocoder exposes `search(text)` (best match first) and `reverse({ lat, lng })`, both resolving
+// to `{ address, coordinates }` results; functions/geocoder.js has the same providers. The
+// Nominatim provider talks to any Nominatim server: the public one, a self-hosted one, or the
+// local stand-in (`npm run mock:geocoder` in functions/). There is no default server: the public
+// one's usage policy doesn't allow autocomplete, so without REACT_APP_GEOCODER_URL the app doesn't
+// geocode at all and reports get their address from the onIssueWrittenGeocode Cloud Function.
+const GEOCODER = process.env.REACT_APP_GEOCODER || 'nominatim';
+const GEOCODER_URL = process.env.REACT_APP_GEOCODER_URL || null;
+const GEOCODER_SEARCH_LIMIT = 5;
+const GEOCODER_MIN_QUERY_LENGTH = 3;
+const GEOCODER_DEBOUNCE_MS = 500;
+
+const createNominatimGeocoder = ({ url }) => {
+    const baseUrl = url.endsWith('/') ? url : `${url}/`;
+    const get = async (path, params, signal) => {
+        const requestUrl = new URL(path, baseUrl);
+        Object.entries({ format: 'jsonv2', addressdetails: 1, ...params }).forEach(([key, value]) => requestUrl.searchParams.set(key, value));
+        const response = await fetch(requestUrl, { signal, headers: { 'Accept-Language': navigator.language } });
+        if (!response.ok) throw new Error(`Geocoding request failed: HTTP ${response.status}`);
+        return response.json();
+    };
+    return {
+        search: async (text, { signal } = {}) => (await get('search', { q: text, limit: GEOCODER_SEARCH_LIMIT }, signal)).map(toPlace),
+        reverse: async ({ lat, lng }, { signal } = {}) => {
+            const place = await get('reverse', { lat, lon: lng }, signal);
+            // Nominatim answers 200 with { error } when nothing is there (e.g. open sea).
+            return place && !place.error ? toPlace(place) : null;
+        },
+    };
+};
+
+const GEOCODER_PROVIDERS = { nominatim: createNominatimGeocoder };
+if (!GEOCODER_PROVIDERS[GEOCODER]) throw new Error(`Unknown REACT_APP_GEOCODER "${GEOCODER}". Use one of: ${Object.keys(GEOCODER_PROVIDERS).join(', ')}.`);
+const geocoder = GEOCODER_URL ? GEOCODER_PROVIDERS[GEOCODER]({ url: GEOCODER_URL }) : null;
+
+// --- Duplicate Detection ---
+// Open issues within this radius of a new report are checked for similar wording.
+const DUPLICATE_RADIUS_METERS = Number(process.env.REACT_APP_DUPLICATE_RADIUS_METERS) || 150;
+const DUPLICATE_SIMILARITY_THRESHOLD = 0.25;
+const STOP_WORDS = new Set(['the', 'a', 'an', 'and', 'or', 'of', 'on', 'in', 'at', 'to', 'is', 'it', 'near', 'for', 'with', 'there', 'this', 'that', 'from', 'by', 'be', 'are', 'has', 'have']);
+
+// Great-circle distance in meters between two `{ lat, lng }` points.
+const distanceInMeters = (a, b) => {
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const dLat = toRadians(b.lat - a.lat);
+    const dLng = toRadians(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * 6371000 * Math.asin(Math.sqrt(h));
+};
+
+const tokenize = (text) => new Set((text || '').toLowerCase().split(/[^a-z0-9]+/).filter(word => word.length > 2 && !STOP_WORDS.has(word)));
+
+// Jaccard similarity of the significant words in two strings, from 0 to 1.
+const textSimilarity = (a, b) => {
+    const wordsA = tokenize(a);
+    const wordsB = tokenize(b);
+    if (wordsA.size === 0 || wordsB.size === 0) return 0;
+    const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+    return shared / (wordsA.size + wordsB.size - shared);
+};
+
+const isOpenIssue = (issue) => issue.status !== 'Resolved' && !issue.mergedInto;
+const OPEN_STATUSES = ISSUE_STATUSES.filter(status => status !== 'Resolved');
+
+// Returns open issues near `coordinates` whose title or description resembles the draft, closest first.
+const findDuplicateCandidates = (issues, { title, description, coordinates }, excludeId = null) => {
+    if (!coordinates) return [];
+    return issues
+        .filter(issue => issue.id !== excludeId && isOpenIssue(issue) && issue.coordinates)
+        .map(issue => ({
+            issue,
+            distance: distanceInMeters(coordinates, issue.coordinates),
+            similarity: Math.max(textSimilarity(title, issue.title), textSimilarity(`${title} ${description}`, `${issue.title} ${issue.description}`)),
+        }))
+        .filter(candidate => candidate.distance <= DUPLICATE_RADIUS_METERS && candidate.similarity >= DUPLICATE_SIMILARITY_THRESHOLD)
+        .sort((a, b) => a.distance - b.distance);
+};
+
+// --- Feed Queries ---
+// The feed is read with indexed Firestore queries (see firestore.indexes.json) one page at a time.
+// `searchTokens` and `geohash` are maintained on each issue by the onIssueWrittenIndex Cloud Function.
+// Security rules only let reporters and moderators read hidden issues, so every other query must
+// say it excludes them.
+const notHidden = () => where('hidden', '==', false);
+const FEED_PAGE_SIZE = 20;
+const FEED_SORTS = { upvotes: 'Most upvoted', newest: 'Newest', nearest: 'Nearest' };
+const FEED_DISTANCES_KM = [1, 2, 5, 10];
+const NEAREST_DEFAULT_RADIUS_KM = 5;
+const DEFAULT_FEED_FILTERS = { status: 'all', category: 'all', mine: false, from: '', to: '', search: '', sort: 'upvotes', center: null, radiusKm: null };
+
+const getDateRange = ({ from, to }) => {
+    const end = to ? new Date(`${to}T00:00:00`) : null;
+    if (end) end.setDate(end.getDate() + 1);
+    return { start: from ? new Date(`${from}T00:00:00`) : null, end };
+};
+
+const isNearbyQuery = (filters) => Boolean(filters.center && (filters.radiusKm || filters.sort === 'nearest'));
+
+// Equality filters shared by paged and nearby queries.
+const buildFilterConstraints = (filters, uid) => {
+    const constraints = [];
+    if (filters.status !== 'all') constraints.push(where('status', '==', filters.status));
+    if (filters.category !== 'all') constraints.push(where('category', '==', filters.category));
+    // Reporters still see their own hidden issues, with a notice.
+    constraints.push(filters.mine ? where('reporterId', '==', uid) : notHidden());
+    const searchToken = getSearchToken(getSearchWords(filters.search));
+    if (searchToken) constraints.push(where('searchTokens', 'array-contains', searchToken));
+    return constraints;
+};
+
+const buildPagedConstraints = (filters, uid) => {
+    const constraints = buildFilterConstraints(filters, uid);
+    const { start, end } = getDateRange(filters);
+    if (start) constraints.push(where('createdAt', '>=', start));
+    if (end) constraints.push(where('createdAt', '<', end));
+    if (filters.sort === 'upvotes') constraints.push(orderBy('upvotes', 'desc'));
+    constraints.push(orderBy('createdAt', 'desc'));
+    return constraints;
+};
+
+// Applies the parts of the filters a query can't express: the extra search words, dates on nearby queries, and merged issues.
+const matchesFeedFilters = (issue, filters) => {
+    if (issue.mergedInto) return false;
+    // Tokens are rebuilt from the text so issues still waiting for their index (or written offline) match too.
+    if (!matchesSearch(buildSearchTokens(issue.title || '', issue.description || ''), getSearchWords(filters.search))) return false;
+    const { start, end } = getDateRange(filters);
+    const createdAt = issue.createdAt?.toMillis ? issue.createdAt.toMillis() : 0;
+    if (start && createdAt < start.getTime()) return false;
+    if (end && createdAt >= end.getTime()) return false;
+    return true;
+};
+
+// Fetches issues within `radiusMeters` of `center` using geohash range queries, closest first.
+const fetchNearbyIssues = async (center, radiusMeters, constraints = []) => {
+    const bounds = geohashQueryBounds([center.lat, center.lng], radiusMeters);
+    const snapshots = await Promise.all(bounds.map(([start, end]) => getDocs(
+        query(collection(db, issuesCollectionPath), ...constraints, orderBy('geohash'), startAt(start), endAt(end))
+    )));
+    const nearby = new Map();
+    snapshots.forEach(snapshot => snapshot.docs.forEach(doc => {
+        const issue = { id: doc.id, ...doc.data() };
+        if (!issue.coordinates) return;
+        const distance = distanceInMeters(center, issue.coordinates);
+        if (distance <= radiusMeters) nearby.set(issue.id, { ...issue, distance });
+    }));
+    return [...nearby.values()].sort((a, b) => a.distance - b.distance);
+};
+
+// --- Analytics ---
+// The dashboard aggregates a filtered snapshot of the issues collection in the browser.
+const ANALYTICS_MAX_ISSUES = 5000;
+const DEFAULT_ANALYTICS_FILTERS = { from: '', to: '', status: 'all', category: 'all', department: 'all' };
+
+// Only the date range is queried; the remaining filters are applied in memory so any combination works without composite indexes.
+const buildAnalyticsConstraints = (filters) => {
+    const constraints = [notHidden()];
+    const { start, end } = getDateRange(filters);
+    if (start) constraints.push(where('createdAt', '>=', start));
+    if (end) constraints.push(where('createdAt', '<', end));
+    constraints.push(orderBy('createdAt', 'desc'), limit(ANALYTICS_MAX_ISSUES));
+    return constraints;
+};
+
+// --- Data Export ---
+const downloadFile = (filename, content, type) => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+// --- Data Hooks ---
+// Live, cursor-paginated issue query: every loaded page keeps its own snapshot listener,
+// starting after the last document of the page before it.
+const usePagedIssues = (constraints, queryKey, enabled) => {
+    const [pages, setPages] = useState([]);
+    const [error, setError] = useState(null);
+    const pagesRef = useRef([]);
+    const unsubscribesRef = useRef([]);
+    const constraintsRef = useRef(constraints);
+    constraintsRef.current = constraints;
+
+    const subscribePage = useCallback((index, cursor) => {
+        const pageQuery = query(collection(db, issuesCollectionPath), ...constraintsRef.current, ...(cursor ? [startAfter(cursor)] : []), limit(FEED_PAGE_SIZE));
+        unsubscribesRef.current[index] = onSnapshot(pageQuery, (snapshot) => {
+            pagesRef.current[index] = snapshot.docs;
+            setPages([...pagesRef.current]);
+        }, (err) => {
+            console.error("Error fetching issues:", err);
+            setError("Failed to load civic issues.");
+        });
+    }, []);
+
+    useEffect(() => {
+        if (!enabled) return;
+        pagesRef.current = [];
+        setPages([]);
+        setError(null);
+        subscribePage(0, null);
+        return () => {
+            unsubscribesRef.current.forEach(unsubscribe => unsubscribe && unsubscribe());
+            unsubscribesRef.current = [];
+        };
+    }, [queryKey, enabled, subscribePage]);
+
+    const loadMore = useCallback(() => {
+        const index = pagesRef.current.length;
+        const lastPage = pagesRef.current[index - 1];
+        if (!lastPage || lastPage.length < FEED_PAGE_SIZE || unsubscribesRef.current[index]) return;
+        subscribePage(index, lastPage[lastPage.length - 1]);
+    }, [subscribePage]);
+
+    const issues = useMemo(() => {
+        const byId = new Map();
+        pages.forEach(page => page && page.forEach(doc => byId.has(doc.id) || byId.set(doc.id, { id: doc.id, ...doc.data() })));
+        return [...byId.values()];
+    }, [pages]);
+
+    const lastPage = pages[pages.length - 1];
+    return { issues, hasMore: Boolean(lastPage && lastPage.length === FEED_PAGE_SIZE), loadMore, isLoading: enabled && pages.length === 0 && !error, error };
+};
+
+// Geohash queries can't be combined with a cursor, so the whole radius is fetched and then revealed a page at a time.
+const useNearbyIssues = (center, radiusMeters, constraints, queryKey, enabled) => {
+    const [results, setResults] = useState([]);
+    const [visibleCount, setVisibleCount] = useState(FEED_PAGE_SIZE);
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const constraintsRef = useRef(constraints);
+    constraintsRef.current = constraints;
+
+    useEffect(() => {
+        if (!enabled) return;
+        let cancelled = false;
+        setIsLoading(true);
+        setError(null);
+        setVisibleCount(FEED_PAGE_SIZE);
+        fetchNearbyIssues(center, radiusMeters, constraintsRef.current)
+            .then(nearby => !cancelled && setResults(nearby))
+            .catch(err => {
+                console.error("Error fetching nearby issues:", err);
+                if (!cancelled) setError("Failed to load nearby issues.");
+            })
+            .finally(() => !cancelled && setIsLoading(false));
+        return () => { cancelled = true; };
+    }, [center, radiusMeters, queryKey, enabled]);
+
+    const loadMore = useCallback(() => setVisibleCount(count => count + FEED_PAGE_SIZE), []);
+    return { issues: results.slice(0, visibleCount), hasMore: visibleCount < results.length, loadMore, isLoading, error };
+};
+
+// Picks the paged or the nearby strategy for the current feed filters.
+const useIssueFeed = (filters, uid, enabled) => {
+    const nearby = isNearbyQuery(filters);
+    const pagedConstraints = useMemo(() => buildPagedConstraints(filters, uid), [filters, uid]);
+    const nearbyConstraints = useMemo(() => buildFilterConstraints(filters, uid), [filters, uid]);
+    const queryKey = JSON.stringify({ ...filters, search: getSearchToken(getSearchWords(filters.search)), uid });
+    const radiusMeters = (filters.radiusKm || NEAREST_DEFAULT_RADIUS_KM) * 1000;
+
+    const paged = usePagedIssues(pagedConstraints, queryKey, enabled && !nearby);
+    const near = useNearbyIssues(filters.center, radiusMeters, nearbyConstraints, queryKey, enabled && nearby);
+    const result = nearby ? near : paged;
+    const issues = useMemo(() => result.issues.filter(issue => matchesFeedFilters(issue, filters)), [result.issues, filters]);
+    return { ...result, issues };
+};
+
+// --- Media Helpers ---
+// Media is uploaded to Cloud Storage; issue documents only keep download URLs, storage paths and a thumbnail.
+const MAX_UPLOAD_BYTES = 50 * 1024 * 1024;
+const PHOTO_MAX_DIMENSION = 1600;
+const THUMBNAIL_MAX_DIMENSION = 480;
+
+// Canvas transforms for EXIF orientations 2-8, given the scaled, unrotated width and height.
+// Orientations 5-8 are turned 90 degrees, so the canvas swaps its sides.
+const ORIENTATION_TRANSFORMS = {
+    2: (w, h) => [-1, 0, 0, 1, w, 0],
+    3: (w, h) => [-1, 0, 0, -1, w, h],
+    4: (w, h) => [1, 0, 0, -1, 0, h],
+    5: (w, h) => [0, 1, 1, 0, 0, 0],
+    6: (w, h) => [0, 1, -1, 0, h, 0],
+    7: (w, h) => [0, -1, -1, 0, h, w],
+    8: (w, h) => [0, -1, 1, 0, 0, w],
+};
+
+const drawToJpegBlob = (source, width, height, maxDimension, quality, orientation = 1) => new Promise((resolve, reject) => {
+    const scale = Math.min(1, maxDimension / Math.max(width, height));
+    const scaledWidth = Math.round(width * scale);
+    const scaledHeight = Math.round(height * scale);
+    const canvas = document.createElement('canvas');
+    canvas.width = orientation >= 5 ? scaledHeight : scaledWidth;
+    canvas.height = orientation >= 5 ? scaledWidth : scaledHeight;
+    const context = canvas.getContext('2d');
+    if (ORIENTATION_TRANSFORMS[orientation]) context.transform(...ORIENTATION_TRANSFORMS[orientation](scaledWidth, scaledHeight));
+    context.drawImage(source, 0, 0, scaledWidth, scaledHeight);
+    canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode image.')), 'image/jpeg', quality);
+});
+
+// Downscales an image and re-encodes it as JPEG before upload. Re-encoding drops any metadata.
+const compressImage = (blob, maxDimension = PHOTO_MAX_DIMENSION, quality = 0.8, orientation = 1) => new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(blob);
+    const image = new Image();
+    image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('Could not decode image.'));
+    };
+    image.onload = () => {
+        URL.revokeObjectURL(url);
+        drawToJpegBlob(image, image.naturalWidth, image.naturalHeight, maxDimension, quality, orientation).then(resolve, reject);
+    };
+    image.src = url;
+});
+
+// Grabs a frame near the start of a video to use as its feed thumbnail.
+const captureVideoThumbnail = (blob, maxDimension = THUMBNAIL_MAX_DIMENSION) => new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(blob);
+    const video = document.createElement('video');
+    const finish = (result, err) => {
+        URL.revokeObjectURL(url);
+        err ? reject(err) : resolve(result);
+    };
+    const drawFrame = () => drawToJpegBlob(video, video.videoWidth, video.videoHeight, maxDimension, 0.7).then(finish, (err) => finish(null, err));
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = 'auto';
+    video.onerror = () => finish(null, new Error('Could not decode video.'));
+    video.onloadeddata = () => {
+        // Recorded WebM files often report an Infinity duration, so only seek when it is known.
+        if (Number.isFinite(video.duration) && video.duration > 0) {
+            video.onseeked = drawFrame;
+            video.currentTime = Math.min(1, video.duration / 2);
+        } else {
+            drawFrame();
+        }
+    };
+    video.src = url;
+});
+
+// Compresses a captured or selected file and generates its thumbnail, ready for `uploadIssueAttachments`.
+// Photos come back upright and without metadata; where the photo was taken, and when, are
+// returned separately as `metadata` for the report form to offer.
+const prepareMedia = async (type, blob) => {
+    if (type === 'photo') {
+        const { blob: stripped, orientation, coordinates, takenAt } = await readPhotoMetadata(blob);
+        const compressed = await compressImage(stripped, PHOTO_MAX_DIMENSION, 0.8, orientation);
+        const thumbnail = await compressImage(compressed, THUMBNAIL_MAX_DIMENSION, 0.7);
+        return { type, blob: compressed, thumbnail, metadata: { coordinates, takenAt } };
+    }
+    if (blob.size > MAX_UPLOAD_BYTES) {
+        throw new Error(`Files must be smaller than ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB.`);
+    }
+    const thumbnail = type === 'video' ? await captureVideoThumbnail(blob).catch(() => null) : null;
+    return { type, blob, thumbnail };
+};
+
+// --- Photo Redaction ---
+// Faces, number plates and anything else a reporter paints over are pixelated or blurred before
+// the photo leaves the device (see src/photoEdits.js); only the flattened result replaces the attachment.
+const REDACTION_BRUSH_SIZES = [{ label: 'S', size: 16 }, { label: 'M', size: 32 }, { label: 'L', size: 64 }];
+
+const getIssueMediaPath = (issueId, uid) => `media/${appId}/issues/${issueId}/${uid}`;
+
+// Must match `isValidAttachment` in firestore.rules.
+const MAX_CAPTION_LENGTH = 200;
+
+const formatAttachmentCount = (count) => `${count} ${count === 1 ? 'attachment' : 'attachments'}`;
+
+// --- Editing ---
+// What a reporter may change while their issue is still Acknowledged is in functions/shared/editing.js.
+const REVISION_FIELD_LABELS = { title: 'Title', description: 'Description', location: 'Location', address: 'Address', coordinates: 'Map pin', observedAt: 'Seen at', category: 'Category', details: 'Details', media: 'Attachments', photoUrl: 'Photo', videoUrl: 'Video', audioUrl: 'Voice note' };
+
+const canEditIssue = (issue) => issue.status === 'Acknowledged' && !issue.mergedInto;
+
+// --- Offline Storage ---
+// Report drafts and the outbox of unsent reports live in IndexedDB, so they survive closed tabs and lost signal.
+const OFFLINE_DB_NAME = 'civicsync-offline';
+const DRAFTS_STORE = 'drafts';
+const OUTBOX_STORE = 'outbox';
+
+let offlineDbPromise = null;
+const openOfflineDb = () => {
+    if (!offlineDbPromise) {
+        offlineDbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(OFFLINE_DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(DRAFTS_STORE);
+                request.result.createObjectStore(OUTBOX_STORE, { keyPath: 'id' }).createIndex('uid', 'uid');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return offlineDbPromise;
+};
+
+const runOfflineRequest = async (storeName, mode, operation) => {
+    const offlineDb = await openOfflineDb();
+    return new Promise((resolve, reject) => {
+        const request = operation(offlineDb.transaction(storeName, mode).objectStore(storeName));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+};
+
+// Drafts are keyed by user id; media is stored as blobs and gets a fresh preview URL when restored.
+const loadDraft = (uid) => runOfflineRequest(DRAFTS_STORE, 'readonly', store => store.get(uid));
+const saveDraft = (uid, draft) => runOfflineRequest(DRAFTS_STORE, 'readwrite', store => store.put(draft, uid));
+const clearDraft = (uid) => runOfflineRequest(DRAFTS_STORE, 'readwrite', store => store.delete(uid));
+
+const getOutboxEntries = (uid) => runOfflineRequest(OUTBOX_STORE, 'readonly', store => store.index('uid').getAll(uid));
+const putOutboxEntry = (entry) => runOfflineRequest(OUTBOX_STORE, 'readwrite', store => store.put(entry));
+const removeOutboxEntry = (id) => runOfflineRequest(OUTBOX_STORE, 'readwrite', store => store.delete(id));
+
+const storableAttachments = (attachments) => attachments.map(({ id, type, blob, thumbnail, caption }) => ({ id, type, blob, thumbnail, caption }));
+
+// Outbox entries and drafts saved before reports could carry several attachments hold a single `media`.
+const getQueuedAttachments = (entry) => entry.attachments || (entry.media ? [{ ...entry.media, id: entry.media.type, caption: '' }] : []);
+
+// Errors that mean "try again later" rather than "this report was rejected".
+const isOfflineError = (err) => !navigator.onLine || ['unavailable', 'deadline-exceeded', 'storage/retry-limit-exceeded'].includes(err?.code);
+
+// Publishes a report under the document id it reserved when it was created, so retries can never
+// create a second issue. Resolves to false if an earlier attempt already got through.
+const publishIssue = async (entry, onProgress) => {
+    const { id, uid, issue, createdAt } = entry;
+    const issueRef = doc(db, issuesCollectionPath, id);
+    if ((await getDocFromServer(issueRef)).exists()) return false;
+    const issueData = { ...issue };
+    const attachments = getQueuedAttachments(entry);
+    if (attachments.length > 0) issueData.media = await uploadIssueAttachments(storage, getIssueMediaPath(id, uid), attachments, onProgress);
+    await setDoc(issueRef, { ...issueData, status: 'Acknowledged', upvotes: 0, hidden: false, createdAt, reporterId: uid, reporterIds: [uid] });
+    return true;
+};
+
+// One worker serves the offline app shell and background push (see public/service-worker.js).
+const registerServiceWorker = () =>
+    navigator.serviceWorker.register(`/service-worker.js?config=${encodeURIComponent(JSON.stringify(firebaseConfig))}`);
+
+// --- Achievements & Leaderboards ---
+// Badges, points and stats are computed by the `onIssueWrittenAchievements` Cloud Function (functions/achievements.js).
+const LEADERBOARD_SIZE = 10;
+const ACHIEVEMENT_METRIC_LABELS = { reportedIssues: 'reports', upvotesReceived: 'upvotes', resolvedIssues: 'resolved', longestStreak: 'week streak' };
+
+// Display names are read from profiles (not copied onto comments) so renames show up everywhere.
+const profileNameCache = new Map();
+
+const useProfileNames = (uids) => {
+    const key = [...new Set(uids)].sort().join(',');
+    const [names, setNames] = useState({});
+    useEffect(() => {
+        let cancelled = false;
+        const ids = key ? key.split(',') : [];
+        Promise.all(ids.map(async (uid) => {
+            if (!profileNameCache.has(uid)) {
+                profileNameCache.set(uid, getDoc(doc(db, `artifacts/${appId}/public/data/profiles/${uid}`))
+                    .then(snap => (snap.exists() ? snap.data().name : null))
+                    .catch(() => null));
+            }
+            return [uid, await profileNameCache.get(uid)];
+        })).then(entries => !cancelled && setNames(Object.fromEntries(entries)));
+        return () => { cancelled = true; };
+    }, [key]);
+    return names;
+};
 
 // --- New Catchy Logo Component ---
 const CivicSyncLogo = ({ className }) => (
@@ -36,17 +678,48 @@ const CivicSyncLogo = ({ className }) => (
 export default function App() {
     const [user, setUser] = useState(null);
     const [isLoading, setIsLoading] = useState(true);
-    const [issues, setIssues] = useState([]);
+    const [feedFilters, setFeedFilters] = useState(DEFAULT_FEED_FILTERS);
+    const [hiddenIssueIds, setHiddenIssueIds] = useState(new Set());
     const [isSubmitting, setIsSubmitting] = useState(false);
     const [error, setError] = useState(null);
     const [showForm, setShowForm] = useState(false);
+    const [editingIssue, setEditingIssue] = useState(null);
     const [userProfile, setUserProfile] = useState({ points: 0, badges: [], reportedIssues: 0 });
-    const [authView, setAuthView] = useState('login'); // login, signup, guest
+    const [authView, setAuthView] = useState('login'); // login, signup, reset
+    const [showUpgrade, setShowUpgrade] = useState(false);
+    const [flaggedIssueIds, setFlaggedIssueIds] = useState(new Set());
+    const [moderationConfig, setModerationConfig] = useState(DEFAULT_MODERATION_CONFIG);
+    const [verificationConfig, setVerificationConfig] = useState(DEFAULT_VERIFICATION_CONFIG);
+    const [taxonomy, setTaxonomy] = useState(DEFAULT_TAXONOMY);
+    // Linking and email verification change the signed-in user in place, without an auth state event.
+    const [, refreshUser] = useReducer(count => count + 1, 0);
     const [viewingMedia, setViewingMedia] = useState(null);
+    const [claimsRole, setClaimsRole] = useState(null);
+    const [claimsDepartment, setClaimsDepartment] = useState(null);
+    const [view, setView] = useState('feed'); // feed, staff, analytics
+    const [staffMembers, setStaffMembers] = useState([]);
+    const [votedIssueIds, setVotedIssueIds] = useState(new Set());
+    const [followedIssueIds, setFollowedIssueIds] = useState(new Set());
+    const [notifications, setNotifications] = useState([]);
+    const [pushState, setPushState] = useState(typeof Notification !== 'undefined' && Notification.permission === 'granted' ? 'enabled' : 'off'); // off, pending, enabled, unsupported
+    const [focusedIssue, setFocusedIssue] = useState(null);
+    const [uploadProgress, setUploadProgress] = useState(null);
+    const [isOnline, setIsOnline] = useState(navigator.onLine);
+    const [outbox, setOutbox] = useState([]);
+    const [isSyncingOutbox, setIsSyncingOutbox] = useState(false);
+    const isSyncingOutboxRef = useRef(false);
 
-    const issuesCollectionPath = `artifacts/${appId}/public/data/issues`;
     const getProfileDocPath = (uid) => `artifacts/${appId}/public/data/profiles/${uid}`;
 
+    const isStaff = STAFF_ROLES.includes(claimsRole || userProfile.role);
+    const isModerator = MODERATOR_ROLES.includes(claimsRole || userProfile.role);
+    const isAdmin = (claimsRole || userProfile.role) === 'admin';
+    // Like `role`, the department comes from a custom claim or the profile.
+    const staffDepartment = claimsDepartment || userProfile.department || null;
+
+    const feed = useIssueFeed(feedFilters, user?.uid, Boolean(user));
+    const issues = useMemo(() => feed.issues.filter(issue => !hiddenIssueIds.has(issue.id)), [feed.issues, hiddenIssueIds]);
+
     // --- Authentication Effect ---
     useEffect(() => {
         const unsubscribeAuth = onAuthStateChanged(auth, (currentUser) => {
@@ -59,37 +732,119 @@ export default function App() {
     // --- Profile & Data Fetching Effect ---
     useEffect(() => {
         if (user) {
-            const fetchUserProfile = async () => {
-                const profileRef = doc(db, getProfileDocPath(user.uid));
-                const docSnap = await getDoc(profileRef);
+            // Points, badges and stats are recomputed server-side, so the profile is watched live.
+            const profileRef = doc(db, getProfileDocPath(user.uid));
+            const unsubscribeProfile = onSnapshot(profileRef, (docSnap) => {
                 if (docSnap.exists()) {
                     setUserProfile(docSnap.data());
-                } else {
-                    const initialProfile = { points: 0, badges: [], reportedIssues: 0, name: user.email || 'Guest User' };
-                    await setDoc(profileRef, initialProfile);
-                    setUserProfile(initialProfile);
+                } else if (!docSnap.metadata.fromCache) {
+                    setDoc(profileRef, { name: user.displayName || DEFAULT_PROFILE_NAME })
+                        .catch(err => console.error("Error creating profile:", err));
                 }
-            };
-            fetchUserProfile();
-
-            const issuesCollectionRef = collection(db, issuesCollectionPath);
-            const unsubscribeIssues = onSnapshot(issuesCollectionRef, (snapshot) => {
-                const issuesData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-                issuesData.sort((a, b) => {
-                    const upvoteDiff = (b.upvotes || 0) - (a.upvotes || 0);
-                    if (upvoteDiff !== 0) return upvoteDiff;
-                    return (b.createdAt?.toMillis() || 0) - (a.createdAt?.toMillis() || 0);
-                });
-                setIssues(issuesData);
             }, (err) => {
-                console.error("Error fetching issues:", err);
-                setError("Failed to load civic issues.");
+                console.error("Error fetching profile:", err);
+            });
+
+            user.getIdTokenResult()
+                .then((tokenResult) => {
+                    setClaimsRole(tokenResult.claims.role || null);
+                    setClaimsDepartment(tokenResult.claims.department || null);
+                })
+                .catch((err) => console.error("Error reading auth claims:", err));
+
+            const votesQuery = query(collection(db, votesCollectionPath), where('voterId', '==', user.uid));
+            const unsubscribeVotes = onSnapshot(votesQuery, (snapshot) => {
+                setVotedIssueIds(new Set(snapshot.docs.map(doc => doc.data().issueId)));
+            }, (err) => {
+                console.error("Error fetching votes:", err);
+            });
+
+            const followsQuery = query(collection(db, followsCollectionPath), where('followerId', '==', user.uid));
+            const unsubscribeFollows = onSnapshot(followsQuery, (snapshot) => {
+                setFollowedIssueIds(new Set(snapshot.docs.map(doc => doc.data().issueId)));
+            }, (err) => {
+                console.error("Error fetching follows:", err);
+            });
+
+            const flagsQuery = query(collection(db, flagsCollectionPath), where('flaggerId', '==', user.uid));
+            const unsubscribeFlags = onSnapshot(flagsQuery, (snapshot) => {
+                setFlaggedIssueIds(new Set(snapshot.docs.map(doc => doc.data().issueId)));
+            }, (err) => {
+                console.error("Error fetching flags:", err);
+            });
+
+            const unsubscribeModerationConfig = onSnapshot(doc(db, moderationConfigPath), (docSnap) => {
+                setModerationConfig({ ...DEFAULT_MODERATION_CONFIG, ...docSnap.data() });
+            }, (err) => {
+                console.error("Error fetching moderation settings:", err);
+            });
+
+            const unsubscribeVerificationConfig = onSnapshot(doc(db, verificationConfigPath), (docSnap) => {
+                setVerificationConfig({ ...DEFAULT_VERIFICATION_CONFIG, ...docSnap.data() });
+            }, (err) => {
+                console.error("Error fetching verification settings:", err);
+            });
+
+            const unsubscribeTaxonomy = onSnapshot(doc(db, taxonomyConfigPath), (docSnap) => {
+                setTaxonomy(resolveTaxonomy(docSnap.data()));
+            }, (err) => {
+                console.error("Error fetching categories:", err);
+            });
+
+            const notificationsQuery = query(collection(db, `${getUserDataPath(user.uid)}/notifications`), orderBy('createdAt', 'desc'), limit(50));
+            const unsubscribeNotifications = onSnapshot(notificationsQuery, (snapshot) => {
+                setNotifications(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+            }, (err) => {
+                console.error("Error fetching notifications:", err);
             });
-            
-            return () => unsubscribeIssues();
+
+            return () => {
+                unsubscribeProfile();
+                unsubscribeVotes();
+                unsubscribeFollows();
+                unsubscribeFlags();
+                unsubscribeModerationConfig();
+                unsubscribeVerificationConfig();
+                unsubscribeTaxonomy();
+                unsubscribeNotifications();
+            };
+        }
+    }, [user]);
+
+    // --- Offline Effects ---
+    useEffect(() => {
+        if (process.env.NODE_ENV === 'production' && 'serviceWorker' in navigator) {
+            registerServiceWorker().catch(err => console.error("Error registering service worker:", err));
         }
+        const handleConnectivity = () => setIsOnline(navigator.onLine);
+        window.addEventListener('online', handleConnectivity);
+        window.addEventListener('offline', handleConnectivity);
+        return () => {
+            window.removeEventListener('online', handleConnectivity);
+            window.removeEventListener('offline', handleConnectivity);
+        };
+    }, []);
+
+    // --- Deep Link Effect ---
+    // Push notifications open `/?issue=<id>`; show that issue on top of the feed.
+    useEffect(() => {
+        if (!user) return;
+        const issueId = new URLSearchParams(window.location.search).get('issue');
+        if (issueId) openIssue(issueId);
     }, [user]);
 
+    // --- Staff Directory Effect ---
+    useEffect(() => {
+        if (!user || !isStaff) return;
+        const staffQuery = query(collection(db, profilesCollectionPath), where('role', 'in', STAFF_ROLES));
+        const unsubscribeStaff = onSnapshot(staffQuery, (snapshot) => {
+            setStaffMembers(snapshot.docs.map(doc => ({ uid: doc.id, name: doc.data().name || doc.id, department: doc.data().department || null })));
+        }, (err) => {
+            console.error("Error fetching staff members:", err);
+        });
+        return () => unsubscribeStaff();
+    }, [user, isStaff]);
+
     // --- Auth Handlers ---
     const handleLogin = async (email, password) => {
         setIsLoading(true);
@@ -97,24 +852,102 @@ export default function App() {
         try {
             await signInWithEmailAndPassword(auth, email, password);
         } catch (err) {
-            setError(err.message);
+            setError(describeAuthError(err));
         } finally {
             setIsLoading(false);
         }
     };
     
-    const handleSignup = async (email, password) => {
+    const handleSignup = async (name, email, password) => {
         setIsLoading(true);
         setError(null);
         try {
-            await createUserWithEmailAndPassword(auth, email, password);
+            const { user: newUser } = await createUserWithEmailAndPassword(auth, email, password);
+            await updateProfile(newUser, { displayName: name });
+            // The profile may already exist with the default name, so this is a merge.
+            await setDoc(doc(db, getProfileDocPath(newUser.uid)), { name }, { merge: true });
+            await sendEmailVerification(newUser);
         } catch (err) {
-            setError(err.message);
+            setError(describeAuthError(err));
         } finally {
             setIsLoading(false);
         }
     };
 
+    const handleOAuthLogin = async (providerId) => {
+        setError(null);
+        try {
+            await signInWithPopup(auth, OAUTH_PROVIDERS[providerId].create());
+        } catch (err) {
+            console.error("Error signing in with provider:", err);
+            setError(describeAuthError(err));
+        }
+    };
+
+    const handlePasswordReset = async (email) => {
+        setError(null);
+        try {
+            await sendPasswordResetEmail(auth, email);
+            return true;
+        } catch (err) {
+            console.error("Error sending password reset:", err);
+            setError(describeAuthError(err));
+            return false;
+        }
+    };
+
+    const saveDisplayName = async (name) => {
+        await updateProfile(user, { displayName: name });
+        await setDoc(doc(db, getProfileDocPath(user.uid)), { name }, { merge: true });
+    };
+
+    // Links the guest to a permanent sign-in; the uid and everything stored under it stay the same.
+    const handleUpgradeAccount = async ({ providerId, name, email, password }) => {
+        setError(null);
+        try {
+            if (providerId === 'password') {
+                await linkWithCredential(user, EmailAuthProvider.credential(email, password));
+                await saveDisplayName(name);
+                await sendEmailVerification(user);
+            } else {
+                await linkWithPopup(user, OAUTH_PROVIDERS[providerId].create());
+                if (user.displayName) await saveDisplayName(user.displayName);
+            }
+            refreshUser();
+            setShowUpgrade(false);
+        } catch (err) {
+            console.error("Error upgrading guest account:", err);
+            setError(describeAuthError(err));
+        }
+    };
+
+    const handleSaveDisplayName = async (name) => {
+        try {
+            await saveDisplayName(name);
+        } catch (err) {
+            console.error("Error saving display name:", err);
+            setError("Failed to save your display name.");
+        }
+    };
+
+    const handleResendVerification = async () => {
+        try {
+            await sendEmailVerification(user);
+        } catch (err) {
+            console.error("Error sending verification email:", err);
+            setError(describeAuthError(err));
+        }
+    };
+
+    const handleCheckVerification = async () => {
+        try {
+            await user.reload();
+            refreshUser();
+        } catch (err) {
+            console.error("Error refreshing account:", err);
+        }
+    };
+
     const handleGuestLogin = async () => {
         setIsLoading(true);
         try {
@@ -131,113 +964,485 @@ export default function App() {
     };
 
     const handleLogout = async () => {
+        if (user?.isAnonymous && !window.confirm("You're using a guest account. Logging out loses its reports, coins and badges for good. Log out anyway?")) {
+            setShowUpgrade(true);
+            return;
+        }
         await signOut(auth);
         setUser(null);
-        setIssues([]);
+        setFeedFilters(DEFAULT_FEED_FILTERS);
+        setHiddenIssueIds(new Set());
         setUserProfile({ points: 0, badges: [], reportedIssues: 0 });
+        setClaimsRole(null);
+        setClaimsDepartment(null);
+        setStaffMembers([]);
+        setVotedIssueIds(new Set());
+        setFollowedIssueIds(new Set());
+        setFlaggedIssueIds(new Set());
+        setNotifications([]);
+        setFocusedIssue(null);
+        setOutbox([]);
+        setView('feed');
         setAuthView('login');
+        setShowUpgrade(false);
     };
     
     // --- Issue Handlers ---
-    const addIssue = async (issue) => {
+    const queueReport = async (entry) => {
+        await putOutboxEntry(entry);
+        setOutbox(prev => [...prev.filter(queued => queued.id !== entry.id), entry]);
+        await clearDraft(user.uid);
+        setShowForm(false);
+    };
+
+    const addIssue = async (issue, attachments) => {
         if (!user) return setError("You must be signed in.");
         setIsSubmitting(true);
         setError(null);
+        // Reserve the document id first so the media can be stored under it and retries stay idempotent.
+        const entry = { id: doc(collection(db, issuesCollectionPath)).id, uid: user.uid, issue, attachments: storableAttachments(attachments), createdAt: new Date(), attempts: 0 };
         try {
-            await addDoc(collection(db, issuesCollectionPath), { ...issue, status: 'Acknowledged', upvotes: 0, createdAt: new Date(), reporterId: user.uid });
-            
-            const profileRef = doc(db, getProfileDocPath(user.uid));
-            const newReportCount = (userProfile.reportedIssues || 0) + 1;
-            let newBadges = [...(userProfile.badges || [])];
-            if (newReportCount >= 1 && !newBadges.includes('First Report')) newBadges.push('First Report');
-            if (newReportCount >= 5 && !newBadges.includes('Neighborhood Hero')) newBadges.push('Neighborhood Hero');
-            
-            await setDoc(profileRef, { points: increment(10), reportedIssues: increment(1), badges: newBadges }, { merge: true });
-            
+            if (!navigator.onLine) {
+                await queueReport(entry);
+                return;
+            }
+            if (attachments.length > 0) setUploadProgress(0);
+            await publishIssue(entry, setUploadProgress);
+            await clearDraft(user.uid);
             setShowForm(false);
         } catch (err) {
+            if (isOfflineError(err)) {
+                await queueReport(entry).catch(queueErr => console.error("Error queueing report:", queueErr));
+                return;
+            }
             console.error("Error adding document: ", err);
             setError("Failed to submit issue.");
         } finally {
             setIsSubmitting(false);
+            setUploadProgress(null);
+        }
+    };
+
+    // Sends queued reports one at a time; stops at the first connectivity failure and leaves the rest queued.
+    const flushOutbox = useCallback(async (entries) => {
+        if (isSyncingOutboxRef.current) return;
+        isSyncingOutboxRef.current = true;
+        setIsSyncingOutbox(true);
+        try {
+            for (const entry of entries) {
+                try {
+                    await publishIssue(entry);
+                    await removeOutboxEntry(entry.id);
+                    setOutbox(prev => prev.filter(queued => queued.id !== entry.id));
+                } catch (err) {
+                    console.error("Error sending queued report:", err);
+                    const failed = { ...entry, attempts: (entry.attempts || 0) + 1, lastError: isOfflineError(err) ? 'Waiting for a connection.' : err.message };
+                    await putOutboxEntry(failed);
+                    setOutbox(prev => prev.map(queued => queued.id === entry.id ? failed : queued));
+                    if (isOfflineError(err)) break;
+                }
+            }
+        } finally {
+            isSyncingOutboxRef.current = false;
+            setIsSyncingOutbox(false);
+        }
+    }, []);
+
+    // Send queued reports whenever the user signs in or the connection comes back.
+    useEffect(() => {
+        if (!user) return;
+        getOutboxEntries(user.uid)
+            .then(entries => {
+                setOutbox(entries);
+                if (isOnline && entries.length > 0) flushOutbox(entries);
+            })
+            .catch(err => console.error("Error reading outbox:", err));
+    }, [user, isOnline, flushOutbox]);
+
+    const handleDiscardQueued = async (id) => {
+        try {
+            await removeOutboxEntry(id);
+            setOutbox(prev => prev.filter(queued => queued.id !== id));
+        } catch (err) {
+            console.error("Error discarding queued report:", err);
+            setError("Failed to discard the queued report.");
         }
     };
     
+    // Applies a reporter's edit. Files that removed or replaced attachments pointed at are kept so
+    // revisions can still show them.
+    const handleEditIssue = async (issue, changes, attachments) => {
+        if (!user) return setError("You must be signed in.");
+        setIsSubmitting(true);
+        setError(null);
+        try {
+            const next = { ...changes };
+            // Stored timestamps and the form's dates are compared by their time.
+            const comparable = (value) => JSON.stringify(value?.toMillis ? value.toMillis() : value instanceof Date ? value.getTime() : value ?? null);
+            if (attachments.some(item => item.blob)) setUploadProgress(0);
+            const media = await uploadIssueAttachments(storage, getIssueMediaPath(issue.id, user.uid), attachments, setUploadProgress);
+            if (!Array.isArray(issue.media) && comparable(media) === comparable(getAttachments(issue))) {
+                // Older reports keep their single-media fields until their media changes.
+                LEGACY_MEDIA_FIELDS.forEach(field => { if (issue[field] !== undefined) next[field] = issue[field]; });
+            } else if (media.length > 0) {
+                next.media = media;
+            }
+            const updates = {};
+            REPORTER_EDITABLE_FIELDS.forEach(field => {
+                if (comparable(next[field]) === comparable(issue[field])) return;
+                updates[field] = next[field] === undefined ? deleteField() : next[field];
+            });
+            if (Object.keys(updates).length > 0) {
+                await updateDoc(doc(db, issuesCollectionPath, issue.id), { ...updates, editedAt: new Date(), editedBy: user.uid });
+            }
+            setEditingIssue(null);
+        } catch (err) {
+            console.error("Error editing issue:", err);
+            setError(err.code === 'permission-denied' ? "This report can no longer be edited." : "Failed to save your changes.");
+        } finally {
+            setIsSubmitting(false);
+            setUploadProgress(null);
+        }
+    };
+
     const handleDelete = async (issueId) => {
         if (!user || !issueId) return;
         
-        const originalIssues = [...issues];
         // Optimistically remove from UI
-        setIssues(prevIssues => prevIssues.filter(issue => issue.id !== issueId));
+        setHiddenIssueIds(prev => new Set(prev).add(issueId));
 
         try {
-            await deleteDoc(doc(db, issuesCollectionPath, issueId));
-            const profileRef = doc(db, getProfileDocPath(user.uid));
-            await updateDoc(profileRef, {
-                points: increment(-10),
-                reportedIssues: increment(-1)
-            });
+            if (API_BASE_URL) {
+                await callApi(`/issues/${issueId}`, { method: 'DELETE' });
+            } else {
+                await deleteDoc(doc(db, issuesCollectionPath, issueId));
+            }
         } catch (err) {
             console.error("Error deleting document:", err);
             setError("Failed to delete the report. Please refresh and try again.");
             // **FIX:** Rollback UI change on failure
-            setIssues(originalIssues);
+            setHiddenIssueIds(prev => {
+                const next = new Set(prev);
+                next.delete(issueId);
+                return next;
+            });
         }
     };
 
+    // Votes live in their own collection keyed by issue and voter, so each account can vote once.
+    // The issue's `upvotes` counter is recomputed from these documents by a Cloud Function.
     const handleUpvote = async (id) => {
         if (!user) return;
-        const issueRef = doc(db, issuesCollectionPath, id);
+        if (user.isAnonymous) return setError("Create an account to upvote issues.");
+        const voteRef = doc(db, votesCollectionPath, `${id}_${user.uid}`);
         try {
-            await updateDoc(issueRef, { upvotes: increment(1) });
+            if (API_BASE_URL) {
+                await callApi(`/issues/${id}/vote`, { method: votedIssueIds.has(id) ? 'DELETE' : 'PUT' });
+            } else if (votedIssueIds.has(id)) {
+                await deleteDoc(voteRef);
+            } else {
+                await setDoc(voteRef, { issueId: id, voterId: user.uid, createdAt: new Date() });
+            }
         } catch (err) {
             console.error("Error upvoting issue:", err);
+            setError("Failed to record your vote.");
         }
     };
     
-    // --- Render Logic ---
-    if (isLoading) {
-        return <div className="flex items-center justify-center min-h-screen bg-slate-50"><div className="text-xl font-semibold">Loading...</div></div>;
-    }
-
-    if (!user) {
-        return <LoginScreen onLogin={handleLogin} onSignup={handleSignup} onGuestLogin={handleGuestLogin} authView={authView} setAuthView={setAuthView} error={error} />;
-    }
-
-    return (
+    const handleToggleFollow = async (issueId) => {
+        if (!user) return;
+        const followRef = doc(db, followsCollectionPath, `${issueId}_${user.uid}`);
+        try {
+            if (followedIssueIds.has(issueId)) {
+                await deleteDoc(followRef);
+            } else {
+                await setDoc(followRef, { issueId, followerId: user.uid, createdAt: new Date() });
+            }
+        } catch (err) {
+            console.error("Error updating follow:", err);
+            setError("Failed to update your follow.");
+        }
+    };
+
+    // --- Notification Handlers ---
+    const openIssue = async (issueId) => {
+        try {
+            const issueSnap = await getDoc(doc(db, issuesCollectionPath, issueId));
+            if (issueSnap.exists()) setFocusedIssue({ id: issueSnap.id, ...issueSnap.data() });
+        } catch (err) {
+            console.error("Error opening issue:", err);
+        }
+    };
+
+    const handleOpenNotification = async (notification) => {
+        if (!notification.read) {
+            updateDoc(doc(db, `${getUserDataPath(user.uid)}/notifications`, notification.id), { read: true })
+                .catch(err => console.error("Error marking notification read:", err));
+        }
+        await openIssue(notification.issueId);
+    };
+
+    const handleMarkAllRead = async () => {
+        const unread = notifications.filter(notification => !notification.read);
+        try {
+            await Promise.all(unread.map(notification => updateDoc(doc(db, `${getUserDataPath(user.uid)}/notifications`, notification.id), { read: true })));
+        } catch (err) {
+            console.error("Error marking notifications read:", err);
+        }
+    };
+
+    // Browser push is opt-in: asks for permission, registers the messaging service worker and stores this device's FCM token.
+    const handleEnablePush = async () => {
+        if (!('Notification' in window) || !('serviceWorker' in navigator) || !(await isMessagingSupported())) {
+            setPushState('unsupported');
+            return;
+        }
+        setPushState('pending');
+        try {
+            const permission = await Notification.requestPermission();
+            if (permission !== 'granted') {
+                setPushState('off');
+                return;
+            }
+            const registration = await registerServiceWorker();
+            const token = await getToken(getMessaging(app), { vapidKey: process.env.REACT_APP_FCM_VAPID_KEY, serviceWorkerRegistration: registration });
+            await setDoc(doc(db, `${getUserDataPath(user.uid)}/pushTokens`, token), { token, userAgent: navigator.userAgent, createdAt: new Date() });
+            setPushState('enabled');
+        } catch (err) {
+            console.error("Error enabling push notifications:", err);
+            setPushState('off');
+            setError("Could not enable push notifications.");
+        }
+    };
+
+    // --- Staff Handlers ---
+    const handleStaffUpdate = async (issue, { status, statusNote, assignee, note, resolution, category }) => {
+        if (!user || !isStaff) return setError("Only staff can update issues.");
+        const isResolving = status === 'Resolved' && issue.status !== 'Resolved';
+        if (isResolving && (!resolution?.photos?.length || !resolution.note?.trim())) {
+            setError("Attach at least one 'after' photo and a resolution note to resolve an issue.");
+            return false;
+        }
+        setError(null);
+        const issueRef = doc(db, issuesCollectionPath, issue.id);
+        try {
+            const updates = {};
+            if (status && status !== issue.status) {
+                updates.status = status;
+                updates.statusUpdatedAt = new Date();
+                updates.statusUpdatedBy = user.uid;
+                // Always written with the status so the timeline never picks up a stale note.
+                updates.statusNote = statusNote?.trim() || null;
+            }
+            if (isResolving) {
+                const basePath = getIssueMediaPath(issue.id, user.uid);
+                const uploads = resolution.photos.map((blob, index) => ({ path: `${basePath}/after-${Date.now()}-${index}.jpg`, blob }));
+                const uploaded = await uploadAll(storage, uploads);
+                updates.resolution = {
+                    photos: uploaded.map(upload => upload.url),
+                    note: resolution.note.trim(),
+                    resolvedBy: user.uid,
+                    resolvedAt: new Date(),
+                };
+            }
+            if (assignee !== undefined && (assignee?.uid || null) !== (issue.assignee?.uid || null)) {
+                updates.assignee = assignee;
+            }
+            // Re-categorising re-routes the issue, possibly out of this staff member's queue.
+            if (category && category !== issue.category) {
+                updates.category = category;
+                updates.department = getCategoryConfig(taxonomy, category).department;
+            }
+            if (Object.keys(updates).length > 0) {
+                await updateDoc(issueRef, updates);
+            }
+            if (note && note.trim()) {
+                await addDoc(collection(db, issuesCollectionPath, issue.id, 'internalNotes'), {
+                    text: note.trim(),
+                    authorId: user.uid,
+                    authorName: userProfile.name || user.email || 'Staff',
+                    createdAt: new Date(),
+                });
+            }
+            return true;
+        } catch (err) {
+            console.error("Error updating issue:", err);
+            setError("Failed to update the issue.");
+            return false;
+        }
+    };
+
+    const handleMergeIssues = async (sourceId, targetId) => {
+        if (!user || !isStaff) return setError("Only staff can merge issues.");
+        setError(null);
+        try {
+            await httpsCallable(functions, 'mergeIssues')({ appId, sourceId, targetId });
+            return true;
+        } catch (err) {
+            console.error("Error merging issues:", err);
+            setError(err.message || "Failed to merge the issues.");
+            return false;
+        }
+    };
+
+    // --- Moderation Handlers ---
+    const handleFlag = async (issueId, reason, note) => {
+        if (!user || user.isAnonymous) return setError("Create an account to flag content.");
+        try {
+            await setDoc(doc(db, flagsCollectionPath, `${issueId}_${user.uid}`), { issueId, flaggerId: user.uid, reason, note: note.trim() || null, createdAt: new Date() });
+            return true;
+        } catch (err) {
+            console.error("Error flagging issue:", err);
+            setError("Failed to flag the issue.");
+            return false;
+        }
+    };
+
+    const handleModerate = async (issue, action, note) => {
+        setError(null);
+        try {
+            await httpsCallable(functions, 'moderateIssue')({ appId, issueId: issue.id, action, note });
+            return true;
+        } catch (err) {
+            console.error("Error moderating issue:", err);
+            setError(err.message || "Failed to moderate the issue.");
+            return false;
+        }
+    };
+
+    const handleSaveModerationConfig = async (config) => {
+        setError(null);
+        try {
+            await setDoc(doc(db, moderationConfigPath), config);
+            return true;
+        } catch (err) {
+            console.error("Error saving moderation settings:", err);
+            setError("Failed to save the moderation settings.");
+            return false;
+        }
+    };
+
+    const handleSaveVerificationConfig = async (config) => {
+        setError(null);
+        try {
+            await setDoc(doc(db, verificationConfigPath), config);
+            return true;
+        } catch (err) {
+            console.error("Error saving verification settings:", err);
+            setError("Failed to save the verification settings.");
+            return false;
+        }
+    };
+
+    // --- Verification Handlers ---
+    // One response per account per round; the onVerificationCreated Cloud Function applies it.
+    const handleVerifyResolution = async (issue, { response, rating, comment, photo }) => {
+        if (!user) return false;
+        setError(null);
+        try {
+            const verification = { uid: user.uid, round: issue.resolutionRound, response, rating: rating || null, comment: comment.trim() || null, createdAt: new Date() };
+            if (photo) {
+                const [uploaded] = await uploadAll(storage, [{ path: `${getIssueMediaPath(issue.id, user.uid)}/reopen-${Date.now()}.jpg`, blob: photo }]);
+                Object.assign(verification, { photoUrl: uploaded.url, photoPath: uploaded.path });
+            }
+            await setDoc(doc(db, issuesCollectionPath, issue.id, 'verifications', `${issue.resolutionRound}_${user.uid}`), verification);
+            return true;
+        } catch (err) {
+            console.error("Error verifying resolution:", err);
+            setError("Failed to send your response.");
+            return false;
+        }
+    };
+
+    const handleUpvoteExisting = async (issueId) => {
+        if (!votedIssueIds.has(issueId)) await handleUpvote(issueId);
+        setShowForm(false);
+    };
+
+    // --- Render Logic ---
+    if (isLoading) {
+        return <div className="flex items-center justify-center min-h-screen bg-slate-50"><div className="text-xl font-semibold">Loading...</div></div>;
+    }
+
+    if (!user) {
+        return <LoginScreen onLogin={handleLogin} onSignup={handleSignup} onGuestLogin={handleGuestLogin} onOAuthLogin={handleOAuthLogin} onPasswordReset={handlePasswordReset} authView={authView} setAuthView={setAuthView} error={error} />;
+    }
+
+    return (
         <div className="bg-slate-50 min-h-screen font-sans text-gray-800">
-            <Header onLogout={handleLogout} />
+            <Header onLogout={handleLogout} isStaff={isStaff} isModerator={isModerator} view={view} onChangeView={setView} notifications={notifications} onOpenNotification={handleOpenNotification} onMarkAllRead={handleMarkAllRead} pushState={pushState} onEnablePush={handleEnablePush} />
             <main className="container mx-auto p-4 md:p-8">
-                <UserProfile profile={userProfile} userId={user.uid} />
-                <div className="text-center my-8">
-                    <button onClick={() => setShowForm(true)} className="bg-gradient-to-r from-blue-600 to-indigo-600 text-white font-bold py-3 px-8 rounded-full shadow-lg hover:shadow-xl transform hover:scale-105 transition-all focus:outline-none focus:ring-4 focus:ring-blue-300 flex items-center justify-center mx-auto gap-2">
-                        <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="3" strokeLinecap="round" strokeLinejoin="round"><line x1="12" y1="5" x2="12" y2="19"></line><line x1="5" y1="12" x2="19" y2="12"></line></svg>
-                        Report New Civic Issue
-                    </button>
-                </div>
-                {error && <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg relative my-4 text-center" role="alert">{error}</div>}
-                <IssueFeed issues={issues} onUpvote={handleUpvote} currentUserId={user.uid} onDelete={handleDelete} onViewMedia={setViewingMedia}/>
+                {view === 'analytics' && isStaff ? (
+                    <AnalyticsDashboard taxonomy={taxonomy} onSelectIssue={openIssue} />
+                ) : view === 'moderation' && isModerator ? (
+                    <>
+                        {error && <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg relative my-4 text-center" role="alert">{error}</div>}
+                        <ModerationQueue isAdmin={isAdmin} config={moderationConfig} onModerate={handleModerate} onSaveConfig={handleSaveModerationConfig} onViewMedia={setViewingMedia} />
+                    </>
+                ) : view === 'staff' && isStaff ? (
+                    <>
+                        {error && <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg relative my-4 text-center" role="alert">{error}</div>}
+                        <StaffConsole taxonomy={taxonomy} staffMembers={staffMembers} currentUserId={user.uid} department={staffDepartment} isAdmin={isAdmin} verificationConfig={verificationConfig} onSaveVerificationConfig={handleSaveVerificationConfig} onUpdate={handleStaffUpdate} onMerge={handleMergeIssues} />
+                    </>
+                ) : (
+                    <>
+                        {user.isAnonymous && <GuestUpgradeBanner onSaveProgress={() => setShowUpgrade(true)} />}
+                        {!user.isAnonymous && user.email && !user.emailVerified && <VerifyEmailBanner email={user.email} onResend={handleResendVerification} onCheck={handleCheckVerification} />}
+                        <UserProfile profile={userProfile} userId={user.uid} />
+                        <Leaderboard neighbourhood={userProfile.neighbourhood} neighbourhoodName={userProfile.neighbourhoodName} currentUserId={user.uid} />
+                        <div className="text-center my-8">
+                            <button onClick={() => setShowForm(true)} className="bg-gradient-to-r from-blue-600 to-indigo-600 text-white font-bold py-3 px-8 rounded-full shadow-lg hover:shadow-xl transform hover:scale-105 transition-all focus:outline-none focus:ring-4 focus:ring-blue-300 flex items-center justify-center mx-auto gap-2">
+                                <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="3" strokeLinecap="round" strokeLinejoin="round"><line x1="12" y1="5" x2="12" y2="19"></line><line x1="5" y1="12" x2="19" y2="12"></line></svg>
+                                Report New Civic Issue
+                            </button>
+                        </div>
+                        {!isOnline && <div className="bg-yellow-50 border border-yellow-300 text-yellow-800 px-4 py-3 rounded-lg my-4 text-center text-sm" role="status">You're offline. Showing saved issues; new reports will be sent when you reconnect.</div>}
+                        {outbox.length > 0 && <OutboxPanel entries={outbox} isOnline={isOnline} isSyncing={isSyncingOutbox} onRetry={() => flushOutbox(outbox)} onDiscard={handleDiscardQueued} />}
+                        {(error || feed.error) && <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg relative my-4 text-center" role="alert">{error || feed.error}</div>}
+                        <IssueFeed taxonomy={taxonomy} issues={issues} viewerIsStaff={isStaff} followedIssueIds={followedIssueIds} onToggleFollow={handleToggleFollow} filters={feedFilters} onChangeFilters={setFeedFilters} hasMore={feed.hasMore} isLoadingIssues={feed.isLoading} onLoadMore={feed.loadMore} onUpvote={handleUpvote} votedIssueIds={votedIssueIds} canVote={!user.isAnonymous} currentUserId={user.uid} onDelete={handleDelete} onEdit={setEditingIssue} flaggedIssueIds={flaggedIssueIds} onFlag={handleFlag} onViewMedia={setViewingMedia} verificationConfig={verificationConfig} onVerify={handleVerifyResolution}/>
+                    </>
+                )}
             </main>
-            {showForm && <ReportIssueModal addIssue={addIssue} isSubmitting={isSubmitting} onClose={() => setShowForm(false)} />}
+            {showUpgrade && user.isAnonymous && <UpgradeAccountModal error={error} onUpgrade={handleUpgradeAccount} onClose={() => { setShowUpgrade(false); setError(null); }} />}
+            {needsDisplayName(user, userProfile.name) && !showUpgrade && <DisplayNameModal initialName={user.displayName || ''} onSave={handleSaveDisplayName} />}
+            {showForm && <ReportIssueModal taxonomy={taxonomy} draftKey={user.uid} isOnline={isOnline} addIssue={addIssue} isSubmitting={isSubmitting} uploadProgress={uploadProgress} votedIssueIds={votedIssueIds} canVote={!user.isAnonymous} onUpvoteExisting={handleUpvoteExisting} blockedWords={moderationConfig.blockedWords} onClose={() => setShowForm(false)} />}
+            {editingIssue && <ReportIssueModal key={editingIssue.id} taxonomy={taxonomy} editingIssue={editingIssue} onSaveEdit={(changes, attachments) => handleEditIssue(editingIssue, changes, attachments)} isOnline={isOnline} isSubmitting={isSubmitting} uploadProgress={uploadProgress} blockedWords={moderationConfig.blockedWords} onClose={() => setEditingIssue(null)} />}
+            {focusedIssue && (
+                <IssueDetailModal onClose={() => setFocusedIssue(null)}>
+                    <IssueCard taxonomy={taxonomy} issue={focusedIssue} onUpvote={handleUpvote} hasVoted={votedIssueIds.has(focusedIssue.id)} canVote={!user.isAnonymous} isFollowing={followedIssueIds.has(focusedIssue.id)} onToggleFollow={handleToggleFollow} isOwner={focusedIssue.reporterId === user.uid} currentUserId={user.uid} viewerIsStaff={isStaff} onDelete={(issueId) => { setFocusedIssue(null); handleDelete(issueId); }} onEdit={(issue) => { setFocusedIssue(null); setEditingIssue(issue); }} isFlagged={flaggedIssueIds.has(focusedIssue.id)} onFlag={handleFlag} onViewMedia={setViewingMedia} verificationConfig={verificationConfig} onVerify={handleVerifyResolution} />
+                </IssueDetailModal>
+            )}
             {viewingMedia && <MediaViewerModal media={viewingMedia} onClose={() => setViewingMedia(null)} />}
         </div>
     );
 }
 
 // --- Authentication Components ---
-const LoginScreen = ({ onLogin, onSignup, onGuestLogin, authView, setAuthView, error }) => {
+const LoginScreen = ({ onLogin, onSignup, onGuestLogin, onOAuthLogin, onPasswordReset, authView, setAuthView, error }) => {
+    const [name, setName] = useState('');
     const [email, setEmail] = useState('');
     const [password, setPassword] = useState('');
+    const [resetSentTo, setResetSentTo] = useState(null);
 
-    const handleSubmit = (e) => {
+    const handleSubmit = async (e) => {
         e.preventDefault();
         if (authView === 'login') {
             onLogin(email, password);
-        } else {
-            onSignup(email, password);
+        } else if (authView === 'signup') {
+            onSignup(name.trim(), email, password);
+        } else if (await onPasswordReset(email)) {
+            setResetSentTo(email);
         }
     };
 
+    const switchView = (nextView) => {
+        setResetSentTo(null);
+        setAuthView(nextView);
+    };
+
+    const titles = { login: 'Sign In', signup: 'Sign Up', reset: 'Reset Password' };
+    const submitLabels = { login: 'Login', signup: 'Create Account', reset: 'Send Reset Link' };
+
     return (
         <div className="min-h-screen flex flex-col items-center justify-center bg-gradient-to-br from-blue-50 via-white to-indigo-50 p-4">
             <div className="w-full max-w-md">
@@ -248,18 +1453,23 @@ const LoginScreen = ({ onLogin, onSignup, onGuestLogin, authView, setAuthView, e
                 </div>
 
                 <div className="bg-white p-8 rounded-2xl shadow-lg">
-                    <h2 className="text-2xl font-bold text-center mb-6">{authView === 'login' ? 'Sign In' : 'Sign Up'}</h2>
+                    <h2 className="text-2xl font-bold text-center mb-6">{titles[authView]}</h2>
                     {error && <p className="bg-red-100 text-red-700 p-3 rounded-lg text-center mb-4">{error}</p>}
+                    {resetSentTo && <p className="bg-green-100 text-green-800 p-3 rounded-lg text-center mb-4">If {resetSentTo} has an account, a link to reset its password is on its way.</p>}
                     <form onSubmit={handleSubmit} className="space-y-4">
+                        {authView === 'signup' && <input type="text" placeholder="Display name" value={name} onChange={(e) => setName(e.target.value)} maxLength={DISPLAY_NAME_MAX_LENGTH} className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500" required />}
                         <input type="email" placeholder="Email" value={email} onChange={(e) => setEmail(e.target.value)} className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500" required />
-                        <input type="password" placeholder="Password" value={password} onChange={(e) => setPassword(e.target.value)} className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500" required />
+                        {authView !== 'reset' && <input type="password" placeholder="Password" value={password} onChange={(e) => setPassword(e.target.value)} minLength={6} className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500" required />}
                         <button type="submit" className="w-full bg-blue-600 text-white font-bold py-3 px-4 rounded-lg hover:bg-blue-700 transition-colors">
-                            {authView === 'login' ? 'Login' : 'Create Account'}
+                            {submitLabels[authView]}
                         </button>
                     </form>
-                    <div className="text-center mt-4">
-                        <button onClick={() => setAuthView(authView === 'login' ? 'signup' : 'login')} className="text-sm text-blue-600 hover:underline">
-                            {authView === 'login' ? "Don't have an account? Sign Up" : "Already have an account? Login"}
+                    <div className="text-center mt-4 flex flex-col gap-2">
+                        {authView === 'login' && (
+                            <button onClick={() => switchView('reset')} className="text-sm text-gray-500 hover:underline">Forgot your password?</button>
+                        )}
+                        <button onClick={() => switchView(authView === 'login' ? 'signup' : 'login')} className="text-sm text-blue-600 hover:underline">
+                            {authView === 'login' ? "Don't have an account? Sign Up" : "Back to Login"}
                         </button>
                     </div>
                      <div className="my-6 flex items-center">
@@ -267,68 +1477,470 @@ const LoginScreen = ({ onLogin, onSignup, onGuestLogin, authView, setAuthView, e
                         <span className="flex-shrink mx-4 text-gray-400">OR</span>
                         <div className="flex-grow border-t border-gray-300"></div>
                     </div>
-                    <button onClick={onGuestLogin} className="w-full bg-gray-700 text-white font-bold py-3 px-4 rounded-lg hover:bg-gray-800 transition-colors">
-                       Continue as Guest
+                    <div className="space-y-3">
+                        {Object.entries(OAUTH_PROVIDERS).map(([providerId, provider]) => (
+                            <button key={providerId} onClick={() => onOAuthLogin(providerId)} className="w-full bg-white border border-gray-300 text-gray-700 font-bold py-3 px-4 rounded-lg hover:bg-gray-50 transition-colors">
+                                Continue with {provider.label}
+                            </button>
+                        ))}
+                        <button onClick={onGuestLogin} className="w-full bg-gray-700 text-white font-bold py-3 px-4 rounded-lg hover:bg-gray-800 transition-colors">
+                           Continue as Guest
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const GuestUpgradeBanner = ({ onSaveProgress }) => (
+    <div className="bg-indigo-50 border border-indigo-200 text-indigo-900 px-4 py-3 rounded-xl mb-4 flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+        <p className="text-sm"><span className="font-semibold">You're using a guest account.</span> Save your progress to keep your reports, coins and badges when you log out or switch devices.</p>
+        <button onClick={onSaveProgress} className="shrink-0 bg-indigo-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-indigo-700 text-sm">Save your progress</button>
+    </div>
+);
+
+const VerifyEmailBanner = ({ email, onResend, onCheck }) => {
+    const [hasResent, setHasResent] = useState(false);
+    return (
+        <div className="bg-yellow-50 border border-yellow-300 text-yellow-900 px-4 py-3 rounded-xl mb-4 flex flex-col sm:flex-row sm:items-center justify-between gap-3 text-sm">
+            <p>Please verify your email address. We sent a link to <span className="font-semibold">{email}</span>.</p>
+            <div className="flex gap-2 shrink-0">
+                <button onClick={async () => { await onResend(); setHasResent(true); }} disabled={hasResent} className="font-semibold py-1.5 px-3 rounded-lg hover:bg-yellow-100 disabled:opacity-50">{hasResent ? 'Link sent' : 'Resend link'}</button>
+                <button onClick={onCheck} className="bg-yellow-600 text-white font-semibold py-1.5 px-3 rounded-lg hover:bg-yellow-700">I've verified it</button>
+            </div>
+        </div>
+    );
+};
+
+// Links the guest account to a permanent sign-in so nothing is lost on logout.
+const UpgradeAccountModal = ({ error, onUpgrade, onClose }) => {
+    const [name, setName] = useState('');
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+
+    const upgrade = async (details) => {
+        setIsSaving(true);
+        await onUpgrade(details);
+        setIsSaving(false);
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        upgrade({ providerId: 'password', name: name.trim(), email, password });
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+            <div className="bg-white p-6 rounded-xl shadow-lg w-full max-w-md relative" onClick={(e) => e.stopPropagation()}>
+                <button onClick={onClose} className="absolute top-4 right-4 text-gray-400 hover:text-gray-800">
+                    <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>
+                </button>
+                <h2 className="text-xl font-bold mb-1">Save your progress</h2>
+                <p className="text-sm text-gray-500 mb-4">Create an account to keep everything you've done as a guest.</p>
+                {error && <p className="bg-red-100 text-red-700 p-3 rounded-lg text-center text-sm mb-4">{error}</p>}
+                <form onSubmit={handleSubmit} className="space-y-3">
+                    <input type="text" placeholder="Display name" value={name} onChange={(e) => setName(e.target.value)} maxLength={DISPLAY_NAME_MAX_LENGTH} className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500" required />
+                    <input type="email" placeholder="Email" value={email} onChange={(e) => setEmail(e.target.value)} className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500" required />
+                    <input type="password" placeholder="Password" value={password} onChange={(e) => setPassword(e.target.value)} minLength={6} className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500" required />
+                    <button type="submit" disabled={isSaving} className="w-full bg-blue-600 text-white font-bold py-3 px-4 rounded-lg hover:bg-blue-700 disabled:bg-gray-400 transition-colors">
+                        {isSaving ? 'Saving...' : 'Create Account'}
                     </button>
+                </form>
+                <div className="my-4 flex items-center">
+                    <div className="flex-grow border-t border-gray-300"></div>
+                    <span className="flex-shrink mx-4 text-gray-400 text-sm">OR</span>
+                    <div className="flex-grow border-t border-gray-300"></div>
                 </div>
+                {Object.entries(OAUTH_PROVIDERS).map(([providerId, provider]) => (
+                    <button key={providerId} onClick={() => upgrade({ providerId })} disabled={isSaving} className="w-full bg-white border border-gray-300 text-gray-700 font-bold py-3 px-4 rounded-lg hover:bg-gray-50 disabled:opacity-50 transition-colors">
+                        Continue with {provider.label}
+                    </button>
+                ))}
             </div>
         </div>
     );
 };
 
+// Shown until a permanent account has a display name other than the default or its email address.
+const DisplayNameModal = ({ initialName, onSave }) => {
+    const [name, setName] = useState(initialName);
+    const [isSaving, setIsSaving] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsSaving(true);
+        await onSave(name.trim());
+        setIsSaving(false);
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+            <form onSubmit={handleSubmit} className="bg-white p-6 rounded-xl shadow-lg w-full max-w-md space-y-4">
+                <div>
+                    <h2 className="text-xl font-bold">Choose a display name</h2>
+                    <p className="text-sm text-gray-500">This is how neighbours see you on reports, comments and leaderboards.</p>
+                </div>
+                <input type="text" placeholder="Display name" value={name} onChange={(e) => setName(e.target.value)} maxLength={DISPLAY_NAME_MAX_LENGTH} className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500" required autoFocus />
+                <button type="submit" disabled={isSaving || !name.trim()} className="w-full bg-blue-600 text-white font-bold py-3 px-4 rounded-lg hover:bg-blue-700 disabled:bg-gray-400 transition-colors">
+                    {isSaving ? 'Saving...' : 'Save'}
+                </button>
+            </form>
+        </div>
+    );
+};
+
 
 // --- Core App Components ---
-const Header = ({ onLogout }) => (
+const Header = ({ onLogout, isStaff, isModerator, view, onChangeView, notifications, onOpenNotification, onMarkAllRead, pushState, onEnablePush }) => (
    <header className="bg-white shadow-sm sticky top-0 z-20">
         <div className="container mx-auto px-4 py-3 flex items-center justify-between">
             <div className="flex items-center gap-2">
                  <CivicSyncLogo className="w-8 h-8"/>
                 <h1 className="text-2xl font-bold text-gray-800">CivicSync</h1>
             </div>
-            <button onClick={onLogout} className="text-gray-500 hover:text-blue-600 font-semibold flex items-center gap-2 p-2 rounded-lg hover:bg-gray-100 transition-colors">
-                <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M9 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h4"></path><polyline points="16 17 21 12 16 7"></polyline><line x1="21" y1="12" x2="9" y2="12"></line></svg>
-                <span>Logout</span>
-            </button>
+            <div className="flex items-center gap-2">
+                <NotificationCenter notifications={notifications} onOpen={onOpenNotification} onMarkAllRead={onMarkAllRead} pushState={pushState} onEnablePush={onEnablePush} />
+                {isStaff && (
+                    <button onClick={() => onChangeView(view === 'staff' ? 'feed' : 'staff')} className="text-gray-500 hover:text-blue-600 font-semibold flex items-center gap-2 p-2 rounded-lg hover:bg-gray-100 transition-colors">
+                        <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><rect x="2" y="7" width="20" height="14" rx="2" ry="2"></rect><path d="M16 21V5a2 2 0 0 0-2-2h-4a2 2 0 0 0-2 2v16"></path></svg>
+                        <span>{view === 'staff' ? 'Community Feed' : 'Staff Console'}</span>
+                    </button>
+                )}
+                {isStaff && (
+                    <button onClick={() => onChangeView(view === 'analytics' ? 'feed' : 'analytics')} className="text-gray-500 hover:text-blue-600 font-semibold flex items-center gap-2 p-2 rounded-lg hover:bg-gray-100 transition-colors">
+                        <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><line x1="18" y1="20" x2="18" y2="10"></line><line x1="12" y1="20" x2="12" y2="4"></line><line x1="6" y1="20" x2="6" y2="14"></line></svg>
+                        <span>{view === 'analytics' ? 'Community Feed' : 'Analytics'}</span>
+                    </button>
+                )}
+                {isModerator && (
+                    <button onClick={() => onChangeView(view === 'moderation' ? 'feed' : 'moderation')} className="text-gray-500 hover:text-blue-600 font-semibold flex items-center gap-2 p-2 rounded-lg hover:bg-gray-100 transition-colors">
+                        <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10z"></path></svg>
+                        <span>{view === 'moderation' ? 'Community Feed' : 'Moderation'}</span>
+                    </button>
+                )}
+                <button onClick={onLogout} className="text-gray-500 hover:text-blue-600 font-semibold flex items-center gap-2 p-2 rounded-lg hover:bg-gray-100 transition-colors">
+                    <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M9 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h4"></path><polyline points="16 17 21 12 16 7"></polyline><line x1="21" y1="12" x2="9" y2="12"></line></svg>
+                    <span>Logout</span>
+                </button>
+            </div>
         </div>
     </header>
 );
 
-const UserProfile = ({ profile, userId }) => (
-    <div className="bg-white p-5 rounded-xl shadow-sm border border-gray-200 mb-8">
-        <h2 className="text-xl font-bold mb-4 text-gray-700">Your Civic Profile</h2>
-        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 text-center">
-            <div className="bg-blue-50 p-3 rounded-lg border border-blue-100">
-                <p className="text-3xl font-bold text-blue-600">{profile.points || 0}</p>
-                <p className="text-sm text-blue-800 font-semibold">Coins Earned</p>
+const NotificationCenter = ({ notifications, onOpen, onMarkAllRead, pushState, onEnablePush }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const unreadCount = notifications.filter(notification => !notification.read).length;
+
+    return (
+        <div className="relative">
+            <button onClick={() => setIsOpen(!isOpen)} aria-label={`Notifications (${unreadCount} unread)`} className="relative text-gray-500 hover:text-blue-600 p-2 rounded-lg hover:bg-gray-100 transition-colors">
+                <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M18 8A6 6 0 0 0 6 8c0 7-3 9-3 9h18s-3-2-3-9"></path><path d="M13.73 21a2 2 0 0 1-3.46 0"></path></svg>
+                {unreadCount > 0 && <span className="absolute -top-0.5 -right-0.5 bg-red-500 text-white text-[10px] font-bold rounded-full min-w-[18px] h-[18px] px-1 flex items-center justify-center">{unreadCount > 99 ? '99+' : unreadCount}</span>}
+            </button>
+            {isOpen && (
+                <div className="absolute right-0 mt-2 w-80 bg-white rounded-xl shadow-lg border border-gray-200 z-30">
+                    <div className="flex items-center justify-between px-4 py-3 border-b border-gray-100">
+                        <h3 className="font-bold text-gray-800">Notifications</h3>
+                        {unreadCount > 0 && <button onClick={onMarkAllRead} className="text-xs text-blue-600 hover:underline">Mark all read</button>}
+                    </div>
+                    <div className="max-h-96 overflow-y-auto">
+                        {notifications.length === 0 ? (
+                            <p className="text-sm text-gray-400 text-center py-6 px-4">Follow issues to hear about status changes, official replies and resolutions.</p>
+                        ) : notifications.map(notification => (
+                            <button key={notification.id} onClick={() => { setIsOpen(false); onOpen(notification); }} className={`w-full text-left px-4 py-3 border-b border-gray-50 hover:bg-gray-50 ${notification.read ? '' : 'bg-blue-50'}`}>
+                                <p className="text-sm font-semibold text-gray-800">{notification.title}</p>
+                                {notification.body && <p className="text-xs text-gray-600 mt-0.5 line-clamp-2">{notification.body}</p>}
+                                <p className="text-[11px] text-gray-400 mt-1">{notification.createdAt ? new Date(notification.createdAt.seconds * 1000).toLocaleString() : ''}</p>
+                            </button>
+                        ))}
+                    </div>
+                    <div className="px-4 py-3 text-xs text-gray-500">
+                        {pushState === 'enabled' && 'Browser push notifications are on for this device.'}
+                        {pushState === 'unsupported' && 'This browser does not support push notifications.'}
+                        {pushState === 'pending' && 'Enabling push notifications...'}
+                        {pushState === 'off' && <button onClick={onEnablePush} className="text-blue-600 hover:underline">Enable browser push notifications</button>}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+const UserProfile = ({ profile, userId }) => {
+    // Show the badges the user is closest to earning.
+    const nextBadges = [...(profile.nextBadges || [])]
+        .sort((a, b) => b.progress / b.threshold - a.progress / a.threshold)
+        .slice(0, 2);
+
+    return (
+        <div className="bg-white p-5 rounded-xl shadow-sm border border-gray-200 mb-8">
+            <h2 className="text-xl font-bold mb-4 text-gray-700">Your Civic Profile</h2>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 text-center">
+                <div className="bg-blue-50 p-3 rounded-lg border border-blue-100">
+                    <p className="text-3xl font-bold text-blue-600">{profile.points || 0}</p>
+                    <p className="text-sm text-blue-800 font-semibold">Coins Earned</p>
+                </div>
+                <div className="bg-green-50 p-3 rounded-lg border border-green-100">
+                     <p className="text-3xl font-bold text-green-600">{profile.reportedIssues || 0}</p>
+                     <p className="text-sm text-green-800 font-semibold">Reports</p>
+                </div>
+                <div className="bg-yellow-50 p-3 rounded-lg border border-yellow-100">
+                    <div className="flex justify-center items-center flex-wrap gap-2 min-h-[36px]">
+                        {profile.badges && profile.badges.length > 0 ? profile.badges.map(badge => (
+                            <span key={badge} className="bg-yellow-200 text-yellow-800 text-xs font-bold px-2.5 py-1 rounded-full">{badge}</span>
+                        )) : <p className="text-sm text-yellow-800">No badges yet!</p>}
+                    </div>
+                     <p className="text-sm text-yellow-800 font-semibold mt-1">Badges</p>
+                </div>
             </div>
-            <div className="bg-green-50 p-3 rounded-lg border border-green-100">
-                 <p className="text-3xl font-bold text-green-600">{profile.reportedIssues || 0}</p>
-                 <p className="text-sm text-green-800 font-semibold">Reports</p>
+            <div className="flex flex-wrap justify-center gap-x-6 gap-y-1 mt-4 text-sm text-gray-600">
+                <span><strong>{profile.upvotesReceived || 0}</strong> upvotes received</span>
+                <span><strong>{profile.resolvedIssues || 0}</strong> resolved</span>
+                <span><strong>{profile.currentStreak || 0}</strong> week streak</span>
             </div>
-            <div className="bg-yellow-50 p-3 rounded-lg border border-yellow-100">
-                <div className="flex justify-center items-center flex-wrap gap-2 min-h-[36px]">
-                    {profile.badges && profile.badges.length > 0 ? profile.badges.map(badge => (
-                        <span key={badge} className="bg-yellow-200 text-yellow-800 text-xs font-bold px-2.5 py-1 rounded-full">{badge}</span>
-                    )) : <p className="text-sm text-yellow-800">No badges yet!</p>}
+            {nextBadges.length > 0 && (
+                <div className="mt-4 space-y-3">
+                    {nextBadges.map(badge => (
+                        <div key={badge.name}>
+                            <div className="flex justify-between text-xs text-gray-600 mb-1">
+                                <span><strong>Next: {badge.name}</strong> &middot; {badge.description}</span>
+                                <span>{badge.progress}/{badge.threshold} {ACHIEVEMENT_METRIC_LABELS[badge.metric]}</span>
+                            </div>
+                            <div className="w-full bg-gray-200 rounded-full h-2">
+                                <div className="bg-yellow-400 h-2 rounded-full transition-all" style={{ width: `${Math.min(100, (badge.progress / badge.threshold) * 100)}%` }}></div>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+            {userId && <p className="text-xs text-gray-400 mt-4 text-center tracking-wider">User ID: {userId}</p>}
+        </div>
+    );
+};
+
+const Leaderboard = ({ neighbourhood, neighbourhoodName, currentUserId }) => {
+    const [period, setPeriod] = useState('weekly'); // weekly, allTime
+    const [scope, setScope] = useState('neighbourhood'); // neighbourhood, everywhere
+    const [leaders, setLeaders] = useState([]);
+    const [leaderboardError, setLeaderboardError] = useState('');
+    const isLocal = scope === 'neighbourhood' && Boolean(neighbourhood);
+    const pointsField = period === 'weekly' ? 'weeklyPoints' : 'points';
+
+    useEffect(() => {
+        const constraints = [];
+        if (isLocal) constraints.push(where('neighbourhood', '==', neighbourhood));
+        // Weekly points belong to the week in `weekKey`; profiles that haven't reported this week drop out.
+        if (period === 'weekly') constraints.push(where('weekKey', '==', weekKey(new Date())));
+        const leadersQuery = query(collection(db, `artifacts/${appId}/public/data/profiles`), ...constraints, orderBy(pointsField, 'desc'), limit(LEADERBOARD_SIZE));
+        return onSnapshot(leadersQuery, (snapshot) => {
+            setLeaders(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).filter(leader => leader[pointsField] > 0));
+            setLeaderboardError('');
+        }, (err) => {
+            console.error("Error fetching leaderboard:", err);
+            setLeaderboardError('Could not load the leaderboard.');
+        });
+    }, [isLocal, neighbourhood, period, pointsField]);
+
+    const tabClass = (isActive) => `px-3 py-1 rounded-full text-xs font-semibold transition-colors ${isActive ? 'bg-blue-600 text-white' : 'text-gray-600 hover:bg-gray-100'}`;
+
+    return (
+        <div className="bg-white p-5 rounded-xl shadow-sm border border-gray-200 mb-8">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+                <h2 className="text-xl font-bold text-gray-700">Leaderboard</h2>
+                <div className="flex flex-wrap gap-1">
+                    <button onClick={() => setPeriod('weekly')} className={tabClass(period === 'weekly')}>This week</button>
+                    <button onClick={() => setPeriod('allTime')} className={tabClass(period === 'allTime')}>All time</button>
+                    <span className="w-px bg-gray-200 mx-1"></span>
+                    <button onClick={() => setScope('neighbourhood')} disabled={!neighbourhood} className={`${tabClass(isLocal)} disabled:text-gray-300`}>My neighbourhood</button>
+                    <button onClick={() => setScope('everywhere')} className={tabClass(!isLocal)}>Everywhere</button>
                 </div>
-                 <p className="text-sm text-yellow-800 font-semibold mt-1">Badges</p>
             </div>
+            {isLocal && <p className="text-xs text-gray-500 mb-3">Reporters around {neighbourhoodName}</p>}
+            {!neighbourhood && <p className="text-xs text-gray-500 mb-3">File a report with a location to join your neighbourhood's leaderboard.</p>}
+            {leaderboardError && <p className="text-sm text-red-500">{leaderboardError}</p>}
+            {!leaderboardError && leaders.length === 0 && <p className="text-sm text-gray-400 text-center py-4">{period === 'weekly' ? 'No points earned yet this week. Be the first!' : 'No reporters here yet.'}</p>}
+            <ol className="space-y-2">
+                {leaders.map((leader, index) => (
+                    <li key={leader.id} className={`flex items-center gap-3 p-2 rounded-lg ${leader.id === currentUserId ? 'bg-blue-50 border border-blue-100' : ''}`}>
+                        <span className={`w-7 h-7 flex items-center justify-center rounded-full text-sm font-bold ${index < 3 ? 'bg-yellow-300 text-yellow-900' : 'bg-gray-100 text-gray-600'}`}>{index + 1}</span>
+                        <span className="flex-grow font-semibold text-gray-800 truncate">{leader.name || 'Neighbour'}{leader.id === currentUserId && ' (you)'}</span>
+                        <span className="text-xs text-gray-500">{(leader.badges || []).length} badges</span>
+                        <span className="font-bold text-blue-600 w-16 text-right">{leader[pointsField]}</span>
+                    </li>
+                ))}
+            </ol>
         </div>
-        {userId && <p className="text-xs text-gray-400 mt-4 text-center tracking-wider">User ID: {userId}</p>}
-    </div>
-);
+    );
+};
 
 
-const ReportIssueModal = ({ addIssue, isSubmitting, onClose }) => {
-    const [title, setTitle] = useState('');
-    const [description, setDescription] = useState('');
-    const [location, setLocation] = useState('');
-    const [media, setMedia] = useState({ type: null, dataUrl: null });
+// Files a new report, or with `editingIssue` edits an existing one in place (no draft, no duplicate check).
+const ReportIssueModal = ({ taxonomy, draftKey, isOnline, addIssue, editingIssue, onSaveEdit, isSubmitting, uploadProgress, votedIssueIds, canVote, onUpvoteExisting, blockedWords, onClose }) => {
+    const [categoryId, setCategoryId] = useState(editingIssue?.category || '');
+    const [details, setDetails] = useState(editingIssue?.details || {});
+    const [title, setTitle] = useState(editingIssue?.title || '');
+    const [description, setDescription] = useState(editingIssue?.description || '');
+    const [location, setLocation] = useState(editingIssue?.location || '');
+    // Files already on the issue have a `url`; ones added here have a `blob` until they are uploaded.
+    const [attachments, setAttachments] = useState(() => (editingIssue ? getAttachments(editingIssue).map(item => ({ ...item, id: crypto.randomUUID(), caption: item.caption || '' })) : []));
+    const [redactionQueue, setRedactionQueue] = useState([]);
+    const [isProcessingMedia, setIsProcessingMedia] = useState(false);
     const [showCamera, setShowCamera] = useState(false);
     const [formError, setFormError] = useState('');
     const [locationStatus, setLocationStatus] = useState('');
-    const [coordinates, setCoordinates] = useState(null);
+    const [coordinates, setCoordinates] = useState(editingIssue?.coordinates || null);
+    const [address, setAddress] = useState(editingIssue?.address || null);
+    const [observedAt, setObservedAt] = useState(editingIssue?.observedAt ? toDateTimeLocalValue(editingIssue.observedAt.toDate()) : '');
+    const [photoDetails, setPhotoDetails] = useState(null);
+    const [suggestions, setSuggestions] = useState([]);
+    const [activeSuggestion, setActiveSuggestion] = useState(-1);
+    const [isLocationFocused, setIsLocationFocused] = useState(false);
+    const suggestionsId = useId();
+    const [isGeocoding, setIsGeocoding] = useState(false);
+    const reverseLookupRef = useRef(0);
     const [isRecording, setIsRecording] = useState(false);
+    const [showMapPicker, setShowMapPicker] = useState(false);
+    const [dismissedDuplicates, setDismissedDuplicates] = useState(false);
+    const [nearbyIssues, setNearbyIssues] = useState([]);
+    const [isDraftLoaded, setIsDraftLoaded] = useState(false);
+    const [restoredDraftAt, setRestoredDraftAt] = useState(null);
+
+    const isEditing = Boolean(editingIssue);
+
+    // Restore whatever was typed or captured before the tab closed, then keep the draft in sync.
+    useEffect(() => {
+        if (isEditing) return;
+        loadDraft(draftKey)
+            .then((draft) => {
+                if (!draft) return;
+                setCategoryId(draft.categoryId || '');
+                setDetails(draft.details || {});
+                setTitle(draft.title || '');
+                setDescription(draft.description || '');
+                setLocation(draft.location || '');
+                setCoordinates(draft.coordinates || null);
+                setAddress(draft.address || null);
+                setObservedAt(draft.observedAt || '');
+                setAttachments(getQueuedAttachments(draft).map(item => ({ ...item, id: crypto.randomUUID() })));
+                setRestoredDraftAt(draft.savedAt);
+            })
+            .catch(err => console.error("Error loading draft:", err))
+            .finally(() => setIsDraftLoaded(true));
+    }, [draftKey, isEditing]);
+
+    // Photos still waiting for the redaction step are left out, so an unredacted original is never
+    // written to the device; each is saved once it has been edited or kept as taken.
+    useEffect(() => {
+        if (!isDraftLoaded) return;
+        const timer = setTimeout(() => {
+            const reviewed = attachments.filter(item => !redactionQueue.includes(item.id));
+            const isEmpty = !categoryId && !title && !description && !location && reviewed.length === 0;
+            const save = isEmpty
+                ? clearDraft(draftKey)
+                : saveDraft(draftKey, { categoryId, details, title, description, location, coordinates, address, observedAt, attachments: storableAttachments(reviewed), savedAt: new Date() });
+            save.catch(err => console.error("Error saving draft:", err));
+        }, 500);
+        return () => clearTimeout(timer);
+    }, [isDraftLoaded, draftKey, categoryId, details, title, description, location, coordinates, address, observedAt, attachments, redactionQueue]);
+
+    const discardDraft = () => {
+        setCategoryId('');
+        setDetails({});
+        setTitle('');
+        setDescription('');
+        setLocation('');
+        setCoordinates(null);
+        setAddress(null);
+        setObservedAt('');
+        setAttachments([]);
+        setPhotoDetails(null);
+        setLocationStatus('');
+        setRestoredDraftAt(null);
+    };
+
+    // Address suggestions for whatever was typed, unless it is the address already picked.
+    useEffect(() => {
+        const text = location.trim();
+        if (!geocoder || !isOnline || text.length < GEOCODER_MIN_QUERY_LENGTH || text === address?.formatted || text.startsWith('Lat: ')) {
+            setSuggestions([]);
+            return;
+        }
+        const controller = new AbortController();
+        const timer = setTimeout(() => {
+            geocoder.search(text, { signal: controller.signal })
+                .then(places => {
+                    setSuggestions(places);
+                    setActiveSuggestion(-1);
+                })
+                .catch(err => err.name !== 'AbortError' && console.error("Error searching addresses:", err));
+        }, GEOCODER_DEBOUNCE_MS);
+        return () => {
+            clearTimeout(timer);
+            controller.abort();
+        };
+    }, [location, address, isOnline]);
+
+    const handleLocationChange = (text) => {
+        setLocation(text);
+        // The typed text no longer matches the picked address; the pin stays until another is chosen.
+        setAddress(null);
+    };
+
+    const handleSelectSuggestion = (place) => {
+        setLocation(place.address.formatted);
+        setAddress(place.address);
+        setCoordinates(place.coordinates);
+        setSuggestions([]);
+        setLocationStatus('');
+    };
+
+    const showSuggestions = isLocationFocused && suggestions.length > 0;
+
+    // Arrow keys move through the suggestions (and back to the typed text), Enter picks one and Escape closes the list.
+    const handleLocationKeyDown = (e) => {
+        if (!showSuggestions) return;
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            setActiveSuggestion(index => (index + 1 + step + suggestions.length + 1) % (suggestions.length + 1) - 1);
+        } else if (e.key === 'Enter' && activeSuggestion >= 0) {
+            e.preventDefault();
+            handleSelectSuggestion(suggestions[activeSuggestion]);
+        } else if (e.key === 'Escape') {
+            setSuggestions([]);
+        }
+    };
+
+    // Looks up the address at a GPS fix or dropped pin. Only the latest lookup is applied.
+    const fillAddressFrom = async (picked, replaceText) => {
+        const lookup = ++reverseLookupRef.current;
+        setAddress(null);
+        if (!geocoder) return;
+        try {
+            const place = await geocoder.reverse(picked);
+            if (lookup !== reverseLookupRef.current || !place) return;
+            setAddress(place.address);
+            if (replaceText) setLocation(place.address.formatted);
+        } catch (err) {
+            console.error("Error looking up address:", err);
+        }
+    };
+
+    useEffect(() => {
+        if (!coordinates || isEditing) return;
+        let cancelled = false;
+        fetchNearbyIssues(coordinates, DUPLICATE_RADIUS_METERS, [where('status', 'in', OPEN_STATUSES), notHidden()])
+            .then(nearby => !cancelled && setNearbyIssues(nearby))
+            .catch(err => console.error("Error checking for duplicates:", err));
+        return () => { cancelled = true; };
+    }, [coordinates, isEditing]);
+
+    const duplicateCandidates = useMemo(
+        () => findDuplicateCandidates(nearbyIssues, { title, description, coordinates }).slice(0, 3),
+        [nearbyIssues, title, description, coordinates]
+    );
 
     const videoRef = useRef(null);
     const canvasRef = useRef(null);
@@ -344,7 +1956,7 @@ const ReportIssueModal = ({ addIssue, isSubmitting, onClose }) => {
                     videoRef.current.srcObject = stream;
                     setShowCamera({ type: action });
                     if (action === 'recordVideo') {
-                        startRecording(stream);
+                        startRecording(stream, 'video');
                     }
                 }
             } catch (err) {
@@ -353,18 +1965,36 @@ const ReportIssueModal = ({ addIssue, isSubmitting, onClose }) => {
         } else if (action === 'recordAudio') {
              try {
                 const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-                startRecording(stream);
+                startRecording(stream, 'audio');
              } catch (err) {
                  setFormError("Could not access microphone. Please check permissions.");
              }
         } else {
              fileInputRef.current.accept = action === 'uploadPhoto' ? 'image/*' : action === 'uploadVideo' ? 'video/*' : 'audio/*';
              fileInputRef.current.dataset.mediaType = action.replace('upload', '').toLowerCase();
+             fileInputRef.current.multiple = true;
              fileInputRef.current.click();
         }
     };
 
-    const startRecording = (stream) => {
+    const attachMedia = async (type, blob) => {
+        setIsProcessingMedia(true);
+        setFormError('');
+        try {
+            const { metadata, ...prepared } = await prepareMedia(type, blob);
+            const id = crypto.randomUUID();
+            setAttachments(prev => [...prev, { ...prepared, id, caption: '' }].slice(0, MAX_ATTACHMENTS));
+            if (type === 'photo') setRedactionQueue(prev => [...prev, id]);
+            if (metadata?.coordinates || metadata?.takenAt) setPhotoDetails({ ...metadata, attachmentId: id });
+        } catch (err) {
+            console.error("Error preparing media:", err);
+            setFormError(err.message || 'Could not process this file.');
+        } finally {
+            setIsProcessingMedia(false);
+        }
+    };
+
+    const startRecording = (stream, mediaType) => {
         recordedChunksRef.current = [];
         const recorder = new MediaRecorder(stream);
         mediaRecorderRef.current = recorder;
@@ -375,11 +2005,7 @@ const ReportIssueModal = ({ addIssue, isSubmitting, onClose }) => {
         };
         recorder.onstop = () => {
             const blob = new Blob(recordedChunksRef.current, { type: recordedChunksRef.current[0].type });
-            const reader = new FileReader();
-            reader.readAsDataURL(blob);
-            reader.onloadend = () => {
-                setMedia({ type: showCamera.type === 'recordVideo' ? 'video' : 'audio', dataUrl: reader.result });
-            };
+            attachMedia(mediaType, blob);
             stream.getTracks().forEach(track => track.stop());
             setShowCamera(false);
             setIsRecording(false);
@@ -403,8 +2029,7 @@ const ReportIssueModal = ({ addIssue, isSubmitting, onClose }) => {
             canvas.height = video.videoHeight;
             const context = canvas.getContext('2d');
             context.drawImage(video, 0, 0, canvas.width, canvas.height);
-            const dataUrl = canvas.toDataURL('image/png');
-            setMedia({ type: 'photo', dataUrl });
+            canvas.toBlob(blob => attachMedia('photo', blob), 'image/jpeg', 0.92);
 
             // Stop camera stream
             video.srcObject.getTracks().forEach(track => track.stop());
@@ -412,16 +2037,13 @@ const ReportIssueModal = ({ addIssue, isSubmitting, onClose }) => {
         }
     };
 
-    const handleFileChange = (e) => {
-        const file = e.target.files[0];
+    const handleFileChange = async (e) => {
+        const files = Array.from(e.target.files).slice(0, MAX_ATTACHMENTS - attachments.length);
         // **FIX:** Changed `dataset.mediaType` to 'photo', 'video', etc.
         const mediaType = e.target.dataset.mediaType; 
-        if (file) {
-            const reader = new FileReader();
-            reader.onload = (event) => {
-                setMedia({ type: mediaType, dataUrl: event.target.result });
-            };
-            reader.readAsDataURL(file);
+        e.target.value = '';
+        for (const file of files) {
+            await attachMedia(mediaType, file);
         }
     };
 
@@ -430,10 +2052,12 @@ const ReportIssueModal = ({ addIssue, isSubmitting, onClose }) => {
         if (navigator.geolocation) {
             setLocationStatus('Fetching location...');
             navigator.geolocation.getCurrentPosition(
-                (position) => {
-                    const { latitude, longitude } = position.coords;
-                    setCoordinates({ lat: latitude, lng: longitude });
-                    setLocation(`Lat: ${latitude.toFixed(5)}, Lng: ${longitude.toFixed(5)}`);
+                async (position) => {
+                    const fix = { lat: position.coords.latitude, lng: position.coords.longitude };
+                    setCoordinates(fix);
+                    setLocation(formatCoordinates(fix));
+                    setLocationStatus('Finding the address...');
+                    await fillAddressFrom(fix, true);
                     setLocationStatus('Location captured!');
                 },
                 (err) => {
@@ -446,27 +2070,141 @@ const ReportIssueModal = ({ addIssue, isSubmitting, onClose }) => {
         }
     };
 
-    const handleSubmit = (e) => {
+    // Fills in where and when the attached photo was taken, as read from its EXIF metadata.
+    const handleUsePhotoDetails = () => {
+        const { coordinates: photoCoordinates, takenAt } = photoDetails;
+        if (photoCoordinates) {
+            setCoordinates(photoCoordinates);
+            setLocation(formatCoordinates(photoCoordinates));
+            setLocationStatus("Using the photo's location.");
+            fillAddressFrom(photoCoordinates, true);
+        }
+        if (takenAt) setObservedAt(toDateTimeLocalValue(takenAt));
+        setPhotoDetails(null);
+    };
+
+    const handleCaptionChange = (id, caption) => {
+        setAttachments(prev => prev.map(item => (item.id === id ? { ...item, caption } : item)));
+    };
+
+    const handleMoveAttachment = (index, offset) => {
+        setAttachments(prev => {
+            const next = [...prev];
+            const [item] = next.splice(index, 1);
+            next.splice(index + offset, 0, item);
+            return next;
+        });
+    };
+
+    const handleRemoveAttachment = (id) => {
+        setAttachments(prev => prev.filter(item => item.id !== id));
+        setRedactionQueue(prev => prev.filter(queued => queued !== id));
+        setPhotoDetails(prev => (prev?.attachmentId === id ? null : prev));
+    };
+
+    // New photos queue up for the redaction editor one at a time; the reporter can reopen it later.
+    const handleEditAttachment = (id) => setRedactionQueue(prev => [id, ...prev.filter(queued => queued !== id)]);
+
+    const finishRedaction = (id) => setRedactionQueue(prev => prev.filter(queued => queued !== id));
+
+    // The old thumbnail shows the photo as taken, so it is dropped even if a new one can't be made.
+    const handleSaveRedaction = async (id, blob) => {
+        let thumbnail = null;
+        try {
+            thumbnail = await compressImage(blob, THUMBNAIL_MAX_DIMENSION, 0.7);
+        } catch (err) {
+            console.error("Error making the edited photo's thumbnail:", err);
+        }
+        setAttachments(prev => prev.map(item => (item.id === id ? { ...item, blob, thumbnail } : item)));
+        finishRedaction(id);
+    };
+
+    const redactingAttachment = redactionQueue.map(id => attachments.find(item => item.id === id)).find(Boolean);
+
+    const handlePickLocation = (picked) => {
+        setCoordinates(picked);
+        // Only overwrite the text field if it is empty or still holds a generated location.
+        const replaceText = !location.trim() || location.startsWith('Lat: ') || location === address?.formatted;
+        if (replaceText) setLocation(formatCoordinates(picked));
+        setLocationStatus('Pin dropped on the map.');
+        fillAddressFrom(picked, replaceText);
+    };
+
+    const category = getCategory(taxonomy, categoryId);
+
+    const handleCategoryChange = (nextCategoryId) => {
+        setCategoryId(nextCategoryId);
+        // Details belong to one category's fields; don't carry them over.
+        if (nextCategoryId !== categoryId) setDetails({});
+    };
+
+    const handleSubmit = async (e) => {
         e.preventDefault();
+        if (!category) {
+            setFormError('Choose a category for the issue.');
+            return;
+        }
         if (!title.trim() || !description.trim() || !location.trim()) {
             setFormError('All fields are required.');
             return;
         }
-        const issueData = { title, description, location, coordinates };
-        
-        // **FIX:** Correctly set dynamic property for media URL
-        if (media.dataUrl) {
-            issueData[`${media.type}Url`] = media.dataUrl;
-        } else {
-            // Use a different placeholder for issues without any media.
-            issueData.imageUrl = 'https://placehold.co/600x400/EEE/31343C?text=No+Media+Provided';
+        if (redactingAttachment) {
+            setFormError('Finish checking your photos for faces and number plates first.');
+            return;
         }
-        addIssue(issueData);
-    };
-
-    // Render logic for ReportIssueModal...
-    return (
-        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4 transition-opacity duration-300">
+        const wordMatches = findBlockedWords([title, description, location, ...Object.values(details), ...attachments.map(item => item.caption)].join(' '), blockedWords);
+        if (wordMatches.length > 0) {
+            setFormError(`Please remove language our community guidelines don't allow: ${wordMatches.join(', ')}.`);
+            return;
+        }
+        const observedDate = observedAt ? new Date(observedAt) : null;
+        if (observedDate && !(observedDate <= new Date())) {
+            setFormError('When you saw the issue must be in the past.');
+            return;
+        }
+        // Every report needs an address and coordinates. Whatever can't be looked up now (offline, or
+        // no geocoder is configured, or it is down) is filled in by the onIssueWrittenGeocode Cloud Function.
+        let place = { address, coordinates };
+        if (geocoder && isOnline && !(address && coordinates)) {
+            setIsGeocoding(true);
+            try {
+                if (!coordinates) {
+                    const [match] = await geocoder.search(location.trim());
+                    if (!match) {
+                        setFormError("We couldn't find that location. Pick a suggestion or drop a pin on the map.");
+                        return;
+                    }
+                    place = match;
+                } else {
+                    place = { coordinates, address: (await geocoder.reverse(coordinates))?.address || null };
+                }
+            } catch (err) {
+                console.error("Error geocoding report:", err);
+            } finally {
+                setIsGeocoding(false);
+            }
+        }
+        const filledDetails = Object.fromEntries(Object.entries(details).filter(([fieldId, value]) =>
+            value && category.fields.some(field => field.id === fieldId)));
+        const issueData = { title, description, location, coordinates: place.coordinates, category: category.id };
+        if (place.address) issueData.address = place.address;
+        if (observedDate) issueData.observedAt = observedDate;
+        if (Object.keys(filledDetails).length > 0) issueData.details = filledDetails;
+        
+        if (attachments.length === 0) {
+            // Use a different placeholder for issues without any media.
+            issueData.imageUrl = NO_MEDIA_IMAGE_URL;
+        }
+        if (isEditing) {
+            onSaveEdit(issueData, attachments);
+        } else {
+            addIssue(issueData, attachments);
+        }
+    };
+
+    // Render logic for ReportIssueModal...
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4 transition-opacity duration-300">
               <div className="bg-white p-6 rounded-xl shadow-lg w-full max-w-lg relative transform transition-all duration-300 scale-95 opacity-0 animate-fade-in-scale flex flex-col max-h-[90vh]">
                     <button onClick={onClose} className="absolute top-4 right-4 text-gray-400 hover:text-gray-800 z-10">
                         <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>
@@ -487,54 +2225,160 @@ const ReportIssueModal = ({ addIssue, isSubmitting, onClose }) => {
                     {/* Form View */}
                     {!showCamera && (
                          <>
-                             <h2 className="text-2xl font-bold mb-2 text-center flex-shrink-0">Report a Civic Issue</h2>
-                             <p className="text-center text-gray-500 mb-6 text-sm flex-shrink-0">Fill the details below. 'Snap. Tag. Send'.</p>
+                             <h2 className="text-2xl font-bold mb-2 text-center flex-shrink-0">{isEditing ? 'Edit Your Report' : 'Report a Civic Issue'}</h2>
+                             <p className="text-center text-gray-500 mb-6 text-sm flex-shrink-0">{isEditing ? 'Upvotes and comments are kept. You can edit until work starts.' : "Fill the details below. 'Snap. Tag. Send'."}</p>
                              
                              <div className="overflow-y-auto px-1 flex-grow">
                                   {formError && <p className="text-red-500 text-sm mb-4 text-center">{formError}</p>}
+                                  {restoredDraftAt && (
+                                      <div className="flex items-center justify-between bg-blue-50 text-blue-800 text-sm px-3 py-2 rounded-lg mb-4">
+                                          <span>Restored your unsent draft from {restoredDraftAt.toLocaleString()}.</span>
+                                          <button type="button" onClick={discardDraft} className="font-semibold hover:underline ml-2">Discard</button>
+                                      </div>
+                                  )}
                                 <form id="issue-form" onSubmit={handleSubmit} className="space-y-4">
+                                    <div>
+                                        <p className="text-sm font-semibold text-gray-700 mb-2">What kind of issue is it?</p>
+                                        <div className="grid grid-cols-3 gap-2">
+                                            {taxonomy.categories.map(option => (
+                                                <button type="button" key={option.id} onClick={() => handleCategoryChange(option.id)} aria-pressed={categoryId === option.id} className={`flex flex-col items-center gap-1 p-2 rounded-lg border text-xs font-semibold transition-colors ${categoryId === option.id ? 'border-blue-500 bg-blue-50 text-blue-700' : 'border-gray-200 text-gray-600 hover:bg-gray-50'}`}>
+                                                    <span className="text-2xl" aria-hidden="true">{option.icon}</span>
+                                                    {option.label}
+                                                </button>
+                                            ))}
+                                        </div>
+                                        {category && <p className="text-xs text-gray-500 mt-2">Reports in this category go to <strong>{taxonomy.departments[category.department]}</strong>.</p>}
+                                    </div>
+                                    {category && category.fields.length > 0 && (
+                                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                                            {category.fields.map(field => (
+                                                <label key={field.id} className="text-xs font-semibold text-gray-600">
+                                                    {field.label} <span className="font-normal text-gray-400">(optional)</span>
+                                                    {field.options ? (
+                                                        <select value={details[field.id] || ''} onChange={(e) => setDetails({ ...details, [field.id]: e.target.value })} className="mt-1 w-full p-2 border border-gray-300 rounded-lg text-sm font-normal text-gray-800">
+                                                            <option value="">Not sure</option>
+                                                            {field.options.map(value => <option key={value} value={value}>{value}</option>)}
+                                                        </select>
+                                                    ) : (
+                                                        <input type="text" placeholder={field.placeholder} value={details[field.id] || ''} onChange={(e) => setDetails({ ...details, [field.id]: e.target.value })} maxLength={100} className="mt-1 w-full p-2 border border-gray-300 rounded-lg text-sm font-normal text-gray-800" />
+                                                    )}
+                                                </label>
+                                            ))}
+                                        </div>
+                                    )}
                                     <input type="text" placeholder="Issue Title (e.g., Pothole on Main St)" value={title} onChange={(e) => setTitle(e.target.value)} className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500" />
                                     <textarea placeholder="Description" value={description} onChange={(e) => setDescription(e.target.value)} rows="3" className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"></textarea>
                                     
                                     <div className="relative">
-                                         <input type="text" placeholder="Location (e.g., Near City Park)" value={location} onChange={(e) => setLocation(e.target.value)} className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 pr-10" />
+                                         <input type="text" placeholder="Location (e.g., Near City Park)" value={location} onChange={(e) => handleLocationChange(e.target.value)} onKeyDown={handleLocationKeyDown} onFocus={() => setIsLocationFocused(true)} onBlur={() => setIsLocationFocused(false)} role="combobox" aria-expanded={showSuggestions} aria-controls={suggestionsId} aria-activedescendant={showSuggestions && activeSuggestion >= 0 ? `${suggestionsId}-${activeSuggestion}` : undefined} aria-autocomplete="list" className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 pr-10" />
                                          <button type="button" onClick={handleGetLocation} className="absolute top-1/2 right-3 -translate-y-1/2 text-gray-400 hover:text-blue-600">
                                              <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M21 10c0 7-9 13-9 13s-9-6-9-13a9 9 0 0 1 18 0z"></path><circle cx="12" cy="10" r="3"></circle></svg>
                                          </button>
+                                         {showSuggestions && (
+                                             <ul id={suggestionsId} role="listbox" className="absolute left-0 right-0 mt-1 bg-white border border-gray-200 rounded-lg shadow-lg z-20 max-h-56 overflow-y-auto">
+                                                 {suggestions.map((place, index) => (
+                                                     <li key={`${place.coordinates.lat},${place.coordinates.lng}`} id={`${suggestionsId}-${index}`} role="option" aria-selected={index === activeSuggestion}>
+                                                         {/* mousedown fires before the input's blur hides the list */}
+                                                         <button type="button" tabIndex={-1} onMouseDown={(e) => { e.preventDefault(); handleSelectSuggestion(place); }} className={`w-full text-left px-3 py-2 hover:bg-blue-50 ${index === activeSuggestion ? 'bg-blue-50' : ''}`}>
+                                                             <span className="block text-sm font-semibold text-gray-800">{place.address.formatted}</span>
+                                                             <span className="block text-xs text-gray-500">{[place.address.state, place.address.postcode, place.address.country].filter(Boolean).join(', ')}</span>
+                                                         </button>
+                                                     </li>
+                                                 ))}
+                                             </ul>
+                                         )}
                                     </div>
+                                    {address && location !== address.formatted && <p className="text-xs text-gray-500">Address: {address.formatted}</p>}
                                     {locationStatus && <p className="text-xs text-center text-gray-500">{locationStatus}</p>}
+                                    <button type="button" onClick={() => setShowMapPicker(!showMapPicker)} className="text-sm text-blue-600 hover:underline">
+                                        {showMapPicker ? 'Hide map' : 'Pick location on map'}
+                                    </button>
+                                    {showMapPicker && <LocationPicker coordinates={coordinates} onPick={handlePickLocation} />}
+                                    <label className="block text-xs font-semibold text-gray-600">
+                                        When did you see it? <span className="font-normal text-gray-400">(optional)</span>
+                                        <input type="datetime-local" value={observedAt} max={toDateTimeLocalValue(new Date())} onChange={(e) => setObservedAt(e.target.value)} className="mt-1 w-full p-2 border border-gray-300 rounded-lg text-sm font-normal text-gray-800" />
+                                    </label>
+
+                                    {duplicateCandidates.length > 0 && !dismissedDuplicates && (
+                                        <div className="bg-amber-50 border border-amber-200 rounded-lg p-3 space-y-2">
+                                            <h4 className="font-semibold text-amber-800 text-sm">This may already be reported nearby</h4>
+                                            <p className="text-xs text-amber-700">Upvoting the existing issue helps it get fixed faster than a new report.</p>
+                                            {duplicateCandidates.map(({ issue, distance }) => (
+                                                <div key={issue.id} className="flex items-center justify-between gap-2 bg-white rounded-md p-2 border border-amber-100">
+                                                    <div className="min-w-0">
+                                                        <p className="text-sm font-semibold truncate">{issue.title}</p>
+                                                        <p className="text-xs text-gray-500">{Math.round(distance)} m away &middot; {issue.upvotes || 0} Upvotes &middot; {issue.status}</p>
+                                                    </div>
+                                                    {votedIssueIds.has(issue.id) ? (
+                                                        <span className="text-xs font-semibold text-blue-600 flex-shrink-0">Upvoted</span>
+                                                    ) : (
+                                                        <button type="button" onClick={() => onUpvoteExisting(issue.id)} disabled={!canVote} title={canVote ? '' : 'Create an account to upvote'} className="text-xs font-bold bg-blue-600 text-white px-3 py-1.5 rounded-md hover:bg-blue-700 disabled:bg-gray-400 flex-shrink-0">Upvote instead</button>
+                                                    )}
+                                                </div>
+                                            ))}
+                                            <button type="button" onClick={() => setDismissedDuplicates(true)} className="text-xs text-amber-700 hover:underline">My issue is different</button>
+                                        </div>
+                                    )}
                                     
-                                    <div className="border border-gray-200 rounded-lg p-3">
-                                        {media.dataUrl ? (
-                                            <div className='text-center'>
-                                                 {media.type === 'photo' && <img src={media.dataUrl} alt="Preview" className="rounded-lg max-h-40 mx-auto" />}
-                                                 {media.type === 'video' && <video src={media.dataUrl} controls className="rounded-lg max-h-40 mx-auto" />}
-                                                 {media.type === 'audio' && <audio src={media.dataUrl} controls className="w-full" />}
-                                                <button type="button" onClick={() => setMedia({type: null, dataUrl: null})} className="text-sm text-red-500 mt-2 hover:underline">Remove Media</button>
-                                            </div>
-                                        ) : (
-                                            <div className="space-y-2">
-                                                <div className="grid grid-cols-2 gap-2">
-                                                    <button type="button" onClick={() => handleMediaAction('takePhoto')} className="media-btn"><svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M23 19a2 2 0 0 1-2 2H3a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h4l2-3h6l2 3h4a2 2 0 0 1 2 2z"></path><circle cx="12" cy="13" r="4"></circle></svg> Take Photo</button>
-                                                    <button type="button" onClick={() => handleMediaAction('uploadPhoto')} className="media-btn"><svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path><polyline points="17 8 12 3 7 8"></polyline><line x1="12" y1="3" x2="12" y2="15"></line></svg> Upload Photo</button>
-                                                    <button type="button" onClick={() => handleMediaAction('recordVideo')} className="media-btn"><svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><polygon points="23 7 16 12 23 17 23 7"></polygon><rect x="1" y="5" width="15" height="14" rx="2" ry="2"></rect></svg> Record Video</button>
-                                                    <button type="button" onClick={() => isRecording ? stopRecording() : handleMediaAction('recordAudio')} className={`media-btn ${isRecording ? 'bg-red-200 text-red-700' : ''}`}><svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M12 1a3 3 0 0 0-3 3v8a3 3 0 0 0 6 0V4a3 3 0 0 0-3-3z"></path><path d="M19 10v2a7 7 0 0 1-14 0v-2"></path><line x1="12" y1="19" x2="12" y2="23"></line><line x1="8" y1="23" x2="16" y2="23"></line></svg> {isRecording ? 'Stop' : 'Record Voice'}</button>
+                                    <div className="border border-gray-200 rounded-lg p-3 space-y-3">
+                                        {attachments.length > 0 && (
+                                            <ul className="space-y-2">
+                                                {attachments.map((item, index) => (
+                                                    <AttachmentItem key={item.id} attachment={item} index={index} count={attachments.length} onCaptionChange={handleCaptionChange} onMove={handleMoveAttachment} onRemove={handleRemoveAttachment} onEdit={handleEditAttachment} />
+                                                ))}
+                                            </ul>
+                                        )}
+                                        {photoDetails && (
+                                            <div className="bg-blue-50 text-blue-800 text-sm px-3 py-2 rounded-lg">
+                                                <p>This photo was taken {[photoDetails.coordinates && `at ${formatCoordinates(photoDetails.coordinates)}`, photoDetails.takenAt && `on ${photoDetails.takenAt.toLocaleString()}`].filter(Boolean).join(' ')}.</p>
+                                                <div className="mt-1 flex gap-4">
+                                                    <button type="button" onClick={handleUsePhotoDetails} className="font-semibold hover:underline">
+                                                        {photoDetails.coordinates && photoDetails.takenAt ? 'Use this location and time' : photoDetails.coordinates ? 'Use this location' : 'Use this time'}
+                                                    </button>
+                                                    <button type="button" onClick={() => setPhotoDetails(null)} className="hover:underline">No thanks</button>
                                                 </div>
-                                                <input type="file" ref={fileInputRef} onChange={handleFileChange} className="hidden" />
                                             </div>
                                         )}
+                                        {isProcessingMedia ? (
+                                            <p className="text-sm text-center text-gray-500 py-4">Compressing media...</p>
+                                        ) : attachments.length < MAX_ATTACHMENTS ? (
+                                            <div className="grid grid-cols-2 gap-2">
+                                                <button type="button" onClick={() => handleMediaAction('takePhoto')} className="media-btn"><svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M23 19a2 2 0 0 1-2 2H3a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h4l2-3h6l2 3h4a2 2 0 0 1 2 2z"></path><circle cx="12" cy="13" r="4"></circle></svg> Take Photo</button>
+                                                <button type="button" onClick={() => handleMediaAction('uploadPhoto')} className="media-btn"><svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path><polyline points="17 8 12 3 7 8"></polyline><line x1="12" y1="3" x2="12" y2="15"></line></svg> Upload Photo</button>
+                                                <button type="button" onClick={() => handleMediaAction('recordVideo')} className="media-btn"><svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><polygon points="23 7 16 12 23 17 23 7"></polygon><rect x="1" y="5" width="15" height="14" rx="2" ry="2"></rect></svg> Record Video</button>
+                                                <button type="button" onClick={() => isRecording ? stopRecording() : handleMediaAction('recordAudio')} className={`media-btn ${isRecording ? 'bg-red-200 text-red-700' : ''}`}><svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M12 1a3 3 0 0 0-3 3v8a3 3 0 0 0 6 0V4a3 3 0 0 0-3-3z"></path><path d="M19 10v2a7 7 0 0 1-14 0v-2"></path><line x1="12" y1="19" x2="12" y2="23"></line><line x1="8" y1="23" x2="16" y2="23"></line></svg> {isRecording ? 'Stop' : 'Record Voice'}</button>
+                                            </div>
+                                        ) : (
+                                            <p className="text-xs text-center text-gray-500">You can attach up to {MAX_ATTACHMENTS} files. Remove one to add another.</p>
+                                        )}
+                                        {attachments.length > 0 && attachments.length < MAX_ATTACHMENTS && <p className="text-xs text-center text-gray-400">{formatAttachmentCount(attachments.length)} of {MAX_ATTACHMENTS}. The first photo or video is the cover.</p>}
+                                        <input type="file" ref={fileInputRef} onChange={handleFileChange} className="hidden" />
                                     </div>
                                 </form>
                              </div>
 
                              <div className="pt-4 flex-shrink-0">
-                                  <button form="issue-form" type="submit" disabled={isSubmitting} className="w-full bg-green-500 text-white font-bold py-3 px-4 rounded-lg hover:bg-green-600 disabled:bg-gray-400">
-                                      {isSubmitting ? 'Submitting...' : 'Send Report'}
+                                  {uploadProgress !== null && (
+                                      <div className="w-full bg-gray-200 rounded-full h-2 mb-3">
+                                          <div className="bg-green-500 h-2 rounded-full transition-all" style={{ width: `${uploadProgress}%` }}></div>
+                                      </div>
+                                  )}
+                                  <button form="issue-form" type="submit" disabled={isSubmitting || isGeocoding || isProcessingMedia || Boolean(redactingAttachment) || (isEditing && !isOnline)} className="w-full bg-green-500 text-white font-bold py-3 px-4 rounded-lg hover:bg-green-600 disabled:bg-gray-400">
+                                      {uploadProgress !== null ? `Uploading ${uploadProgress}%...` : isGeocoding ? 'Finding the location...' : isSubmitting ? 'Submitting...' : isEditing ? 'Save Changes' : isOnline ? 'Send Report' : 'Save to Outbox'}
                                   </button>
+                                  {!isOnline && <p className="text-xs text-gray-500 text-center mt-2">{isEditing ? "You're offline. Reconnect to save your changes." : "You're offline. The report will be sent automatically when you reconnect."}</p>}
                              </div>
                           </>
                     )}
               </div>
+              {redactingAttachment && (
+                  <PhotoRedactor
+                      key={redactingAttachment.id}
+                      blob={redactingAttachment.blob}
+                      onSave={(blob) => handleSaveRedaction(redactingAttachment.id, blob)}
+                      onSkip={() => finishRedaction(redactingAttachment.id)}
+                  />
+              )}
                <style>{`
                     @keyframes fade-in-scale { from { transform: scale(0.95); opacity: 0; } to { transform: scale(1); opacity: 1; } }
                     .animate-fade-in-scale { animation: fade-in-scale 0.2s ease-out forwards; }
@@ -545,24 +2389,454 @@ const ReportIssueModal = ({ addIssue, isSubmitting, onClose }) => {
 };
 
 
-const IssueFeed = ({ issues, onUpvote, currentUserId, onDelete, onViewMedia }) => (
-    <div>
-        <h2 className="text-2xl font-bold mb-4">Community Issue Feed</h2>
-        {issues.length === 0 ? (
-            <div className="text-center py-12 bg-white rounded-lg border border-dashed border-gray-300">
-                <svg className="mx-auto h-12 w-12 text-gray-300" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9.172 16.172a4 4 0 015.656 0M9 10h.01M15 10h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" /></svg>
-                <h3 className="mt-2 text-lg font-medium text-gray-800">No issues yet!</h3>
-                <p className="mt-1 text-sm text-gray-500">Be the first to report an issue in your community.</p>
+// An object URL for a local file, released when the file changes or the component unmounts.
+const useObjectUrl = (blob) => {
+    const [url, setUrl] = useState(null);
+    useEffect(() => {
+        if (!blob) return undefined;
+        const objectUrl = URL.createObjectURL(blob);
+        setUrl(objectUrl);
+        return () => URL.revokeObjectURL(objectUrl);
+    }, [blob]);
+    return blob ? url : null;
+};
+
+// One attachment in the report form, with its caption and controls to reorder, edit or remove it.
+const AttachmentItem = ({ attachment, index, count, onCaptionChange, onMove, onRemove, onEdit }) => {
+    const fileUrl = useObjectUrl(attachment.blob);
+    const localThumbnailUrl = useObjectUrl(attachment.thumbnail);
+    const url = attachment.blob ? fileUrl : attachment.url;
+    const thumbnailUrl = attachment.blob ? localThumbnailUrl : attachment.thumbnailUrl;
+    const label = { photo: 'Photo', video: 'Video', audio: 'Voice note' }[attachment.type];
+
+    return (
+        <li className="flex items-start gap-3">
+            {attachment.type === 'audio' ? (
+                <div className="h-16 w-16 rounded-md bg-purple-100 text-purple-600 flex items-center justify-center flex-shrink-0">
+                    <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M12 1a3 3 0 0 0-3 3v8a3 3 0 0 0 6 0V4a3 3 0 0 0-3-3z"></path><path d="M19 10v2a7 7 0 0 1-14 0v-2"></path><line x1="12" y1="19" x2="12" y2="23"></line><line x1="8" y1="23" x2="16" y2="23"></line></svg>
+                </div>
+            ) : attachment.type === 'video' && !thumbnailUrl ? (
+                <video src={url || undefined} className="h-16 w-16 rounded-md object-cover bg-gray-100 flex-shrink-0" />
+            ) : (
+                <img src={thumbnailUrl || url || undefined} alt={`${label} ${index + 1}`} className="h-16 w-16 rounded-md object-cover bg-gray-100 flex-shrink-0" />
+            )}
+            <div className="flex-1 min-w-0">
+                <input type="text" value={attachment.caption} onChange={(e) => onCaptionChange(attachment.id, e.target.value)} maxLength={MAX_CAPTION_LENGTH} placeholder={`Caption for ${label.toLowerCase()} ${index + 1} (optional)`} aria-label={`Caption for ${label.toLowerCase()} ${index + 1}`} className="w-full p-2 border border-gray-300 rounded-lg text-sm" />
+                {attachment.type === 'audio' && url && <audio src={url} controls className="w-full h-8 mt-1" />}
+                {attachment.blob && (
+                    <p className="text-xs text-gray-400 mt-1">
+                        {label} &middot; {(attachment.blob.size / (1024 * 1024)).toFixed(1)} MB
+                        {attachment.type === 'photo' && <button type="button" onClick={() => onEdit(attachment.id)} className="ml-2 font-semibold text-blue-600 hover:underline">Blur, crop or rotate</button>}
+                    </p>
+                )}
             </div>
-        ) : (
-            <div className="grid gap-4 md:gap-6 grid-cols-1 lg:grid-cols-2">
-                {issues.map(issue => <IssueCard key={issue.id} issue={issue} onUpvote={onUpvote} isOwner={issue.reporterId === currentUserId} onDelete={onDelete} onViewMedia={onViewMedia}/> )}
+            <div className="flex flex-col items-center flex-shrink-0">
+                <button type="button" onClick={() => onMove(index, -1)} disabled={index === 0} aria-label="Move earlier" className="p-1 text-gray-400 hover:text-blue-600 disabled:opacity-30 disabled:hover:text-gray-400">
+                    <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><polyline points="18 15 12 9 6 15"></polyline></svg>
+                </button>
+                <button type="button" onClick={() => onMove(index, 1)} disabled={index === count - 1} aria-label="Move later" className="p-1 text-gray-400 hover:text-blue-600 disabled:opacity-30 disabled:hover:text-gray-400">
+                    <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><polyline points="6 9 12 15 18 9"></polyline></svg>
+                </button>
             </div>
-        )}
+            <button type="button" onClick={() => onRemove(attachment.id)} aria-label={`Remove ${label.toLowerCase()} ${index + 1}`} className="p-1 text-gray-400 hover:text-red-500 flex-shrink-0">
+                <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>
+            </button>
+        </li>
+    );
+};
+
+// Full-screen editor offered for each photo before it is attached: blur or pixelate with a brush
+// or a box, crop and rotate. Faces and plates are pre-selected where the browser can detect them.
+// Rendered into the body so a transformed card or modal around it can't clip it.
+const PhotoRedactor = ({ blob, onSave, onSkip }) => {
+    const [image, setImage] = useState(null);
+    const [operations, setOperations] = useState([]);
+    const [tool, setTool] = useState('brush');
+    const [effect, setEffect] = useState('pixelate');
+    const [brushSize, setBrushSize] = useState(REDACTION_BRUSH_SIZES[1].size);
+    const [stroke, setStroke] = useState(null);
+    const [cropRect, setCropRect] = useState(null);
+    const [status, setStatus] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+    const canvasRef = useRef(null);
+    const dragStartRef = useRef(null);
+    const imageUrl = useObjectUrl(blob);
+
+    useEffect(() => {
+        if (!imageUrl) return undefined;
+        let cancelled = false;
+        const loaded = new Image();
+        loaded.onload = () => { if (!cancelled) setImage(loaded); };
+        loaded.onerror = () => { if (!cancelled) setStatus('Could not open this photo.'); };
+        loaded.src = imageUrl;
+        return () => { cancelled = true; };
+    }, [imageUrl]);
+
+    const rendered = useMemo(() => (image ? renderPhotoEdits(image, operations) : null), [image, operations]);
+
+    // Detection runs once on the photo as captured; its boxes go before any edits made meanwhile,
+    // so their coordinates still line up.
+    useEffect(() => {
+        if (!image || !canDetectSensitiveRegions) return undefined;
+        let cancelled = false;
+        setStatus('Looking for faces and number plates...');
+        detectSensitiveRegions(renderPhotoEdits(image, []))
+            .then(regions => {
+                if (cancelled) return;
+                setOperations(prev => [...regions.map(rect => ({ type: 'redact', effect: 'pixelate', shape: 'rect', rect })), ...prev]);
+                setStatus(regions.length > 0
+                    ? `Pixelated ${regions.length} ${regions.length === 1 ? 'area that looks' : 'areas that look'} like a face or number plate. Check the photo and undo any you want to keep.`
+                    : 'No faces or number plates found. Check the photo yourself before sending it.');
+            })
+            .catch(err => {
+                console.error("Error detecting faces and plates:", err);
+                if (!cancelled) setStatus('');
+            });
+        return () => { cancelled = true; };
+    }, [image]);
+
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!canvas || !rendered) return;
+        canvas.width = rendered.width;
+        canvas.height = rendered.height;
+        const context = canvas.getContext('2d');
+        context.drawImage(rendered, 0, 0);
+        context.lineWidth = Math.max(2, rendered.width / 400);
+        context.strokeStyle = '#ffffff';
+        if (stroke?.shape === 'brush') {
+            context.globalAlpha = 0.5;
+            context.strokeStyle = '#3b82f6';
+            context.lineWidth = stroke.size;
+            context.lineCap = 'round';
+            context.lineJoin = 'round';
+            context.beginPath();
+            stroke.points.forEach((point, index) => (index === 0 ? context.moveTo(point.x, point.y) : context.lineTo(point.x, point.y)));
+            if (stroke.points.length === 1) context.lineTo(stroke.points[0].x + 0.1, stroke.points[0].y);
+            context.stroke();
+            context.globalAlpha = 1;
+        } else if (stroke?.shape === 'rect') {
+            context.setLineDash([8, 6]);
+            context.strokeRect(stroke.rect.x, stroke.rect.y, stroke.rect.width, stroke.rect.height);
+        }
+        if (cropRect) {
+            // Dim everything the crop would cut away.
+            context.fillStyle = 'rgba(0, 0, 0, 0.5)';
+            context.fillRect(0, 0, rendered.width, cropRect.y);
+            context.fillRect(0, cropRect.y + cropRect.height, rendered.width, rendered.height - cropRect.y - cropRect.height);
+            context.fillRect(0, cropRect.y, cropRect.x, cropRect.height);
+            context.fillRect(cropRect.x + cropRect.width, cropRect.y, rendered.width - cropRect.x - cropRect.width, cropRect.height);
+            context.setLineDash([8, 6]);
+            context.strokeRect(cropRect.x, cropRect.y, cropRect.width, cropRect.height);
+        }
+    }, [rendered, stroke, cropRect]);
+
+    const toCanvasPoint = (e) => toImagePoint(e, canvasRef.current.getBoundingClientRect(), rendered);
+
+    const handlePointerDown = (e) => {
+        if (!rendered || isSaving) return;
+        e.currentTarget.setPointerCapture(e.pointerId);
+        const point = toCanvasPoint(e);
+        dragStartRef.current = point;
+        if (tool === 'brush') {
+            // Brush sizes are in screen pixels, whatever the photo's resolution.
+            const scale = rendered.width / canvasRef.current.getBoundingClientRect().width;
+            setStroke({ shape: 'brush', points: [point], size: brushSize * scale });
+        } else if (tool === 'rect') {
+            setStroke({ shape: 'rect', rect: toRect(point, point) });
+        } else {
+            setCropRect(toRect(point, point));
+        }
+    };
+
+    const handlePointerMove = (e) => {
+        if (!dragStartRef.current) return;
+        const point = toCanvasPoint(e);
+        if (tool === 'brush') setStroke(prev => ({ ...prev, points: [...prev.points, point] }));
+        else if (tool === 'rect') setStroke(prev => ({ ...prev, rect: toRect(dragStartRef.current, point) }));
+        else setCropRect(toRect(dragStartRef.current, point));
+    };
+
+    const handlePointerUp = () => {
+        if (!dragStartRef.current) return;
+        dragStartRef.current = null;
+        if (stroke && (stroke.shape === 'brush' || (stroke.rect.width > 4 && stroke.rect.height > 4))) {
+            setOperations(prev => [...prev, { type: 'redact', effect, ...stroke }]);
+        }
+        setStroke(null);
+    };
+
+    const handleSelectTool = (nextTool) => {
+        setTool(nextTool);
+        setCropRect(null);
+    };
+
+    const handleApplyCrop = () => {
+        if (cropRect && cropRect.width > 8 && cropRect.height > 8) {
+            setOperations(prev => [...prev, { type: 'crop', rect: cropRect }]);
+        }
+        setCropRect(null);
+        setTool('brush');
+    };
+
+    const handleRotate = (direction) => {
+        setOperations(prev => [...prev, { type: 'rotate', direction }]);
+        setCropRect(null);
+    };
+
+    const handleSave = () => {
+        if (!rendered) return;
+        if (operations.length === 0) {
+            onSkip();
+            return;
+        }
+        setIsSaving(true);
+        rendered.toBlob((result) => {
+            if (result) {
+                onSave(result);
+            } else {
+                setStatus('Could not save the edited photo.');
+                setIsSaving(false);
+            }
+        }, 'image/jpeg', 0.85);
+    };
+
+    const toggleClass = (active) => `px-3 py-1.5 rounded-lg text-sm font-semibold ${active ? 'bg-white text-gray-900' : 'bg-gray-700 text-gray-200 hover:bg-gray-600'}`;
+
+    return createPortal(
+        <div className="fixed inset-0 bg-gray-900 z-[60] flex flex-col text-white">
+            <div className="p-4 border-b border-gray-700">
+                <h3 className="text-lg font-bold">Hide faces and number plates</h3>
+                <p className="text-xs text-gray-300">Everyone can see the photos on a report. Paint over or box anything that identifies a bystander; only the edited photo is sent.</p>
+            </div>
+            <div className="flex-grow min-h-0 flex items-center justify-center p-2 overflow-hidden">
+                {rendered ? (
+                    <canvas
+                        ref={canvasRef}
+                        onPointerDown={handlePointerDown}
+                        onPointerMove={handlePointerMove}
+                        onPointerUp={handlePointerUp}
+                        onPointerCancel={handlePointerUp}
+                        style={{ touchAction: 'none' }}
+                        className={`max-w-full max-h-[60vh] ${tool === 'brush' ? 'cursor-crosshair' : 'cursor-cell'}`}
+                    />
+                ) : (
+                    <p className="text-sm text-gray-300">{status || 'Opening photo...'}</p>
+                )}
+            </div>
+            {rendered && status && <p className="px-4 pb-2 text-xs text-center text-gray-300">{status}</p>}
+            <div className="p-3 border-t border-gray-700 space-y-3">
+                <div className="flex flex-wrap items-center justify-center gap-2">
+                    <button type="button" onClick={() => handleSelectTool('brush')} className={toggleClass(tool === 'brush')}>Brush</button>
+                    <button type="button" onClick={() => handleSelectTool('rect')} className={toggleClass(tool === 'rect')}>Box</button>
+                    <button type="button" onClick={() => handleSelectTool('crop')} className={toggleClass(tool === 'crop')}>Crop</button>
+                    <span className="w-px h-6 bg-gray-600" aria-hidden="true"></span>
+                    <button type="button" onClick={() => setEffect('pixelate')} className={toggleClass(effect === 'pixelate')}>Pixelate</button>
+                    <button type="button" onClick={() => setEffect('blur')} className={toggleClass(effect === 'blur')}>Blur</button>
+                </div>
+                <div className="flex flex-wrap items-center justify-center gap-2">
+                    {tool === 'brush' && REDACTION_BRUSH_SIZES.map(option => (
+                        <button key={option.label} type="button" onClick={() => setBrushSize(option.size)} aria-label={`Brush size ${option.label}`} className={toggleClass(brushSize === option.size)}>{option.label}</button>
+                    ))}
+                    {tool === 'crop' && (
+                        <button type="button" onClick={handleApplyCrop} disabled={!cropRect} className="px-3 py-1.5 rounded-lg text-sm font-semibold bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 disabled:text-gray-400">Apply crop</button>
+                    )}
+                    <button type="button" onClick={() => handleRotate(-1)} aria-label="Rotate left" className={toggleClass(false)}>
+                        <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><polyline points="1 4 1 10 7 10"></polyline><path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"></path></svg>
+                    </button>
+                    <button type="button" onClick={() => handleRotate(1)} aria-label="Rotate right" className={toggleClass(false)}>
+                        <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><polyline points="23 4 23 10 17 10"></polyline><path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"></path></svg>
+                    </button>
+                    <button type="button" onClick={() => setOperations(prev => prev.slice(0, -1))} disabled={operations.length === 0} className={`${toggleClass(false)} disabled:opacity-40`}>Undo</button>
+                    <button type="button" onClick={() => setOperations([])} disabled={operations.length === 0} className={`${toggleClass(false)} disabled:opacity-40`}>Reset</button>
+                </div>
+                <div className="flex justify-end gap-2">
+                    <button type="button" onClick={onSkip} disabled={isSaving} className="px-4 py-2 rounded-lg text-sm font-semibold text-gray-300 hover:text-white">Keep as taken</button>
+                    <button type="button" onClick={handleSave} disabled={!rendered || isSaving} className="px-4 py-2 rounded-lg text-sm font-semibold bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600">{isSaving ? 'Saving...' : 'Use this photo'}</button>
+                </div>
+            </div>
+        </div>,
+        document.body
+    );
+};
+
+const OutboxPanel = ({ entries, isOnline, isSyncing, onRetry, onDiscard }) => (
+    <div className="bg-white rounded-xl shadow-md border border-gray-200 my-4">
+        <div className="flex items-center justify-between px-4 py-3 border-b border-gray-100">
+            <div>
+                <h3 className="font-bold text-gray-800">Outbox ({entries.length})</h3>
+                <p className="text-xs text-gray-500">{isSyncing ? 'Sending queued reports...' : isOnline ? 'These reports have not been sent yet.' : 'Queued reports will be sent when you reconnect.'}</p>
+            </div>
+            <button onClick={onRetry} disabled={!isOnline || isSyncing} className="text-sm font-semibold text-blue-600 hover:underline disabled:text-gray-400 disabled:no-underline">Retry now</button>
+        </div>
+        <ul>
+            {entries.map(entry => (
+                <li key={entry.id} className="flex items-center justify-between px-4 py-3 border-b border-gray-50 last:border-b-0">
+                    <div className="min-w-0">
+                        <p className="text-sm font-semibold text-gray-800 truncate">{entry.issue.title}</p>
+                        <p className="text-xs text-gray-500">
+                            Queued {entry.createdAt.toLocaleString()}{getQueuedAttachments(entry).length > 0 ? ` · with ${formatAttachmentCount(getQueuedAttachments(entry).length)}` : ''}
+                            {entry.lastError && <span className="text-red-500"> · {entry.lastError}</span>}
+                        </p>
+                    </div>
+                    <button onClick={() => onDiscard(entry.id)} disabled={isSyncing} className="text-xs text-gray-400 hover:text-red-500 ml-3 disabled:opacity-50">Discard</button>
+                </li>
+            ))}
+        </ul>
+    </div>
+);
+
+const IssueFeed = ({ taxonomy, issues, viewerIsStaff, followedIssueIds, onToggleFollow, filters, onChangeFilters, hasMore, isLoadingIssues, onLoadMore, onUpvote, votedIssueIds, canVote, currentUserId, onDelete, onEdit, flaggedIssueIds, onFlag, onViewMedia, verificationConfig, onVerify }) => {
+    const [displayMode, setDisplayMode] = useState('list'); // list, map
+    const [selectedIssueId, setSelectedIssueId] = useState(null);
+    const selectedIssue = issues.find(issue => issue.id === selectedIssueId);
+
+    const renderCard = (issue) => <IssueCard key={issue.id} taxonomy={taxonomy} issue={issue} onUpvote={onUpvote} hasVoted={votedIssueIds.has(issue.id)} canVote={canVote} isFollowing={followedIssueIds.has(issue.id)} onToggleFollow={onToggleFollow} isOwner={issue.reporterId === currentUserId} currentUserId={currentUserId} viewerIsStaff={viewerIsStaff} onDelete={onDelete} onEdit={onEdit} isFlagged={flaggedIssueIds.has(issue.id)} onFlag={onFlag} onViewMedia={onViewMedia} verificationConfig={verificationConfig} onVerify={onVerify}/>;
+
+    return (
+        <div>
+            <div className="flex items-center justify-between mb-4">
+                <h2 className="text-2xl font-bold">Community Issue Feed</h2>
+                <div className="flex bg-white border border-gray-200 rounded-lg p-1 text-sm font-semibold">
+                    <button onClick={() => setDisplayMode('list')} className={`px-3 py-1 rounded-md ${displayMode === 'list' ? 'bg-blue-600 text-white' : 'text-gray-600 hover:bg-gray-100'}`}>List</button>
+                    <button onClick={() => setDisplayMode('map')} className={`px-3 py-1 rounded-md ${displayMode === 'map' ? 'bg-blue-600 text-white' : 'text-gray-600 hover:bg-gray-100'}`}>Map</button>
+                </div>
+            </div>
+            <FeedFilters taxonomy={taxonomy} filters={filters} onChange={onChangeFilters} />
+            {displayMode === 'map' ? (
+                <IssueMap issues={issues} onSelectIssue={(issue) => setSelectedIssueId(issue.id)} />
+            ) : isLoadingIssues ? (
+                <div className="text-center py-12 text-gray-500">Loading issues...</div>
+            ) : issues.length === 0 && !isEqualFilters(filters, DEFAULT_FEED_FILTERS) ? (
+                <div className="text-center py-12 bg-white rounded-lg border border-dashed border-gray-300">
+                    <h3 className="text-lg font-medium text-gray-800">No issues match these filters.</h3>
+                    <button onClick={() => onChangeFilters(DEFAULT_FEED_FILTERS)} className="mt-2 text-sm text-blue-600 hover:underline">Clear filters</button>
+                </div>
+            ) : issues.length === 0 ? (
+                <div className="text-center py-12 bg-white rounded-lg border border-dashed border-gray-300">
+                    <svg className="mx-auto h-12 w-12 text-gray-300" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9.172 16.172a4 4 0 015.656 0M9 10h.01M15 10h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" /></svg>
+                    <h3 className="mt-2 text-lg font-medium text-gray-800">No issues yet!</h3>
+                    <p className="mt-1 text-sm text-gray-500">Be the first to report an issue in your community.</p>
+                </div>
+            ) : (
+                <div className="grid gap-4 md:gap-6 grid-cols-1 lg:grid-cols-2">
+                    {issues.map(renderCard)}
+                </div>
+            )}
+            {hasMore && <LoadMoreSentinel key={issues.length} onVisible={onLoadMore} />}
+            {selectedIssue && <IssueDetailModal onClose={() => setSelectedIssueId(null)}>{renderCard(selectedIssue)}</IssueDetailModal>}
+        </div>
+    );
+};
+
+const IssueDetailModal = ({ children, onClose }) => (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4" onClick={onClose}>
+        <div className="w-full max-w-lg max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+            {children}
+        </div>
     </div>
 );
 
-const IssueCard = ({ issue, onUpvote, isOwner, onDelete, onViewMedia }) => {
+const isEqualFilters = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const FeedFilters = ({ taxonomy, filters, onChange }) => {
+    const [searchText, setSearchText] = useState(filters.search);
+    const [locationStatus, setLocationStatus] = useState('');
+    const update = (changes) => onChange({ ...filters, ...changes });
+
+    // Debounce typing so every keystroke doesn't start a new query.
+    useEffect(() => {
+        if (searchText === filters.search) return;
+        const timeout = setTimeout(() => onChange({ ...filters, search: searchText }), 400);
+        return () => clearTimeout(timeout);
+    }, [searchText, filters, onChange]);
+
+    useEffect(() => {
+        setSearchText(filters.search);
+    }, [filters.search]);
+
+    const requestLocation = (changes) => {
+        if (!navigator.geolocation) return setLocationStatus("Geolocation is not supported by this browser.");
+        setLocationStatus('Fetching location...');
+        navigator.geolocation.getCurrentPosition(
+            (position) => {
+                setLocationStatus('');
+                update({ ...changes, center: { lat: position.coords.latitude, lng: position.coords.longitude } });
+            },
+            (err) => {
+                console.error("Geolocation error:", err);
+                setLocationStatus('Unable to retrieve your location.');
+            }
+        );
+    };
+
+    const handleSortChange = (sort) => {
+        if (sort === 'nearest' && !filters.center) return requestLocation({ sort });
+        update({ sort });
+    };
+
+    const handleDistanceChange = (value) => {
+        const radiusKm = value ? Number(value) : null;
+        if (radiusKm && !filters.center) return requestLocation({ radiusKm });
+        update({ radiusKm });
+    };
+
+    return (
+        <div className="bg-white p-4 rounded-xl shadow-sm border border-gray-200 mb-4 space-y-3">
+            <input type="search" placeholder="Search titles and descriptions..." value={searchText} onChange={(e) => setSearchText(e.target.value)} className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500" />
+            <div className="grid grid-cols-2 md:grid-cols-7 gap-2 text-sm">
+                <select value={filters.status} onChange={(e) => update({ status: e.target.value })} className="p-2 border border-gray-300 rounded-lg">
+                    <option value="all">All statuses</option>
+                    {ISSUE_STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+                </select>
+                <select value={filters.category} onChange={(e) => update({ category: e.target.value })} className="p-2 border border-gray-300 rounded-lg">
+                    <option value="all">All categories</option>
+                    {taxonomy.categories.map(category => <option key={category.id} value={category.id}>{category.icon} {category.label}</option>)}
+                </select>
+                <select value={filters.sort} onChange={(e) => handleSortChange(e.target.value)} className="p-2 border border-gray-300 rounded-lg">
+                    {Object.entries(FEED_SORTS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                </select>
+                <select value={filters.radiusKm || ''} onChange={(e) => handleDistanceChange(e.target.value)} className="p-2 border border-gray-300 rounded-lg">
+                    <option value="">Any distance</option>
+                    {FEED_DISTANCES_KM.map(km => <option key={km} value={km}>Within {km} km</option>)}
+                </select>
+                <input type="date" value={filters.from} max={filters.to || undefined} onChange={(e) => update({ from: e.target.value })} aria-label="Reported from" className="p-2 border border-gray-300 rounded-lg" />
+                <input type="date" value={filters.to} min={filters.from || undefined} onChange={(e) => update({ to: e.target.value })} aria-label="Reported until" className="p-2 border border-gray-300 rounded-lg" />
+                <label className="flex items-center gap-2 p-2 text-gray-700">
+                    <input type="checkbox" checked={filters.mine} onChange={(e) => update({ mine: e.target.checked })} />
+                    My reports
+                </label>
+            </div>
+            {locationStatus && <p className="text-xs text-gray-500">{locationStatus}</p>}
+            {filters.center && isNearbyQuery(filters) && (
+                <p className="text-xs text-gray-500">
+                    Showing issues within {filters.radiusKm || NEAREST_DEFAULT_RADIUS_KM} km of your location.{' '}
+                    <button onClick={() => requestLocation({})} className="text-blue-600 hover:underline">Update location</button>
+                </p>
+            )}
+        </div>
+    );
+};
+
+// Calls `onVisible` when scrolled into view, to load the next page of results.
+const LoadMoreSentinel = ({ onVisible }) => {
+    const sentinelRef = useRef(null);
+    useEffect(() => {
+        const observer = new IntersectionObserver((entries) => {
+            if (entries[0].isIntersecting) onVisible();
+        }, { rootMargin: '400px' });
+        observer.observe(sentinelRef.current);
+        return () => observer.disconnect();
+    }, [onVisible]);
+    return <div ref={sentinelRef} className="h-8 flex items-center justify-center text-xs text-gray-400">Loading more...</div>;
+};
+
+const IssueCard = ({ taxonomy, issue, onUpvote, hasVoted, canVote, isFollowing, onToggleFollow, isOwner, currentUserId, viewerIsStaff, onDelete, onEdit, isFlagged, onFlag, onViewMedia, verificationConfig, onVerify }) => {
+    const [showComments, setShowComments] = useState(false);
+    const [showTimeline, setShowTimeline] = useState(false);
+    const [showRevisions, setShowRevisions] = useState(false);
+    const [showFlagForm, setShowFlagForm] = useState(false);
+
     // ... getStatusInfo function
     const getStatusInfo = (status) => {
         switch (status) {
@@ -573,18 +2847,33 @@ const IssueCard = ({ issue, onUpvote, isOwner, onDelete, onViewMedia }) => {
         }
     };
     const statusInfo = getStatusInfo(issue.status);
-    const mainMediaUrl = issue.imageUrl || issue.photoUrl || issue.videoUrl;
-    const mainMediaType = issue.videoUrl ? 'video' : 'photo';
+    const category = getCategory(taxonomy, issue.category);
+    const overdueStage = getOverdueStage(issue);
+    // The reporter's attachments, then any from merged duplicates, all in one gallery. The first
+    // photo or video is the cover; reports without one show the no-media placeholder.
+    const gallery = [
+        ...getAttachments(issue),
+        ...(issue.mergedMedia || []).map(item => ({ ...item, caption: item.caption || 'From a merged duplicate report' })),
+    ];
+    const coverIndex = gallery.findIndex(item => item.type !== 'audio');
+    const cover = gallery[coverIndex];
+    // Older reports stored media inline and have no thumbnail; those fall back to the full file.
+    const coverUrl = cover ? cover.thumbnailUrl || cover.url : issue.imageUrl;
+    // The "before" side of a resolution comparison is the reporter's own media, never the no-media placeholder.
+    const beforeMedia = getAttachments(issue).find(item => item.type !== 'audio') || null;
+    const afterPhotos = issue.resolution?.photos || [];
+    const averageRating = getAverageRating(issue);
 
     return (
         <div className="bg-white rounded-2xl shadow-sm border border-gray-200 overflow-hidden transition-all duration-300 hover:shadow-lg hover:scale-[1.02]">
-            {mainMediaUrl && (
-                <button onClick={() => onViewMedia({ type: mainMediaType, url: mainMediaUrl })} className="w-full relative group">
-                    {mainMediaType === 'video' ? (
-                        <video src={mainMediaUrl} className="h-48 w-full object-cover" />
+            {coverUrl && (
+                <button onClick={() => onViewMedia(cover ? { items: gallery, index: coverIndex } : { type: 'photo', url: coverUrl })} className="w-full relative group">
+                    {cover?.type === 'video' && !cover.thumbnailUrl ? (
+                        <video src={cover.url} className="h-48 w-full object-cover" />
                     ) : (
-                        <img className="h-48 w-full object-cover" src={mainMediaUrl} alt="Issue illustration" />
+                        <img className="h-48 w-full object-cover" src={coverUrl} alt={cover?.caption || 'Issue illustration'} loading="lazy" />
                     )}
+                    {gallery.length > 1 && <span className="absolute bottom-2 right-2 bg-black bg-opacity-60 text-white text-xs font-semibold px-2 py-0.5 rounded-full">{coverIndex + 1} / {gallery.length}</span>}
                     <div className="absolute inset-0 bg-black bg-opacity-0 group-hover:bg-opacity-40 transition-all flex items-center justify-center">
                         <svg xmlns="http://www.w3.org/2000/svg" width="40" height="40" viewBox="0 0 24 24" fill="none" stroke="white" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="opacity-0 group-hover:opacity-100 transform scale-75 group-hover:scale-100 transition-all"><path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"></path><circle cx="12" cy="12" r="3"></circle></svg>
                     </div>
@@ -592,64 +2881,1326 @@ const IssueCard = ({ issue, onUpvote, isOwner, onDelete, onViewMedia }) => {
             )}
             <div className="p-5">
                 <div className="flex justify-between items-start mb-2">
-                     <span className={`flex items-center gap-2 text-xs font-bold px-2.5 py-1 rounded-full ${statusInfo.class}`}>{statusInfo.icon} {issue.status}</span>
-                    {isOwner && (
-                        <button onClick={() => onDelete(issue.id)} className="text-gray-400 hover:text-red-500 p-1 rounded-full hover:bg-red-50 transition-colors">
-                             <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><polyline points="3 6 5 6 21 6"></polyline><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path></svg>
+                    <div className="flex items-center gap-2">
+                        <span className={`flex items-center gap-2 text-xs font-bold px-2.5 py-1 rounded-full ${statusInfo.class}`}>{statusInfo.icon} {issue.status}</span>
+                        {overdueStage && (
+                            <span title={overdueStage === 'response' ? 'Missed the response target' : 'Missed the resolution target'} className="text-xs font-bold px-2.5 py-1 rounded-full bg-red-100 text-red-700">Overdue</span>
+                        )}
+                    </div>
+                    <div className="flex items-center gap-1">
+                        <button onClick={() => onToggleFollow(issue.id)} aria-pressed={isFollowing} title={isFollowing ? 'Stop following' : 'Follow for updates'} className={`flex items-center gap-1 text-xs font-semibold px-2 py-1 rounded-full transition-colors ${isFollowing ? 'bg-blue-100 text-blue-700' : 'text-gray-400 hover:text-blue-600 hover:bg-blue-50'}`}>
+                            <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill={isFollowing ? 'currentColor' : 'none'} stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M18 8A6 6 0 0 0 6 8c0 7-3 9-3 9h18s-3-2-3-9"></path><path d="M13.73 21a2 2 0 0 1-3.46 0"></path></svg>
+                            {isFollowing ? 'Following' : 'Follow'}
                         </button>
-                    )}
+                        {!isOwner && canVote && (
+                            <button onClick={() => setShowFlagForm(true)} disabled={isFlagged} title={isFlagged ? 'You flagged this issue' : 'Flag for review'} className={`flex items-center gap-1 text-xs font-semibold px-2 py-1 rounded-full transition-colors ${isFlagged ? 'bg-red-50 text-red-600' : 'text-gray-400 hover:text-red-600 hover:bg-red-50'}`}>
+                                <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill={isFlagged ? 'currentColor' : 'none'} stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M4 15s1-1 4-1 5 2 8 2 4-1 4-1V3s-1 1-4 1-5-2-8-2-4 1-4 1z"></path><line x1="4" y1="22" x2="4" y2="15"></line></svg>
+                                {isFlagged ? 'Flagged' : 'Flag'}
+                            </button>
+                        )}
+                        {isOwner && (
+                            <button onClick={() => onEdit(issue)} disabled={!canEditIssue(issue)} title={canEditIssue(issue) ? 'Edit your report' : 'Reports can only be edited until work starts'} className="text-gray-400 hover:text-blue-600 p-1 rounded-full hover:bg-blue-50 transition-colors disabled:opacity-40 disabled:hover:text-gray-400 disabled:hover:bg-transparent">
+                                <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M12 20h9"></path><path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"></path></svg>
+                            </button>
+                        )}
+                        {isOwner && (
+                            <button onClick={() => onDelete(issue.id)} className="text-gray-400 hover:text-red-500 p-1 rounded-full hover:bg-red-50 transition-colors">
+                                 <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><polyline points="3 6 5 6 21 6"></polyline><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path></svg>
+                            </button>
+                        )}
+                    </div>
                 </div>
+                {category && (
+                    <p className="text-xs font-semibold text-gray-500 mb-1">
+                        <span aria-hidden="true">{category.icon}</span> {category.label}
+                        {issue.department && <span className="font-normal"> &middot; {taxonomy.departments[issue.department] || issue.department}</span>}
+                    </p>
+                )}
+                {isOwner && issue.moderation?.state === 'hidden' && (
+                    <p className="mb-2 text-xs font-semibold text-amber-800 bg-amber-50 border border-amber-200 rounded-lg px-3 py-2">Hidden from the feed while a moderator reviews it.</p>
+                )}
                 <h3 className="block text-lg leading-tight font-bold text-black">{issue.title}</h3>
                 <p className="mt-2 text-sm text-gray-600">{issue.description}</p>
-                 <div className="mt-4 flex items-center gap-2">
-                    {issue.videoUrl && <button onClick={() => onViewMedia({type: 'video', url: issue.videoUrl})} className="media-icon-btn bg-red-100 text-red-600"><svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><polygon points="23 7 16 12 23 17 23 7"></polygon><rect x="1" y="5" width="15" height="14" rx="2" ry="2"></rect></svg></button>}
-                    {issue.audioUrl && <button onClick={() => onViewMedia({type: 'audio', url: issue.audioUrl})} className="media-icon-btn bg-purple-100 text-purple-600"><svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M12 1a3 3 0 0 0-3 3v8a3 3 0 0 0 6 0V4a3 3 0 0 0-3-3z"></path><path d="M19 10v2a7 7 0 0 1-14 0v-2"></path><line x1="12" y1="19" x2="12" y2="23"></line><line x1="8" y1="23" x2="16" y2="23"></line></svg></button>}
-                </div>
+                {category && issue.details && (
+                    <dl className="mt-2 flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-500">
+                        {category.fields.filter(field => issue.details[field.id]).map(field => (
+                            <div key={field.id}><dt className="inline font-semibold">{field.label}:</dt> <dd className="inline">{issue.details[field.id]}</dd></div>
+                        ))}
+                    </dl>
+                )}
+                {(gallery.length > 1 || (gallery.length > 0 && !cover)) && (
+                    <div className="mt-4 flex items-center gap-2 overflow-x-auto">
+                        {gallery.map((item, index) => (
+                            <button key={index} onClick={() => onViewMedia({ items: gallery, index })} title={item.caption || undefined} aria-label={`Open ${item.type} ${index + 1} of ${gallery.length}`} className={`relative h-12 w-12 flex-shrink-0 rounded-md overflow-hidden flex items-center justify-center ${item.type === 'audio' ? 'bg-purple-100 text-purple-600' : 'bg-gray-100 text-gray-500'} ${index === coverIndex ? 'ring-2 ring-blue-500' : ''}`}>
+                                {item.type === 'audio' ? (
+                                    <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M12 1a3 3 0 0 0-3 3v8a3 3 0 0 0 6 0V4a3 3 0 0 0-3-3z"></path><path d="M19 10v2a7 7 0 0 1-14 0v-2"></path><line x1="12" y1="19" x2="12" y2="23"></line><line x1="8" y1="23" x2="16" y2="23"></line></svg>
+                                ) : item.thumbnailUrl || item.type === 'photo' ? (
+                                    <img src={item.thumbnailUrl || item.url} alt="" className="h-full w-full object-cover" loading="lazy" />
+                                ) : (
+                                    <span className="text-xs font-bold">video</span>
+                                )}
+                                {item.type === 'video' && <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="white" stroke="white" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="absolute bottom-1 right-1 drop-shadow"><polygon points="5 3 19 12 5 21 5 3"></polygon></svg>}
+                            </button>
+                        ))}
+                    </div>
+                )}
 
                 <div className="mt-4 flex items-center text-xs text-gray-500">
                     <svg className="h-4 w-4 mr-1.5" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z" /><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 11a3 3 0 11-6 0 3 3 0 016 0z" /></svg>
-                    <span>{issue.location}</span>
+                    <span>{getDisplayLocation(issue)}</span>
+                    {issue.distance !== undefined && <span className="ml-2 text-gray-400">&middot; {issue.distance < 1000 ? `${Math.round(issue.distance)} m` : `${(issue.distance / 1000).toFixed(1)} km`} away</span>}
                 </div>
-                 {issue.status === 'Resolved' && (
+                {issue.observedAt && <p className="mt-2 text-xs text-gray-500">Seen {new Date(issue.observedAt.seconds * 1000).toLocaleString()}</p>}
+                {issue.assignee && <p className="mt-2 text-xs text-gray-500">Assigned to <span className="font-semibold">{issue.assignee.name}</span></p>}
+                {issue.open311?.serviceRequestId && <p className="mt-2 text-xs text-gray-500">City work order <span className="font-semibold">#{issue.open311.serviceRequestId}</span></p>}
+                {viewerIsStaff && issue.open311?.syncState === 'failed' && <p className="mt-2 text-xs text-red-600">Not sent to the city work-order system: {issue.open311.error}</p>}
+                {viewerIsStaff && isClosedExternally(issue) && <p className="mt-2 text-xs text-amber-700">Closed in the city work-order system{issue.open311.statusNotes ? `: ${issue.open311.statusNotes}` : ''}. Check the work and resolve it with photos of the fix.</p>}
+                {issue.reporterIds?.length > 1 && <p className="mt-2 text-xs text-gray-500">Reported by {issue.reporterIds.length} neighbours</p>}
+                 {issue.status === 'Resolved' && afterPhotos.length > 0 && (
                        <div className="mt-4 p-3 bg-green-50 rounded-lg border border-green-200">
                            <h4 className="font-semibold text-green-800 text-sm">Proof of Work</h4>
-                           <img className="mt-2 h-32 w-full object-cover rounded-md" src="https://placehold.co/600x400/a2e6b9/31343C?text=Work+Completed!" alt="Proof of work" />
+                           <button onClick={() => onViewMedia({ type: 'comparison', before: beforeMedia, after: afterPhotos, note: issue.resolution.note })} className="mt-2 w-full grid grid-cols-2 gap-2 text-left">
+                               <div>
+                                   <p className="text-xs font-semibold text-gray-500 mb-1">Before</p>
+                                   {beforeMedia?.type === 'photo' && <img className="h-32 w-full object-cover rounded-md" src={beforeMedia.url} alt="Before" />}
+                                   {beforeMedia?.type === 'video' && <video className="h-32 w-full object-cover rounded-md" src={beforeMedia.url} />}
+                                   {!beforeMedia && <div className="h-32 w-full rounded-md bg-gray-100 flex items-center justify-center text-xs text-gray-400">No original media</div>}
+                               </div>
+                               <div>
+                                   <p className="text-xs font-semibold text-gray-500 mb-1">After{afterPhotos.length > 1 ? ` (${afterPhotos.length})` : ''}</p>
+                                   <img className="h-32 w-full object-cover rounded-md" src={afterPhotos[0]} alt="After" />
+                               </div>
+                           </button>
+                           {issue.resolution.note && <p className="mt-2 text-sm text-green-900">{issue.resolution.note}</p>}
                        </div>
                 )}
+                {issue.status !== 'Resolved' && issue.lastReopen && (
+                    <div className="mt-4 p-3 bg-orange-50 rounded-lg border border-orange-200 flex gap-3">
+                        {issue.lastReopen.photoUrl && (
+                            <button onClick={() => onViewMedia({ type: 'photo', url: issue.lastReopen.photoUrl, caption: 'Photo sent when the issue was reopened' })} className="flex-shrink-0">
+                                <img className="h-16 w-16 object-cover rounded-md" src={issue.lastReopen.photoUrl} alt="Sent when reopened" />
+                            </button>
+                        )}
+                        <div className="min-w-0">
+                            <h4 className="font-semibold text-orange-800 text-sm">Reopened: not fixed yet</h4>
+                            <p className="text-sm text-orange-900">{issue.lastReopen.comment}</p>
+                        </div>
+                    </div>
+                )}
+                {(issue.reopenCount > 0 || averageRating !== null) && (
+                    <p className="mt-2 text-xs text-gray-500">
+                        {issue.reopenCount > 0 && <span>Reopened {formatTimes(issue.reopenCount)}</span>}
+                        {issue.reopenCount > 0 && averageRating !== null && ' · '}
+                        {averageRating !== null && <span title={`${issue.ratingCount} ${issue.ratingCount === 1 ? 'rating' : 'ratings'}`}>Resolution rated {averageRating.toFixed(1)} / 5</span>}
+                    </p>
+                )}
+                {onVerify && canVerifyResolution(issue, currentUserId, hasVoted, verificationConfig) && (
+                    <ResolutionVerification issue={issue} currentUserId={currentUserId} onVerify={onVerify} />
+                )}
                 <div className="mt-4 pt-4 border-t border-gray-200 flex justify-between items-center">
                     <div className="text-xs text-gray-400">
                          Reported on {new Date(issue.createdAt?.seconds * 1000).toLocaleDateString()}
+                         {issue.editedAt && <span title={`Edited ${new Date(issue.editedAt.seconds * 1000).toLocaleString()}`}> &middot; edited</span>}
                     </div>
-                     <button onClick={() => onUpvote(issue.id)} className="flex items-center gap-2 text-gray-600 hover:text-blue-600 font-bold transition-colors group p-2 rounded-lg hover:bg-blue-50">
-                        <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 group-hover:text-blue-500" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 15l7-7 7 7" /></svg>
-                         <span>{issue.upvotes || 0} Upvotes</span>
+                     <button onClick={() => onUpvote(issue.id)} aria-pressed={hasVoted} title={canVote ? (hasVoted ? 'Remove your upvote' : 'Upvote this issue') : 'Create an account to upvote'} className={`flex items-center gap-2 font-bold transition-colors group p-2 rounded-lg ${hasVoted ? 'text-blue-600 bg-blue-50 hover:bg-blue-100' : 'text-gray-600 hover:text-blue-600 hover:bg-blue-50'}`}>
+                        <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 group-hover:text-blue-500" fill={hasVoted ? 'currentColor' : 'none'} viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 15l7-7 7 7" /></svg>
+                         <span>{issue.upvotes || 0} {hasVoted ? 'Upvoted' : 'Upvotes'}</span>
                     </button>
                 </div>
+                <div className="mt-2 flex items-center gap-4">
+                    <button onClick={() => setShowComments(!showComments)} className="flex items-center gap-2 text-sm text-gray-600 hover:text-blue-600 font-semibold">
+                        <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"></path></svg>
+                        {issue.commentCount || 0} {issue.commentCount === 1 ? 'Comment' : 'Comments'}
+                    </button>
+                    <button onClick={() => setShowTimeline(!showTimeline)} className="flex items-center gap-2 text-sm text-gray-600 hover:text-blue-600 font-semibold">
+                        <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><circle cx="12" cy="12" r="10"></circle><polyline points="12 6 12 12 16 14"></polyline></svg>
+                        Timeline
+                    </button>
+                    {viewerIsStaff && issue.editedAt && (
+                        <button onClick={() => setShowRevisions(!showRevisions)} className="flex items-center gap-2 text-sm text-gray-600 hover:text-blue-600 font-semibold">
+                            <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M12 20h9"></path><path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"></path></svg>
+                            Edits
+                        </button>
+                    )}
+                </div>
+                {showTimeline && <IssueTimeline issue={issue} />}
+                {showRevisions && <RevisionHistory taxonomy={taxonomy} issueId={issue.id} onViewMedia={onViewMedia} />}
+                {showComments && <CommentThread issueId={issue.id} currentUserId={currentUserId} viewerIsStaff={viewerIsStaff} onViewMedia={onViewMedia} />}
             </div>
-            <style>{`.media-icon-btn { @apply p-2 rounded-full transition-colors; }`}</style>
+            {showFlagForm && <FlagIssueModal onFlag={(reason, note) => onFlag(issue.id, reason, note)} onClose={() => setShowFlagForm(false)} />}
+        </div>
+    );
+};
+
+const FlagIssueModal = ({ onFlag, onClose }) => {
+    const [reason, setReason] = useState('');
+    const [note, setNote] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsSaving(true);
+        const flagged = await onFlag(reason, note);
+        setIsSaving(false);
+        if (flagged) onClose();
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+            <form onSubmit={handleSubmit} className="bg-white p-6 rounded-xl shadow-lg w-full max-w-md space-y-4">
+                <div>
+                    <h2 className="text-xl font-bold">Flag this issue</h2>
+                    <p className="text-sm text-gray-500">Moderators review flagged reports. Reports flagged by several neighbours are hidden until they do.</p>
+                </div>
+                <fieldset className="space-y-2">
+                    {FLAG_REASONS.map(option => (
+                        <label key={option.id} className="flex items-center gap-2 text-sm">
+                            <input type="radio" name="flag-reason" value={option.id} checked={reason === option.id} onChange={() => setReason(option.id)} />
+                            {option.label}
+                        </label>
+                    ))}
+                </fieldset>
+                <textarea placeholder="Anything moderators should know? (optional)" value={note} onChange={(e) => setNote(e.target.value)} maxLength={500} rows="3" className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500" />
+                <div className="flex gap-2">
+                    <button type="button" onClick={onClose} className="flex-1 bg-gray-100 text-gray-700 font-bold py-3 px-4 rounded-lg hover:bg-gray-200 transition-colors">Cancel</button>
+                    <button type="submit" disabled={isSaving || !reason} className="flex-1 bg-red-600 text-white font-bold py-3 px-4 rounded-lg hover:bg-red-700 disabled:bg-gray-400 transition-colors">
+                        {isSaving ? 'Sending...' : 'Flag'}
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+// Staff-only list of a reporter's edits, newest first, written by the onIssueEditedRevision Cloud Function.
+const RevisionHistory = ({ taxonomy, issueId, onViewMedia }) => {
+    const [revisions, setRevisions] = useState([]);
+    const [revisionsError, setRevisionsError] = useState('');
+
+    useEffect(() => {
+        const revisionsQuery = query(collection(db, `${issuesCollectionPath}/${issueId}/revisions`), orderBy('createdAt', 'desc'));
+        return onSnapshot(revisionsQuery, (snapshot) => {
+            setRevisions(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (err) => {
+            console.error("Error fetching revisions:", err);
+            setRevisionsError('Failed to load the edit history.');
+        });
+    }, [issueId]);
+
+    const renderValue = (field, value) => {
+        if (value == null || (field === 'details' && Object.keys(value).length === 0)) return <span className="italic text-gray-400">none</span>;
+        if (field === 'coordinates') return formatCoordinates(value);
+        if (field === 'address') return value.formatted;
+        if (field === 'observedAt') return value.toDate().toLocaleString();
+        if (field === 'media') return <button onClick={() => onViewMedia({ items: value, index: 0 })} className="text-blue-600 hover:underline">View {formatAttachmentCount(value.length)}</button>;
+        if (field === 'category') return getCategory(taxonomy, value)?.label || value;
+        if (field === 'details') return Object.entries(value).map(([key, detail]) => `${key}: ${detail}`).join(', ');
+        if (field.endsWith('Url')) {
+            const type = { photoUrl: 'photo', videoUrl: 'video', audioUrl: 'audio' }[field];
+            return <button onClick={() => onViewMedia({ type, url: value })} className="text-blue-600 hover:underline">View</button>;
+        }
+        return value;
+    };
+
+    return (
+        <div className="mt-3 pt-3 border-t border-gray-100 space-y-3">
+            {revisionsError && <p className="text-sm text-red-500">{revisionsError}</p>}
+            {revisions.map(revision => (
+                <div key={revision.id}>
+                    <p className="text-xs text-gray-400">Edited by the reporter {revision.createdAt ? new Date(revision.createdAt.seconds * 1000).toLocaleString() : ''}</p>
+                    <dl className="mt-1 space-y-1 text-sm">
+                        {Object.entries(revision.changes).filter(([field]) => REVISION_FIELD_LABELS[field]).map(([field, change]) => (
+                            <div key={field}>
+                                <dt className="inline font-semibold text-gray-700">{REVISION_FIELD_LABELS[field]}:</dt>{' '}
+                                <dd className="inline text-gray-600"><span className="line-through">{renderValue(field, change.from)}</span> → {renderValue(field, change.to)}</dd>
+                            </div>
+                        ))}
+                    </dl>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+// Asks a reporter whether the fix worked, once per resolution round. Reopening needs a new photo,
+// which goes through the same redaction step as report photos.
+const ResolutionVerification = ({ issue, currentUserId, onVerify }) => {
+    const [existing, setExisting] = useState(undefined);
+    const [isReopening, setIsReopening] = useState(false);
+    const [rating, setRating] = useState(0);
+    const [comment, setComment] = useState('');
+    const [photo, setPhoto] = useState(null);
+    const [pendingPhoto, setPendingPhoto] = useState(null);
+    const [isSending, setIsSending] = useState(false);
+    const [formError, setFormError] = useState('');
+    const photoUrl = useObjectUrl(photo);
+
+    // Responses are only readable by their author (and staff), so this asks for the viewer's own.
+    useEffect(() => {
+        const responsesQuery = query(collection(db, issuesCollectionPath, issue.id, 'verifications'), where('uid', '==', currentUserId));
+        return onSnapshot(responsesQuery, (snapshot) => {
+            setExisting(snapshot.docs.map(responseDoc => responseDoc.data()).find(item => item.round === issue.resolutionRound) || null);
+        }, (err) => {
+            console.error("Error fetching your verification:", err);
+            setExisting(null);
+        });
+    }, [issue.id, issue.resolutionRound, currentUserId]);
+
+    const handlePhotoChange = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        setFormError('');
+        try {
+            const { blob } = await prepareMedia('photo', file);
+            setPendingPhoto(blob);
+        } catch (err) {
+            console.error("Error reading reopen photo:", err);
+            setFormError('Could not read that photo.');
+        }
+    };
+
+    const send = async (response) => {
+        if (response === 'reopen' && (!photo || !comment.trim())) {
+            setFormError('Add a photo and say what is still wrong to reopen the issue.');
+            return;
+        }
+        setIsSending(true);
+        setFormError('');
+        const isReopen = response === 'reopen';
+        const sent = await onVerify(issue, { response, rating, comment: isReopen ? comment : '', photo: isReopen ? photo : null });
+        setIsSending(false);
+        if (!sent) setFormError('Your response could not be sent. Try again.');
+    };
+
+    if (existing === undefined) return null;
+
+    return (
+        <div className="mt-4 p-3 bg-blue-50 rounded-lg border border-blue-200">
+            {existing ? (
+                <p className="text-sm text-blue-900">
+                    {existing.response === 'confirm' ? 'You confirmed the fix' : 'You reopened this issue'}{existing.rating ? ` and rated it ${existing.rating} / 5` : ''}. Thanks for letting the city know.
+                </p>
+            ) : (
+                <>
+                    <h4 className="font-semibold text-blue-900 text-sm">Is it fixed?</h4>
+                    <p className="text-xs text-blue-800">Confirm the fix or reopen the issue by {issue.verifyBy.toDate().toLocaleDateString()}.</p>
+                    <div className="mt-2 flex items-center gap-1" role="radiogroup" aria-label="Rate the resolution">
+                        {RATING_LABELS.map((label, index) => (
+                            <button key={label} type="button" role="radio" aria-checked={rating === index + 1} aria-label={`${index + 1} of 5: ${label}`} title={label} onClick={() => setRating(rating === index + 1 ? 0 : index + 1)} className={`text-2xl leading-none ${index < rating ? 'text-yellow-400' : 'text-gray-300 hover:text-yellow-300'}`}>★</button>
+                        ))}
+                        <span className="ml-2 text-xs text-gray-600">{rating > 0 ? RATING_LABELS[rating - 1] : 'Rate the work (optional)'}</span>
+                    </div>
+                    {isReopening ? (
+                        <div className="mt-3 space-y-2">
+                            <textarea value={comment} onChange={(e) => setComment(e.target.value)} maxLength={1000} rows="2" placeholder="What is still wrong?" className="w-full p-2 border border-gray-300 rounded-lg text-sm"></textarea>
+                            <div className="flex items-center gap-3">
+                                {photoUrl && <img src={photoUrl} alt="Sent with the reopen" className="h-16 w-16 object-cover rounded-md" />}
+                                <label className="text-sm font-semibold text-blue-600 hover:underline cursor-pointer">
+                                    {photo ? 'Change photo' : 'Add a photo of how it looks now'}
+                                    <input type="file" accept="image/*" capture="environment" onChange={handlePhotoChange} className="hidden" />
+                                </label>
+                            </div>
+                            <div className="flex items-center gap-3">
+                                <button onClick={() => send('reopen')} disabled={isSending} className="bg-orange-500 text-white font-bold py-2 px-4 rounded-lg hover:bg-orange-600 disabled:bg-gray-400 text-sm">{isSending ? 'Sending...' : 'Reopen issue'}</button>
+                                <button onClick={() => setIsReopening(false)} disabled={isSending} className="text-sm text-gray-500 hover:underline">Back</button>
+                            </div>
+                        </div>
+                    ) : (
+                        <div className="mt-3 flex gap-2">
+                            <button onClick={() => send('confirm')} disabled={isSending} className="bg-green-500 text-white font-bold py-2 px-4 rounded-lg hover:bg-green-600 disabled:bg-gray-400 text-sm">{isSending ? 'Sending...' : "Yes, it's fixed"}</button>
+                            <button onClick={() => setIsReopening(true)} disabled={isSending} className="bg-white border border-orange-300 text-orange-700 font-bold py-2 px-4 rounded-lg hover:bg-orange-50 text-sm">No, reopen it</button>
+                        </div>
+                    )}
+                    {formError && <p className="mt-2 text-xs text-red-600">{formError}</p>}
+                </>
+            )}
+            {pendingPhoto && (
+                <PhotoRedactor
+                    blob={pendingPhoto}
+                    onSave={(blob) => { setPhoto(blob); setPendingPhoto(null); }}
+                    onSkip={() => { setPhoto(pendingPhoto); setPendingPhoto(null); }}
+                />
+            )}
+        </div>
+    );
+};
+
+const TIMELINE_DOT_COLORS = { reported: 'bg-gray-400', escalated: 'bg-red-500', reopened: 'bg-orange-500', confirmed: 'bg-green-500' };
+
+const IssueTimeline = ({ issue }) => {
+    const [events, setEvents] = useState([]);
+    const [timelineError, setTimelineError] = useState('');
+    const actorNames = useProfileNames(events.map(event => event.actorId).filter(Boolean));
+
+    useEffect(() => {
+        const historyQuery = query(collection(db, `${issuesCollectionPath}/${issue.id}/history`), orderBy('createdAt', 'asc'));
+        return onSnapshot(historyQuery, (snapshot) => {
+            setEvents(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (err) => {
+            console.error("Error fetching issue history:", err);
+            setTimelineError('Failed to load the timeline.');
+        });
+    }, [issue.id]);
+
+    const describe = (event) => {
+        if (event.type === 'reported') return `Reported by ${actorNames[event.actorId] || 'a neighbour'}`;
+        if (event.type === 'escalated') return event.level === 1 ? 'Escalated: response overdue' : 'Escalated: resolution overdue';
+        if (event.type === 'reopened') return `Reopened by ${actorNames[event.actorId] || 'a reporter'}`;
+        if (event.type === 'confirmed') return `Fix confirmed by ${actorNames[event.actorId] || 'a reporter'}${event.rating ? ` · rated ${event.rating} / 5` : ''}`;
+        return `${event.from} → ${event.to}${event.actorId ? ` by ${actorNames[event.actorId] || 'staff'}` : ''}`;
+    };
+
+    return (
+        <div className="mt-3 pt-3 border-t border-gray-100">
+            {timelineError && <p className="text-sm text-red-500">{timelineError}</p>}
+            <ol className="relative border-l border-gray-200 ml-2 space-y-3">
+                {events.map(event => (
+                    <li key={event.id} className="ml-4">
+                        <span className={`absolute -left-1.5 mt-1.5 h-3 w-3 rounded-full border-2 border-white ${TIMELINE_DOT_COLORS[event.type] || ''}`} style={event.type === 'status' ? { backgroundColor: STATUS_COLORS[event.to] } : undefined}></span>
+                        <p className="text-sm font-semibold text-gray-800">{describe(event)}</p>
+                        {event.note && <p className="text-sm text-gray-600">{event.note}</p>}
+                        <p className="text-xs text-gray-400">{event.createdAt ? new Date(event.createdAt.seconds * 1000).toLocaleString() : ''}</p>
+                    </li>
+                ))}
+            </ol>
+            {issue.status !== 'Resolved' && issue.resolveBy && (
+                <p className={`text-xs mt-3 ${getOverdueStage(issue) ? 'text-red-600 font-semibold' : 'text-gray-500'}`}>
+                    {issue.status === 'Acknowledged' && issue.respondBy && `Response target: ${new Date(issue.respondBy.seconds * 1000).toLocaleString()} · `}
+                    Resolution target: {new Date(issue.resolveBy.seconds * 1000).toLocaleString()}
+                </p>
+            )}
         </div>
     );
 };
 
+const CommentThread = ({ issueId, currentUserId, viewerIsStaff, onViewMedia }) => {
+    const [comments, setComments] = useState([]);
+    const [text, setText] = useState('');
+    const [photo, setPhoto] = useState(null);
+    const [isPosting, setIsPosting] = useState(false);
+    const [commentError, setCommentError] = useState('');
+    const photoInputRef = useRef(null);
+    const authorNames = useProfileNames(comments.map(comment => comment.authorId));
+    const commentsPath = `${issuesCollectionPath}/${issueId}/comments`;
 
-const MediaViewerModal = ({ media, onClose }) => (
-    <div 
-        className="fixed inset-0 bg-black bg-opacity-80 flex items-center justify-center z-[100] p-4 animate-fade-in"
-        onClick={onClose}
-    >
-        <button 
-            className="absolute top-4 right-4 text-white text-3xl z-[110]"
+    useEffect(() => {
+        const commentsQuery = query(collection(db, commentsPath), orderBy('createdAt', 'asc'));
+        const unsubscribeComments = onSnapshot(commentsQuery, (snapshot) => {
+            setComments(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (err) => {
+            console.error("Error fetching comments:", err);
+            setCommentError('Failed to load comments.');
+        });
+        return () => unsubscribeComments();
+    }, [commentsPath]);
+
+    useEffect(() => () => {
+        if (photo) URL.revokeObjectURL(photo.previewUrl);
+    }, [photo]);
+
+    const handlePhotoChange = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const blob = await compressImage(file);
+            setPhoto({ blob, previewUrl: URL.createObjectURL(blob) });
+        } catch (err) {
+            setCommentError('Could not read that photo.');
+        }
+    };
+
+    const handlePost = async (e) => {
+        e.preventDefault();
+        if (!text.trim()) return;
+        setIsPosting(true);
+        setCommentError('');
+        try {
+            const comment = { authorId: currentUserId, text: text.trim(), isStaff: Boolean(viewerIsStaff), createdAt: new Date() };
+            if (photo) {
+                const [uploaded] = await uploadAll(storage, [{ path: `${getIssueMediaPath(issueId, currentUserId)}/comment-${Date.now()}.jpg`, blob: photo.blob }]);
+                comment.photoUrl = uploaded.url;
+            }
+            await addDoc(collection(db, commentsPath), comment);
+            setText('');
+            setPhoto(null);
+        } catch (err) {
+            console.error("Error posting comment:", err);
+            setCommentError('Failed to post your comment.');
+        } finally {
+            setIsPosting(false);
+        }
+    };
+
+    const handleDeleteComment = async (commentId) => {
+        try {
+            await deleteDoc(doc(db, commentsPath, commentId));
+        } catch (err) {
+            console.error("Error deleting comment:", err);
+            setCommentError('Failed to delete the comment.');
+        }
+    };
+
+    return (
+        <div className="mt-3 pt-3 border-t border-gray-100 space-y-3">
+            {comments.length === 0 && <p className="text-sm text-gray-400">No comments yet. Ask a question or share an update.</p>}
+            {comments.map(comment => (
+                <div key={comment.id} className={`p-3 rounded-lg text-sm ${comment.isStaff ? 'bg-indigo-50 border border-indigo-100' : 'bg-gray-50'}`}>
+                    <div className="flex items-center justify-between gap-2">
+                        <p className="font-semibold text-gray-800 flex items-center gap-2">
+                            {authorNames[comment.authorId] || 'Neighbour'}
+                            {comment.isStaff && <span className="bg-indigo-600 text-white text-[10px] font-bold px-2 py-0.5 rounded-full uppercase tracking-wide">Official</span>}
+                        </p>
+                        <div className="flex items-center gap-2">
+                            <span className="text-xs text-gray-400">{new Date(comment.createdAt?.seconds * 1000).toLocaleString()}</span>
+                            {(comment.authorId === currentUserId || viewerIsStaff) && (
+                                <button onClick={() => handleDeleteComment(comment.id)} className="text-xs text-gray-400 hover:text-red-500">Delete</button>
+                            )}
+                        </div>
+                    </div>
+                    <p className="mt-1 text-gray-700 whitespace-pre-line">{comment.text}</p>
+                    {comment.photoUrl && (
+                        <button onClick={() => onViewMedia({ type: 'photo', url: comment.photoUrl })} className="mt-2">
+                            <img src={comment.photoUrl} alt="Comment attachment" className="h-24 rounded-md object-cover" loading="lazy" />
+                        </button>
+                    )}
+                </div>
+            ))}
+            {commentError && <p className="text-red-500 text-xs">{commentError}</p>}
+            <form onSubmit={handlePost} className="space-y-2">
+                <textarea placeholder={viewerIsStaff ? 'Reply as an official...' : 'Write a comment...'} value={text} onChange={(e) => setText(e.target.value)} rows="2" maxLength={2000} className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500"></textarea>
+                {photo && (
+                    <div className="relative inline-block">
+                        <img src={photo.previewUrl} alt="Attachment preview" className="h-16 rounded-md" />
+                        <button type="button" onClick={() => setPhoto(null)} className="absolute -top-2 -right-2 bg-white text-red-500 rounded-full w-5 h-5 text-xs shadow">&times;</button>
+                    </div>
+                )}
+                <div className="flex items-center justify-between">
+                    <button type="button" onClick={() => photoInputRef.current.click()} className="text-sm text-gray-500 hover:text-blue-600">Attach photo</button>
+                    <input type="file" accept="image/*" ref={photoInputRef} onChange={handlePhotoChange} className="hidden" />
+                    <button type="submit" disabled={isPosting || !text.trim()} className="bg-blue-600 text-white font-bold py-1.5 px-4 rounded-lg hover:bg-blue-700 disabled:bg-gray-400 text-sm">
+                        {isPosting ? 'Posting...' : 'Post'}
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+
+const SWIPE_THRESHOLD_PX = 50;
+
+// Full-screen viewer for one file ({ type, url }), a before/after `comparison`, or a gallery
+// ({ items, index }) that can be swiped or paged with the arrow keys.
+const MediaViewerModal = ({ media, onClose }) => {
+    const items = media.items || [media];
+    const [index, setIndex] = useState(media.index || 0);
+    const touchStartXRef = useRef(null);
+    const item = items[index];
+    const count = items.length;
+
+    const showPrevious = useCallback(() => setIndex(current => (current - 1 + count) % count), [count]);
+    const showNext = useCallback(() => setIndex(current => (current + 1) % count), [count]);
+
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+            else if (e.key === 'ArrowLeft' && count > 1) showPrevious();
+            else if (e.key === 'ArrowRight' && count > 1) showNext();
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [count, showPrevious, showNext, onClose]);
+
+    const handleTouchStart = (e) => {
+        touchStartXRef.current = e.touches[0].clientX;
+    };
+
+    const handleTouchEnd = (e) => {
+        if (touchStartXRef.current === null || count < 2) return;
+        const distance = e.changedTouches[0].clientX - touchStartXRef.current;
+        touchStartXRef.current = null;
+        if (Math.abs(distance) < SWIPE_THRESHOLD_PX) return;
+        distance > 0 ? showPrevious() : showNext();
+    };
+
+    return (
+        <div
+            className="fixed inset-0 bg-black bg-opacity-80 flex items-center justify-center z-[100] p-4 animate-fade-in"
+            onClick={onClose}
+            onTouchStart={handleTouchStart}
+            onTouchEnd={handleTouchEnd}
+            role="dialog"
+            aria-modal="true"
+            aria-label={count > 1 ? `Media ${index + 1} of ${count}` : 'Media viewer'}
         >
-             &times;
-        </button>
-        <div onClick={(e) => e.stopPropagation()} className="max-w-[90vw] max-h-[90vh] flex items-center justify-center">
-            {media.type === 'photo' && <img src={media.url} alt="Full screen issue" className="max-h-full max-w-full object-contain rounded-lg" />}
-            {media.type === 'video' && <video src={media.url} controls autoPlay className="max-h-full max-w-full object-contain rounded-lg" />}
-            {media.type === 'audio' && <audio src={media.url} controls autoPlay />}
+            <button onClick={onClose} aria-label="Close" className="absolute top-4 right-4 text-white text-3xl z-[110]">
+                 &times;
+            </button>
+            {count > 1 && (
+                <button onClick={(e) => { e.stopPropagation(); showPrevious(); }} aria-label="Previous" className="absolute left-2 md:left-6 top-1/2 -translate-y-1/2 z-[110] p-2 rounded-full bg-black bg-opacity-40 text-white hover:bg-opacity-70">
+                    <svg xmlns="http://www.w3.org/2000/svg" width="28" height="28" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><polyline points="15 18 9 12 15 6"></polyline></svg>
+                </button>
+            )}
+            <div onClick={(e) => e.stopPropagation()} className="max-w-[90vw] max-h-[90vh] flex flex-col items-center justify-center">
+                {item.type === 'photo' && <img key={item.url} src={item.url} alt={item.caption || 'Full screen issue'} className="max-h-[80vh] max-w-full object-contain rounded-lg" />}
+                {item.type === 'video' && <video key={item.url} src={item.url} controls autoPlay className="max-h-[80vh] max-w-full object-contain rounded-lg" />}
+                {item.type === 'audio' && <audio key={item.url} src={item.url} controls autoPlay />}
+                {item.type === 'comparison' && (
+                    <div className="bg-white rounded-lg p-4 max-h-[90vh] overflow-y-auto">
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                            <div>
+                                <h4 className="font-semibold text-gray-700 mb-2">Before</h4>
+                                {item.before?.type === 'photo' && <img src={item.before.url} alt="Before" className="max-h-[70vh] w-full object-contain rounded-lg" />}
+                                {item.before?.type === 'video' && <video src={item.before.url} controls className="max-h-[70vh] w-full object-contain rounded-lg" />}
+                                {!item.before && <p className="text-sm text-gray-400">The reporter did not attach any media.</p>}
+                            </div>
+                            <div>
+                                <h4 className="font-semibold text-gray-700 mb-2">After</h4>
+                                <div className="space-y-2">
+                                    {item.after.map((url, afterIndex) => <img key={afterIndex} src={url} alt={`After ${afterIndex + 1}`} className="max-h-[70vh] w-full object-contain rounded-lg" />)}
+                                </div>
+                            </div>
+                        </div>
+                        {item.note && <p className="mt-4 text-sm text-gray-700"><span className="font-semibold">Resolution note:</span> {item.note}</p>}
+                    </div>
+                )}
+                {(item.caption || count > 1) && (
+                    <p className="mt-3 text-sm text-white text-center">
+                        {item.caption}
+                        {count > 1 && <span className="ml-2 text-gray-300">{index + 1} / {count}</span>}
+                    </p>
+                )}
+            </div>
+            {count > 1 && (
+                <button onClick={(e) => { e.stopPropagation(); showNext(); }} aria-label="Next" className="absolute right-2 md:right-6 top-1/2 -translate-y-1/2 z-[110] p-2 rounded-full bg-black bg-opacity-40 text-white hover:bg-opacity-70">
+                    <svg xmlns="http://www.w3.org/2000/svg" width="28" height="28" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><polyline points="9 18 15 12 9 6"></polyline></svg>
+                </button>
+            )}
+            <style>{`
+                @keyframes fade-in { from { opacity: 0; } to { opacity: 1; } }
+                .animate-fade-in { animation: fade-in 0.2s ease-out forwards; }
+            `}</style>
+        </div>
+    );
+};
+
+
+// --- Staff Components ---
+// Staff only see their own department's queue; admins can look at any department or all of them.
+// --- Moderation Queue ---
+const MODERATION_QUEUE_CONSTRAINTS = [where('moderation.state', 'in', ['flagged', 'hidden']), orderBy('createdAt', 'desc')];
+
+const ModerationQueue = ({ isAdmin, config, onModerate, onSaveConfig, onViewMedia }) => {
+    const { issues, hasMore, loadMore, isLoading, error } = usePagedIssues(MODERATION_QUEUE_CONSTRAINTS, 'moderation', true);
+    const reporterNames = useProfileNames(issues.map(issue => issue.reporterId));
+
+    return (
+        <div>
+            <div className="mb-4">
+                <h2 className="text-2xl font-bold">Moderation</h2>
+                <p className="text-sm text-gray-500">Flagged reports, and reports hidden by flags or the word filter.</p>
+            </div>
+            {isAdmin && <ModerationSettings config={config} onSave={onSaveConfig} />}
+            {error && <p className="text-sm text-red-500 mb-4">{error}</p>}
+            {isLoading ? (
+                <p className="text-center text-gray-500 py-12">Loading...</p>
+            ) : issues.length === 0 ? (
+                <div className="text-center py-12 bg-white rounded-lg border border-dashed border-gray-300">
+                    <h3 className="text-lg font-medium text-gray-800">Nothing to review.</h3>
+                </div>
+            ) : (
+                <div className="space-y-4">
+                    {issues.map(issue => <ModerationRow key={issue.id} issue={issue} reporterName={reporterNames[issue.reporterId]} onModerate={onModerate} onViewMedia={onViewMedia} />)}
+                </div>
+            )}
+            {hasMore && <LoadMoreSentinel key={issues.length} onVisible={loadMore} />}
+        </div>
+    );
+};
+
+const ModerationRow = ({ issue, reporterName, onModerate, onViewMedia }) => {
+    const [note, setNote] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+    const moderation = issue.moderation;
+    const attachments = getAttachments(issue);
+    const coverIndex = attachments.findIndex(item => item.type !== 'audio');
+    const cover = attachments[coverIndex];
+
+    const handleAction = async (action) => {
+        if (action === 'remove' && !window.confirm(`Remove "${issue.title}"? This deletes the report and its media.`)) return;
+        if (action === 'ban' && !window.confirm(`Remove "${issue.title}" and ban ${reporterName || 'its reporter'}? They will no longer be able to sign in.`)) return;
+        setIsSaving(true);
+        await onModerate(issue, action, note.trim());
+        setIsSaving(false);
+    };
+
+    return (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 flex flex-col md:flex-row gap-4">
+            {cover && (
+                <button onClick={() => onViewMedia({ items: attachments, index: coverIndex })} className="md:w-40 shrink-0 relative">
+                    <img className="h-28 w-full object-cover rounded-lg" src={cover.thumbnailUrl || cover.url} alt="Reported media" loading="lazy" />
+                    {attachments.length > 1 && <span className="absolute bottom-1 right-1 bg-black bg-opacity-60 text-white text-xs font-semibold px-2 py-0.5 rounded-full">+{attachments.length - 1}</span>}
+                </button>
+            )}
+            <div className="flex-1 min-w-0">
+                <div className="flex items-center gap-2 mb-1">
+                    <span className={`text-xs font-bold px-2.5 py-1 rounded-full ${moderation.state === 'hidden' ? 'bg-red-100 text-red-700' : 'bg-amber-100 text-amber-800'}`}>
+                        {moderation.state === 'hidden' ? 'Hidden' : 'Flagged'}
+                    </span>
+                    <span className="text-xs text-gray-500">by {reporterName || 'a neighbour'} &middot; {new Date(issue.createdAt?.seconds * 1000).toLocaleDateString()}</span>
+                </div>
+                <h3 className="font-bold text-gray-900">{issue.title}</h3>
+                <p className="text-sm text-gray-600">{issue.description}</p>
+                <p className="text-xs text-gray-500 mt-1">{getDisplayLocation(issue)}</p>
+                {moderation.wordMatches?.length > 0 && <p className="mt-2 text-xs text-red-600">Filtered words: {moderation.wordMatches.join(', ')}</p>}
+                {moderation.flagCount > 0 && (
+                    <p className="mt-2 text-xs text-gray-600">
+                        {moderation.flagCount} {moderation.flagCount === 1 ? 'flag' : 'flags'}: {FLAG_REASONS.filter(reason => moderation.reasons?.[reason.id]).map(reason => `${reason.label} (${moderation.reasons[reason.id]})`).join(', ')}
+                    </p>
+                )}
+            </div>
+            <div className="md:w-56 shrink-0 space-y-2">
+                <input type="text" placeholder="Note for the log (optional)" value={note} onChange={(e) => setNote(e.target.value)} maxLength={500} className="w-full p-2 border border-gray-300 rounded-lg text-sm" />
+                <div className="grid grid-cols-3 gap-2">
+                    <button onClick={() => handleAction('approve')} disabled={isSaving} className="bg-green-600 text-white text-sm font-bold py-2 rounded-lg hover:bg-green-700 disabled:bg-gray-400 transition-colors">Approve</button>
+                    <button onClick={() => handleAction('remove')} disabled={isSaving} className="bg-gray-700 text-white text-sm font-bold py-2 rounded-lg hover:bg-gray-800 disabled:bg-gray-400 transition-colors">Remove</button>
+                    <button onClick={() => handleAction('ban')} disabled={isSaving} className="bg-red-600 text-white text-sm font-bold py-2 rounded-lg hover:bg-red-700 disabled:bg-gray-400 transition-colors">Ban</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const ModerationSettings = ({ config, onSave }) => {
+    const [flagThreshold, setFlagThreshold] = useState(String(config.flagThreshold));
+    const [blockedWords, setBlockedWords] = useState(config.blockedWords.join('\n'));
+    const [isSaving, setIsSaving] = useState(false);
+    const [savedAt, setSavedAt] = useState(null);
+
+    useEffect(() => {
+        setFlagThreshold(String(config.flagThreshold));
+        setBlockedWords(config.blockedWords.join('\n'));
+    }, [config]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsSaving(true);
+        const words = [...new Set(blockedWords.split('\n').map(word => word.trim().toLowerCase()).filter(Boolean))];
+        const saved = await onSave({ flagThreshold: Number(flagThreshold), blockedWords: words });
+        setIsSaving(false);
+        if (saved) setSavedAt(new Date());
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 mb-6 grid md:grid-cols-3 gap-4">
+            <label className="block text-sm font-semibold text-gray-700">
+                Hide a report after this many flags
+                <input type="number" min="1" max="100" step="1" value={flagThreshold} onChange={(e) => setFlagThreshold(e.target.value)} className="mt-1 w-full p-2 border border-gray-300 rounded-lg font-normal" required />
+            </label>
+            <label className="block text-sm font-semibold text-gray-700 md:col-span-2">
+                Blocked words and phrases, one per line
+                <textarea value={blockedWords} onChange={(e) => setBlockedWords(e.target.value)} rows="4" className="mt-1 w-full p-2 border border-gray-300 rounded-lg font-normal" />
+            </label>
+            <div className="md:col-span-3 flex items-center justify-end gap-3">
+                {savedAt && <span className="text-xs text-gray-500">Saved at {savedAt.toLocaleTimeString()}</span>}
+                <button type="submit" disabled={isSaving} className="bg-blue-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-blue-700 disabled:bg-gray-400 transition-colors">
+                    {isSaving ? 'Saving...' : 'Save settings'}
+                </button>
+            </div>
+        </form>
+    );
+};
+
+const VerificationSettings = ({ config, onSave }) => {
+    const [windowDays, setWindowDays] = useState(String(config.windowDays));
+    const [allowUpvoters, setAllowUpvoters] = useState(config.allowUpvoters);
+    const [isSaving, setIsSaving] = useState(false);
+    const [savedAt, setSavedAt] = useState(null);
+
+    useEffect(() => {
+        setWindowDays(String(config.windowDays));
+        setAllowUpvoters(config.allowUpvoters);
+    }, [config]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsSaving(true);
+        const saved = await onSave({ windowDays: Number(windowDays), allowUpvoters });
+        setIsSaving(false);
+        if (saved) setSavedAt(new Date());
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 mb-6 flex flex-col md:flex-row md:items-end gap-4">
+            <label className="block text-sm font-semibold text-gray-700">
+                Days reporters have to confirm or reopen a resolution
+                <input type="number" min="1" max="90" step="1" value={windowDays} onChange={(e) => setWindowDays(e.target.value)} className="mt-1 w-full p-2 border border-gray-300 rounded-lg font-normal" required />
+            </label>
+            <label className="flex items-center gap-2 text-sm text-gray-700 md:pb-2">
+                <input type="checkbox" checked={allowUpvoters} onChange={(e) => setAllowUpvoters(e.target.checked)} />
+                Let upvoters verify too
+            </label>
+            <div className="md:ml-auto flex items-center gap-3">
+                {savedAt && <span className="text-xs text-gray-500">Saved at {savedAt.toLocaleTimeString()}</span>}
+                <button type="submit" disabled={isSaving} className="bg-blue-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-blue-700 disabled:bg-gray-400 transition-colors">
+                    {isSaving ? 'Saving...' : 'Save settings'}
+                </button>
+            </div>
+        </form>
+    );
+};
+
+const StaffConsole = ({ taxonomy, staffMembers, currentUserId, department, isAdmin, verificationConfig, onSaveVerificationConfig, onUpdate, onMerge }) => {
+    const [statusFilter, setStatusFilter] = useState('all');
+    const [assigneeFilter, setAssigneeFilter] = useState('all'); // all, mine, unassigned
+    const [departmentFilter, setDepartmentFilter] = useState('all');
+    const queueDepartment = isAdmin ? departmentFilter : department;
+
+    const constraints = useMemo(() => {
+        const staffConstraints = [notHidden()];
+        if (queueDepartment !== 'all') staffConstraints.push(where('department', '==', queueDepartment));
+        if (statusFilter !== 'all') staffConstraints.push(where('status', '==', statusFilter));
+        if (assigneeFilter === 'mine') staffConstraints.push(where('assignee.uid', '==', currentUserId));
+        staffConstraints.push(orderBy('createdAt', 'desc'));
+        return staffConstraints;
+    }, [queueDepartment, statusFilter, assigneeFilter, currentUserId]);
+    const hasQueue = Boolean(queueDepartment);
+    const { issues, hasMore, loadMore } = usePagedIssues(constraints, `${queueDepartment}:${statusFilter}:${assigneeFilter}`, hasQueue);
+
+    // Older issues have no `assignee` field at all, so "unassigned" can't be an indexed query.
+    const filteredIssues = issues.filter(issue => !issue.mergedInto && (assigneeFilter !== 'unassigned' || !issue.assignee));
+
+    return (
+        <div>
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-4">
+                <div>
+                    <h2 className="text-2xl font-bold">Staff Console</h2>
+                    {!isAdmin && department && <p className="text-sm text-gray-500">{taxonomy.departments[department] || department} queue</p>}
+                </div>
+                <div className="flex gap-2">
+                    {isAdmin && (
+                        <select value={departmentFilter} onChange={(e) => setDepartmentFilter(e.target.value)} className="p-2 border border-gray-300 rounded-lg text-sm">
+                            <option value="all">All departments</option>
+                            {Object.entries(taxonomy.departments).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+                        </select>
+                    )}
+                    <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} className="p-2 border border-gray-300 rounded-lg text-sm">
+                        <option value="all">All statuses</option>
+                        {ISSUE_STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+                    </select>
+                    <select value={assigneeFilter} onChange={(e) => setAssigneeFilter(e.target.value)} className="p-2 border border-gray-300 rounded-lg text-sm">
+                        <option value="all">Everyone</option>
+                        <option value="mine">Assigned to me</option>
+                        <option value="unassigned">Unassigned</option>
+                    </select>
+                </div>
+            </div>
+            {isAdmin && <VerificationSettings config={verificationConfig} onSave={onSaveVerificationConfig} />}
+            {!hasQueue ? (
+                <div className="text-center py-12 bg-white rounded-lg border border-dashed border-gray-300">
+                    <h3 className="text-lg font-medium text-gray-800">You're not assigned to a department yet.</h3>
+                    <p className="text-sm text-gray-500 mt-1">Ask an admin to set your department to see its queue.</p>
+                </div>
+            ) : filteredIssues.length === 0 ? (
+                <div className="text-center py-12 bg-white rounded-lg border border-dashed border-gray-300">
+                    <h3 className="text-lg font-medium text-gray-800">No issues match these filters.</h3>
+                </div>
+            ) : (
+                <div className="space-y-4">
+                    {filteredIssues.map(issue => <StaffIssueRow key={issue.id} taxonomy={taxonomy} issue={issue} issues={filteredIssues} staffMembers={staffMembers} onUpdate={onUpdate} onMerge={onMerge} />)}
+                </div>
+            )}
+            {hasMore && <LoadMoreSentinel key={issues.length} onVisible={loadMore} />}
+        </div>
+    );
+};
+
+const StaffIssueRow = ({ taxonomy, issue, issues, staffMembers, onUpdate, onMerge }) => {
+    const [status, setStatus] = useState(issue.status);
+    const [categoryId, setCategoryId] = useState(issue.category || '');
+    const [assigneeId, setAssigneeId] = useState(issue.assignee?.uid || '');
+    const [note, setNote] = useState('');
+    const [statusNote, setStatusNote] = useState('');
+    const [notes, setNotes] = useState([]);
+    const [showNotes, setShowNotes] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+    const [afterPhotos, setAfterPhotos] = useState([]);
+    const [resolutionNote, setResolutionNote] = useState('');
+    const [photoError, setPhotoError] = useState('');
+    const [mergeTargetId, setMergeTargetId] = useState('');
+    const [isMerging, setIsMerging] = useState(false);
+
+    const isResolving = status === 'Resolved' && issue.status !== 'Resolved';
+    // Likely duplicates are listed first; any other open issue can still be picked as the merge target.
+    const suggestedTargets = useMemo(() => findDuplicateCandidates(issues, issue, issue.id).map(candidate => candidate.issue), [issues, issue]);
+    const otherTargets = issues.filter(other => other.id !== issue.id && isOpenIssue(other) && !suggestedTargets.includes(other));
+
+    useEffect(() => {
+        setStatus(issue.status);
+        setCategoryId(issue.category || '');
+        setAssigneeId(issue.assignee?.uid || '');
+    }, [issue.status, issue.category, issue.assignee]);
+
+    useEffect(() => {
+        if (!showNotes) return;
+        const notesQuery = query(collection(db, `artifacts/${appId}/public/data/issues/${issue.id}/internalNotes`), orderBy('createdAt', 'desc'));
+        const unsubscribeNotes = onSnapshot(notesQuery, (snapshot) => {
+            setNotes(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        }, (err) => {
+            console.error("Error fetching internal notes:", err);
+        });
+        return () => unsubscribeNotes();
+    }, [issue.id, showNotes]);
+
+    const handleAfterPhotos = async (e) => {
+        const files = Array.from(e.target.files || []);
+        e.target.value = '';
+        setPhotoError('');
+        try {
+            const photos = await Promise.all(files.map(async (file) => {
+                const blob = await compressImage(file);
+                return { blob, previewUrl: URL.createObjectURL(blob) };
+            }));
+            setAfterPhotos(prev => [...prev, ...photos]);
+        } catch (err) {
+            console.error("Error reading proof-of-work photo:", err);
+            setPhotoError('One of the photos could not be read.');
+        }
+    };
+
+    const handleMerge = async () => {
+        const target = issues.find(other => other.id === mergeTargetId);
+        if (!target || !window.confirm(`Merge "${issue.title}" into "${target.title}"? Votes, media and reporters will be moved to the target issue.`)) return;
+        setIsMerging(true);
+        await onMerge(issue.id, target.id);
+        setIsMerging(false);
+    };
+
+    const handleSave = async () => {
+        setIsSaving(true);
+        const assignee = assigneeId ? (staffMembers.find(member => member.uid === assigneeId) || issue.assignee) : null;
+        const resolution = isResolving ? { photos: afterPhotos.map(photo => photo.blob), note: resolutionNote } : undefined;
+        const saved = await onUpdate(issue, { status, statusNote, assignee, note, resolution, category: categoryId || undefined });
+        if (saved) {
+            setNote('');
+            setStatusNote('');
+            setAfterPhotos([]);
+            setResolutionNote('');
+        }
+        setIsSaving(false);
+    };
+
+    return (
+        <div className="bg-white p-5 rounded-xl shadow-sm border border-gray-200">
+            <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+                <div className="flex-grow">
+                    <h3 className="text-lg font-bold text-black">
+                        {getCategory(taxonomy, issue.category)?.icon} {issue.title}
+                        {getOverdueStage(issue) && <span className="ml-2 align-middle text-xs font-bold px-2 py-0.5 rounded-full bg-red-100 text-red-700">{issue.escalationLevel ? 'Escalated' : 'Overdue'}</span>}
+                        {isClosedExternally(issue) && <span title={issue.open311.statusNotes || undefined} className="ml-2 align-middle text-xs font-bold px-2 py-0.5 rounded-full bg-amber-100 text-amber-700">Closed by the city</span>}
+                        {issue.reopenCount > 0 && <span title={issue.lastReopen?.comment} className="ml-2 align-middle text-xs font-bold px-2 py-0.5 rounded-full bg-orange-100 text-orange-700">Reopened {formatTimes(issue.reopenCount)}</span>}
+                    </h3>
+                    <p className="mt-1 text-sm text-gray-600">{issue.description}</p>
+                    {issue.details && <p className="mt-1 text-xs text-gray-500">{Object.values(issue.details).join(' · ')}</p>}
+                    <p className="mt-2 text-xs text-gray-500">{getDisplayLocation(issue)} &middot; {issue.upvotes || 0} Upvotes &middot; Reported on {new Date(issue.createdAt?.seconds * 1000).toLocaleDateString()}</p>
+                </div>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 md:w-96 flex-shrink-0">
+                    <select value={status} onChange={(e) => setStatus(e.target.value)} className="p-2 border border-gray-300 rounded-lg text-sm">
+                        {ISSUE_STATUSES.map(option => <option key={option} value={option}>{option}</option>)}
+                    </select>
+                    <select value={assigneeId} onChange={(e) => setAssigneeId(e.target.value)} className="p-2 border border-gray-300 rounded-lg text-sm">
+                        <option value="">Unassigned</option>
+                        {staffMembers.filter(member => !member.department || member.department === issue.department || member.uid === assigneeId).map(member => <option key={member.uid} value={member.uid}>{member.name}</option>)}
+                    </select>
+                    <select value={categoryId} onChange={(e) => setCategoryId(e.target.value)} aria-label="Category" className="sm:col-span-2 p-2 border border-gray-300 rounded-lg text-sm">
+                        {!categoryId && <option value="">Uncategorised</option>}
+                        {taxonomy.categories.map(option => <option key={option.id} value={option.id}>{option.icon} {option.label} ({taxonomy.departments[option.department]})</option>)}
+                    </select>
+                    {status !== issue.status && (
+                        <input type="text" placeholder="Public note for the timeline (optional)" value={statusNote} onChange={(e) => setStatusNote(e.target.value)} maxLength={500} className="sm:col-span-2 p-2 border border-gray-300 rounded-lg text-sm" />
+                    )}
+                    <textarea placeholder="Internal note (visible to staff only)" value={note} onChange={(e) => setNote(e.target.value)} rows="2" className="sm:col-span-2 p-2 border border-gray-300 rounded-lg text-sm"></textarea>
+                    <button onClick={() => setShowNotes(!showNotes)} className="text-sm text-blue-600 hover:underline text-left">{showNotes ? 'Hide notes' : 'Show notes'}</button>
+                    <button onClick={handleSave} disabled={isSaving || (isResolving && (afterPhotos.length === 0 || !resolutionNote.trim()))} className="bg-blue-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-blue-700 disabled:bg-gray-400 text-sm">
+                        {isSaving ? 'Saving...' : 'Save'}
+                    </button>
+                </div>
+            </div>
+            {isResolving && (
+                <div className="mt-4 p-3 bg-green-50 rounded-lg border border-green-200 space-y-2">
+                    <h4 className="font-semibold text-green-800 text-sm">Proof of Work (required to resolve)</h4>
+                    <input type="file" accept="image/*" multiple onChange={handleAfterPhotos} className="block w-full text-sm" />
+                    {photoError && <p className="text-red-500 text-xs">{photoError}</p>}
+                    {afterPhotos.length > 0 && (
+                        <div className="flex flex-wrap gap-2">
+                            {afterPhotos.map((photo, index) => (
+                                <div key={photo.previewUrl} className="relative">
+                                    <img src={photo.previewUrl} alt={`After ${index + 1}`} className="h-16 w-16 object-cover rounded-md" />
+                                    <button type="button" onClick={() => setAfterPhotos(prev => prev.filter((_, i) => i !== index))} className="absolute -top-2 -right-2 bg-white text-red-500 rounded-full w-5 h-5 text-xs shadow">&times;</button>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                    <textarea placeholder="Resolution note (what was done)" value={resolutionNote} onChange={(e) => setResolutionNote(e.target.value)} rows="2" className="w-full p-2 border border-gray-300 rounded-lg text-sm"></textarea>
+                </div>
+            )}
+            <div className="mt-4 flex flex-col sm:flex-row gap-2">
+                <select value={mergeTargetId} onChange={(e) => setMergeTargetId(e.target.value)} className="flex-grow p-2 border border-gray-300 rounded-lg text-sm">
+                    <option value="">Merge this duplicate into...</option>
+                    {suggestedTargets.length > 0 && (
+                        <optgroup label="Likely duplicates">
+                            {suggestedTargets.map(target => <option key={target.id} value={target.id}>{target.title}</option>)}
+                        </optgroup>
+                    )}
+                    <optgroup label="Other open issues">
+                        {otherTargets.map(target => <option key={target.id} value={target.id}>{target.title}</option>)}
+                    </optgroup>
+                </select>
+                <button onClick={handleMerge} disabled={!mergeTargetId || isMerging} className="bg-gray-700 text-white font-bold py-2 px-4 rounded-lg hover:bg-gray-800 disabled:bg-gray-400 text-sm">
+                    {isMerging ? 'Merging...' : 'Merge'}
+                </button>
+            </div>
+            {showNotes && (
+                <div className="mt-4 pt-4 border-t border-gray-200 space-y-2">
+                    {notes.length === 0 ? <p className="text-sm text-gray-400">No internal notes yet.</p> : notes.map(entry => (
+                        <div key={entry.id} className="bg-gray-50 p-3 rounded-lg text-sm">
+                            <p className="text-gray-700">{entry.text}</p>
+                            <p className="text-xs text-gray-400 mt-1">{entry.authorName} &middot; {new Date(entry.createdAt?.seconds * 1000).toLocaleString()}</p>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+
+// --- Analytics Components ---
+const AnalyticsDashboard = ({ taxonomy, onSelectIssue }) => {
+    const [filters, setFilters] = useState(DEFAULT_ANALYTICS_FILTERS);
+    const [loadedIssues, setLoadedIssues] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    // Only a change of date range needs a new query.
+    useEffect(() => {
+        let cancelled = false;
+        setIsLoading(true);
+        setError('');
+        getDocs(query(collection(db, `artifacts/${appId}/public/data/issues`), ...buildAnalyticsConstraints({ from: filters.from, to: filters.to })))
+            .then(snapshot => {
+                if (!cancelled) setLoadedIssues(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+            })
+            .catch(err => {
+                console.error("Error loading analytics:", err);
+                if (!cancelled) setError("Failed to load analytics data.");
+            })
+            .finally(() => {
+                if (!cancelled) setIsLoading(false);
+            });
+        return () => { cancelled = true; };
+    }, [filters.from, filters.to]);
+
+    const issues = useMemo(() => loadedIssues.filter(issue => matchesAnalyticsFilters(issue, filters)), [loadedIssues, filters]);
+    const stats = useMemo(() => {
+        const byStatus = ISSUE_STATUSES.map(status => ({ label: status, count: issues.filter(issue => issue.status === status).length, color: STATUS_COLORS[status] }));
+        const byCategory = taxonomy.categories.map(category => {
+            const categoryIssues = issues.filter(issue => getCategoryConfig(taxonomy, issue.category).id === category.id);
+            return { label: `${category.icon} ${category.label}`, count: categoryIssues.length, medianResolve: median(getResolveDurations(categoryIssues)) };
+        }).filter(row => row.count > 0).sort((a, b) => b.count - a.count);
+        const byDepartment = getDepartmentPerformance(issues, taxonomy);
+        const backlog = issues.filter(issue => issue.status !== 'Resolved').sort((a, b) => (b.upvotes || 0) - (a.upvotes || 0)).slice(0, 10);
+        return {
+            byStatus,
+            byCategory,
+            byDepartment,
+            backlog,
+            overTime: bucketByTime(issues),
+            medianResolve: median(getResolveDurations(issues)),
+            openCount: issues.filter(issue => issue.status !== 'Resolved').length,
+            overdueCount: issues.filter(issue => getOverdueStage(issue)).length,
+        };
+    }, [issues, taxonomy]);
+    const heatPoints = useMemo(() => issues.filter(issue => issue.coordinates).map(issue => [issue.coordinates.lat, issue.coordinates.lng]), [issues]);
+
+    const updateFilter = (key, value) => setFilters(current => ({ ...current, [key]: value }));
+    const exportName = `civicsync-issues-${new Date().toISOString().slice(0, 10)}`;
+
+    return (
+        <div className="space-y-6">
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+                <h2 className="text-2xl font-bold">Analytics</h2>
+                <div className="flex gap-2">
+                    <button onClick={() => downloadFile(`${exportName}.csv`, toCsv(issues), 'text/csv')} disabled={issues.length === 0} className="bg-white border border-gray-300 text-gray-700 font-semibold py-2 px-4 rounded-lg text-sm hover:bg-gray-50 disabled:opacity-50">Export CSV</button>
+                    <button onClick={() => downloadFile(`${exportName}.geojson`, JSON.stringify(toGeoJson(issues)), 'application/geo+json')} disabled={issues.length === 0} className="bg-white border border-gray-300 text-gray-700 font-semibold py-2 px-4 rounded-lg text-sm hover:bg-gray-50 disabled:opacity-50">Export GeoJSON</button>
+                </div>
+            </div>
+            <div className="bg-white p-4 rounded-2xl shadow-sm border border-gray-200 grid grid-cols-2 md:grid-cols-5 gap-3 text-sm">
+                <label className="flex flex-col gap-1">
+                    <span className="text-gray-500">From</span>
+                    <input type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} className="p-2 border border-gray-300 rounded-lg" />
+                </label>
+                <label className="flex flex-col gap-1">
+                    <span className="text-gray-500">To</span>
+                    <input type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} className="p-2 border border-gray-300 rounded-lg" />
+                </label>
+                <label className="flex flex-col gap-1">
+                    <span className="text-gray-500">Status</span>
+                    <select value={filters.status} onChange={(e) => updateFilter('status', e.target.value)} className="p-2 border border-gray-300 rounded-lg">
+                        <option value="all">All statuses</option>
+                        {ISSUE_STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+                    </select>
+                </label>
+                <label className="flex flex-col gap-1">
+                    <span className="text-gray-500">Category</span>
+                    <select value={filters.category} onChange={(e) => updateFilter('category', e.target.value)} className="p-2 border border-gray-300 rounded-lg">
+                        <option value="all">All categories</option>
+                        {taxonomy.categories.map(category => <option key={category.id} value={category.id}>{category.label}</option>)}
+                    </select>
+                </label>
+                <label className="flex flex-col gap-1">
+                    <span className="text-gray-500">Department</span>
+                    <select value={filters.department} onChange={(e) => updateFilter('department', e.target.value)} className="p-2 border border-gray-300 rounded-lg">
+                        <option value="all">All departments</option>
+                        {Object.entries(taxonomy.departments).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+                    </select>
+                </label>
+            </div>
+            {error && <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg text-center" role="alert">{error}</div>}
+            {loadedIssues.length === ANALYTICS_MAX_ISSUES && <p className="text-sm text-yellow-700 bg-yellow-50 border border-yellow-300 rounded-lg px-4 py-2">Only the {ANALYTICS_MAX_ISSUES} most recent reports in this range are included. Narrow the date range for complete figures.</p>}
+            {isLoading ? (
+                <div className="text-center py-16 text-gray-500">Loading analytics...</div>
+            ) : (
+                <>
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                        <AnalyticsStat label="Reports" value={issues.length} />
+                        <AnalyticsStat label="Open" value={stats.openCount} />
+                        <AnalyticsStat label="Overdue" value={stats.overdueCount} />
+                        <AnalyticsStat label="Median time to resolve" value={formatDuration(stats.medianResolve)} />
+                    </div>
+                    <AnalyticsCard title={`Reports per ${stats.overTime.unit}`}>
+                        {stats.overTime.buckets.length === 0 ? <p className="text-sm text-gray-500">No reports in this range.</p> : (
+                            <div className="flex items-end gap-1 h-40">
+                                {stats.overTime.buckets.map(bucket => (
+                                    <div key={bucket.start.getTime()} title={`${bucket.label}: ${bucket.count}`} className="flex-1 bg-blue-500 rounded-t min-w-[2px]" style={{ height: `${(bucket.count / stats.overTime.peak) * 100}%` }}></div>
+                                ))}
+                            </div>
+                        )}
+                        {stats.overTime.buckets.length > 0 && (
+                            <div className="flex justify-between text-xs text-gray-500 mt-1">
+                                <span>{stats.overTime.buckets[0].label}</span>
+                                <span>{stats.overTime.buckets[stats.overTime.buckets.length - 1].label}</span>
+                            </div>
+                        )}
+                    </AnalyticsCard>
+                    <div className="grid md:grid-cols-2 gap-6">
+                        <AnalyticsCard title="By status">
+                            <AnalyticsBars rows={stats.byStatus} />
+                        </AnalyticsCard>
+                        <AnalyticsCard title="By category">
+                            <AnalyticsBars rows={stats.byCategory.map(row => ({ ...row, detail: row.medianResolve !== null ? `median ${formatDuration(row.medianResolve)}` : null }))} />
+                        </AnalyticsCard>
+                    </div>
+                    <AnalyticsCard title="Department performance">
+                        {stats.byDepartment.length === 0 ? <p className="text-sm text-gray-500">No reports in this range.</p> : (
+                            <div className="overflow-x-auto">
+                                <table className="w-full text-sm">
+                                    <thead>
+                                        <tr className="text-left text-gray-500 border-b border-gray-100">
+                                            <th className="py-2 pr-4 font-medium">Department</th>
+                                            <th className="py-2 pr-4 font-medium text-right">Reports</th>
+                                            <th className="py-2 pr-4 font-medium text-right">Resolved</th>
+                                            <th className="py-2 pr-4 font-medium text-right">Median time to resolve</th>
+                                            <th className="py-2 pr-4 font-medium text-right" title="Share of resolved issues a reporter reopened">Reopened</th>
+                                            <th className="py-2 font-medium text-right">Satisfaction</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {stats.byDepartment.map(row => (
+                                            <tr key={row.id} className="border-b border-gray-50 last:border-b-0 text-gray-700">
+                                                <td className="py-2 pr-4">{row.label}</td>
+                                                <td className="py-2 pr-4 text-right">{row.count}</td>
+                                                <td className="py-2 pr-4 text-right">{row.resolvedCount}</td>
+                                                <td className="py-2 pr-4 text-right">{formatDuration(row.medianResolve)}</td>
+                                                <td className="py-2 pr-4 text-right">{row.resolvedCount > 0 ? `${Math.round((row.reopenedCount / row.resolvedCount) * 100)}% (${row.reopenedCount})` : '—'}</td>
+                                                <td className="py-2 text-right">{row.averageRating !== null ? <span title={`${row.ratingCount} ${row.ratingCount === 1 ? 'rating' : 'ratings'}`}>{row.averageRating.toFixed(1)} / 5</span> : '—'}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+                    </AnalyticsCard>
+                    <div className="grid md:grid-cols-2 gap-6">
+                        <AnalyticsCard title="Most upvoted open issues">
+                            {stats.backlog.length === 0 ? <p className="text-sm text-gray-500">No open issues.</p> : (
+                                <ol className="space-y-2 text-sm">
+                                    {stats.backlog.map(issue => (
+                                        <li key={issue.id}>
+                                            <button onClick={() => onSelectIssue(issue.id)} className="w-full flex items-center justify-between gap-2 text-left hover:text-blue-600">
+                                                <span className="truncate">{issue.title}</span>
+                                                <span className="shrink-0 text-gray-500">{issue.upvotes || 0} ▲ · {issue.status}</span>
+                                            </button>
+                                        </li>
+                                    ))}
+                                </ol>
+                            )}
+                        </AnalyticsCard>
+                        <AnalyticsCard title="Where issues are reported">
+                            <div className="rounded-lg overflow-hidden border border-gray-200">
+                                <MapContainer center={MAP_DEFAULT_CENTER} zoom={MAP_DEFAULT_ZOOM} className="h-72 w-full z-0">
+                                    <TileLayer url={MAP_TILE_URL} attribution={MAP_TILE_ATTRIBUTION} />
+                                    <HeatmapLayer points={heatPoints} />
+                                </MapContainer>
+                            </div>
+                        </AnalyticsCard>
+                    </div>
+                </>
+            )}
         </div>
-        <style>{`
-            @keyframes fade-in { from { opacity: 0; } to { opacity: 1; } }
-            .animate-fade-in { animation: fade-in 0.2s ease-out forwards; }
-        `}</style>
+    );
+};
+
+const AnalyticsStat = ({ label, value }) => (
+    <div className="bg-white p-4 rounded-2xl shadow-sm border border-gray-200">
+        <p className="text-sm text-gray-500">{label}</p>
+        <p className="text-2xl font-bold text-gray-800">{value}</p>
+    </div>
+);
+
+const AnalyticsCard = ({ title, children }) => (
+    <div className="bg-white p-4 rounded-2xl shadow-sm border border-gray-200">
+        <h3 className="font-semibold text-gray-700 mb-3">{title}</h3>
+        {children}
     </div>
-);
\ No newline at end of file
+);
+
+const AnalyticsBars = ({ rows }) => {
+    const max = Math.max(1, ...rows.map(row => row.count));
+    if (rows.every(row => row.count === 0)) return <p className="text-sm text-gray-500">No reports in this range.</p>;
+    return (
+        <div className="space-y-2 text-sm">
+            {rows.map(row => (
+                <div key={row.label}>
+                    <div className="flex justify-between text-gray-600">
+                        <span>{row.label}</span>
+                        <span>{row.count}{row.detail && <span className="text-gray-400"> · {row.detail}</span>}</span>
+                    </div>
+                    <div className="h-2 bg-gray-100 rounded-full">
+                        <div className="h-2 rounded-full bg-blue-500" style={{ width: `${(row.count / max) * 100}%`, background: row.color }}></div>
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+// --- Map Components ---
+const IssueMap = ({ issues, onSelectIssue }) => {
+    const mappedIssues = issues.filter(issue => issue.coordinates);
+    return (
+        <div className="bg-white rounded-2xl shadow-sm border border-gray-200 overflow-hidden">
+            <MapContainer center={MAP_DEFAULT_CENTER} zoom={MAP_DEFAULT_ZOOM} className="h-[32rem] w-full z-0">
+                <TileLayer url={MAP_TILE_URL} attribution={MAP_TILE_ATTRIBUTION} />
+                <IssueClusterLayer issues={mappedIssues} onSelectIssue={onSelectIssue} />
+            </MapContainer>
+            <div className="flex flex-wrap items-center gap-4 px-4 py-2 text-xs text-gray-600">
+                {ISSUE_STATUSES.map(status => (
+                    <span key={status} className="flex items-center gap-1">
+                        <span className="inline-block w-3 h-3 rounded-full" style={{ background: STATUS_COLORS[status] }}></span>
+                        {status}
+                    </span>
+                ))}
+                {mappedIssues.length < issues.length && <span className="ml-auto">{issues.length - mappedIssues.length} issue(s) without coordinates are not shown.</span>}
+            </div>
+        </div>
+    );
+};
+
+// Renders issue pins into a marker cluster group; pins only spread out as you zoom in.
+const IssueClusterLayer = ({ issues, onSelectIssue }) => {
+    const map = useMap();
+    const clusterRef = useRef(null);
+    const hasFittedRef = useRef(false);
+    const onSelectRef = useRef(onSelectIssue);
+    onSelectRef.current = onSelectIssue;
+
+    useEffect(() => {
+        const cluster = L.markerClusterGroup({ showCoverageOnHover: false });
+        clusterRef.current = cluster;
+        map.addLayer(cluster);
+        return () => {
+            map.removeLayer(cluster);
+        };
+    }, [map]);
+
+    useEffect(() => {
+        const cluster = clusterRef.current;
+        cluster.clearLayers();
+        const markers = issues.map(issue => {
+            const marker = L.marker([issue.coordinates.lat, issue.coordinates.lng], {
+                icon: createPinIcon(STATUS_COLORS[issue.status] || '#6b7280'),
+                title: issue.title,
+            });
+            marker.on('click', () => onSelectRef.current(issue));
+            return marker;
+        });
+        cluster.addLayers(markers);
+        if (!hasFittedRef.current && markers.length > 0) {
+            map.fitBounds(cluster.getBounds(), { padding: [40, 40], maxZoom: 16 });
+            hasFittedRef.current = true;
+        }
+    }, [issues, map]);
+
+    return null;
+};
+
+// Density of report locations; refits the view to the points whenever they change.
+const HeatmapLayer = ({ points }) => {
+    const map = useMap();
+    const heatRef = useRef(null);
+
+    useEffect(() => {
+        const heat = L.heatLayer([], { radius: 25, blur: 20 });
+        heatRef.current = heat;
+        map.addLayer(heat);
+        return () => {
+            map.removeLayer(heat);
+        };
+    }, [map]);
+
+    useEffect(() => {
+        heatRef.current.setLatLngs(points);
+        if (points.length > 0) map.fitBounds(L.latLngBounds(points), { padding: [20, 20], maxZoom: 15 });
+    }, [points, map]);
+
+    return null;
+};
+
+const MapClickHandler = ({ onClick }) => {
+    useMapEvents({ click: (e) => onClick({ lat: e.latlng.lat, lng: e.latlng.lng }) });
+    return null;
+};
+
+const LocationPicker = ({ coordinates, onPick }) => {
+    const center = coordinates ? [coordinates.lat, coordinates.lng] : MAP_DEFAULT_CENTER;
+    return (
+        <div className="rounded-lg overflow-hidden border border-gray-200">
+            <MapContainer center={center} zoom={coordinates ? 16 : MAP_DEFAULT_ZOOM} className="h-56 w-full z-0">
+                <TileLayer url={MAP_TILE_URL} attribution={MAP_TILE_ATTRIBUTION} />
+                <MapClickHandler onClick={onPick} />
+                {coordinates && (
+                    <Marker
+                        position={[coordinates.lat, coordinates.lng]}
+                        icon={createPinIcon('#ef4444')}
+                        draggable
+                        eventHandlers={{ dragend: (e) => { const { lat, lng } = e.target.getLatLng(); onPick({ lat, lng }); } }}
+                    />
+                )}
+            </MapContainer>
+            <p className="text-xs text-gray-500 px-2 py-1">Tap the map to drop a pin, or drag it to adjust.</p>
+        </div>
+    );
+};
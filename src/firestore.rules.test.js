@@ -0,0 +1,455 @@
+/**
+ * @jest-environment node
+ */
+// Security rules tests. They need the Firestore emulator, so run them with `npm run test:rules`,
+// which starts one through the Firebase CLI. Without an emulator the suite is skipped.
+const { readFileSync } = require('fs');
+const { resolve } = require('path');
+// Jest 27's node environment predates the WHATWG stream globals the Firebase SDK's fetch relies on.
+Object.assign(global, require('stream/web'), { TextEncoder: global.TextEncoder || require('util').TextEncoder });
+const { initializeTestEnvironment, assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+const { doc, collection, query, where, getDoc, getDocs, setDoc, updateDoc, deleteDoc, deleteField } = require('firebase/firestore');
+
+const APP_ID = 'test-app';
+const DATA = `artifacts/${APP_ID}/public/data`;
+const NO_MEDIA_IMAGE_URL = 'https://placehold.co/600x400/EEE/31343C?text=No+Media+Provided';
+const downloadUrl = (path) => `https://firebasestorage.googleapis.com/v0/b/civicsync.appspot.com/o/${encodeURIComponent(path)}?alt=media&token=abc`;
+const describeWithEmulator = process.env.FIRESTORE_EMULATOR_HOST ? describe : describe.skip;
+
+const newIssue = (overrides = {}) => ({
+    title: 'Pothole on Main St',
+    description: 'Deep pothole next to the bus stop.',
+    location: 'Main St & 3rd Ave',
+    coordinates: { lat: 12.97, lng: 77.59 },
+    category: 'pothole',
+    details: { size: 'Large' },
+    status: 'Acknowledged',
+    upvotes: 0,
+    hidden: false,
+    createdAt: new Date(),
+    reporterId: 'alice',
+    reporterIds: ['alice'],
+    ...overrides,
+});
+
+describeWithEmulator('firestore.rules', () => {
+    let testEnv;
+    const as = (uid, claims = {}) => testEnv.authenticatedContext(uid, { firebase: { sign_in_provider: 'password' }, ...claims }).firestore();
+    const asGuest = () => testEnv.authenticatedContext('guest', { firebase: { sign_in_provider: 'anonymous' } }).firestore();
+    const asStaff = () => as('sam', { role: 'staff', department: 'roads' });
+
+    beforeAll(async () => {
+        testEnv = await initializeTestEnvironment({
+            projectId: 'civicsync-rules-test',
+            firestore: { rules: readFileSync(resolve(__dirname, '../firestore.rules'), 'utf8') },
+        });
+    });
+
+    beforeEach(async () => {
+        await testEnv.clearFirestore();
+        await testEnv.withSecurityRulesDisabled(async (context) => {
+            const db = context.firestore();
+            await setDoc(doc(db, `${DATA}/issues/issue1`), newIssue({ upvotes: 3, commentCount: 1, department: 'roads' }));
+            await setDoc(doc(db, `${DATA}/issues/merged1`), newIssue({ mergedInto: 'issue1' }));
+            await setDoc(doc(db, `${DATA}/profiles/alice`), { name: 'Alice', points: 40, badges: ['First Report'], reportedIssues: 1 });
+            await setDoc(doc(db, `${DATA}/profiles/pat`), { name: 'Pat', role: 'staff', department: 'roads' });
+            await setDoc(doc(db, `artifacts/${APP_ID}/users/alice/notifications/n1`), { type: 'status', issueId: 'issue1', title: 'Update', read: false, createdAt: new Date() });
+        });
+    });
+
+    afterAll(async () => {
+        await testEnv.cleanup();
+    });
+
+    describe('issues', () => {
+        it('lets a signed-in user file a well-formed report', async () => {
+            await assertSucceeds(setDoc(doc(as('alice'), `${DATA}/issues/new1`), newIssue()));
+        });
+
+        it('only accepts the no-media placeholder among the single-media fields of older reports', async () => {
+            const db = as('alice');
+            const mediaPath = `media/${APP_ID}/issues/new1/alice/photo.jpeg`;
+            await assertSucceeds(setDoc(doc(db, `${DATA}/issues/new1`), newIssue({ imageUrl: NO_MEDIA_IMAGE_URL })));
+            await assertFails(setDoc(doc(db, `${DATA}/issues/new2`), newIssue({ imageUrl: 'https://example.com/p.jpg' })));
+            await assertFails(setDoc(doc(db, `${DATA}/issues/new3`), newIssue({ photoUrl: 'https://example.com/p.jpg', mediaPath })));
+            await assertFails(setDoc(doc(db, `${DATA}/issues/new4`), newIssue({ thumbnailUrl: 'https://example.com/t.jpg' })));
+        });
+
+        it('lets reporters drop the single-media fields of older reports but not set them', async () => {
+            await testEnv.withSecurityRulesDisabled(async (context) => {
+                await setDoc(doc(context.firestore(), `${DATA}/issues/legacy1`), newIssue({ photoUrl: 'https://example.com/old.jpg', mediaPath: `media/${APP_ID}/issues/legacy1/alice/old.jpeg` }));
+            });
+            const ref = doc(as('alice'), `${DATA}/issues/legacy1`);
+            const stamp = { editedAt: new Date(), editedBy: 'alice' };
+            await assertFails(updateDoc(ref, { ...stamp, photoUrl: 'https://example.com/other.jpg' }));
+            await assertFails(updateDoc(ref, { ...stamp, videoUrl: 'https://example.com/v.mp4' }));
+            await assertSucceeds(updateDoc(ref, { ...stamp, title: 'Renamed' }));
+            await assertSucceeds(updateDoc(ref, { ...stamp, photoUrl: deleteField(), mediaPath: deleteField(), imageUrl: NO_MEDIA_IMAGE_URL }));
+        });
+
+        it('rejects reports that are unauthenticated or filed for someone else', async () => {
+            await assertFails(setDoc(doc(testEnv.unauthenticatedContext().firestore(), `${DATA}/issues/new1`), newIssue()));
+            await assertFails(setDoc(doc(as('bob'), `${DATA}/issues/new1`), newIssue()));
+        });
+
+        it('rejects reports that preset counters, status or server-maintained fields', async () => {
+            const db = as('alice');
+            await assertFails(setDoc(doc(db, `${DATA}/issues/new1`), newIssue({ upvotes: 1000 })));
+            await assertFails(setDoc(doc(db, `${DATA}/issues/new1`), newIssue({ status: 'Resolved' })));
+            await assertFails(setDoc(doc(db, `${DATA}/issues/new1`), newIssue({ commentCount: 5 })));
+            await assertFails(setDoc(doc(db, `${DATA}/issues/new1`), newIssue({ hidden: true })));
+            await assertFails(setDoc(doc(db, `${DATA}/issues/new1`), newIssue({ searchTokens: ['pot'] })));
+            await assertFails(setDoc(doc(db, `${DATA}/issues/new1`), newIssue({ reporterIds: ['alice', 'bob'] })));
+            await assertFails(setDoc(doc(db, `${DATA}/issues/new1`), newIssue({ department: 'roads' })));
+        });
+
+        it('accepts a structured address and rejects malformed ones', async () => {
+            const address = { formatted: '80 Feet Road, Koramangala, Bengaluru', road: '80 Feet Road', neighbourhood: 'Koramangala', city: 'Bengaluru', countryCode: 'IN' };
+            await assertSucceeds(setDoc(doc(as('alice'), `${DATA}/issues/new1`), newIssue({ address })));
+            await assertFails(setDoc(doc(as('alice'), `${DATA}/issues/new2`), newIssue({ address: { ...address, formatted: '' } })));
+            await assertFails(setDoc(doc(as('alice'), `${DATA}/issues/new3`), newIssue({ address: { ...address, verified: true } })));
+        });
+
+        it('accepts when the issue was seen, but not a time in the future', async () => {
+            await assertSucceeds(setDoc(doc(as('alice'), `${DATA}/issues/new1`), newIssue({ observedAt: new Date(Date.now() - 3600000) })));
+            await assertFails(setDoc(doc(as('alice'), `${DATA}/issues/new2`), newIssue({ observedAt: new Date(Date.now() + 86400000) })));
+            await assertFails(setDoc(doc(as('alice'), `${DATA}/issues/new3`), newIssue({ observedAt: 'yesterday' })));
+        });
+
+        it('accepts up to six attachments stored under the reporter\'s own folder', async () => {
+            const attachment = (issueId, index) => ({
+                type: 'photo',
+                url: downloadUrl(`media/${APP_ID}/issues/${issueId}/alice/${index}.jpg`),
+                path: `media/${APP_ID}/issues/${issueId}/alice/${index}.jpg`,
+                thumbnailUrl: downloadUrl(`media/${APP_ID}/issues/${issueId}/alice/${index}-thumbnail.jpg`),
+                thumbnailPath: `media/${APP_ID}/issues/${issueId}/alice/${index}-thumbnail.jpg`,
+                caption: 'Close-up',
+            });
+            const attachments = (issueId, count) => Array.from({ length: count }, (_, index) => attachment(issueId, index));
+            await assertSucceeds(setDoc(doc(as('alice'), `${DATA}/issues/new1`), newIssue({ media: attachments('new1', 6) })));
+            await assertFails(setDoc(doc(as('alice'), `${DATA}/issues/new2`), newIssue({ media: attachments('new2', 7) })));
+            await assertFails(setDoc(doc(as('alice'), `${DATA}/issues/new3`), newIssue({ media: [{ ...attachment('new3', 0), path: `media/${APP_ID}/issues/new3/bob/0.jpg` }] })));
+            await assertFails(setDoc(doc(as('alice'), `${DATA}/issues/new4`), newIssue({ media: [{ ...attachment('new4', 0), type: 'document' }] })));
+            await assertFails(setDoc(doc(as('alice'), `${DATA}/issues/new5`), newIssue({ media: [{ ...attachment('new5', 0), caption: 'x'.repeat(201) }] })));
+        });
+
+        it('only accepts attachment links to the reporter\'s own uploads for the issue', async () => {
+            const db = as('alice');
+            const attachment = { type: 'photo', url: downloadUrl(`media/${APP_ID}/issues/new1/alice/0.jpg`), path: `media/${APP_ID}/issues/new1/alice/0.jpg`, caption: '' };
+            await assertFails(setDoc(doc(db, `${DATA}/issues/new1`), newIssue({ media: [{ ...attachment, url: 'https://example.com/tracker.gif' }] })));
+            await assertFails(setDoc(doc(db, `${DATA}/issues/new1`), newIssue({ media: [{ ...attachment, url: downloadUrl(`media/${APP_ID}/issues/new1/bob/0.jpg`) }] })));
+            await assertFails(setDoc(doc(db, `${DATA}/issues/new1`), newIssue({ media: [{ ...attachment, url: downloadUrl(`media/${APP_ID}/issues/issue1/alice/0.jpg`) }] })));
+            await assertFails(setDoc(doc(db, `${DATA}/issues/new1`), newIssue({ media: [{ ...attachment, thumbnailUrl: 'https://example.com/thumb.jpg' }] })));
+            await assertSucceeds(setDoc(doc(db, `${DATA}/issues/new1`), newIssue({ media: [attachment] })));
+        });
+
+        it('rejects malformed reports', async () => {
+            const db = as('alice');
+            await assertFails(setDoc(doc(db, `${DATA}/issues/new1`), newIssue({ title: '' })));
+            await assertFails(setDoc(doc(db, `${DATA}/issues/new1`), newIssue({ category: null })));
+            await assertFails(setDoc(doc(db, `${DATA}/issues/new1`), newIssue({ coordinates: { lat: 200, lng: 0 } })));
+            await assertFails(setDoc(doc(db, `${DATA}/issues/new1`), newIssue({ createdAt: new Date(Date.now() + 24 * 60 * 60 * 1000) })));
+            await assertFails(setDoc(doc(db, `${DATA}/issues/new1`), newIssue({ mediaPath: `media/${APP_ID}/issues/new1/bob/photo.jpeg` })));
+        });
+
+        it('does not let reporters or other citizens change an issue', async () => {
+            await assertFails(updateDoc(doc(as('alice'), `${DATA}/issues/issue1`), { status: 'Resolved' }));
+            await assertFails(updateDoc(doc(as('alice'), `${DATA}/issues/issue1`), { upvotes: 1000 }));
+            await assertFails(updateDoc(doc(as('bob'), `${DATA}/issues/issue1`), { title: 'Changed' }));
+        });
+
+        it('lets reporters edit their own issue until work starts, stamping the edit', async () => {
+            const edit = { title: 'Pothole on Main Street', editedAt: new Date(), editedBy: 'alice' };
+            await assertSucceeds(updateDoc(doc(as('alice'), `${DATA}/issues/issue1`), edit));
+            await assertFails(updateDoc(doc(as('alice'), `${DATA}/issues/issue1`), { title: 'No stamp' }));
+            await assertFails(updateDoc(doc(as('alice'), `${DATA}/issues/issue1`), { ...edit, editedBy: 'bob' }));
+            await assertFails(updateDoc(doc(as('alice'), `${DATA}/issues/issue1`), { ...edit, department: 'water' }));
+            await assertFails(updateDoc(doc(as('alice'), `${DATA}/issues/merged1`), edit));
+            await assertFails(updateDoc(doc(as('bob'), `${DATA}/issues/issue1`), { ...edit, editedBy: 'bob' }));
+        });
+
+        it('locks editing once the issue is in progress', async () => {
+            await testEnv.withSecurityRulesDisabled(async (context) => {
+                await updateDoc(doc(context.firestore(), `${DATA}/issues/issue1`), { status: 'In-Progress' });
+            });
+            await assertFails(updateDoc(doc(as('alice'), `${DATA}/issues/issue1`), { title: 'Too late', editedAt: new Date(), editedBy: 'alice' }));
+        });
+
+        it('lets staff move an issue through the workflow', async () => {
+            await assertSucceeds(updateDoc(doc(asStaff(), `${DATA}/issues/issue1`), { status: 'In-Progress', statusUpdatedAt: new Date(), statusUpdatedBy: 'sam', statusNote: 'Crew scheduled for Tuesday.' }));
+            await assertSucceeds(updateDoc(doc(as('pat'), `${DATA}/issues/issue1`), { assignee: { uid: 'pat', name: 'Pat' } }));
+        });
+
+        it('limits staff to their own department\'s queue', async () => {
+            const statusChange = { status: 'In-Progress', statusUpdatedAt: new Date(), statusUpdatedBy: 'lee' };
+            await assertFails(updateDoc(doc(as('lee', { role: 'staff', department: 'water' }), `${DATA}/issues/issue1`), statusChange));
+            await assertFails(updateDoc(doc(as('lee', { role: 'staff' }), `${DATA}/issues/issue1`), statusChange));
+            await assertSucceeds(updateDoc(doc(as('lee', { role: 'admin' }), `${DATA}/issues/issue1`), statusChange));
+        });
+
+        it('lets staff re-route an issue to another category and department', async () => {
+            await assertSucceeds(updateDoc(doc(asStaff(), `${DATA}/issues/issue1`), { category: 'water-leak', department: 'water' }));
+        });
+
+        it('keeps counters and report content out of reach of staff', async () => {
+            await assertFails(updateDoc(doc(asStaff(), `${DATA}/issues/issue1`), { upvotes: 0 }));
+            await assertFails(updateDoc(doc(asStaff(), `${DATA}/issues/issue1`), { commentCount: 0 }));
+            await assertFails(updateDoc(doc(asStaff(), `${DATA}/issues/issue1`), { title: 'Changed' }));
+            await assertFails(updateDoc(doc(asStaff(), `${DATA}/issues/issue1`), { escalationLevel: 0, nextEscalationAt: null }));
+            await assertFails(updateDoc(doc(asStaff(), `${DATA}/issues/issue1`), { status: 'Closed', statusUpdatedAt: new Date(), statusUpdatedBy: 'sam' }));
+        });
+
+        it('requires proof of work to resolve an issue', async () => {
+            const ref = doc(asStaff(), `${DATA}/issues/issue1`);
+            const statusChange = { status: 'Resolved', statusUpdatedAt: new Date(), statusUpdatedBy: 'sam' };
+            await assertFails(updateDoc(ref, statusChange));
+            await assertSucceeds(updateDoc(ref, {
+                ...statusChange,
+                resolution: { photos: ['https://example.com/after.jpg'], note: 'Filled and resurfaced.', resolvedBy: 'sam', resolvedAt: new Date() },
+            }));
+        });
+
+        it('requires fresh proof of work to resolve a reopened issue again', async () => {
+            const ref = doc(asStaff(), `${DATA}/issues/issue1`);
+            const statusChange = () => ({ status: 'Resolved', statusUpdatedAt: new Date(), statusUpdatedBy: 'sam' });
+            const resolution = { photos: ['https://example.com/after.jpg'], note: 'Filled and resurfaced.', resolvedBy: 'sam', resolvedAt: new Date() };
+            await assertSucceeds(updateDoc(ref, { ...statusChange(), resolution }));
+            // Reopened by the onVerificationCreated Cloud Function, which leaves the rejected resolution in place.
+            await testEnv.withSecurityRulesDisabled(async (context) => {
+                await updateDoc(doc(context.firestore(), `${DATA}/issues/issue1`), { status: 'In-Progress', reopenCount: 1 });
+            });
+            await assertFails(updateDoc(ref, statusChange()));
+            await assertFails(updateDoc(ref, { ...statusChange(), resolution }));
+            await assertFails(updateDoc(ref, { ...statusChange(), resolution: { ...resolution, note: 'Filled again.', resolvedAt: new Date(Date.now() - 2 * 60 * 60 * 1000) } }));
+            await assertSucceeds(updateDoc(ref, { ...statusChange(), resolution: { ...resolution, note: 'Filled again.', resolvedAt: new Date() } }));
+        });
+
+        it('lets reporters delete their own issues unless they were merged', async () => {
+            await assertFails(deleteDoc(doc(as('bob'), `${DATA}/issues/issue1`)));
+            await assertFails(deleteDoc(doc(as('alice'), `${DATA}/issues/merged1`)));
+            await assertSucceeds(deleteDoc(doc(as('alice'), `${DATA}/issues/issue1`)));
+        });
+    });
+
+    describe('history', () => {
+        it('is readable but only written by Cloud Functions', async () => {
+            await assertSucceeds(getDoc(doc(as('bob'), `${DATA}/issues/issue1/history/e1`)));
+            await assertFails(setDoc(doc(asStaff(), `${DATA}/issues/issue1/history/e1`), { type: 'status', from: 'Acknowledged', to: 'Resolved', actorId: 'sam', createdAt: new Date() }));
+        });
+    });
+
+    describe('revisions', () => {
+        it('are only readable by staff and only written by Cloud Functions', async () => {
+            await assertSucceeds(getDoc(doc(asStaff(), `${DATA}/issues/issue1/revisions/r1`)));
+            await assertFails(getDoc(doc(as('bob'), `${DATA}/issues/issue1/revisions/r1`)));
+            await assertFails(setDoc(doc(as('alice'), `${DATA}/issues/issue1/revisions/r1`), { editorId: 'alice', changes: {}, createdAt: new Date() }));
+        });
+    });
+
+    describe('profiles', () => {
+        it('lets users create a profile holding only their name', async () => {
+            await assertSucceeds(setDoc(doc(as('bob'), `${DATA}/profiles/bob`), { name: 'Bob' }));
+            await assertFails(setDoc(doc(as('carol'), `${DATA}/profiles/carol`), { name: 'Carol', points: 1000000 }));
+            await assertFails(setDoc(doc(as('dave'), `${DATA}/profiles/dave`), { name: 'Dave', role: 'admin' }));
+        });
+
+        it('does not let users award themselves points, badges or roles', async () => {
+            const ref = doc(as('alice'), `${DATA}/profiles/alice`);
+            await assertFails(updateDoc(ref, { points: 1000000 }));
+            await assertFails(updateDoc(ref, { badges: ['Civic Champion'] }));
+            await assertFails(updateDoc(ref, { reportedIssues: 99 }));
+            await assertFails(updateDoc(ref, { role: 'admin' }));
+            await assertSucceeds(updateDoc(ref, { name: 'Alice B.' }));
+        });
+
+        it('does not let users edit someone else\'s profile', async () => {
+            await assertFails(updateDoc(doc(as('bob'), `${DATA}/profiles/alice`), { name: 'Hacked' }));
+        });
+    });
+
+    describe('votes', () => {
+        it('allows one vote per registered account per issue', async () => {
+            const db = as('bob');
+            await assertSucceeds(setDoc(doc(db, `${DATA}/votes/issue1_bob`), { issueId: 'issue1', voterId: 'bob', createdAt: new Date() }));
+            await assertFails(setDoc(doc(db, `${DATA}/votes/issue1_bob_again`), { issueId: 'issue1', voterId: 'bob', createdAt: new Date() }));
+            await assertFails(setDoc(doc(db, `${DATA}/votes/issue1_carol`), { issueId: 'issue1', voterId: 'carol', createdAt: new Date() }));
+        });
+
+        it('rejects votes from guests, on missing issues, or with extra fields', async () => {
+            await assertFails(setDoc(doc(asGuest(), `${DATA}/votes/issue1_guest`), { issueId: 'issue1', voterId: 'guest', createdAt: new Date() }));
+            await assertFails(setDoc(doc(as('bob'), `${DATA}/votes/missing_bob`), { issueId: 'missing', voterId: 'bob', createdAt: new Date() }));
+            await assertFails(setDoc(doc(as('bob'), `${DATA}/votes/issue1_bob`), { issueId: 'issue1', voterId: 'bob', createdAt: new Date(), weight: 10 }));
+        });
+    });
+
+    describe('moderation', () => {
+        const flag = (overrides = {}) => ({ issueId: 'issue1', flaggerId: 'bob', reason: 'spam', note: null, createdAt: new Date(), ...overrides });
+
+        it('allows one flag per registered account per issue with a known reason', async () => {
+            await assertSucceeds(setDoc(doc(as('bob'), `${DATA}/flags/issue1_bob`), flag()));
+            await assertFails(setDoc(doc(as('bob'), `${DATA}/flags/issue1_bob2`), flag()));
+            await assertFails(setDoc(doc(as('carol'), `${DATA}/flags/issue1_carol`), flag({ flaggerId: 'carol', reason: 'boring' })));
+            await assertFails(setDoc(doc(asGuest(), `${DATA}/flags/issue1_guest`), flag({ flaggerId: 'guest' })));
+        });
+
+        it('blocks banned accounts from reporting, voting and flagging', async () => {
+            await testEnv.withSecurityRulesDisabled(async (context) => {
+                await setDoc(doc(context.firestore(), `artifacts/${APP_ID}/bans/bob`), { bannedBy: 'mod', createdAt: new Date() });
+            });
+            const db = as('bob');
+            await assertFails(setDoc(doc(db, `${DATA}/issues/new1`), newIssue({ reporterId: 'bob', reporterIds: ['bob'] })));
+            await assertFails(setDoc(doc(db, `${DATA}/votes/issue1_bob`), { issueId: 'issue1', voterId: 'bob', createdAt: new Date() }));
+            await assertFails(setDoc(doc(db, `${DATA}/flags/issue1_bob`), flag()));
+        });
+
+        it('only lets admins change the moderation settings', async () => {
+            const settings = { flagThreshold: 5, blockedWords: ['scam'] };
+            await assertFails(setDoc(doc(as('bob'), `${DATA}/config/moderation`), settings));
+            await assertFails(setDoc(doc(as('mod', { role: 'moderator' }), `${DATA}/config/moderation`), settings));
+            await assertSucceeds(setDoc(doc(as('ada', { role: 'admin' }), `${DATA}/config/moderation`), settings));
+            await assertFails(setDoc(doc(as('ada', { role: 'admin' }), `${DATA}/config/moderation`), { ...settings, flagThreshold: 0 }));
+        });
+
+        it('does not let reporters clear moderation state themselves', async () => {
+            await assertFails(setDoc(doc(as('alice'), `${DATA}/issues/new1`), newIssue({ moderation: { state: 'approved' } })));
+            await assertFails(setDoc(doc(as('alice'), `${DATA}/issues/new1`), newIssue({ hidden: true })));
+        });
+
+        it('only shows hidden issues to their reporter and moderators', async () => {
+            await testEnv.withSecurityRulesDisabled(async (context) => {
+                await updateDoc(doc(context.firestore(), `${DATA}/issues/issue1`), { hidden: true, moderation: { state: 'hidden' } });
+            });
+            await assertSucceeds(getDoc(doc(as('alice'), `${DATA}/issues/issue1`)));
+            await assertSucceeds(getDoc(doc(as('mod', { role: 'moderator' }), `${DATA}/issues/issue1`)));
+            await assertFails(getDoc(doc(as('bob'), `${DATA}/issues/issue1`)));
+            await assertFails(getDoc(doc(asStaff(), `${DATA}/issues/issue1`)));
+        });
+
+        it('keeps the comments and history of hidden issues from everyone but their reporter and moderators', async () => {
+            await testEnv.withSecurityRulesDisabled(async (context) => {
+                const db = context.firestore();
+                await setDoc(doc(db, `${DATA}/issues/issue1/comments/c1`), { authorId: 'bob', text: 'Still there', isStaff: false, createdAt: new Date() });
+                await setDoc(doc(db, `${DATA}/issues/issue1/history/e1`), { type: 'status', from: 'Acknowledged', to: 'In Progress', actorId: 'sam', createdAt: new Date() });
+                await updateDoc(doc(db, `${DATA}/issues/issue1`), { hidden: true, moderation: { state: 'hidden' } });
+            });
+            for (const path of ['comments/c1', 'history/e1']) {
+                await assertFails(getDoc(doc(as('bob'), `${DATA}/issues/issue1/${path}`)));
+                await assertSucceeds(getDoc(doc(as('alice'), `${DATA}/issues/issue1/${path}`)));
+                await assertSucceeds(getDoc(doc(as('mod', { role: 'moderator' }), `${DATA}/issues/issue1/${path}`)));
+            }
+            await assertFails(getDocs(collection(as('bob'), `${DATA}/issues/issue1/comments`)));
+            await assertSucceeds(getDocs(collection(as('bob'), `${DATA}/issues/merged1/comments`)));
+        });
+
+        it('only allows issue queries that leave out hidden issues, except a reporter\'s own', async () => {
+            const issues = collection(as('bob'), `${DATA}/issues`);
+            await assertSucceeds(getDocs(query(issues, where('hidden', '==', false))));
+            await assertSucceeds(getDocs(query(issues, where('reporterId', '==', 'bob'))));
+            await assertFails(getDocs(issues));
+            await assertSucceeds(getDocs(collection(as('mod', { role: 'moderator' }), `${DATA}/issues`)));
+        });
+    });
+
+    describe('taxonomy', () => {
+        const taxonomy = { departments: { roads: 'Roads' }, categories: [{ id: 'other', label: 'Other', department: 'roads', respondHours: 24, resolveHours: 72, fields: [] }] };
+
+        it('is readable by everyone signed in and writable only by admins', async () => {
+            await assertSucceeds(getDoc(doc(asGuest(), `${DATA}/config/taxonomy`)));
+            await assertFails(setDoc(doc(asStaff(), `${DATA}/config/taxonomy`), taxonomy));
+            await assertSucceeds(setDoc(doc(as('ada', { role: 'admin' }), `${DATA}/config/taxonomy`), taxonomy));
+            await assertFails(setDoc(doc(as('ada', { role: 'admin' }), `${DATA}/config/taxonomy`), { ...taxonomy, categories: 'other' }));
+        });
+    });
+
+    describe('comments', () => {
+        it('only lets staff post with the Official badge', async () => {
+            const comment = { authorId: 'bob', text: 'Still there this morning.', isStaff: false, createdAt: new Date() };
+            await assertSucceeds(setDoc(doc(as('bob'), `${DATA}/issues/issue1/comments/c1`), comment));
+            await assertFails(setDoc(doc(as('bob'), `${DATA}/issues/issue1/comments/c2`), { ...comment, isStaff: true }));
+            await assertSucceeds(setDoc(doc(asStaff(), `${DATA}/issues/issue1/comments/c3`), { ...comment, authorId: 'sam', isStaff: true }));
+        });
+
+        it('only accepts photos from the author\'s own upload folder for the issue', async () => {
+            const comment = { authorId: 'bob', text: 'Worse after the rain.', isStaff: false, createdAt: new Date() };
+            await assertSucceeds(setDoc(doc(as('bob'), `${DATA}/issues/issue1/comments/c1`),
+                { ...comment, photoUrl: downloadUrl(`media/${APP_ID}/issues/issue1/bob/comment-1.jpg`) }));
+            await assertFails(setDoc(doc(as('bob'), `${DATA}/issues/issue1/comments/c2`),
+                { ...comment, photoUrl: downloadUrl(`media/${APP_ID}/issues/issue1/alice/comment-1.jpg`) }));
+            await assertFails(setDoc(doc(as('bob'), `${DATA}/issues/issue1/comments/c3`),
+                { ...comment, photoUrl: downloadUrl(`media/${APP_ID}/issues/other/bob/comment-1.jpg`) }));
+            await assertFails(setDoc(doc(as('bob'), `${DATA}/issues/issue1/comments/c4`), { ...comment, photoUrl: 'https://example.com/tracker.gif' }));
+        });
+    });
+
+    describe('verifications', () => {
+        const RESPONSES = `${DATA}/issues/issue1/verifications`;
+        const response = (overrides = {}) => ({ uid: 'alice', round: 1, response: 'confirm', rating: 4, createdAt: new Date(), ...overrides });
+        const reopen = { response: 'reopen', comment: 'Still a hole after the rain.', photoUrl: downloadUrl(`media/${APP_ID}/issues/issue1/alice/reopen.jpg`), photoPath: `media/${APP_ID}/issues/issue1/alice/reopen.jpg` };
+        const setIssue = (fields) => testEnv.withSecurityRulesDisabled(async (context) => {
+            await updateDoc(doc(context.firestore(), `${DATA}/issues/issue1`), fields);
+        });
+
+        beforeEach(async () => {
+            await setIssue({ status: 'Resolved', resolutionRound: 1, verifyBy: new Date(Date.now() + 24 * 60 * 60 * 1000) });
+        });
+
+        it('lets reporters confirm or reopen a resolution once per round', async () => {
+            await assertSucceeds(setDoc(doc(as('alice'), `${RESPONSES}/1_alice`), response()));
+            await assertFails(setDoc(doc(as('alice'), `${RESPONSES}/1_alice`), response({ rating: 5 })));
+            await assertFails(setDoc(doc(as('alice'), `${RESPONSES}/2_alice`), response({ round: 2 })));
+            await assertFails(setDoc(doc(as('alice'), `${RESPONSES}/1_bob`), response()));
+        });
+
+        it('requires a comment and a photo to reopen, and ratings from 1 to 5', async () => {
+            const db = as('alice');
+            await assertFails(setDoc(doc(db, `${RESPONSES}/1_alice`), response({ response: 'reopen', comment: 'Still there.' })));
+            await assertFails(setDoc(doc(db, `${RESPONSES}/1_alice`), response({ ...reopen, photoPath: `media/${APP_ID}/issues/issue1/bob/reopen.jpg` })));
+            await assertFails(setDoc(doc(db, `${RESPONSES}/1_alice`), response({ ...reopen, photoUrl: 'https://example.com/tracker.gif' })));
+            await assertFails(setDoc(doc(db, `${RESPONSES}/1_alice`), response({ ...reopen, photoUrl: downloadUrl(`media/${APP_ID}/issues/issue1/bob/reopen.jpg`) })));
+            await assertFails(setDoc(doc(db, `${RESPONSES}/1_alice`), response({ rating: 6 })));
+            await assertFails(setDoc(doc(db, `${RESPONSES}/1_alice`), response({ rating: 2.5 })));
+            await assertSucceeds(setDoc(doc(db, `${RESPONSES}/1_alice`), response({ ...reopen, rating: 1 })));
+        });
+
+        it('only accepts responses from reporters, or upvoters when allowed, within the window', async () => {
+            await testEnv.withSecurityRulesDisabled(async (context) => {
+                await setDoc(doc(context.firestore(), `${DATA}/votes/issue1_bob`), { issueId: 'issue1', voterId: 'bob', createdAt: new Date() });
+            });
+            await assertFails(setDoc(doc(as('bob'), `${RESPONSES}/1_bob`), response({ uid: 'bob' })));
+            await testEnv.withSecurityRulesDisabled(async (context) => {
+                await setDoc(doc(context.firestore(), `${DATA}/config/verification`), { windowDays: 14, allowUpvoters: true });
+            });
+            await assertSucceeds(setDoc(doc(as('bob'), `${RESPONSES}/1_bob`), response({ uid: 'bob' })));
+            await assertFails(setDoc(doc(as('carol'), `${RESPONSES}/1_carol`), response({ uid: 'carol' })));
+
+            await setIssue({ verifyBy: new Date(Date.now() - 1000) });
+            await assertFails(setDoc(doc(as('alice'), `${RESPONSES}/1_alice`), response()));
+        });
+
+        it('keeps responses private to their author and staff', async () => {
+            await testEnv.withSecurityRulesDisabled(async (context) => {
+                await setDoc(doc(context.firestore(), `${RESPONSES}/1_alice`), response());
+            });
+            await assertSucceeds(getDoc(doc(as('alice'), `${RESPONSES}/1_alice`)));
+            await assertSucceeds(getDoc(doc(asStaff(), `${RESPONSES}/1_alice`)));
+            await assertFails(getDoc(doc(as('bob'), `${RESPONSES}/1_alice`)));
+        });
+
+        it('only lets admins change the verification settings', async () => {
+            const settings = { windowDays: 7, allowUpvoters: true };
+            await assertFails(setDoc(doc(asStaff(), `${DATA}/config/verification`), settings));
+            await assertSucceeds(setDoc(doc(as('ada', { role: 'admin' }), `${DATA}/config/verification`), settings));
+            await assertFails(setDoc(doc(as('ada', { role: 'admin' }), `${DATA}/config/verification`), { ...settings, windowDays: 0 }));
+        });
+    });
+
+    describe('private user data', () => {
+        it('lets owners read notifications and only mark them read', async () => {
+            const ref = doc(as('alice'), `artifacts/${APP_ID}/users/alice/notifications/n1`);
+            await assertSucceeds(getDoc(ref));
+            await assertSucceeds(updateDoc(ref, { read: true }));
+            await assertFails(updateDoc(ref, { title: 'Changed' }));
+            await assertFails(getDoc(doc(as('bob'), `artifacts/${APP_ID}/users/alice/notifications/n1`)));
+        });
+    });
+});
@@ -0,0 +1,116 @@
+// --- Photo Redaction ---
+// Kept apart from app.js, which connects to Firebase when it loads, so the photo edits can be tested.
+// Edits are kept as a list of operations replayed on the photo, so they can be undone.
+const createCanvas = (width, height) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+};
+
+// Both effects shrink the image until detail is gone for good; blur scales it back up smoothly,
+// pixelate in blocks. Unlike a canvas blur filter this works the same in every browser.
+const obscureCanvas = (source, effect) => {
+    const blockSize = Math.max(8, Math.round(Math.max(source.width, source.height) / 60));
+    const small = createCanvas(Math.max(1, Math.round(source.width / blockSize)), Math.max(1, Math.round(source.height / blockSize)));
+    const smallContext = small.getContext('2d');
+    smallContext.imageSmoothingQuality = 'high';
+    smallContext.drawImage(source, 0, 0, small.width, small.height);
+    const result = createCanvas(source.width, source.height);
+    const context = result.getContext('2d');
+    context.imageSmoothingEnabled = effect === 'blur';
+    context.drawImage(small, 0, 0, result.width, result.height);
+    return result;
+};
+
+const applyRedaction = (canvas, { effect, shape, rect, points, size }) => {
+    const mask = createCanvas(canvas.width, canvas.height);
+    const maskContext = mask.getContext('2d');
+    if (shape === 'rect') {
+        maskContext.fillRect(rect.x, rect.y, rect.width, rect.height);
+    } else {
+        maskContext.lineWidth = size;
+        maskContext.lineCap = 'round';
+        maskContext.lineJoin = 'round';
+        maskContext.beginPath();
+        points.forEach((point, index) => (index === 0 ? maskContext.moveTo(point.x, point.y) : maskContext.lineTo(point.x, point.y)));
+        if (points.length === 1) maskContext.lineTo(points[0].x + 0.1, points[0].y);
+        maskContext.stroke();
+    }
+    const obscured = obscureCanvas(canvas, effect);
+    const obscuredContext = obscured.getContext('2d');
+    obscuredContext.globalCompositeOperation = 'destination-in';
+    obscuredContext.drawImage(mask, 0, 0);
+    canvas.getContext('2d').drawImage(obscured, 0, 0);
+};
+
+// A quarter turn clockwise (1) or anticlockwise (-1).
+const rotateCanvas = (source, direction) => {
+    const rotated = createCanvas(source.height, source.width);
+    const context = rotated.getContext('2d');
+    context.translate(direction > 0 ? rotated.width : 0, direction > 0 ? 0 : rotated.height);
+    context.rotate(direction * Math.PI / 2);
+    context.drawImage(source, 0, 0);
+    return rotated;
+};
+
+const cropCanvas = (source, rect) => {
+    const cropped = createCanvas(rect.width, rect.height);
+    cropped.getContext('2d').drawImage(source, -rect.x, -rect.y);
+    return cropped;
+};
+
+// Each operation's coordinates are in the image as it was after the operations before it.
+export const renderPhotoEdits = (image, operations) => {
+    let canvas = createCanvas(image.naturalWidth, image.naturalHeight);
+    canvas.getContext('2d').drawImage(image, 0, 0);
+    operations.forEach(operation => {
+        if (operation.type === 'rotate') canvas = rotateCanvas(canvas, operation.direction);
+        else if (operation.type === 'crop') canvas = cropCanvas(canvas, operation.rect);
+        else applyRedaction(canvas, operation);
+    });
+    return canvas;
+};
+
+// Where a pointer event falls on the displayed canvas, in the pixels of the edited image, kept inside it.
+export const toImagePoint = ({ clientX, clientY }, bounds, image) => ({
+    x: Math.min(image.width, Math.max(0, (clientX - bounds.left) * (image.width / bounds.width))),
+    y: Math.min(image.height, Math.max(0, (clientY - bounds.top) * (image.height / bounds.height))),
+});
+
+// The rectangle dragged out between two points, in whole pixels.
+export const toRect = (from, to) => ({
+    x: Math.round(Math.min(from.x, to.x)),
+    y: Math.round(Math.min(from.y, to.y)),
+    width: Math.round(Math.abs(to.x - from.x)),
+    height: Math.round(Math.abs(to.y - from.y)),
+});
+
+// On-device detection through the Shape Detection API, where the browser has it (Chrome on
+// Android, for one). Plates are taken to be short, wide runs of text, so signs get caught too;
+// the reporter can undo those.
+export const canDetectSensitiveRegions = 'FaceDetector' in window || 'TextDetector' in window;
+
+export const detectSensitiveRegions = async (canvas) => {
+    const boxes = [];
+    if ('FaceDetector' in window) {
+        const faces = await new window.FaceDetector({ fastMode: true, maxDetectedFaces: 20 }).detect(canvas);
+        boxes.push(...faces.map(face => face.boundingBox));
+    }
+    if ('TextDetector' in window) {
+        const texts = await new window.TextDetector().detect(canvas);
+        boxes.push(...texts.map(text => text.boundingBox).filter(box => box.width >= box.height * 1.5 && box.width <= box.height * 6));
+    }
+    // A margin so hair, ears and plate surrounds are covered as well.
+    return boxes.map(box => {
+        const margin = Math.max(box.width, box.height) * 0.15;
+        const x = Math.max(0, Math.round(box.x - margin));
+        const y = Math.max(0, Math.round(box.y - margin));
+        return {
+            x,
+            y,
+            width: Math.min(canvas.width, Math.round(box.x + box.width + margin)) - x,
+            height: Math.min(canvas.height, Math.round(box.y + box.height + margin)) - y,
+        };
+    });
+};
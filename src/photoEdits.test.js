@@ -0,0 +1,115 @@
+import { renderPhotoEdits, toImagePoint, toRect, detectSensitiveRegions } from './photoEdits';
+
+// jsdom has no canvas drawing, so each canvas gets a context that records what was drawn on it.
+const contexts = new WeakMap();
+const recordingContext = () => {
+    const context = { calls: [] };
+    ['drawImage', 'fillRect', 'translate', 'rotate', 'beginPath', 'moveTo', 'lineTo', 'stroke'].forEach(method => {
+        context[method] = (...args) => context.calls.push([method, ...args]);
+    });
+    return context;
+};
+const realGetContext = HTMLCanvasElement.prototype.getContext;
+const callsOn = (canvas) => canvas.getContext('2d').calls;
+
+beforeAll(() => {
+    HTMLCanvasElement.prototype.getContext = function getContext() {
+        if (!contexts.has(this)) contexts.set(this, recordingContext());
+        return contexts.get(this);
+    };
+});
+
+afterAll(() => {
+    HTMLCanvasElement.prototype.getContext = realGetContext;
+});
+
+const photo = { naturalWidth: 400, naturalHeight: 300 };
+
+describe('renderPhotoEdits', () => {
+    it('draws the photo unchanged without edits', () => {
+        const canvas = renderPhotoEdits(photo, []);
+        expect([canvas.width, canvas.height]).toEqual([400, 300]);
+        expect(callsOn(canvas)).toEqual([['drawImage', photo, 0, 0]]);
+    });
+
+    it('rotates a quarter turn either way around the right corner', () => {
+        const clockwise = renderPhotoEdits(photo, [{ type: 'rotate', direction: 1 }]);
+        expect([clockwise.width, clockwise.height]).toEqual([300, 400]);
+        expect(callsOn(clockwise).slice(0, 2)).toEqual([['translate', 300, 0], ['rotate', Math.PI / 2]]);
+
+        const anticlockwise = renderPhotoEdits(photo, [{ type: 'rotate', direction: -1 }]);
+        expect([anticlockwise.width, anticlockwise.height]).toEqual([300, 400]);
+        expect(callsOn(anticlockwise).slice(0, 2)).toEqual([['translate', 0, 400], ['rotate', -Math.PI / 2]]);
+    });
+
+    it('reads each operation in the image as the operations before it left it', () => {
+        const rect = { x: 10, y: 20, width: 100, height: 50 };
+        const canvas = renderPhotoEdits(photo, [
+            { type: 'rotate', direction: 1 },
+            { type: 'crop', rect: { x: 50, y: 60, width: 200, height: 120 } },
+            { type: 'redact', effect: 'pixelate', shape: 'rect', rect },
+        ]);
+        expect([canvas.width, canvas.height]).toEqual([200, 120]);
+        const [drawRotated, drawRedaction] = callsOn(canvas);
+        // The crop is taken from the rotated photo (300 x 400), offset by its corner.
+        const rotated = drawRotated[1];
+        expect([rotated.width, rotated.height, drawRotated[2], drawRotated[3]]).toEqual([300, 400, -50, -60]);
+        // The redaction is masked on the cropped image without converting its coordinates.
+        const obscured = drawRedaction[1];
+        const mask = callsOn(obscured).at(-1)[1];
+        expect([obscured.width, obscured.height, mask.width, mask.height]).toEqual([200, 120, 200, 120]);
+        expect(callsOn(mask)).toEqual([['fillRect', 10, 20, 100, 50]]);
+    });
+
+    it('paints a single brush dab as a dot', () => {
+        const canvas = renderPhotoEdits(photo, [{ type: 'redact', effect: 'blur', shape: 'brush', points: [{ x: 5, y: 6 }], size: 32 }]);
+        const mask = callsOn(callsOn(canvas).at(-1)[1]).at(-1)[1];
+        expect(callsOn(mask)).toEqual([['beginPath'], ['moveTo', 5, 6], ['lineTo', 5.1, 6], ['stroke']]);
+        expect(mask.getContext('2d').lineWidth).toBe(32);
+    });
+});
+
+describe('toImagePoint', () => {
+    const bounds = { left: 100, top: 50, width: 200, height: 150 };
+    const image = { width: 800, height: 600 };
+
+    it('scales from the displayed canvas to the image', () => {
+        expect(toImagePoint({ clientX: 150, clientY: 125 }, bounds, image)).toEqual({ x: 200, y: 300 });
+    });
+
+    it('keeps points dragged outside the canvas on its edge', () => {
+        expect(toImagePoint({ clientX: 0, clientY: 500 }, bounds, image)).toEqual({ x: 0, y: 600 });
+    });
+});
+
+describe('toRect', () => {
+    it('is the same whichever way the box is dragged', () => {
+        expect(toRect({ x: 30.4, y: 40.6 }, { x: 10, y: 20 })).toEqual({ x: 10, y: 20, width: 20, height: 21 });
+        expect(toRect({ x: 10, y: 20 }, { x: 30.4, y: 40.6 })).toEqual({ x: 10, y: 20, width: 20, height: 21 });
+    });
+});
+
+describe('detectSensitiveRegions', () => {
+    afterEach(() => {
+        delete window.FaceDetector;
+        delete window.TextDetector;
+    });
+
+    it('finds nothing where the browser cannot detect faces or text', async () => {
+        expect(await detectSensitiveRegions({ width: 400, height: 300 })).toEqual([]);
+    });
+
+    it('pads faces and plate-shaped text, keeping the boxes inside the photo', async () => {
+        window.FaceDetector = class { detect = async () => [{ boundingBox: { x: 5, y: 100, width: 40, height: 60 } }]; };
+        window.TextDetector = class {
+            detect = async () => [
+                { boundingBox: { x: 320, y: 250, width: 80, height: 20 } },
+                { boundingBox: { x: 100, y: 100, width: 20, height: 20 } },
+            ];
+        };
+        expect(await detectSensitiveRegions({ width: 400, height: 300 })).toEqual([
+            { x: 0, y: 91, width: 54, height: 78 },
+            { x: 308, y: 238, width: 92, height: 44 },
+        ]);
+    });
+});
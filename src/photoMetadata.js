@@ -0,0 +1,103 @@
+// --- Photo Metadata ---
+// Kept apart from app.js, which connects to Firebase when it loads, so the parser can be tested.
+
+// Just enough of EXIF to read a JPEG's orientation, GPS position and capture time. Anything
+// missing or malformed is left out rather than failing the upload.
+const EXIF_TAGS = { orientation: 0x0112, exifIfd: 0x8769, gpsIfd: 0x8825, dateTimeOriginal: 0x9003, offsetTimeOriginal: 0x9011,
+    gpsLatitudeRef: 0x0001, gpsLatitude: 0x0002, gpsLongitudeRef: 0x0003, gpsLongitude: 0x0004 };
+const EXIF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+// `tiff` is the byte offset of the TIFF header inside an APP1 "Exif" segment.
+const parseExif = (view, tiff) => {
+    const little = view.getUint16(tiff) === 0x4949;
+    const u16 = (offset) => view.getUint16(tiff + offset, little);
+    const u32 = (offset) => view.getUint32(tiff + offset, little);
+    const readIfd = (offset) => {
+        const entries = {};
+        for (let i = 0; i < u16(offset); i++) {
+            const entry = offset + 2 + i * 12;
+            const type = u16(entry + 2);
+            const count = u32(entry + 4);
+            // Values of four bytes or less are stored in place of the offset.
+            const dataOffset = (EXIF_TYPE_SIZES[type] || 1) * count <= 4 ? entry + 8 : u32(entry + 8);
+            entries[u16(entry)] = { type, count, dataOffset };
+        }
+        return entries;
+    };
+    const readText = (entry) => {
+        if (!entry) return null;
+        let text = '';
+        for (let i = 0; i < entry.count; i++) {
+            const code = view.getUint8(tiff + entry.dataOffset + i);
+            if (code === 0) break;
+            text += String.fromCharCode(code);
+        }
+        return text;
+    };
+    const readRationals = (entry) => (entry ? Array.from({ length: entry.count }, (_, i) => u32(entry.dataOffset + i * 8) / u32(entry.dataOffset + i * 8 + 4)) : null);
+
+    const ifd0 = readIfd(u32(4));
+    const exif = ifd0[EXIF_TAGS.exifIfd] ? readIfd(u32(ifd0[EXIF_TAGS.exifIfd].dataOffset)) : {};
+    const gps = ifd0[EXIF_TAGS.gpsIfd] ? readIfd(u32(ifd0[EXIF_TAGS.gpsIfd].dataOffset)) : {};
+    const toDegrees = (parts, ref) => parts && parts.length === 3 && (parts[0] + parts[1] / 60 + parts[2] / 3600) * (['S', 'W'].includes(ref) ? -1 : 1);
+    return {
+        orientation: ifd0[EXIF_TAGS.orientation] ? u16(ifd0[EXIF_TAGS.orientation].dataOffset) : 1,
+        lat: toDegrees(readRationals(gps[EXIF_TAGS.gpsLatitude]), readText(gps[EXIF_TAGS.gpsLatitudeRef])),
+        lng: toDegrees(readRationals(gps[EXIF_TAGS.gpsLongitude]), readText(gps[EXIF_TAGS.gpsLongitudeRef])),
+        dateTime: readText(exif[EXIF_TAGS.dateTimeOriginal]),
+        offsetTime: readText(exif[EXIF_TAGS.offsetTimeOriginal]),
+    };
+};
+
+// "2024:05:31 18:04:09", in the camera's local time unless an offset like "+05:30" was recorded.
+export const parseExifDate = (dateTime, offsetTime) => {
+    const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(dateTime || '');
+    if (!match) return null;
+    const [, year, month, day, hours, minutes, seconds] = match;
+    const date = /^[+-]\d{2}:\d{2}$/.test(offsetTime || '')
+        ? new Date(`${year}-${month}-${day}T${hours}:${minutes}:${seconds}${offsetTime}`)
+        : new Date(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds));
+    return Number.isNaN(date.getTime()) || date > new Date() ? null : date;
+};
+
+// Reads a photo's metadata and returns a copy of the JPEG with every APPn and comment segment
+// removed. Decoding the stripped copy gives the raw, unrotated pixels in every browser, so the
+// orientation is applied exactly once, by `drawToJpegBlob`.
+export const readPhotoMetadata = async (blob) => {
+    const none = { blob, orientation: 1, coordinates: null, takenAt: null };
+    const buffer = await blob.arrayBuffer();
+    const view = new DataView(buffer);
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) return none;
+    try {
+        const kept = [buffer.slice(0, 2)];
+        let exif = null;
+        let offset = 2;
+        while (offset + 4 <= view.byteLength) {
+            const marker = view.getUint16(offset);
+            if ((marker & 0xff00) !== 0xff00) return none;
+            // Start of scan: the compressed image data runs to the end of the file.
+            if (marker === 0xffda) {
+                kept.push(buffer.slice(offset));
+                break;
+            }
+            const length = view.getUint16(offset + 2);
+            if (marker === 0xffe1 && !exif && view.getUint32(offset + 4) === 0x45786966) exif = parseExif(view, offset + 10);
+            if (!((marker >= 0xffe1 && marker <= 0xffef) || marker === 0xfffe)) kept.push(buffer.slice(offset, offset + 2 + length));
+            offset += 2 + length;
+        }
+        if (!exif) return { ...none, blob: new Blob(kept, { type: 'image/jpeg' }) };
+        // Cameras without a fix often write 0,0.
+        const hasPosition = Number.isFinite(exif.lat) && Number.isFinite(exif.lng) && Math.abs(exif.lat) <= 90 && Math.abs(exif.lng) <= 180
+            && !(exif.lat === 0 && exif.lng === 0);
+        return {
+            blob: new Blob(kept, { type: 'image/jpeg' }),
+            orientation: exif.orientation >= 1 && exif.orientation <= 8 ? exif.orientation : 1,
+            coordinates: hasPosition ? { lat: exif.lat, lng: exif.lng } : null,
+            takenAt: parseExifDate(exif.dateTime, exif.offsetTime),
+        };
+    } catch (err) {
+        // Truncated or malformed metadata; fall back to letting the browser decode the original.
+        console.error("Error reading photo metadata:", err);
+        return none;
+    }
+};
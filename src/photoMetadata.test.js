@@ -0,0 +1,132 @@
+/**
+ * @jest-environment node
+ */
+import { Blob } from 'buffer';
+import { readPhotoMetadata, parseExifDate } from './photoMetadata';
+
+// jsdom's Blob can't be read back with arrayBuffer(), and Jest 27's node environment has no Blob global.
+global.Blob = Blob;
+
+const TYPE_SIZES = { 2: 1, 3: 2, 4: 4, 5: 8 };
+const countOf = ([, type, value]) => (type === 2 ? value.length + 1 : type === 5 ? value.length : 1);
+const sizeOf = (entry) => TYPE_SIZES[entry[1]] * countOf(entry);
+const ifdSize = (entries) => 2 + entries.length * 12 + 4 + entries.reduce((sum, entry) => sum + (sizeOf(entry) > 4 ? sizeOf(entry) + (sizeOf(entry) % 2) : 0), 0);
+
+// Builds a TIFF block with IFD0 and, when given entries, an Exif and a GPS IFD. Entries are
+// [tag, type, value]: ASCII (2) takes a string, SHORT (3) a number and RATIONAL (5) [numerator, denominator] pairs.
+const buildTiff = ({ little = false, ifd0 = [], exif = [], gps = [] }) => {
+    const pointers = [...(exif.length ? [[0x8769, 4, 0]] : []), ...(gps.length ? [[0x8825, 4, 0]] : [])];
+    const exifOffset = 8 + ifdSize([...ifd0, ...pointers]);
+    const gpsOffset = exifOffset + (exif.length ? ifdSize(exif) : 0);
+    const ifd0Entries = [...ifd0, ...(exif.length ? [[0x8769, 4, exifOffset]] : []), ...(gps.length ? [[0x8825, 4, gpsOffset]] : [])];
+    const view = new DataView(new ArrayBuffer(gpsOffset + (gps.length ? ifdSize(gps) : 0)));
+    const writeIfd = (offset, entries) => {
+        view.setUint16(offset, entries.length, little);
+        let dataOffset = offset + 2 + entries.length * 12 + 4;
+        entries.forEach((entry, index) => {
+            const [tag, type, value] = entry;
+            const position = offset + 2 + index * 12;
+            view.setUint16(position, tag, little);
+            view.setUint16(position + 2, type, little);
+            view.setUint32(position + 4, countOf(entry), little);
+            let target = position + 8;
+            if (sizeOf(entry) > 4) {
+                target = dataOffset;
+                view.setUint32(position + 8, target, little);
+                dataOffset += sizeOf(entry) + (sizeOf(entry) % 2);
+            }
+            if (type === 2) [...value].forEach((char, i) => view.setUint8(target + i, char.charCodeAt(0)));
+            if (type === 3) view.setUint16(target, value, little);
+            if (type === 4) view.setUint32(target, value, little);
+            if (type === 5) value.forEach(([numerator, denominator], i) => {
+                view.setUint32(target + i * 8, numerator, little);
+                view.setUint32(target + i * 8 + 4, denominator, little);
+            });
+        });
+    };
+    view.setUint16(0, little ? 0x4949 : 0x4d4d);
+    view.setUint16(2, 42, little);
+    view.setUint32(4, 8, little);
+    writeIfd(8, ifd0Entries);
+    if (exif.length) writeIfd(exifOffset, exif);
+    if (gps.length) writeIfd(gpsOffset, gps);
+    return [...new Uint8Array(view.buffer)];
+};
+
+const segment = (marker, payload) => [0xff, marker, (payload.length + 2) >> 8, (payload.length + 2) & 0xff, ...payload];
+const bytesOf = (text) => [...text].map(char => char.charCodeAt(0));
+const SOI = [0xff, 0xd8];
+const APP0 = segment(0xe0, bytesOf('JFIF\0'));
+const DQT = segment(0xdb, [0, 1, 2, 3]);
+const SCAN = [...segment(0xda, [1, 2, 3]), 9, 8, 7, 0xff, 0xd9];
+const exifSegment = (tiff) => segment(0xe1, [...bytesOf('Exif\0\0'), ...tiff]);
+const jpeg = (...segments) => new Blob([new Uint8Array([...SOI, ...segments.flat()])], { type: 'image/jpeg' });
+const bytesIn = async (blob) => [...new Uint8Array(await blob.arrayBuffer())];
+
+// Bengaluru, 12°58'17.76" N 77°35'40.56" E.
+const position = (latRef, lngRef) => [
+    [0x0001, 2, latRef], [0x0002, 5, [[12, 1], [58, 1], [1776, 100]]],
+    [0x0003, 2, lngRef], [0x0004, 5, [[77, 1], [35, 1], [4056, 100]]],
+];
+
+describe('readPhotoMetadata', () => {
+    it('reads the orientation, the GPS position and when the photo was taken', async () => {
+        const tiff = buildTiff({
+            ifd0: [[0x0112, 3, 6]],
+            exif: [[0x9003, 2, '2024:05:31 18:04:09'], [0x9011, 2, '+05:30']],
+            gps: position('N', 'E'),
+        });
+        const metadata = await readPhotoMetadata(jpeg(APP0, exifSegment(tiff), DQT, SCAN));
+        expect(metadata.orientation).toBe(6);
+        expect(metadata.coordinates.lat).toBeCloseTo(12.9716, 4);
+        expect(metadata.coordinates.lng).toBeCloseTo(77.5946, 4);
+        expect(metadata.takenAt).toEqual(new Date('2024-05-31T12:34:09Z'));
+    });
+
+    it('reads little-endian metadata, southern and western positions and times without an offset', async () => {
+        const tiff = buildTiff({ little: true, exif: [[0x9003, 2, '2024:05:31 18:04:09']], gps: position('S', 'W') });
+        const metadata = await readPhotoMetadata(jpeg(exifSegment(tiff), SCAN));
+        expect(metadata.orientation).toBe(1);
+        expect(metadata.coordinates.lat).toBeCloseTo(-12.9716, 4);
+        expect(metadata.coordinates.lng).toBeCloseTo(-77.5946, 4);
+        expect(metadata.takenAt).toEqual(new Date(2024, 4, 31, 18, 4, 9));
+    });
+
+    it('strips every APPn and comment segment but keeps the image data', async () => {
+        const tiff = buildTiff({ ifd0: [[0x0112, 3, 3]], gps: position('N', 'E') });
+        const metadata = await readPhotoMetadata(jpeg(APP0, exifSegment(tiff), segment(0xed, bytesOf('Photoshop 3.0\0')), segment(0xfe, bytesOf('hello')), DQT, SCAN));
+        expect(metadata.blob.type).toBe('image/jpeg');
+        expect(await bytesIn(metadata.blob)).toEqual([...SOI, ...APP0, ...DQT, ...SCAN]);
+    });
+
+    it('leaves out positions without a fix, future capture times and unknown orientations', async () => {
+        const tiff = buildTiff({
+            ifd0: [[0x0112, 3, 9]],
+            exif: [[0x9003, 2, '2999:01:01 00:00:00']],
+            gps: [[0x0001, 2, 'N'], [0x0002, 5, [[0, 1], [0, 1], [0, 1]]], [0x0003, 2, 'E'], [0x0004, 5, [[0, 1], [0, 1], [0, 1]]]],
+        });
+        const metadata = await readPhotoMetadata(jpeg(exifSegment(tiff), SCAN));
+        expect(metadata).toMatchObject({ orientation: 1, coordinates: null, takenAt: null });
+    });
+
+    it('returns non-JPEG files and files with broken metadata unchanged', async () => {
+        const png = new Blob([new Uint8Array([0x89, 0x50, 0x4e, 0x47])], { type: 'image/png' });
+        expect(await readPhotoMetadata(png)).toEqual({ blob: png, orientation: 1, coordinates: null, takenAt: null });
+
+        // IFD0 said to start past the end of the file.
+        const tiff = buildTiff({ ifd0: [[0x0112, 3, 6]] });
+        tiff.splice(4, 4, 0, 0, 0xff, 0xff);
+        const broken = jpeg(exifSegment(tiff), SCAN);
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+        expect((await readPhotoMetadata(broken)).blob).toBe(broken);
+        expect(consoleError).toHaveBeenCalled();
+        consoleError.mockRestore();
+    });
+});
+
+describe('parseExifDate', () => {
+    it('ignores text that is not an EXIF date', () => {
+        expect(parseExifDate('31/05/2024 18:04', null)).toBeNull();
+        expect(parseExifDate(null, '+05:30')).toBeNull();
+    });
+});
@@ -0,0 +1,67 @@
+import { ref as storageRef, uploadBytesResumable, getDownloadURL } from 'firebase/storage';
+
+// --- Media Uploads ---
+// Kept apart from app.js, which connects to Firebase when it loads, so the upload and retry logic can be tested.
+
+export const fileExtension = (blob) => (blob.type.split('/')[1] || 'bin').split(';')[0];
+
+// Uploads a blob with progress reporting and resolves to its storage path and download URL.
+export const uploadMedia = (storage, path, blob, onProgress) => new Promise((resolve, reject) => {
+    const task = uploadBytesResumable(storageRef(storage, path), blob, { contentType: blob.type });
+    task.on('state_changed',
+        (snapshot) => onProgress && onProgress(snapshot.bytesTransferred),
+        reject,
+        async () => {
+            try {
+                resolve({ path, url: await getDownloadURL(task.snapshot.ref) });
+            } catch (err) {
+                reject(err);
+            }
+        }
+    );
+});
+
+// Uploads several blobs under one progress bar, reported as a 0-100 percentage.
+export const uploadAll = async (storage, uploads, onProgress) => {
+    const totalBytes = uploads.reduce((sum, upload) => sum + upload.blob.size, 0) || 1;
+    const transferred = uploads.map(() => 0);
+    const report = () => onProgress && onProgress(Math.round(transferred.reduce((a, b) => a + b, 0) / totalBytes * 100));
+    return Promise.all(uploads.map((upload, index) => uploadMedia(storage, upload.path, upload.blob, (bytes) => {
+        transferred[index] = bytes;
+        report();
+    })));
+};
+
+// The download URL of an object that is already in Storage, or null if there is none.
+const findUploaded = async (storage, path) => {
+    try {
+        return { path, url: await getDownloadURL(storageRef(storage, path)) };
+    } catch (err) {
+        if (err.code === 'storage/object-not-found') return null;
+        throw err;
+    }
+};
+
+// Uploads the attachments that are still local files into an issue's media folder (`basePath`) and
+// resolves to the issue's `media` list, in the same order. Files are named after the attachment id
+// and Storage rules don't allow overwriting them, so files left by an interrupted attempt are reused.
+export const uploadIssueAttachments = async (storage, basePath, attachments, onProgress) => {
+    const pathsOf = (item) => ({ main: `${basePath}/${item.id}.${fileExtension(item.blob)}`, thumbnail: `${basePath}/${item.id}-thumbnail.jpg` });
+    const files = attachments.filter(item => item.blob).flatMap(item => [
+        { path: pathsOf(item).main, blob: item.blob },
+        ...(item.thumbnail ? [{ path: pathsOf(item).thumbnail, blob: item.thumbnail }] : []),
+    ]);
+    const existing = (await Promise.all(files.map(file => findUploaded(storage, file.path)))).filter(Boolean);
+    const existingPaths = new Set(existing.map(result => result.path));
+    const uploads = files.filter(file => !existingPaths.has(file.path));
+    const uploaded = new Map([...existing, ...await uploadAll(storage, uploads, onProgress)].map(result => [result.path, result]));
+    return attachments.map(item => {
+        const caption = (item.caption || '').trim();
+        if (!item.blob) {
+            return { type: item.type, url: item.url, path: item.path || null, thumbnailUrl: item.thumbnailUrl || null, thumbnailPath: item.thumbnailPath || null, caption };
+        }
+        const main = uploaded.get(pathsOf(item).main);
+        const thumbnail = item.thumbnail ? uploaded.get(pathsOf(item).thumbnail) : null;
+        return { type: item.type, url: main.url, path: main.path, thumbnailUrl: thumbnail?.url || null, thumbnailPath: thumbnail?.path || null, caption };
+    });
+};
@@ -0,0 +1,87 @@
+import { uploadIssueAttachments } from './uploads';
+
+// A create-only bucket, like storage.rules: uploading to a path that already exists is refused.
+// Plain functions rather than jest.fn, since the test setup resets mock implementations.
+jest.mock('firebase/storage', () => {
+    const bucket = new Map();
+    const failingLookups = new Set();
+    const failingUploads = new Set();
+    const calls = { lookups: [], uploads: [] };
+    const storageError = (code) => Object.assign(new Error(code), { code });
+    return {
+        bucket,
+        failingLookups,
+        failingUploads,
+        calls,
+        ref: (storage, path) => ({ fullPath: path }),
+        getDownloadURL: async ({ fullPath }) => {
+            calls.lookups.push(fullPath);
+            if (failingLookups.has(fullPath)) throw storageError('storage/retry-limit-exceeded');
+            if (!bucket.has(fullPath)) throw storageError('storage/object-not-found');
+            return `https://storage.test/${fullPath}`;
+        },
+        uploadBytesResumable: (fileRef, blob) => ({
+            snapshot: { ref: fileRef },
+            on: (event, onProgress, onError, onComplete) => {
+                calls.uploads.push(fileRef.fullPath);
+                if (failingUploads.has(fileRef.fullPath)) return onError(storageError('storage/retry-limit-exceeded'));
+                if (bucket.has(fileRef.fullPath)) return onError(storageError('storage/unauthorized'));
+                bucket.set(fileRef.fullPath, blob);
+                onProgress({ bytesTransferred: blob.size });
+                onComplete();
+            },
+        }),
+    };
+});
+
+const { bucket, failingLookups, failingUploads, calls } = jest.requireMock('firebase/storage');
+const BASE_PATH = 'media/test-app/issues/issue1/alice';
+const photo = { id: 'photo-1', type: 'photo', blob: new Blob(['photo'], { type: 'image/jpeg' }), thumbnail: new Blob(['thumb'], { type: 'image/jpeg' }), caption: ' Kerb ' };
+
+beforeEach(() => {
+    bucket.clear();
+    failingLookups.clear();
+    failingUploads.clear();
+    calls.lookups = [];
+    calls.uploads = [];
+});
+
+describe('uploadIssueAttachments', () => {
+    it('uploads each file and its thumbnail and returns the media list', async () => {
+        const media = await uploadIssueAttachments({}, BASE_PATH, [photo]);
+        expect(media).toEqual([{
+            type: 'photo',
+            url: `https://storage.test/${BASE_PATH}/photo-1.jpeg`,
+            path: `${BASE_PATH}/photo-1.jpeg`,
+            thumbnailUrl: `https://storage.test/${BASE_PATH}/photo-1-thumbnail.jpg`,
+            thumbnailPath: `${BASE_PATH}/photo-1-thumbnail.jpg`,
+            caption: 'Kerb',
+        }]);
+    });
+
+    it('reuses files left by an interrupted attempt instead of overwriting them', async () => {
+        const thumbnailPath = `${BASE_PATH}/photo-1-thumbnail.jpg`;
+        failingUploads.add(thumbnailPath);
+        await expect(uploadIssueAttachments({}, BASE_PATH, [photo])).rejects.toMatchObject({ code: 'storage/retry-limit-exceeded' });
+        expect(bucket.has(`${BASE_PATH}/photo-1.jpeg`)).toBe(true);
+
+        failingUploads.clear();
+        calls.uploads = [];
+        const media = await uploadIssueAttachments({}, BASE_PATH, [photo]);
+        expect(calls.uploads).toEqual([thumbnailPath]);
+        expect(media[0]).toMatchObject({ url: `https://storage.test/${BASE_PATH}/photo-1.jpeg`, thumbnailUrl: `https://storage.test/${thumbnailPath}` });
+    });
+
+    it('keeps attachments that were already uploaded', async () => {
+        const existing = { type: 'video', url: 'https://storage.test/old.mp4', path: `${BASE_PATH}/old.mp4`, caption: '' };
+        const media = await uploadIssueAttachments({}, BASE_PATH, [existing]);
+        expect(media).toEqual([{ ...existing, thumbnailUrl: null, thumbnailPath: null }]);
+        expect(calls.lookups).toEqual([]);
+        expect(calls.uploads).toEqual([]);
+    });
+
+    it('passes on errors other than a missing file when checking for earlier uploads', async () => {
+        failingLookups.add(`${BASE_PATH}/photo-1.jpeg`);
+        await expect(uploadIssueAttachments({}, BASE_PATH, [photo])).rejects.toMatchObject({ code: 'storage/retry-limit-exceeded' });
+    });
+});